@@ -0,0 +1,12 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Copy the sql.js wasm binary into public/ so it matches the installed sql.js
+ * src/lib/ankiPackage.js loads it from /sql-wasm.wasm. Runs before start and build.
+ */
+
+const source = require.resolve('sql.js/dist/sql-wasm.wasm');
+const target = path.join(__dirname, '..', 'public', 'sql-wasm.wasm');
+
+fs.copyFileSync(source, target);
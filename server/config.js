@@ -0,0 +1,86 @@
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Server configuration read from the environment (.env is loaded automatically)
+ *
+ * - PORT: HTTP port (default: 3001)
+ * - CORS_ORIGIN: allowed browser origin (default: http://localhost:3000)
+ * - AI_PROVIDER: 'gemini' | 'openai' | 'local' (default: 'gemini' when GEMINI_API_KEY is set, else 'local')
+ * - AI_MODEL: model name override
+ * - GEMINI_API_KEY: server-side Gemini key (never exposed to the browser)
+ * - OPENAI_API_KEY / OPENAI_BASE_URL: OpenAI-compatible provider settings
+ * - SUPABASE_JWT_SECRET: verifies Supabase access tokens locally
+ * - SUPABASE_URL / SUPABASE_ANON_KEY: verifies tokens with Supabase when no secret is set
+ * - AUTH_DISABLED: 'true' to accept unauthenticated calls as a single local user (development only)
+ * - AI_DAILY_REQUEST_LIMIT / AI_PER_MINUTE_LIMIT: per-user quotas (default: 300 / 30)
+ * - AI_MAX_PROMPT_CHARS: largest prompt accepted (default: 60000)
+ * - AI_USAGE_LOG: JSON lines usage log path (default: server/logs/ai-usage.jsonl)
+ * - EMBEDDINGS_PROVIDER: 'gemini' | 'openai' | 'local' (default: AI_PROVIDER when it supports embeddings, else 'local')
+ * - EMBEDDINGS_MODEL: embedding model override
+ * - GENIE_TOP_K: passages retrieved per TheGenie question (default: 4)
+ * - GENIE_CONCURRENCY: TheGenie jobs processed at once (default: 2)
+ * - LINK_FETCHER: 'http' | 'local' for attached links (default: 'local' when AI_PROVIDER is local, else 'http')
+ * - LINK_TIMEOUT_MS / LINK_MAX_BYTES: limits for fetching a link (default: 15000 / 5MB)
+ */
+
+const readNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+const loadConfig = (env = process.env) => {
+  const geminiApiKey = env.GEMINI_API_KEY || '';
+  const aiProvider = (env.AI_PROVIDER || (geminiApiKey ? 'gemini' : 'local')).toLowerCase();
+
+  return {
+    port: readNumber(env.PORT, 3001),
+    corsOrigin: env.CORS_ORIGIN || 'http://localhost:3000',
+
+    ai: {
+      provider: aiProvider,
+      model: env.AI_MODEL || undefined,
+      geminiApiKey,
+      openaiApiKey: env.OPENAI_API_KEY || '',
+      openaiBaseUrl: env.OPENAI_BASE_URL || undefined,
+      timeoutMs: readNumber(env.AI_TIMEOUT_MS, 60000),
+      maxPromptChars: readNumber(env.AI_MAX_PROMPT_CHARS, 60000)
+    },
+
+    auth: {
+      jwtSecret: env.SUPABASE_JWT_SECRET || '',
+      supabaseUrl: env.SUPABASE_URL || env.REACT_APP_SUPABASE_URL || '',
+      supabaseAnonKey: env.SUPABASE_ANON_KEY || env.REACT_APP_SUPABASE_ANON_KEY || '',
+      disabled: env.AUTH_DISABLED === 'true'
+    },
+
+    embeddings: {
+      provider: (env.EMBEDDINGS_PROVIDER ||
+        (['gemini', 'openai'].includes((env.AI_PROVIDER || '').toLowerCase()) ? env.AI_PROVIDER : 'local')).toLowerCase(),
+      model: env.EMBEDDINGS_MODEL || undefined,
+      geminiApiKey,
+      openaiApiKey: env.OPENAI_API_KEY || '',
+      openaiBaseUrl: env.OPENAI_BASE_URL || undefined
+    },
+
+    genie: {
+      topK: readNumber(env.GENIE_TOP_K, 4),
+      concurrency: readNumber(env.GENIE_CONCURRENCY, 2)
+    },
+
+    links: {
+      fetcher: (env.LINK_FETCHER || (aiProvider === 'local' ? 'local' : 'http')).toLowerCase(),
+      timeoutMs: readNumber(env.LINK_TIMEOUT_MS, 15000),
+      maxBytes: readNumber(env.LINK_MAX_BYTES, 5 * 1024 * 1024)
+    },
+
+    quota: {
+      dailyRequests: readNumber(env.AI_DAILY_REQUEST_LIMIT, 300),
+      perMinuteRequests: readNumber(env.AI_PER_MINUTE_LIMIT, 30)
+    },
+
+    usageLogPath: env.AI_USAGE_LOG || path.join(__dirname, 'logs', 'ai-usage.jsonl')
+  };
+};
+
+module.exports = { loadConfig };
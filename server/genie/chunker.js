@@ -0,0 +1,113 @@
+/**
+ * Split TheGenie's learning context into citable chunks
+ * The client sends one markdown document (theGenieService.prepareLearningContext)
+ * where each "### " heading is a source: an uploaded document or a flashcard
+ * session. Page markers written by fileProcessor ("--- Page N ---") are tracked
+ * so citations can point at a page.
+ */
+
+const PAGE_MARKER = /^-{3}\s*Page\s+(\d+)\s*-{3}$/i;
+
+/**
+ * Parse the context markdown into sources
+ * @param {string} context - Learning context markdown
+ * @returns {Array<Object>} Sources { id, title, section, lines: [{ text, page }] }
+ */
+const parseSources = (context) => {
+  const sources = [];
+  let section = '';
+  let current = null;
+  let page = null;
+
+  String(context || '').split('\n').forEach((line) => {
+    if (line.startsWith('## ')) {
+      section = line.slice(3).trim();
+      current = null;
+      return;
+    }
+    if (line.startsWith('### ')) {
+      current = { id: `source-${sources.length + 1}`, title: line.slice(4).trim(), section, lines: [] };
+      sources.push(current);
+      page = null;
+      return;
+    }
+    if (!current) return;
+
+    const pageMatch = line.trim().match(PAGE_MARKER);
+    if (pageMatch) {
+      page = Number(pageMatch[1]);
+      return;
+    }
+    current.lines.push({ text: line, page });
+  });
+
+  return sources.filter(source => source.lines.some(line => line.text.trim()));
+};
+
+/**
+ * Chunk sources into overlapping passages
+ * @param {string} context - Learning context markdown
+ * @param {Object} options - Chunking options
+ * @param {number} options.chunkSize - Target characters per chunk (default: 1000)
+ * @param {number} options.overlap - Characters carried into the next chunk (default: 200)
+ * @returns {Array<Object>} Chunks { id, sourceId, source, section, page, text }
+ */
+const chunkContext = (context, { chunkSize = 1000, overlap = 200 } = {}) => {
+  const chunks = [];
+
+  parseSources(context).forEach((source) => {
+    let buffer = [];
+    let length = 0;
+    let hasNewText = false;
+
+    const flush = () => {
+      const text = buffer.map(line => line.text).join('\n').trim();
+      if (text && hasNewText) {
+        chunks.push({
+          id: `chunk-${chunks.length + 1}`,
+          sourceId: source.id,
+          source: source.title,
+          section: source.section,
+          page: buffer.find(line => line.page !== null)?.page ?? null,
+          text
+        });
+      }
+
+      // Carry trailing lines into the next chunk as overlap
+      const carried = [];
+      let carriedLength = 0;
+      for (let index = buffer.length - 1; index > 0; index--) {
+        const lineLength = buffer[index].text.length + 1;
+        if (carriedLength + lineLength > overlap) break;
+        carried.unshift(buffer[index]);
+        carriedLength += lineLength;
+      }
+      buffer = carried;
+      length = carriedLength;
+      hasNewText = false;
+    };
+
+    source.lines.forEach((line) => {
+      // Hard-wrap very long lines (e.g. OCR output without newlines)
+      const pieces = [];
+      for (let offset = 0; offset < Math.max(line.text.length, 1); offset += chunkSize) {
+        pieces.push(line.text.slice(offset, offset + chunkSize));
+      }
+
+      pieces.forEach((piece) => {
+        if (length + piece.length > chunkSize && hasNewText) {
+          flush();
+        }
+        buffer.push({ text: piece, page: line.page });
+        length += piece.length + 1;
+        hasNewText = hasNewText || piece.trim() !== '';
+      });
+    });
+
+    flush();
+  });
+
+  return chunks;
+};
+
+module.exports = { parseSources, chunkContext };
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSources, chunkContext } = require('./chunker');
+
+const CONTEXT = [
+  '## Uploaded Documents',
+  '### Biology.pdf',
+  '--- Page 1 ---',
+  'Cells are the basic unit of life.',
+  '--- Page 2 ---',
+  'Mitochondria produce ATP.',
+  '### Empty.pdf',
+  '',
+  '## Flashcard Sessions',
+  '### Chemistry',
+  'Q: What is a mole? A: 6.022e23 particles.'
+].join('\n');
+
+test('parseSources splits sources by heading and tracks pages', () => {
+  const sources = parseSources(CONTEXT);
+
+  assert.deepEqual(sources.map(source => [source.id, source.title, source.section]), [
+    ['source-1', 'Biology.pdf', 'Uploaded Documents'],
+    ['source-3', 'Chemistry', 'Flashcard Sessions']
+  ]);
+  assert.deepEqual(sources[0].lines, [
+    { text: 'Cells are the basic unit of life.', page: 1 },
+    { text: 'Mitochondria produce ATP.', page: 2 }
+  ]);
+  assert.equal(sources[1].lines[0].page, null);
+});
+
+test('chunkContext keeps chunks within a source and cites their first page', () => {
+  const chunks = chunkContext(CONTEXT);
+
+  assert.equal(chunks.length, 2);
+  assert.deepEqual(chunks[0], {
+    id: 'chunk-1',
+    sourceId: 'source-1',
+    source: 'Biology.pdf',
+    section: 'Uploaded Documents',
+    page: 1,
+    text: 'Cells are the basic unit of life.\nMitochondria produce ATP.'
+  });
+  assert.equal(chunks[1].source, 'Chemistry');
+});
+
+test('chunkContext splits long sources with overlap and hard-wraps long lines', () => {
+  const lines = Array.from({ length: 6 }, (_, index) => `Line ${index + 1} ${'x'.repeat(40)}`);
+  const context = ['### Notes', '--- Page 3 ---', ...lines.slice(0, 3), '--- Page 4 ---', ...lines.slice(3)].join('\n');
+
+  const chunks = chunkContext(context, { chunkSize: 120, overlap: 60 });
+  assert.deepEqual(chunks.map(chunk => chunk.text.split('\n').map(line => line.slice(0, 6))), [
+    ['Line 1', 'Line 2'],
+    ['Line 2', 'Line 3'],
+    ['Line 3', 'Line 4'],
+    ['Line 4', 'Line 5'],
+    ['Line 5', 'Line 6']
+  ]);
+  assert.deepEqual(chunks.map(chunk => chunk.page), [3, 3, 3, 4, 4]);
+
+  const wrapped = chunkContext(`### OCR\n${'y'.repeat(250)}`, { chunkSize: 100, overlap: 0 });
+  assert.deepEqual(wrapped.map(chunk => chunk.text.length), [100, 100, 50]);
+});
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { tokenize } = require('./text');
+
+/**
+ * Pluggable embedding providers for TheGenie retrieval
+ * Every provider implements embed(texts) → Promise<Array<Array<number>>>.
+ * - local: feature-hashed bag of words, deterministic and offline
+ * - gemini: Gemini embedding model (text-embedding-004 by default)
+ * - openai: any OpenAI-compatible /embeddings endpoint
+ */
+
+const LOCAL_DIMENSIONS = 512;
+
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+const hashToken = (token) => crypto.createHash('md5').update(token).digest().readUInt32LE(0);
+
+/**
+ * Local hashing embedder (no network, no model download)
+ * @returns {Object} Embedding provider
+ */
+const createLocalEmbeddings = () => ({
+  name: 'local',
+  model: `hashing-${LOCAL_DIMENSIONS}`,
+  embed: async (texts) => texts.map((text) => {
+    const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+    const counts = new Map();
+    tokenize(text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    counts.forEach((count, token) => {
+      const hash = hashToken(token);
+      // Signed hashing keeps collisions from always adding up
+      vector[hash % LOCAL_DIMENSIONS] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+    });
+    return normalize(vector);
+  })
+});
+
+/**
+ * Gemini embedder
+ * @param {Object} config - Provider configuration
+ * @param {string} config.apiKey - Google AI Studio API key
+ * @param {string} config.model - Embedding model name
+ * @returns {Object} Embedding provider
+ */
+const createGeminiEmbeddings = ({ apiKey, model = 'text-embedding-004' }) => {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is required for gemini embeddings');
+  }
+  const embeddingModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+    embed: async (texts) => {
+      const vectors = [];
+      // The batch endpoint accepts at most 100 texts per call
+      for (let index = 0; index < texts.length; index += 100) {
+        const { embeddings } = await embeddingModel.batchEmbedContents({
+          requests: texts.slice(index, index + 100).map(text => ({
+            content: { role: 'user', parts: [{ text }] }
+          }))
+        });
+        vectors.push(...embeddings.map(embedding => embedding.values));
+      }
+      return vectors;
+    }
+  };
+};
+
+/**
+ * OpenAI-compatible embedder
+ * @param {Object} config - Provider configuration
+ * @param {string} config.apiKey - Bearer token for the API
+ * @param {string} config.baseUrl - API base URL including the version segment
+ * @param {string} config.model - Embedding model name
+ * @returns {Object} Embedding provider
+ */
+const createOpenAIEmbeddings = ({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'text-embedding-3-small' }) => ({
+  name: 'openai',
+  model,
+  embed: async (texts) => {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/embeddings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({ model, input: texts })
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const { data } = await response.json();
+    return data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+});
+
+/**
+ * Wrap a provider with an in-memory cache so context re-sent with every
+ * question is only embedded once
+ * @param {Object} provider - Embedding provider
+ * @param {number} maxEntries - Cache size before the oldest entries are evicted
+ * @returns {Object} Caching embedding provider
+ */
+const withEmbeddingCache = (provider, maxEntries = 5000) => {
+  const cache = new Map();
+
+  return {
+    ...provider,
+    embed: async (texts) => {
+      const keys = texts.map(text => crypto.createHash('sha1').update(text).digest('hex'));
+      const missing = [...new Set(keys.filter(key => !cache.has(key)))];
+
+      if (missing.length > 0) {
+        const missingTexts = missing.map(key => texts[keys.indexOf(key)]);
+        const vectors = await provider.embed(missingTexts);
+        missing.forEach((key, index) => cache.set(key, vectors[index]));
+
+        while (cache.size > maxEntries) {
+          cache.delete(cache.keys().next().value);
+        }
+      }
+
+      return keys.map(key => cache.get(key));
+    }
+  };
+};
+
+/**
+ * Create the configured embedding provider
+ * @param {Object} embeddingsConfig - Embeddings section of the server config
+ * @returns {Object} Embedding provider implementing embed(texts)
+ */
+const createEmbeddingProvider = (embeddingsConfig) => {
+  switch (embeddingsConfig.provider) {
+    case 'gemini':
+      return withEmbeddingCache(createGeminiEmbeddings({ apiKey: embeddingsConfig.geminiApiKey, model: embeddingsConfig.model }));
+    case 'openai':
+      return withEmbeddingCache(createOpenAIEmbeddings({
+        apiKey: embeddingsConfig.openaiApiKey,
+        baseUrl: embeddingsConfig.openaiBaseUrl,
+        model: embeddingsConfig.model
+      }));
+    case 'local':
+      return createLocalEmbeddings();
+    default:
+      throw new Error(`Unknown embeddings provider: ${embeddingsConfig.provider}`);
+  }
+};
+
+module.exports = { createEmbeddingProvider, createLocalEmbeddings, withEmbeddingCache };
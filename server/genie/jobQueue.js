@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory job queue for TheGenie requests
+ * Jobs move queued → processing → completed | failed | cancelled. Workers report
+ * progress with a percentage and a message that /status exposes while the job
+ * runs, and can publish incremental events (citations, answer tokens) to
+ * subscribers such as the streaming endpoint.
+ * Finished jobs are kept for `retentionMs` so the client can fetch the result.
+ */
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Create a job queue
+ * @param {Object} options - Queue options
+ * @param {Function} options.handler - async (payload, { reportProgress, publish, signal }, job) → result
+ * @param {number} options.concurrency - Jobs processed at once (default: 2)
+ * @param {number} options.retentionMs - How long finished jobs are kept (default: 30 minutes)
+ * @returns {Object} { submit, get, subscribe, cancel, size }
+ */
+const createJobQueue = ({ handler, concurrency = 2, retentionMs = 30 * 60 * 1000 }) => {
+  const jobs = new Map();
+  const pending = [];
+  const listeners = new Map();
+  const controllers = new Map();
+  let running = 0;
+
+  const emit = (job, event) => {
+    (listeners.get(job.id) || []).forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Error in TheGenie job ${job.id} listener:`, error);
+      }
+    });
+  };
+
+  const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: Date.now() });
+  };
+
+  const finish = (job, changes, event) => {
+    update(job, changes);
+    job.payload = null;
+    job.finishedAt = Date.now();
+    emit(job, event);
+    listeners.delete(job.id);
+  };
+
+  const run = async (job) => {
+    running++;
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    update(job, { status: 'processing', progress: 5, message: 'Starting...' });
+    emit(job, { type: 'progress', progress: job.progress, message: job.message });
+    const startedAt = Date.now();
+
+    const reportProgress = (progress, message) => {
+      update(job, { progress: Math.min(Math.max(Math.round(progress), job.progress), 99), message });
+      emit(job, { type: 'progress', progress: job.progress, message });
+    };
+    const publish = (type, data) => emit(job, { type, ...data });
+
+    try {
+      const result = await handler(job.payload, { reportProgress, publish, signal: controller.signal }, job);
+      const finalResult = { ...result, processingTime: Date.now() - startedAt };
+      finish(job, { status: 'completed', progress: 100, message: 'Completed', result: finalResult },
+        { type: 'completed', result: finalResult });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        finish(job, { status: 'cancelled', message: 'Cancelled' }, { type: 'cancelled' });
+      } else {
+        console.error(`TheGenie job ${job.id} failed:`, error);
+        const message = error.message || 'Processing failed';
+        finish(job, { status: 'failed', message: 'Failed', error: message }, { type: 'failed', error: message });
+      }
+    } finally {
+      controllers.delete(job.id);
+      running--;
+      next();
+    }
+  };
+
+  // Jobs ahead of a waiting job include the ones already running
+  const queueMessage = (ahead) => (ahead > 0 ? `Waiting in queue (${ahead} ahead)` : 'Queued');
+
+  const refreshQueuePositions = () => {
+    pending.forEach((job, index) => {
+      const message = queueMessage(running + index);
+      if (job.message === message) return;
+      update(job, { message });
+      emit(job, { type: 'progress', progress: job.progress, message });
+    });
+  };
+
+  const next = () => {
+    while (running < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+    refreshQueuePositions();
+  };
+
+  const purge = () => {
+    const cutoff = Date.now() - retentionMs;
+    jobs.forEach((job, id) => {
+      if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+    });
+  };
+  setInterval(purge, Math.min(retentionMs, 60 * 1000)).unref();
+
+  /**
+   * Queue a job
+   * @param {Object} payload - Job input
+   * @param {string} ownerId - User who submitted the job
+   * @returns {Object} Job record
+   */
+  const submit = (payload, ownerId) => {
+    const job = {
+      id: crypto.randomUUID(),
+      ownerId,
+      payload,
+      status: 'queued',
+      progress: 0,
+      message: queueMessage(running + pending.length),
+      result: null,
+      error: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      finishedAt: null
+    };
+    jobs.set(job.id, job);
+    pending.push(job);
+    next();
+    return job;
+  };
+
+  /**
+   * Look up a job
+   * @param {string} id - Job ID
+   * @returns {Object|null} Job record
+   */
+  const get = (id) => jobs.get(id) || null;
+
+  /**
+   * Listen to a job's events until it finishes
+   * Events: progress { progress, message }, citations { citations }, token { text },
+   * completed { result }, failed { error }, cancelled
+   * @param {string} id - Job ID
+   * @param {Function} listener - Receives { type, ...data }
+   * @returns {Function} Unsubscribe function
+   */
+  const subscribe = (id, listener) => {
+    if (!listeners.has(id)) listeners.set(id, new Set());
+    listeners.get(id).add(listener);
+    return () => listeners.get(id)?.delete(listener);
+  };
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job ID
+   * @returns {boolean} True if the job was still unfinished
+   */
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job || FINISHED_STATUSES.includes(job.status)) return false;
+
+    const queuedIndex = pending.indexOf(job);
+    if (queuedIndex !== -1) {
+      pending.splice(queuedIndex, 1);
+      finish(job, { status: 'cancelled', message: 'Cancelled' }, { type: 'cancelled' });
+      refreshQueuePositions();
+    } else {
+      controllers.get(id)?.abort();
+    }
+    return true;
+  };
+
+  return { submit, get, subscribe, cancel, size: () => jobs.size };
+};
+
+module.exports = { createJobQueue };
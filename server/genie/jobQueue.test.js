@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('./jobQueue');
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+};
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+test('jobs move from queued to processing to completed within the concurrency limit', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const gates = [deferred(), deferred()];
+  const queue = createJobQueue({
+    concurrency: 1,
+    handler: async (payload, { reportProgress }) => {
+      reportProgress(150, 'Almost');
+      reportProgress(20, 'Going backwards');
+      return { answer: await gates[payload.index].promise };
+    }
+  });
+
+  const first = queue.submit({ index: 0 }, 'user-1');
+  const second = queue.submit({ index: 1 }, 'user-1');
+  const events = [];
+  queue.subscribe(second.id, event => events.push(event.type));
+
+  assert.equal(first.status, 'processing');
+  assert.equal(second.status, 'queued');
+  assert.equal(second.message, 'Waiting in queue (1 ahead)');
+  // Progress never passes 99 before completion and never goes backwards
+  assert.equal(first.progress, 99);
+
+  gates[0].resolve('First');
+  await nextTick();
+  assert.equal(first.status, 'completed');
+  assert.equal(first.progress, 100);
+  assert.equal(first.result.answer, 'First');
+  assert.equal(typeof first.result.processingTime, 'number');
+  assert.equal(first.payload, null);
+  assert.equal(second.status, 'processing');
+
+  gates[1].reject(new Error('Provider exploded'));
+  await nextTick();
+  assert.equal(second.status, 'failed');
+  assert.equal(second.error, 'Provider exploded');
+  // Starting, the two progress reports, then the failure
+  assert.deepEqual(events, ['progress', 'progress', 'progress', 'failed']);
+});
+
+test('cancelling a queued job removes it without running it', async () => {
+  const gate = deferred();
+  const started = [];
+  const queue = createJobQueue({
+    concurrency: 1,
+    handler: async (payload) => {
+      started.push(payload.name);
+      return gate.promise;
+    }
+  });
+
+  queue.submit({ name: 'running' }, 'user-1');
+  const waiting = queue.submit({ name: 'waiting' }, 'user-1');
+  const events = [];
+  queue.subscribe(waiting.id, event => events.push(event.type));
+
+  assert.equal(queue.cancel(waiting.id), true);
+  assert.equal(waiting.status, 'cancelled');
+  assert.deepEqual(events, ['cancelled']);
+
+  gate.resolve({ answer: 'Done' });
+  await nextTick();
+  assert.deepEqual(started, ['running']);
+  assert.equal(queue.cancel(waiting.id), false);
+});
+
+test('waiting jobs count the jobs ahead of them as the queue moves', async () => {
+  const gates = [deferred(), deferred(), deferred(), deferred()];
+  const queue = createJobQueue({
+    concurrency: 2,
+    handler: async (payload) => ({ answer: await gates[payload.index].promise })
+  });
+
+  queue.submit({ index: 0 }, 'user-1');
+  queue.submit({ index: 1 }, 'user-1');
+  const third = queue.submit({ index: 2 }, 'user-1');
+  const fourth = queue.submit({ index: 3 }, 'user-1');
+  const messages = [];
+  queue.subscribe(fourth.id, event => messages.push(event.message));
+
+  assert.equal(third.message, 'Waiting in queue (2 ahead)');
+  assert.equal(fourth.message, 'Waiting in queue (3 ahead)');
+
+  queue.cancel(third.id);
+  assert.equal(fourth.message, 'Waiting in queue (2 ahead)');
+
+  gates[0].resolve('First');
+  await nextTick();
+  assert.equal(fourth.status, 'processing');
+  assert.deepEqual(messages, ['Waiting in queue (2 ahead)', 'Starting...']);
+
+  gates[1].resolve('Second');
+  gates[3].resolve('Fourth');
+  await nextTick();
+});
+
+test('cancelling a running job aborts its signal', async () => {
+  const queue = createJobQueue({
+    handler: (payload, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    })
+  });
+
+  const job = queue.submit({}, 'user-1');
+  assert.equal(job.status, 'processing');
+  assert.equal(queue.cancel(job.id), true);
+  await nextTick();
+
+  assert.equal(job.status, 'cancelled');
+  assert.equal(job.error, null);
+  assert.equal(queue.get(job.id), job);
+  assert.equal(queue.cancel('missing'), false);
+});
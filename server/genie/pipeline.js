@@ -0,0 +1,145 @@
+const { chunkContext } = require('./chunker');
+const { rankChunks } = require('./retriever');
+const { extractThemes, formatThemes } = require('./themes');
+const { tokenize } = require('./text');
+
+/**
+ * TheGenie RAG pipeline: chunk the learning context, embed, retrieve the most
+ * relevant passages, answer with the LLM and attach citations and themes.
+ */
+
+const SNIPPET_LENGTH = 240;
+
+const toSnippet = (text) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > SNIPPET_LENGTH ? `${flat.slice(0, SNIPPET_LENGTH).trim()}...` : flat;
+};
+
+/**
+ * Build the answer prompt
+ * @param {string} question - User question
+ * @param {Array<Object>} passages - Retrieved chunks
+ * @param {Array<string>} weakConcepts - Concepts the user struggles with
+ * @returns {string} Prompt text
+ */
+const buildPrompt = (question, passages, weakConcepts) => {
+  const context = passages.length > 0
+    ? passages.map((passage, index) =>
+      `[${index + 1}] ${passage.source}${passage.page ? ` (page ${passage.page})` : ''}\n${passage.text}`).join('\n\n')
+    : 'No learning materials matched this question.';
+
+  const weakAreas = weakConcepts.length > 0
+    ? `\nThe student has struggled with: ${weakConcepts.join(', ')}. If the question touches these, explain them step by step.\n`
+    : '';
+
+  return `
+You are TheGenie, a friendly study assistant in Study Genie. Answer the student's question using the numbered excerpts from their own learning materials.
+If the excerpts don't contain the answer, say so and then answer from general knowledge, making clear which parts are not from their materials.
+Cite excerpts inline with their number, e.g. [1] or [2][3]. Use markdown formatting.
+${weakAreas}
+Excerpts:
+${context}
+
+Question: ${question}
+
+Answer:`;
+};
+
+const toCitations = (passages) => passages.map((passage, index) => ({
+  id: index + 1,
+  source: passage.source,
+  section: passage.section,
+  page: passage.page,
+  snippet: toSnippet(passage.text),
+  score: Number(passage.score.toFixed(4))
+}));
+
+/**
+ * Run the LLM, streaming deltas through onToken when the provider supports it
+ * @param {Object} llm - Text provider
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - generateText options
+ * @param {Function} onToken - Receives each text delta (optional)
+ * @returns {Promise<string>} Full answer text
+ */
+const generateAnswer = async (llm, prompt, options, onToken) => {
+  if (!onToken || typeof llm.streamText !== 'function') {
+    const text = await llm.generateText(prompt, options);
+    if (onToken) onToken(text);
+    return text;
+  }
+
+  let text = '';
+  for await (const delta of llm.streamText(prompt, options)) {
+    if (options.signal?.aborted) break;
+    text += delta;
+    onToken(delta);
+  }
+  return text;
+};
+
+/**
+ * Answer a question against the learning context
+ * @param {Object} payload - Request payload
+ * @param {string} payload.question - User question
+ * @param {string} payload.context - Learning context markdown
+ * @param {Array<string>} payload.weakConcepts - Concepts the user struggles with
+ * @param {Object} deps - Pipeline dependencies
+ * @param {Object} deps.llm - Text provider (generateText, optionally streamText)
+ * @param {Object} deps.embeddings - Embedding provider (embed)
+ * @param {number} deps.topK - Passages to retrieve (default: 4)
+ * @param {number} deps.timeoutMs - LLM time limit
+ * @param {Object} hooks - Incremental output
+ * @param {Function} hooks.onProgress - (percent, message) progress callback
+ * @param {Function} hooks.onCitations - Receives citations as soon as passages are retrieved
+ * @param {Function} hooks.onToken - Receives answer text deltas
+ * @param {AbortSignal} hooks.signal - Cancels the request
+ * @returns {Promise<Object>} { answer, citations, themes }
+ */
+const answerQuestion = async (
+  { question, context = '', weakConcepts = [] },
+  { llm, embeddings, topK = 4, timeoutMs },
+  { onProgress = () => {}, onCitations, onToken, signal } = {}
+) => {
+  const throwIfCancelled = () => {
+    if (signal?.aborted) throw Object.assign(new Error('Request was cancelled'), { name: 'AbortError' });
+  };
+
+  onProgress(10, 'Reading your learning materials...');
+  const chunks = chunkContext(context);
+
+  let passages = [];
+  if (chunks.length > 0) {
+    onProgress(25, `Indexing ${chunks.length} passages...`);
+    const [queryVector, ...chunkVectors] = await embeddings.embed([question, ...chunks.map(chunk => chunk.text)]);
+    throwIfCancelled();
+
+    onProgress(55, 'Finding the most relevant sections...');
+    passages = rankChunks(queryVector, chunks.map((chunk, index) => ({ ...chunk, vector: chunkVectors[index] })), topK);
+  }
+
+  const citations = toCitations(passages);
+  if (onCitations) onCitations(citations);
+
+  onProgress(70, passages.length > 0
+    ? `Writing an answer from ${passages.length} relevant sections...`
+    : 'Writing an answer...');
+  const signals = [signal, timeoutMs ? AbortSignal.timeout(timeoutMs) : null].filter(Boolean);
+  const answer = await generateAnswer(llm, buildPrompt(question, passages, weakConcepts), {
+    task: 'thegenie',
+    params: { question, excerpts: passages.map(passage => passage.text) },
+    signal: signals.length > 0 ? AbortSignal.any(signals) : undefined
+  }, onToken);
+  throwIfCancelled();
+
+  onProgress(90, 'Identifying recurring themes...');
+  const themes = extractThemes(passages, { exclude: tokenize(question) });
+
+  return {
+    answer: answer.trim(),
+    citations,
+    themes: formatThemes(themes)
+  };
+};
+
+module.exports = { answerQuestion, buildPrompt };
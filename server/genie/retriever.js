@@ -0,0 +1,36 @@
+/**
+ * Vector retrieval over context chunks
+ */
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1]
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let index = 0; index < a.length; index++) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Rank chunks against a query
+ * @param {Array<number>} queryVector - Query embedding
+ * @param {Array<Object>} chunks - Chunks with a `vector` property
+ * @param {number} topK - Number of chunks to return
+ * @returns {Array<Object>} Top chunks with a `score` property, best first
+ */
+const rankChunks = (queryVector, chunks, topK) => chunks
+  .map(chunk => ({ ...chunk, score: cosineSimilarity(queryVector, chunk.vector) }))
+  .filter(chunk => chunk.score > 0)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, topK);
+
+module.exports = { cosineSimilarity, rankChunks };
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cosineSimilarity, rankChunks } = require('./retriever');
+
+test('cosineSimilarity compares direction, not length', () => {
+  assert.equal(cosineSimilarity([1, 0], [5, 0]), 1);
+  assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+  assert.equal(cosineSimilarity([1, 1], [-1, -1]), -1);
+  assert.equal(cosineSimilarity([0, 0], [1, 1]), 0);
+});
+
+test('rankChunks returns the top matches best first, dropping unrelated chunks', () => {
+  const chunks = [
+    { id: 'a', vector: [1, 0, 0] },
+    { id: 'b', vector: [0.9, 0.1, 0] },
+    { id: 'c', vector: [0, 0, 1] },
+    { id: 'd', vector: [0.5, 0.5, 0] }
+  ];
+
+  const ranked = rankChunks([1, 0, 0], chunks, 2);
+  assert.deepEqual(ranked.map(chunk => chunk.id), ['a', 'b']);
+  assert.equal(ranked[0].score, 1);
+
+  assert.deepEqual(rankChunks([1, 0, 0], chunks, 10).map(chunk => chunk.id), ['a', 'b', 'd']);
+});
@@ -0,0 +1,25 @@
+/**
+ * Text utilities shared by the TheGenie pipeline (tokenizing, stopwords)
+ */
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'have', 'him', 'his', 'how', 'its', 'may', 'new', 'now', 'old', 'see', 'two',
+  'way', 'who', 'did', 'get', 'let', 'say', 'she', 'too', 'use', 'used', 'using', 'that', 'this',
+  'with', 'from', 'they', 'will', 'would', 'there', 'their', 'what', 'about', 'which', 'when',
+  'make', 'like', 'time', 'just', 'know', 'take', 'into', 'year', 'your', 'some', 'could', 'them',
+  'than', 'then', 'look', 'only', 'come', 'over', 'think', 'also', 'back', 'after', 'work', 'first',
+  'well', 'even', 'want', 'because', 'these', 'give', 'most', 'been', 'were', 'more', 'such', 'each',
+  'other', 'where', 'those', 'being', 'does', 'should', 'very', 'much', 'many', 'between', 'through',
+  'page', 'question', 'answer', 'session', 'explain', 'tell', 'please', 'help'
+]);
+
+/**
+ * Split text into lowercase content words
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens (3+ characters, stopwords removed)
+ */
+const tokenize = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(token => token.length >= 3 && !STOPWORDS.has(token));
+
+module.exports = { tokenize, STOPWORDS };
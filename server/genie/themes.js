@@ -0,0 +1,44 @@
+const { tokenize } = require('./text');
+
+/**
+ * Recurring themes across the retrieved passages
+ * Terms are scored by how many passages mention them (and how often), so a
+ * theme has to recur rather than just appear once in a long passage.
+ * @param {Array<Object>} chunks - Retrieved chunks
+ * @param {Object} options - Extraction options
+ * @param {Array<string>} options.exclude - Terms to leave out (e.g. the question's own words)
+ * @param {number} options.limit - Maximum number of themes (default: 5)
+ * @returns {Array<string>} Theme labels
+ */
+const extractThemes = (chunks, { exclude = [], limit = 5 } = {}) => {
+  const excluded = new Set(exclude.map(term => term.toLowerCase()));
+  const scores = new Map();
+
+  chunks.forEach((chunk) => {
+    const counts = new Map();
+    tokenize(chunk.text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+    counts.forEach((count, token) => {
+      if (excluded.has(token) || /^\d+$/.test(token)) return;
+      const entry = scores.get(token) || { passages: 0, count: 0 };
+      entry.passages++;
+      entry.count += count;
+      scores.set(token, entry);
+    });
+  });
+
+  const minPassages = chunks.length > 1 ? 2 : 1;
+  return [...scores.entries()]
+    .filter(([, entry]) => entry.passages >= minPassages)
+    .sort(([, a], [, b]) => b.passages - a.passages || b.count - a.count)
+    .slice(0, limit)
+    .map(([token]) => token.charAt(0).toUpperCase() + token.slice(1));
+};
+
+/**
+ * Format themes the way the client renders them (markdown list)
+ * @param {Array<string>} themes - Theme labels
+ * @returns {string} Markdown, or '' when there are no themes
+ */
+const formatThemes = (themes) => themes.map(theme => `- ${theme}`).join('\n');
+
+module.exports = { extractThemes, formatThemes };
@@ -0,0 +1,81 @@
+const http = require('http');
+const { loadConfig } = require('./config');
+const { HttpError, sendJSON, createRouter, applyCors } = require('./lib/http');
+const { createQuotaTracker } = require('./lib/quota');
+const { createUsageLog } = require('./lib/usageLog');
+const { createProvider } = require('./providers');
+const { registerAIRoutes } = require('./routes/ai');
+const { registerGenieRoutes } = require('./routes/genie');
+const { registerLinkRoutes } = require('./routes/links');
+const { createLinkFetcher } = require('./lib/linkFetcher');
+const { createEmbeddingProvider } = require('./genie/embeddings');
+
+/**
+ * Study Genie API server
+ * Holds provider keys server-side, proxies AI generation for the web app,
+ * fetches attached links and answers TheGenie questions over the user's
+ * learning materials.
+ * Run with `npm run server` (reads .env); set AI_PROVIDER=local to run offline.
+ */
+
+/**
+ * Create the HTTP server
+ * @param {Object} config - Server config from loadConfig
+ * @returns {http.Server} Server (not yet listening)
+ */
+const createServer = (config = loadConfig()) => {
+  const router = createRouter();
+  const provider = createProvider(config.ai);
+  const embeddings = createEmbeddingProvider(config.embeddings);
+  const quota = createQuotaTracker(config.quota);
+  const usageLog = createUsageLog(config.usageLogPath);
+  const linkFetcher = createLinkFetcher(config.links);
+
+  router.add('GET', '/api/health', async (req, res) => {
+    sendJSON(res, 200, {
+      status: 'ok',
+      provider: provider.name,
+      model: provider.model,
+      embeddings: embeddings.name,
+      linkFetcher: linkFetcher.name
+    });
+  });
+
+  registerAIRoutes(router, { config, provider, quota, usageLog });
+  registerGenieRoutes(router, { config, provider, embeddings, quota, usageLog });
+  registerLinkRoutes(router, { config, linkFetcher, quota });
+
+  return http.createServer(async (req, res) => {
+    if (applyCors(req, res, config.corsOrigin)) return;
+
+    try {
+      const handled = await router.handle(req, res);
+      if (!handled) {
+        sendJSON(res, 404, { error: 'Not found', code: 'not_found' });
+      }
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      if (error instanceof HttpError) {
+        sendJSON(res, error.status, { error: error.message, code: error.code }, error.headers);
+        return;
+      }
+      console.error('Unhandled server error:', error);
+      sendJSON(res, 500, { error: 'Internal server error', code: 'internal_error' });
+    }
+  });
+};
+
+if (require.main === module) {
+  const config = loadConfig();
+  createServer(config).listen(config.port, () => {
+    console.log(`Study Genie API listening on http://localhost:${config.port} (AI provider: ${config.ai.provider})`);
+    if (config.auth.disabled) {
+      console.warn('AUTH_DISABLED=true: requests without a token are accepted as a local user');
+    }
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { HttpError } = require('./http');
+
+/**
+ * Supabase JWT authentication
+ * Access tokens are verified locally with the project's JWT secret (HS256) or,
+ * when no secret is configured, by asking Supabase Auth who the token belongs to.
+ */
+
+const LOCAL_USER = { id: 'local-dev-user', email: null };
+
+const base64UrlDecode = (segment) => Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+/**
+ * Verify an HS256 Supabase access token
+ * @param {string} token - JWT
+ * @param {string} secret - Supabase JWT secret
+ * @returns {Object|null} Token claims, or null when the token isn't HS256
+ * @throws {HttpError} When the signature is invalid or the token expired
+ */
+const verifyHS256 = (token, secret) => {
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) {
+    throw new HttpError(401, 'Malformed access token', 'invalid_token');
+  }
+
+  const { alg } = JSON.parse(base64UrlDecode(header).toString('utf8'));
+  if (alg !== 'HS256') return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const actual = base64UrlDecode(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new HttpError(401, 'Invalid access token', 'invalid_token');
+  }
+
+  const claims = JSON.parse(base64UrlDecode(payload).toString('utf8'));
+  if (claims.exp && claims.exp * 1000 < Date.now()) {
+    throw new HttpError(401, 'Access token expired', 'token_expired');
+  }
+  return claims;
+};
+
+/**
+ * Ask Supabase Auth for the user behind a token
+ * @param {string} token - JWT
+ * @param {Object} authConfig - Auth configuration
+ * @returns {Promise<Object>} Supabase user
+ */
+const fetchSupabaseUser = async (token, { supabaseUrl, supabaseAnonKey }) => {
+  const response = await fetch(`${supabaseUrl.replace(/\/$/, '')}/auth/v1/user`, {
+    headers: { apikey: supabaseAnonKey, Authorization: `Bearer ${token}` }
+  });
+  if (!response.ok) {
+    throw new HttpError(401, 'Invalid access token', 'invalid_token');
+  }
+  return response.json();
+};
+
+/**
+ * Authenticate a request from its Authorization header
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} authConfig - Auth section of the server config
+ * @returns {Promise<Object>} { id, email }
+ * @throws {HttpError} 401 when the caller isn't authenticated
+ */
+const authenticate = async (req, authConfig) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  if (!token) {
+    if (authConfig.disabled) return LOCAL_USER;
+    throw new HttpError(401, 'Missing access token', 'unauthenticated');
+  }
+
+  if (authConfig.jwtSecret) {
+    let claims;
+    try {
+      claims = verifyHS256(token, authConfig.jwtSecret);
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      throw new HttpError(401, 'Malformed access token', 'invalid_token');
+    }
+    if (claims) {
+      if (!claims.sub) throw new HttpError(401, 'Access token has no subject', 'invalid_token');
+      return { id: claims.sub, email: claims.email || null };
+    }
+  }
+
+  if (authConfig.supabaseUrl && authConfig.supabaseAnonKey) {
+    const user = await fetchSupabaseUser(token, authConfig);
+    return { id: user.id, email: user.email || null };
+  }
+
+  if (authConfig.disabled) return LOCAL_USER;
+  throw new HttpError(500, 'Server has no way to verify access tokens; set SUPABASE_JWT_SECRET', 'auth_not_configured');
+};
+
+module.exports = { authenticate, verifyHS256 };
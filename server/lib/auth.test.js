@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { authenticate, verifyHS256 } = require('./auth');
+
+const SECRET = 'test-secret';
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signToken = (claims, secret = SECRET, alg = 'HS256') => {
+  const header = encode({ alg, typ: 'JWT' });
+  const payload = encode(claims);
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+const request = (token) => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+const rejectsWith = (promise, status, code) => assert.rejects(promise, (error) => {
+  assert.equal(error.status, status);
+  assert.equal(error.code, code);
+  return true;
+});
+
+test('verifyHS256 checks the signature and expiry', () => {
+  const exp = Math.floor(Date.now() / 1000) + 60;
+  assert.deepEqual(verifyHS256(signToken({ sub: 'u1', exp }), SECRET), { sub: 'u1', exp });
+  assert.equal(verifyHS256(signToken({ sub: 'u1' }, SECRET, 'RS256'), SECRET), null);
+  assert.throws(() => verifyHS256(signToken({ sub: 'u1' }, 'other-secret'), SECRET), { code: 'invalid_token' });
+  assert.throws(() => verifyHS256(signToken({ sub: 'u1', exp: 1 }), SECRET), { code: 'token_expired' });
+  assert.throws(() => verifyHS256('not-a-token', SECRET), { code: 'invalid_token' });
+});
+
+test('authenticate returns the token subject', async () => {
+  const user = await authenticate(request(signToken({ sub: 'u1', email: 'a@b.c' })), { jwtSecret: SECRET });
+  assert.deepEqual(user, { id: 'u1', email: 'a@b.c' });
+
+  await rejectsWith(authenticate(request(signToken({ email: 'a@b.c' })), { jwtSecret: SECRET }), 401, 'invalid_token');
+  await rejectsWith(authenticate(request('%%%.%%%.%%%'), { jwtSecret: SECRET }), 401, 'invalid_token');
+});
+
+test('missing tokens are only accepted when auth is disabled', async () => {
+  await rejectsWith(authenticate(request(), { jwtSecret: SECRET }), 401, 'unauthenticated');
+  assert.equal((await authenticate(request(), { disabled: true })).id, 'local-dev-user');
+
+  // A token the server can't verify is an error, not a silent local user
+  await rejectsWith(authenticate(request('some.token.here'), {}), 500, 'auth_not_configured');
+});
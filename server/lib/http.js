@@ -0,0 +1,157 @@
+/**
+ * Minimal HTTP helpers for the node:http server (routing, JSON bodies, CORS)
+ */
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Error carrying an HTTP status and a machine readable code
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Human readable message
+   * @param {string} code - Machine readable error code
+   * @param {Object} headers - Extra response headers (e.g. Retry-After)
+   */
+  constructor(status, message, code = 'error', headers = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {*} body - JSON body
+ * @param {Object} headers - Extra headers
+ */
+const sendJSON = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Start a Server-Sent Events response
+ * A comment line is written every `heartbeatMs` so proxies keep the connection open.
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} options - Stream options
+ * @param {number} options.heartbeatMs - Heartbeat interval (default: 15000)
+ * @returns {Object} { send(event, data), close() }
+ */
+const openEventStream = (res, { heartbeatMs = 15000 } = {}) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(': stream opened\n\n');
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+  heartbeat.unref();
+
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  };
+
+  res.on('close', () => clearInterval(heartbeat));
+
+  return { send, close };
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body ({} when empty)
+ */
+const readJSON = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new HttpError(413, 'Request body too large', 'body_too_large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    if (chunks.length === 0) return resolve({});
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch (error) {
+      reject(new HttpError(400, 'Request body is not valid JSON', 'invalid_json'));
+    }
+  });
+
+  req.on('error', reject);
+});
+
+/**
+ * Create a router matching "METHOD /path/:param" patterns
+ * @returns {Object} { add(method, pattern, handler), handle(req, res) → boolean }
+ */
+const createRouter = () => {
+  const routes = [];
+
+  const add = (method, pattern, handler) => {
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (match, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    }) + '/?$');
+    routes.push({ method, regex, keys, handler });
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    for (const route of routes) {
+      const match = route.method === req.method && url.pathname.match(route.regex);
+      if (match) {
+        const params = Object.fromEntries(route.keys.map((key, index) => [key, decodeURIComponent(match[index + 1])]));
+        await route.handler(req, res, { params, query: url.searchParams });
+        return true;
+      }
+    }
+    return false;
+  };
+
+  return { add, handle };
+};
+
+/**
+ * Apply CORS headers; answers preflight requests
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {string} origin - Allowed origin ('*' for any)
+ * @returns {boolean} True when the request was a preflight and has been answered
+ */
+const applyCors = (req, res, origin) => {
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Vary', 'Origin');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return true;
+  }
+  return false;
+};
+
+module.exports = { HttpError, sendJSON, openEventStream, readJSON, createRouter, applyCors };
@@ -0,0 +1,278 @@
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { HttpError } = require('./http');
+
+/**
+ * Link fetchers for attached links (used by server/routes/links.js)
+ * The browser can't read most pages itself because of CORS, so the server
+ * downloads them. Only public http(s) addresses are fetched: hosts that resolve
+ * to loopback, private or link-local addresses are refused, including after
+ * redirects, and the connection goes to the address that was checked so a
+ * second DNS answer can't point it somewhere else. The 'local' fetcher serves a deterministic stand-in page without
+ * network access, for running the app and its tests offline.
+ */
+
+const MAX_REDIRECTS = 5;
+const USER_AGENT = 'StudyGenie/1.0 (+link ingestion)';
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['100::', 64], ['64:ff9b:1::', 48], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Expand an IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address, optionally ending in dotted IPv4
+ * @returns {Array<number>} Groups
+ */
+const ipv6Groups = (address) => {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? [] : Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...fill, ...tailGroups].map(group => parseInt(group, 16));
+};
+
+const groupsToIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+
+/**
+ * Find an IPv4 address carried inside an IPv6 one
+ * Covers IPv4-mapped (::ffff:0:0/96, dotted or hex), IPv4-compatible (::/96),
+ * NAT64 (64:ff9b::/96) and 6to4 (2002::/16) addresses, which all reach the IPv4 host.
+ * @param {string} address - IPv6 address
+ * @returns {string|null} Embedded IPv4 address
+ */
+const embeddedIPv4 = (address) => {
+  const groups = ipv6Groups(address);
+  const zeroes = (from, to) => groups.slice(from, to).every(group => group === 0);
+
+  if (zeroes(0, 5) && (groups[5] === 0xffff || groups[5] === 0)) return groupsToIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeroes(2, 6)) return groupsToIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return groupsToIPv4(groups[1], groups[2]);
+  return null;
+};
+
+/**
+ * Check whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True when the address must not be fetched
+ */
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) return BLOCKED.check(address, 'ipv4');
+  if (!net.isIPv6(address)) return true;
+
+  const ipv4 = embeddedIPv4(address);
+  if (ipv4) return isPrivateAddress(ipv4);
+  return BLOCKED.check(address.replace(/%.*$/, ''), 'ipv6');
+};
+
+/**
+ * Validate a URL and resolve its host to a public address
+ * @param {string} value - URL to check
+ * @param {Object} checks - { lookup, isBlockedAddress }
+ * @returns {Promise<Object>} { url, address, family } with the parsed URL and the checked address to connect to
+ */
+const resolvePublicUrl = async (value, { lookup, isBlockedAddress }) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new HttpError(400, 'url must be a valid http(s) URL', 'invalid_url');
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+    throw new HttpError(400, 'url must be a valid http(s) URL', 'invalid_url');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await lookup(hostname, { all: true });
+  } catch (error) {
+    throw new HttpError(502, `Could not resolve ${hostname}`, 'fetch_failed');
+  }
+  if (hostname === 'localhost' || addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new HttpError(403, 'Links to private or local addresses are not allowed', 'blocked_url');
+  }
+  return { url, address: addresses[0].address, family: addresses[0].family };
+};
+
+/**
+ * Send a GET request that connects to an already checked address
+ * The socket's DNS lookup is answered with that address instead of resolving
+ * the host again, while TLS and the Host header still use the URL's hostname.
+ * @param {Object} target - { url, address, family } from resolvePublicUrl
+ * @param {AbortSignal} signal - Aborts the request
+ * @returns {Promise<http.IncomingMessage>} Response
+ */
+const requestPinned = ({ url, address, family }, signal) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+  const request = client.get(url, {
+    signal,
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.8' },
+    lookup: (hostname, options, callback) => (options.all
+      ? callback(null, [{ address, family }])
+      : callback(null, address, family))
+  }, resolve);
+  request.on('error', reject);
+});
+
+/**
+ * Read a response body, stopping once it passes the size limit
+ * @param {http.IncomingMessage} response - Response
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<Buffer>} Body bytes
+ */
+const readLimited = async (response, maxBytes) => {
+  const tooLarge = () => new HttpError(413, `The page is larger than ${Math.round(maxBytes / 1024 / 1024)}MB`, 'page_too_large');
+  if (Number(response.headers['content-length']) > maxBytes) {
+    response.destroy();
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      response.destroy();
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Create a fetcher that downloads public pages over the network
+ * @param {Object} options - { timeoutMs, maxBytes }
+ * @param {Function} options.lookup - DNS lookup, for tests
+ * @param {Function} options.isBlockedAddress - Address check, for tests
+ * @returns {Object} Fetcher implementing fetchPage(url)
+ */
+const createHttpFetcher = ({
+  timeoutMs = 15000,
+  maxBytes = 5 * 1024 * 1024,
+  lookup = dns.lookup,
+  isBlockedAddress = isPrivateAddress
+} = {}) => ({
+  name: 'http',
+
+  /**
+   * Download a page, following redirects
+   * @param {string} value - Page URL
+   * @returns {Promise<Object>} { url, contentType, body } with the final URL and body bytes
+   */
+  fetchPage: async (value) => {
+    const signal = AbortSignal.timeout(timeoutMs);
+    let target = await resolvePublicUrl(value, { lookup, isBlockedAddress });
+
+    try {
+      for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+        // Redirects are followed by hand so every hop gets the address check
+        const response = await requestPinned(target, signal);
+        const { statusCode, headers } = response;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          target = await resolvePublicUrl(new URL(headers.location, target.url).toString(), { lookup, isBlockedAddress });
+          continue;
+        }
+        if (statusCode < 200 || statusCode >= 300) {
+          response.resume();
+          throw new HttpError(502, `The page returned HTTP ${statusCode}`, 'fetch_failed');
+        }
+
+        return {
+          url: target.url.toString(),
+          contentType: headers['content-type'] || '',
+          body: await readLimited(response, maxBytes)
+        };
+      }
+    } catch (error) {
+      if (error instanceof HttpError) throw error;
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new HttpError(504, 'The page took too long to respond', 'fetch_timeout');
+      }
+      throw new HttpError(502, `Could not fetch the page: ${error.message}`, 'fetch_failed');
+    }
+
+    throw new HttpError(502, 'The page redirected too many times', 'fetch_failed');
+  }
+});
+
+const escapeHtml = (text) => text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+/**
+ * Create the offline stand-in fetcher
+ * Every URL returns a small article page named after its host and path, with
+ * the navigation and footer a real page would have.
+ * @returns {Object} Fetcher implementing fetchPage(url)
+ */
+const createLocalFetcher = () => ({
+  name: 'local',
+
+  fetchPage: async (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new HttpError(400, 'url must be a valid http(s) URL', 'invalid_url');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new HttpError(400, 'url must be a valid http(s) URL', 'invalid_url');
+    }
+
+    const subject = escapeHtml(decodeURIComponent(url.pathname.split('/').filter(Boolean).pop() || url.hostname)
+      .replace(/[-_]+/g, ' ')
+      .replace(/\.\w+$/, ''));
+    const html = `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>${subject} | ${escapeHtml(url.hostname)}</title></head>
+<body>
+<nav><a href="/">Home</a> <a href="/about">About</a></nav>
+<main><article>
+<h1>${subject}</h1>
+<p>This is local stand-in content about ${subject}, served in place of ${escapeHtml(url.toString())}.</p>
+<h2>Key ideas</h2>
+<ul><li>The first key idea of ${subject}</li><li>The second key idea of ${subject}</li></ul>
+</article></main>
+<footer>Local stand-in page</footer>
+</body></html>`;
+
+    return { url: url.toString(), contentType: 'text/html; charset=utf-8', body: Buffer.from(html, 'utf8') };
+  }
+});
+
+/**
+ * Create the configured link fetcher
+ * @param {Object} linkConfig - Links section of the server config
+ * @returns {Object} Fetcher implementing fetchPage(url) → { url, contentType, body }
+ */
+const createLinkFetcher = (linkConfig = {}) => {
+  switch (linkConfig.fetcher) {
+    case 'local':
+      return createLocalFetcher();
+    case 'http':
+    case undefined:
+      return createHttpFetcher(linkConfig);
+    default:
+      throw new Error(`Unknown link fetcher: ${linkConfig.fetcher}`);
+  }
+};
+
+module.exports = { createLinkFetcher, isPrivateAddress };
@@ -0,0 +1,695 @@
+const { HttpError } = require('./http');
+
+/**
+ * Prompt templates for the AI proxy (server/routes/ai.js)
+ * The browser sends a task name and its parameters; prompts are only ever
+ * built here, so the proxy can't be used to send arbitrary prompts. Each task
+ * declares the parameters it accepts, with types and size limits, and
+ * requests that don't match get a 400.
+ */
+
+// Parameter spec builders
+const text = (max, { optional = false, fallback } = {}) => ({ type: 'string', max, optional, fallback });
+const integer = (min, max, fallback) => ({ type: 'integer', min, max, fallback, optional: fallback !== undefined });
+const flag = () => ({ type: 'boolean', optional: true, fallback: false });
+const oneOf = (values, fallback) => ({ type: 'enum', values, fallback, optional: fallback !== undefined });
+const list = (items, max, { optional = false } = {}) => ({ type: 'list', items, max, optional });
+const shape = (properties) => ({ type: 'shape', properties });
+const recordOf = (values, max) => ({ type: 'record', values, max });
+
+const MAX_ITEMS = 50;
+// Unsummarized turns pile up while summaries keep failing; maxPromptChars bounds the total
+const MAX_MESSAGES = 200;
+const TOPIC = text(300);
+const COUNT = integer(1, 20, 5);
+const MESSAGE = shape({ sender: oneOf(['user', 'ai']), text: text(8000) });
+const SCORE = shape({ correct: integer(0, 1000), total: integer(0, 1000), passed: flag() });
+const PHASE_STATS = shape({
+  totalTopics: integer(0, 1000),
+  completedTopics: integer(0, 1000),
+  totalQuestions: integer(0, 100000),
+  correctAnswers: integer(0, 100000)
+});
+
+/**
+ * Check a value against a parameter spec
+ * @param {Object} spec - Parameter spec
+ * @param {*} value - Value from the request
+ * @param {string} path - Parameter path used in messages
+ * @param {Array<string>} issues - Collects violations
+ * @returns {*} The value, with defaults filled in
+ */
+const check = (spec, value, path, issues) => {
+  if (value === undefined || value === null) {
+    if (spec.optional) return spec.fallback;
+    issues.push(`${path} is required`);
+    return value;
+  }
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') issues.push(`${path} must be a string`);
+      else if (value.length > spec.max) issues.push(`${path} must be at most ${spec.max} characters`);
+      else if (!spec.optional && value.trim() === '') issues.push(`${path} must not be empty`);
+      return value;
+    case 'integer':
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        issues.push(`${path} must be an integer from ${spec.min} to ${spec.max}`);
+      }
+      return value;
+    case 'boolean':
+      if (typeof value !== 'boolean') issues.push(`${path} must be true or false`);
+      return value;
+    case 'enum':
+      if (!spec.values.includes(value)) issues.push(`${path} must be one of ${spec.values.join(', ')}`);
+      return value;
+    case 'list':
+      if (!Array.isArray(value)) {
+        issues.push(`${path} must be an array`);
+        return value;
+      }
+      if (value.length > spec.max) issues.push(`${path} must have at most ${spec.max} items`);
+      return value.slice(0, spec.max).map((item, index) => check(spec.items, item, `${path}[${index}]`, issues));
+    case 'shape':
+    case 'record': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        issues.push(`${path} must be an object`);
+        return value;
+      }
+      if (spec.type === 'shape') {
+        return Object.fromEntries(Object.entries(spec.properties)
+          .map(([key, propertySpec]) => [key, check(propertySpec, value[key], `${path}.${key}`, issues)]));
+      }
+      const entries = Object.entries(value);
+      if (entries.length > spec.max) issues.push(`${path} must have at most ${spec.max} entries`);
+      return Object.fromEntries(entries.slice(0, spec.max)
+        .map(([key, entry]) => [key, check(spec.values, entry, `${path}.${key}`, issues)]));
+    }
+    default:
+      issues.push(`${path} has an unknown spec type ${spec.type}`);
+      return value;
+  }
+};
+
+const formatScores = (names, results) => names.map(name => {
+  const result = results[name] || { correct: 0, total: 0, passed: false };
+  return `${name}: ${result.correct}/${result.total} (${result.passed ? 'PASSED' : 'FAILED'})`;
+}).join('\n');
+
+const countPassed = (names, results) => names.filter(name => results[name]?.passed).length;
+
+const formatTranscript = (messages) => messages
+  .map(message => `${message.sender === 'user' ? 'User' : 'TheGenie'}: ${message.text}`)
+  .join('\n');
+
+const REWORK_INSTRUCTIONS = {
+  split: `Split this card into 2-4 simpler flashcards. Each new card should test one small piece of the original answer, so that together they cover everything the original card tested.`,
+  mnemonic: `Rewrite this card as a single flashcard whose answer keeps the original information and ends with a short, memorable mnemonic (an acronym, rhyme, vivid image or association) on a new line starting with "Mnemonic:".`
+};
+
+/**
+ * Task → { json, params, build(params) }
+ * `json` tasks ask the provider for a JSON response.
+ */
+const PROMPTS = {
+  // src/lib/gemini.js
+  prerequisites: {
+    json: true,
+    params: { topic: TOPIC },
+    build: ({ topic }) => `
+You are an educational AI assistant. Given a learning topic, provide a comprehensive list of prerequisite knowledge areas that a student should be familiar with before learning the main topic.
+
+Topic: "${topic}"
+
+Please provide exactly 5 prerequisite topics that are essential for understanding "${topic}". Each prerequisite should be:
+1. A fundamental concept or skill needed
+2. Specific and focused (not too broad)
+3. Logically building toward the main topic
+
+Format your response as a JSON array of strings, like this:
+["Prerequisite 1", "Prerequisite 2", "Prerequisite 3", "Prerequisite 4", "Prerequisite 5"]
+
+Only return the JSON array, no additional text or explanation.
+`
+  },
+
+  mcqQuestions: {
+    json: true,
+    params: { topic: TOPIC },
+    build: ({ topic }) => `
+You are an educational AI assistant. Generate exactly 5 multiple-choice questions for the topic: "${topic}"
+
+Each question should:
+1. Test fundamental understanding of the topic
+2. Have exactly 4 options (A, B, C, D)
+3. Have only one correct answer
+4. Be at an appropriate difficulty level for someone learning this topic
+5. Cover different aspects of the topic
+6. Include detailed explanations for learning
+
+Format your response as a JSON array with this exact structure:
+[
+  {
+    "question": "Question text here?",
+    "options": ["Option A", "Option B", "Option C", "Option D"],
+    "correctAnswer": "Option B",
+    "explanation": "Detailed explanation of why Option B is correct and what concept it demonstrates",
+    "whyWrongExplanation": "Brief explanation of why the other options are incorrect",
+    "topicCategory": "Specific subtopic or category this question covers",
+    "difficultyLevel": "easy"
+  },
+  // ... 4 more questions
+]
+
+Make sure to:
+- Provide clear, educational explanations that help users learn
+- Categorize questions into specific subtopics
+- Vary difficulty levels (easy, medium, hard)
+- Explain why wrong answers are incorrect
+
+Only return the JSON array, no additional text or explanation.
+`
+  },
+
+  evaluationReport: {
+    json: true,
+    params: { results: recordOf(SCORE, MAX_ITEMS), topics: list(TOPIC, MAX_ITEMS) },
+    build: ({ results, topics }) => {
+      const passedTopics = countPassed(topics, results);
+      return `
+You are an educational AI assistant. Based on the following evaluation results, provide a personalized report with a general remark and recommendations.
+
+Evaluation Results:
+${formatScores(topics, results)}
+
+Summary:
+- Total topics evaluated: ${topics.length}
+- Topics passed: ${passedTopics}
+- Topics failed: ${topics.length - passedTopics}
+- Passing criteria: 4/5 questions correct per topic
+
+Please provide:
+1. A general remark about the student's performance (2-3 sentences)
+2. Specific recommendations for improvement (if any failures) or next steps (if all passed)
+
+Format your response as JSON:
+{
+  "remark": "Your general remark here...",
+  "recommendations": ["Recommendation 1", "Recommendation 2", ...]
+}
+
+Only return the JSON, no additional text.
+`;
+    }
+  },
+
+  subtopics: {
+    json: true,
+    params: { topic: TOPIC },
+    build: ({ topic }) => `
+You are an educational AI assistant. For the topic "${topic}", generate a list of 4-6 key subtopics that need to be covered for a comprehensive understanding.
+
+Each subtopic should be:
+1. A specific aspect or component of the main topic
+2. Logically sequenced for learning
+3. Essential for understanding the overall topic
+4. Concise and clear
+
+Format your response as a JSON array of strings:
+["Subtopic 1", "Subtopic 2", "Subtopic 3", "Subtopic 4", "Subtopic 5"]
+
+Only return the JSON array, no additional text.
+`
+  },
+
+  subtopicContent: {
+    params: { subtopic: TOPIC },
+    build: ({ subtopic }) => `
+You are an educational AI assistant. Generate educational content for the subtopic: "${subtopic}"
+
+The content should be:
+1. Approximately 300 words
+2. Clear and easy to understand
+3. Educational and informative
+4. Well-structured with good flow
+5. Engaging for learners
+
+Provide comprehensive coverage of the subtopic while keeping it accessible. Use examples where helpful.
+
+Return only the content text, no additional formatting or explanations.
+`
+  },
+
+  cardRework: {
+    json: true,
+    params: { question: text(2000), answer: text(4000), strategy: oneOf(Object.keys(REWORK_INSTRUCTIONS)) },
+    build: ({ question, answer, strategy }) => `
+You are an educational AI assistant. A student keeps forgetting this flashcard:
+
+Question: "${question}"
+Answer: "${answer}"
+
+${REWORK_INSTRUCTIONS[strategy]}
+
+Use simple vocabulary and short sentences. Keep every fact accurate to the original.
+
+Format your response as a JSON array with this exact structure:
+[
+  { "question": "Question text here?", "answer": "Answer text here" }
+]
+
+Only return the JSON array, no additional text or explanation.
+`
+  },
+
+  rephrase: {
+    params: { content: text(20000) },
+    build: ({ content }) => `
+You are an educational AI assistant. Rephrase the following content to make it simpler and easier to understand while maintaining all the key information:
+
+"${content}"
+
+The rephrased content should:
+1. Use simpler vocabulary and shorter sentences
+2. Be more accessible to beginners
+3. Maintain the same educational value
+4. Keep approximately the same length
+5. Use more basic language and clearer explanations
+
+Return only the rephrased content, no additional text.
+`
+  },
+
+  answer: {
+    params: { question: text(4000) },
+    build: ({ question }) => `
+You are TheGenie, a friendly and knowledgeable AI assistant specializing in education and learning. You help students with their studies, answer questions, provide explanations, and offer learning guidance.
+
+User message: "${question}"
+
+Respond in a helpful, conversational, and educational manner. Your response should:
+1. Be friendly and approachable
+2. Directly address what the user is asking
+3. Provide clear, easy-to-understand explanations
+4. Include relevant examples when helpful
+5. Offer additional learning tips or resources if appropriate
+6. Be concise but comprehensive (aim for 100-300 words depending on complexity)
+
+If the question is about learning strategies, study techniques, or educational topics, provide practical advice.
+If it's a specific subject question, explain the concept clearly with examples.
+If it's a general conversation, be friendly while steering toward educational topics when appropriate.
+
+Respond as TheGenie would - knowledgeable, helpful, and encouraging.
+`
+  },
+
+  // `history` is every turn not folded into `summary`, or the last few turns when there's no summary
+  conversation: {
+    params: {
+      message: text(4000),
+      summary: text(4000, { optional: true, fallback: '' }),
+      history: list(MESSAGE, MAX_MESSAGES, { optional: true })
+    },
+    build: ({ message, summary, history = [] }) => {
+      let context = '';
+      if (summary) {
+        context += `\n\nSummary of the earlier conversation:\n${summary}\n`;
+      }
+      if (history.length > 0) {
+        context += summary ? '\nMost recent messages:\n' : '\n\nConversation history:\n';
+        context += `${formatTranscript(history)}\n`;
+      }
+      return `
+You are TheGenie, a friendly and knowledgeable AI assistant specializing in education and learning. You are part of Study Genie, a learning platform that helps students master topics through flashcards, evaluations, and personalized learning paths.
+
+Your personality:
+- Friendly, encouraging, and supportive
+- Knowledgeable about education and learning techniques
+- Patient and understanding with students
+- Enthusiastic about helping people learn
+- Professional but approachable
+
+Current user message: "${message}"${context}
+
+Respond as TheGenie in a helpful and conversational way. Your response should:
+1. Be warm and encouraging
+2. Directly address the user's message
+3. Provide valuable educational insights when relevant
+4. Offer practical learning advice
+5. Be concise but thorough (100-300 words)
+6. End with an invitation for further questions when appropriate
+
+If the user asks about:
+- Study techniques: Provide evidence-based learning strategies
+- Subject-specific questions: Explain concepts clearly with examples
+- Learning difficulties: Offer supportive advice and alternative approaches
+- Platform features: Explain how Study Genie can help them learn
+- General conversation: Be friendly while gently steering toward educational topics
+
+Always maintain TheGenie's helpful and encouraging personality.
+`;
+    }
+  },
+
+  conversationSummary: {
+    params: {
+      previousSummary: text(4000, { optional: true, fallback: '' }),
+      messages: list(MESSAGE, MAX_MESSAGES)
+    },
+    build: ({ previousSummary, messages }) => `
+You are maintaining a running summary of a study conversation between a student and TheGenie, a learning assistant.
+
+${previousSummary ? `Current summary:\n${previousSummary}\n\n` : ''}New messages to fold into the summary:
+${formatTranscript(messages)}
+
+Write an updated summary (at most 200 words) that keeps:
+- The topics and questions the student has asked about
+- Key explanations, definitions and examples TheGenie gave
+- Anything the student found confusing or asked to revisit
+- Preferences the student stated (level of detail, examples, language)
+
+Return only the summary text.
+`
+  },
+
+  // The client sends the first 4000 characters and says whether there was more
+  topicDetection: {
+    json: true,
+    params: { content: text(4000), truncated: flag() },
+    build: ({ content, truncated }) => `
+You are an educational AI assistant. Analyze the following extracted content and determine the primary topic or subject matter.
+
+Content:
+"""${content}""" ${truncated ? '...(truncated)' : ''}
+
+Based on this content, provide:
+1. The main topic/subject (concise, 2-5 words)
+2. A brief description of what the content covers (1-2 sentences)
+3. Up to 3 key subtopics or concepts mentioned
+4. The academic level (elementary, middle school, high school, undergraduate, graduate, professional)
+5. Suggested learning approach (theoretical, practical, problem-solving, mixed)
+
+Format your response as JSON:
+{
+  "topic": "Main Topic Name",
+  "description": "Brief description of content",
+  "subtopics": ["Subtopic 1", "Subtopic 2", "Subtopic 3"],
+  "level": "academic level",
+  "approach": "suggested approach"
+}
+
+Only return the JSON, no additional text.
+`
+  },
+
+  flashcards: {
+    json: true,
+    params: { topic: TOPIC },
+    build: ({ topic }) => `
+You are an educational AI assistant. For the topic "${topic}", generate exactly 8-12 flashcards that cover the key concepts, terms, and important information.
+
+Each flashcard should have:
+1. A "question" - This can be a term, concept, or question that needs to be explained
+2. A "answer" - A brief, concise, but comprehensive explanation (50-100 words)
+
+The flashcards should:
+- Cover the most important aspects of the topic
+- Be educational and informative
+- Progress from basic to more advanced concepts
+- Use clear, simple language
+- Include practical examples when helpful
+
+Format your response as a JSON array of objects:
+[
+  {
+    "question": "What is [concept/term]?",
+    "answer": "Brief but comprehensive explanation..."
+  },
+  {
+    "question": "Another key concept or term",
+    "answer": "Another brief explanation..."
+  }
+]
+
+Only return the JSON array, no additional text or explanation.
+`
+  },
+
+  // src/lib/learningFramework.js
+  coreConcepts: {
+    json: true,
+    params: { topic: TOPIC, count: COUNT },
+    build: ({ topic, count }) => `
+You are an educational AI assistant. Given a main learning topic, provide a comprehensive list of core concepts that are essential for mastering this topic.
+
+Main Topic: "${topic}"
+
+Please provide exactly ${count} core concepts that are essential for understanding "${topic}". Each concept should be:
+1. A fundamental component or principle of the main topic
+2. Essential for comprehensive understanding of the topic
+3. Specific and focused (not too broad)
+4. Logically structured for learning progression
+5. Directly related to the main topic (not peripheral knowledge)
+
+Format your response as a JSON array of strings, like this:
+["Core Concept 1", "Core Concept 2", "Core Concept 3", "Core Concept 4", "Core Concept 5"]
+
+Only return the JSON array, no additional text or explanation.
+`
+  },
+
+  conceptMCQQuestions: {
+    json: true,
+    params: { concept: TOPIC, questionCount: COUNT },
+    build: ({ concept, questionCount }) => `
+You are an educational AI assistant. Generate exactly ${questionCount} multiple-choice questions for the concept: "${concept}"
+
+Each question should:
+1. Test fundamental understanding of the concept
+2. Have exactly 4 options (A, B, C, D)
+3. Have only one correct answer
+4. Be at an appropriate difficulty level for someone learning this concept
+5. Cover different aspects of the concept
+6. Be clear and unambiguous
+
+Format your response as a JSON array with this exact structure:
+[
+  {
+    "question": "Question text here?",
+    "options": ["Option A", "Option B", "Option C", "Option D"],
+    "correctAnswer": "Option B"
+  },
+  // ... ${questionCount - 1} more questions
+]
+
+Only return the JSON array, no additional text or explanation.
+`
+  },
+
+  conceptEvaluationReport: {
+    json: true,
+    params: {
+      results: recordOf(SCORE, MAX_ITEMS),
+      concepts: list(TOPIC, MAX_ITEMS),
+      contextType: oneOf(['prerequisite', 'core', 'advanced'], 'core')
+    },
+    build: ({ results, concepts, contextType }) => {
+      const passedConcepts = countPassed(concepts, results);
+      return `
+You are an educational AI assistant. Based on the following ${contextType} concept evaluation results, provide a personalized report with a general remark and recommendations.
+
+Evaluation Results:
+${formatScores(concepts, results)}
+
+Summary:
+- Total ${contextType} concepts evaluated: ${concepts.length}
+- Concepts passed: ${passedConcepts}
+- Concepts failed: ${concepts.length - passedConcepts}
+- Passing criteria: 4/5 questions correct per concept
+
+Context: This is a ${contextType} concepts evaluation. ${contextType === 'core' ?
+  'These are the main concepts the student needs to master for the topic.' :
+  'These are foundational concepts needed before learning the main topic.'}
+
+Please provide:
+1. A general remark about the student's performance (2-3 sentences)
+2. Specific recommendations for improvement (if any failures) or next steps (if all passed)
+
+Format your response as JSON:
+{
+  "remark": "Your general remark here...",
+  "recommendations": ["Recommendation 1", "Recommendation 2", ...]
+}
+
+Only return the JSON, no additional text.
+`;
+    }
+  },
+
+  conceptSubtopics: {
+    json: true,
+    params: { concept: TOPIC, count: integer(2, 20, 5) },
+    build: ({ concept, count }) => `
+You are an educational AI assistant. For the concept "${concept}", generate a list of ${count - 1}-${count + 1} key subtopics that need to be covered for a comprehensive understanding.
+
+Each subtopic should be:
+1. A specific aspect or component of the main concept
+2. Logically sequenced for learning
+3. Essential for understanding the overall concept
+4. Concise and clear
+5. Building upon each other progressively
+
+Format your response as a JSON array of strings:
+["Subtopic 1", "Subtopic 2", "Subtopic 3", "Subtopic 4", "Subtopic 5"]
+
+Only return the JSON array, no additional text.
+`
+  },
+
+  conceptSubtopicContent: {
+    params: {
+      subtopic: TOPIC,
+      parentConcept: text(300, { optional: true, fallback: '' }),
+      wordCount: integer(50, 2000, 300)
+    },
+    build: ({ subtopic, parentConcept, wordCount }) => `
+You are an educational AI assistant. Generate educational content for the subtopic: "${subtopic}"${parentConcept ? ` (part of the broader concept: "${parentConcept}")` : ''}
+
+The content should be:
+1. Approximately ${wordCount} words
+2. Clear and easy to understand
+3. Educational and informative
+4. Well-structured with good flow
+5. Engaging for learners
+6. Include practical examples where helpful
+7. Build upon foundational knowledge progressively
+
+Provide comprehensive coverage of the subtopic while keeping it accessible. Use examples, analogies, and clear explanations to help learners understand the concept.
+
+Return only the content text in markdown format, no additional formatting or explanations.
+`
+  },
+
+  advancedConcepts: {
+    json: true,
+    params: { topic: TOPIC, count: COUNT },
+    build: ({ topic, count }) => `
+You are an educational AI assistant. Given a main learning topic, provide a comprehensive list of advanced and niche/domain-specific concepts that build upon the fundamental understanding of this topic.
+
+Main Topic: "${topic}"
+
+Please provide exactly ${count} advanced concepts related to "${topic}". Each concept should be:
+1. An advanced or specialized aspect of the main topic
+2. Suitable for learners who have mastered the core concepts
+3. Domain-specific or representing cutting-edge developments
+4. Challenging but achievable for dedicated learners
+5. Directly extending or building upon the main topic
+6. Representative of real-world professional applications
+
+Format your response as a JSON array of strings, like this:
+["Advanced Concept 1", "Advanced Concept 2", "Advanced Concept 3", "Advanced Concept 4", "Advanced Concept 5"]
+
+Only return the JSON array, no additional text or explanation.
+`
+  },
+
+  sessionReport: {
+    json: true,
+    params: {
+      topic: TOPIC,
+      statistics: shape({
+        prerequisites: PHASE_STATS,
+        coreTopics: PHASE_STATS,
+        advancedTopics: PHASE_STATS,
+        overall: shape({ ...PHASE_STATS.properties, accuracy: integer(0, 100) })
+      })
+    },
+    build: ({ topic, statistics: { prerequisites, coreTopics, advancedTopics, overall } }) => `
+You are an educational AI assistant. Based on the comprehensive learning session results below, provide a detailed performance report for the student who just completed learning "${topic}".
+
+Learning Topic: "${topic}"
+
+PREREQUISITE PHASE:
+- Topics: ${prerequisites.totalTopics}
+- Completed: ${prerequisites.completedTopics}
+- Questions: ${prerequisites.correctAnswers}/${prerequisites.totalQuestions}
+
+CORE CONCEPTS PHASE:
+- Topics: ${coreTopics.totalTopics}
+- Completed: ${coreTopics.completedTopics}
+- Questions: ${coreTopics.correctAnswers}/${coreTopics.totalQuestions}
+
+ADVANCED CONCEPTS PHASE:
+- Topics: ${advancedTopics.totalTopics}
+- Completed: ${advancedTopics.completedTopics}
+- Questions: ${advancedTopics.correctAnswers}/${advancedTopics.totalQuestions}
+
+OVERALL PERFORMANCE:
+- Total Topics: ${overall.completedTopics}/${overall.totalTopics}
+- Total Questions: ${overall.correctAnswers}/${overall.totalQuestions}
+- Overall Accuracy: ${overall.accuracy}%
+
+Please provide:
+1. An overall performance summary (3-4 sentences highlighting key achievements)
+2. Strengths demonstrated during the learning journey
+3. Areas for improvement (if any)
+4. Specific recommendations for further learning or skill development
+5. A motivational closing remark
+
+The student has completed a full learning journey from prerequisites through core concepts to advanced topics. Provide constructive and encouraging feedback.
+
+Format your response as JSON:
+{
+  "overallSummary": "Your comprehensive performance summary here...",
+  "strengths": ["Strength 1", "Strength 2", "Strength 3"],
+  "areasForImprovement": ["Area 1", "Area 2"],
+  "recommendations": ["Recommendation 1", "Recommendation 2", "Recommendation 3"],
+  "motivationalMessage": "Your encouraging closing message here..."
+}
+
+Only return the JSON, no additional text.
+`
+  }
+};
+
+const AI_TASKS = Object.keys(PROMPTS);
+
+// A re-prompt for output that failed the client's schema validation
+const REPAIR = shape({
+  previousText: text(8000),
+  issues: list(text(500), 10)
+});
+
+/**
+ * Validate a task's parameters and build its prompt
+ * @param {string} task - Task name (must be in AI_TASKS)
+ * @param {Object} params - Task parameters from the request
+ * @param {Object} repair - Optional { previousText, issues } asking the model to fix its last answer
+ * @returns {Object} { prompt, params, json } with defaults filled into params
+ * @throws {HttpError} 400 when the parameters don't match the task
+ */
+const buildPrompt = (task, params, repair) => {
+  const { json = false, params: spec, build } = PROMPTS[task];
+  const issues = [];
+  const checked = check(shape(spec), params, 'params', issues);
+  const checkedRepair = repair === undefined ? null : check(REPAIR, repair, 'repair', issues);
+  if (issues.length > 0) {
+    throw new HttpError(400, `Invalid ${task} request: ${issues.slice(0, 5).join('; ')}`, 'invalid_request');
+  }
+
+  let prompt = build(checked);
+  if (checkedRepair) {
+    prompt = `${prompt}
+Your previous response did not match the required format:
+${checkedRepair.issues.map(issue => `- ${issue}`).join('\n')}
+
+Previous response:
+${checkedRepair.previousText}
+
+Return only the corrected JSON, no additional text.
+`;
+  }
+  return { prompt, params: checked, json };
+};
+
+module.exports = { AI_TASKS, buildPrompt };
@@ -0,0 +1,82 @@
+const { HttpError } = require('./http');
+
+/**
+ * Per-user request quotas (daily total and per-minute burst)
+ * Counters live in memory, so limits apply per server instance and reset on restart.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const startOfNextUTCDay = (now) => {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+};
+
+/**
+ * Create a quota tracker
+ * @param {Object} limits - Quota limits
+ * @param {number} limits.dailyRequests - Requests allowed per user per UTC day (0 = unlimited)
+ * @param {number} limits.perMinuteRequests - Requests allowed per user per rolling minute (0 = unlimited)
+ * @param {Function} now - Clock, for tests
+ * @returns {Object} { consume(userId), getUsage(userId) }
+ */
+const createQuotaTracker = ({ dailyRequests, perMinuteRequests }, now = Date.now) => {
+  const usage = new Map();
+
+  const getEntry = (userId) => {
+    const time = now();
+    let entry = usage.get(userId);
+    if (!entry || time >= entry.resetsAt) {
+      entry = { count: 0, resetsAt: startOfNextUTCDay(time), recent: [] };
+      usage.set(userId, entry);
+    }
+    entry.recent = entry.recent.filter(timestamp => time - timestamp < MINUTE_MS);
+    return entry;
+  };
+
+  /**
+   * Count one request against the user's quota
+   * @param {string} userId - User ID
+   * @throws {HttpError} 429 with a Retry-After header when a limit is reached
+   */
+  const consume = (userId) => {
+    const time = now();
+    const entry = getEntry(userId);
+
+    if (dailyRequests > 0 && entry.count >= dailyRequests) {
+      const retryAfter = Math.ceil((entry.resetsAt - time) / 1000);
+      throw new HttpError(429, `Daily AI quota of ${dailyRequests} requests reached`, 'quota_exceeded', {
+        'Retry-After': String(retryAfter)
+      });
+    }
+
+    if (perMinuteRequests > 0 && entry.recent.length >= perMinuteRequests) {
+      const retryAfter = Math.ceil((entry.recent[0] + MINUTE_MS - time) / 1000);
+      throw new HttpError(429, 'Too many AI requests, slow down', 'rate_limited', {
+        'Retry-After': String(Math.max(retryAfter, 1))
+      });
+    }
+
+    entry.count++;
+    entry.recent.push(time);
+  };
+
+  /**
+   * Current usage for a user
+   * @param {string} userId - User ID
+   * @returns {Object} { used, limit, remaining, resetsAt }
+   */
+  const getUsage = (userId) => {
+    const entry = getEntry(userId);
+    return {
+      used: entry.count,
+      limit: dailyRequests || null,
+      remaining: dailyRequests ? Math.max(dailyRequests - entry.count, 0) : null,
+      resetsAt: new Date(entry.resetsAt).toISOString()
+    };
+  };
+
+  return { consume, getUsage };
+};
+
+module.exports = { createQuotaTracker };
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createQuotaTracker } = require('./quota');
+
+const caught = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+};
+
+test('per-minute limit rejects bursts until the minute rolls over', () => {
+  let time = Date.UTC(2024, 0, 1, 12);
+  const quota = createQuotaTracker({ dailyRequests: 0, perMinuteRequests: 2 }, () => time);
+
+  quota.consume('a');
+  quota.consume('a');
+  const error = caught(() => quota.consume('a'));
+  assert.equal(error.status, 429);
+  assert.equal(error.code, 'rate_limited');
+  assert.equal(error.headers['Retry-After'], '60');
+
+  // Other users have their own counters
+  quota.consume('b');
+
+  time += 60 * 1000;
+  quota.consume('a');
+});
+
+test('daily limit resets at the next UTC midnight', () => {
+  let time = Date.UTC(2024, 0, 1, 23, 59, 0);
+  const quota = createQuotaTracker({ dailyRequests: 1, perMinuteRequests: 0 }, () => time);
+
+  quota.consume('a');
+  const error = caught(() => quota.consume('a'));
+  assert.equal(error.code, 'quota_exceeded');
+  assert.equal(error.headers['Retry-After'], '60');
+  assert.deepEqual(quota.getUsage('a'), {
+    used: 1,
+    limit: 1,
+    remaining: 0,
+    resetsAt: '2024-01-02T00:00:00.000Z'
+  });
+
+  time = Date.UTC(2024, 0, 2, 0, 0, 1);
+  quota.consume('a');
+  assert.equal(quota.getUsage('a').used, 1);
+});
+
+test('zero limits are unlimited', () => {
+  const quota = createQuotaTracker({ dailyRequests: 0, perMinuteRequests: 0 });
+
+  for (let i = 0; i < 100; i++) quota.consume('a');
+  assert.equal(quota.getUsage('a').used, 100);
+  assert.equal(quota.getUsage('a').remaining, null);
+});
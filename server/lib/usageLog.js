@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Append-only usage log (one JSON object per line)
+ * @param {string} logPath - File to append to
+ * @returns {Object} { record(entry) }
+ */
+const createUsageLog = (logPath) => {
+  let ready = null;
+
+  const ensureDirectory = () => {
+    if (!ready) {
+      ready = fs.promises.mkdir(path.dirname(logPath), { recursive: true });
+    }
+    return ready;
+  };
+
+  /**
+   * Record one AI call; failures are logged but never fail the request
+   * @param {Object} entry - Usage details (userId, task, provider, model, sizes, duration, status)
+   * @returns {Promise<void>}
+   */
+  const record = async (entry) => {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+    try {
+      await ensureDirectory();
+      await fs.promises.appendFile(logPath, line + '\n');
+    } catch (error) {
+      console.error('Error writing usage log:', error);
+    }
+  };
+
+  return { record };
+};
+
+module.exports = { createUsageLog };
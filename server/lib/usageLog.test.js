@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUsageLog } = require('./usageLog');
+
+test('records one timestamped JSON line per call, creating the directory', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const logPath = path.join(dir, 'nested', 'ai-usage.jsonl');
+  const usageLog = createUsageLog(logPath);
+
+  await usageLog.record({ userId: 'a', task: 'flashcards', status: 200 });
+  await usageLog.record({ userId: 'b', task: 'answer', status: 502 });
+
+  const lines = fs.readFileSync(logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0].userId, 'a');
+  assert.equal(lines[1].status, 502);
+  assert.ok(!Number.isNaN(Date.parse(lines[0].timestamp)));
+});
+
+test('write failures never reject', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-log-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  // The log path is a directory, so appending fails
+  const usageLog = createUsageLog(dir);
+  t.mock.method(console, 'error', () => {});
+
+  await assert.doesNotReject(usageLog.record({ userId: 'a' }));
+  assert.equal(console.error.mock.calls.length, 1);
+});
@@ -0,0 +1,54 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Gemini provider (server-side, the key never reaches the browser)
+ * @param {Object} config - Provider configuration
+ * @param {string} config.apiKey - Google AI Studio API key
+ * @param {string} config.model - Gemini model name
+ * @returns {Object} Provider implementing generateText and streamText
+ */
+const createGeminiProvider = ({ apiKey, model = 'gemini-2.0-flash' }) => {
+  if (!apiKey) {
+    throw new Error('GEMINI_API_KEY is required for the gemini provider');
+  }
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: 'gemini',
+    model,
+
+    /**
+     * Generate a completion for a prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Generation options
+     * @param {boolean} options.json - Ask the model for a JSON response
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {Promise<string>} Raw response text
+     */
+    generateText: async (prompt, { json, signal } = {}) => {
+      const generationConfig = json ? { responseMimeType: 'application/json' } : undefined;
+      const generativeModel = genAI.getGenerativeModel({ model, generationConfig });
+
+      const result = await generativeModel.generateContent(prompt, { signal });
+      return result.response.text();
+    },
+
+    /**
+     * Stream a completion as text deltas
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Generation options
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {AsyncGenerator<string>} Text deltas
+     */
+    streamText: async function* (prompt, { signal } = {}) {
+      const generativeModel = genAI.getGenerativeModel({ model });
+      const result = await generativeModel.generateContentStream(prompt, { signal });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    }
+  };
+};
+
+module.exports = { createGeminiProvider };
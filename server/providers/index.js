@@ -0,0 +1,27 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createLocalProvider } = require('./local');
+
+/**
+ * Create the configured text provider
+ * @param {Object} aiConfig - AI section of the server config
+ * @returns {Object} Provider implementing generateText(prompt, { task, params, json, signal })
+ */
+const createProvider = (aiConfig) => {
+  switch (aiConfig.provider) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: aiConfig.geminiApiKey, model: aiConfig.model });
+    case 'openai':
+      return createOpenAIProvider({
+        apiKey: aiConfig.openaiApiKey,
+        baseUrl: aiConfig.openaiBaseUrl,
+        model: aiConfig.model
+      });
+    case 'local':
+      return createLocalProvider();
+    default:
+      throw new Error(`Unknown AI provider: ${aiConfig.provider}`);
+  }
+};
+
+module.exports = { createProvider };
@@ -0,0 +1,134 @@
+/**
+ * Local stand-in provider
+ * Produces deterministic, well-formed output for every generator task without
+ * any network access, so the proxy can be run and exercised offline. Output
+ * shapes mirror the client fixture adapter (src/lib/providers/fixtureProvider.js)
+ * so responses pass the client's schema validation.
+ */
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const buildQuestions = (subject, count, detailed) => Array.from({ length: count }, (_, index) => {
+  const options = [
+    `Core idea ${index + 1} of ${subject}`,
+    `Unrelated claim ${index + 1}a`,
+    `Unrelated claim ${index + 1}b`,
+    `Unrelated claim ${index + 1}c`
+  ];
+  const question = {
+    question: `Which statement describes ${subject}? (Question ${index + 1})`,
+    options,
+    correctAnswer: options[0]
+  };
+
+  if (!detailed) return question;
+
+  return {
+    ...question,
+    explanation: `The first option states a core idea of ${subject}.`,
+    whyWrongExplanation: 'The other options are not related to the topic.',
+    topicCategory: `${subject} Fundamentals`,
+    difficultyLevel: DIFFICULTIES[index % DIFFICULTIES.length]
+  };
+});
+
+const buildReport = (params = {}) => ({
+  remark: `Local stand-in report for ${params.contextType || 'the'} evaluation.`,
+  recommendations: ['Review the material once more', 'Practice with additional questions']
+});
+
+const buildContent = (subject, wordCount = 300) =>
+  `# ${subject}\n\nThis is local stand-in content about ${subject}, written in place of roughly ${wordCount} words of generated material.`;
+
+const BUILDERS = {
+  prerequisites: ({ topic }) => [1, 2, 3, 4, 5].map(n => `Prerequisite ${n} for ${topic}`),
+  mcqQuestions: ({ topic }) => buildQuestions(topic, 5, true),
+  evaluationReport: buildReport,
+  subtopics: ({ topic }) => [1, 2, 3, 4].map(n => `Subtopic ${n} of ${topic}`),
+  subtopicContent: ({ subtopic }) => buildContent(subtopic),
+  rephrase: ({ content }) => content,
+  cardRework: ({ question, answer, strategy }) => (strategy === 'split'
+    ? [
+      { question: `${question} (part 1)`, answer },
+      { question: `${question} (part 2)`, answer: `Local stand-in follow-up to: ${answer}` }
+    ]
+    : [{ question, answer: `${answer}\nMnemonic: Local stand-in memory hook.` }]),
+  answer: ({ question }) => `Local stand-in answer to: ${question}`,
+  conversation: ({ message }) => `Local stand-in response to: ${message}`,
+  conversationSummary: ({ previousSummary, messages = [] }) =>
+    `${previousSummary ? `${previousSummary} ` : ''}Local stand-in summary of ${messages.length} more messages.`,
+  topicDetection: () => ({
+    topic: 'Uploaded Notes',
+    description: 'Local stand-in description of the uploaded content.',
+    subtopics: ['Main Ideas', 'Key Terms', 'Examples'],
+    level: 'undergraduate',
+    approach: 'mixed'
+  }),
+  flashcards: ({ topic }) => Array.from({ length: 10 }, (_, index) => ({
+    question: `What is key idea ${index + 1} of ${topic}?`,
+    answer: `Key idea ${index + 1} of ${topic} is a local stand-in answer.`
+  })),
+  coreConcepts: ({ topic, count = 5 }) => Array.from({ length: count }, (_, index) => `Core Concept ${index + 1} of ${topic}`),
+  conceptMCQQuestions: ({ concept, questionCount = 5 }) => buildQuestions(concept, questionCount, false),
+  conceptEvaluationReport: buildReport,
+  conceptSubtopics: ({ concept, count = 5 }) => Array.from({ length: count }, (_, index) => `Subtopic ${index + 1} of ${concept}`),
+  conceptSubtopicContent: ({ subtopic, wordCount }) => buildContent(subtopic, wordCount),
+  advancedConcepts: ({ topic, count = 5 }) => Array.from({ length: count }, (_, index) => `Advanced Concept ${index + 1} of ${topic}`),
+  thegenie: ({ question, excerpts = [] }) => (excerpts.length > 0
+    ? `Here is what your learning materials say about "${question}":\n\n` +
+      excerpts.slice(0, 3).map((excerpt, index) =>
+        `> ${excerpt.replace(/\s+/g, ' ').trim().slice(0, 300)} [${index + 1}]`).join('\n\n') +
+      '\n\n_Local stand-in answer: excerpts are quoted rather than summarized._'
+    : `I couldn't find anything about "${question}" in your learning materials. _(Local stand-in answer.)_`),
+  sessionReport: ({ topic }) => ({
+    overallSummary: `Local stand-in summary for your session on "${topic}".`,
+    strengths: ['Consistent practice'],
+    areasForImprovement: ['Review missed questions'],
+    recommendations: ['Keep studying regularly'],
+    motivationalMessage: 'Great work!'
+  })
+};
+
+/**
+ * Create the local stand-in provider
+ * @returns {Object} Provider implementing generateText and streamText
+ */
+const createLocalProvider = () => ({
+  name: 'local',
+  model: 'local',
+
+  /**
+   * Produce stand-in output for a task
+   * @param {string} prompt - Prompt text (echoed for tasks without a builder)
+   * @param {Object} options - Generation options
+   * @param {string} options.task - Generator task name
+   * @param {Object} options.params - Generator parameters
+   * @returns {Promise<string>} Output text, JSON-encoded for structured tasks
+   */
+  generateText: async (prompt, { task, params = {} } = {}) => {
+    const build = BUILDERS[task];
+    if (!build) {
+      return `Local stand-in response (${task || 'text'}): ${prompt.trim().slice(0, 200)}`;
+    }
+    const output = build(params);
+    return typeof output === 'string' ? output : JSON.stringify(output);
+  },
+
+  /**
+   * Stream stand-in output word by word
+   * @param {string} prompt - Prompt text
+   * @param {Object} options - Same options as generateText, plus signal
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *streamText(prompt, options = {}) {
+    const output = await this.generateText(prompt, options);
+    for (const piece of output.match(/\S+\s*|\s+/g) || []) {
+      if (options.signal?.aborted) return;
+      // Yield to the event loop so each piece is flushed as its own event
+      await new Promise(resolve => setImmediate(resolve));
+      yield piece;
+    }
+  }
+});
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,79 @@
+/**
+ * OpenAI-compatible provider (OpenAI, Groq, Ollama, vLLM, ...)
+ * @param {Object} config - Provider configuration
+ * @param {string} config.apiKey - Bearer token for the API
+ * @param {string} config.baseUrl - API base URL including the version segment
+ * @param {string} config.model - Model name
+ * @returns {Object} Provider implementing generateText and streamText
+ */
+const createOpenAIProvider = ({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'gpt-4o-mini' }) => {
+  const requestCompletion = async (prompt, { signal, stream = false }) => {
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: JSON.stringify({ model, messages: [{ role: 'user', content: prompt }], stream }),
+      signal
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    /**
+     * Generate a completion for a prompt
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Generation options
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {Promise<string>} Raw response text
+     */
+    generateText: async (prompt, { signal } = {}) => {
+      const response = await requestCompletion(prompt, { signal });
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error('OpenAI-compatible response did not contain a message');
+      }
+      return content;
+    },
+
+    /**
+     * Stream a completion as text deltas (server-sent chat.completion.chunk events)
+     * @param {string} prompt - Prompt text
+     * @param {Object} options - Generation options
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {AsyncGenerator<string>} Text deltas
+     */
+    streamText: async function* (prompt, { signal } = {}) {
+      const response = await requestCompletion(prompt, { signal, stream: true });
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim().replace(/^data:\s*/, '');
+          if (!line.startsWith('data:') || data === '') continue;
+          if (data === '[DONE]') return;
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    }
+  };
+};
+
+module.exports = { createOpenAIProvider };
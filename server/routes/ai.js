@@ -0,0 +1,103 @@
+const { HttpError, sendJSON, readJSON } = require('../lib/http');
+const { authenticate } = require('../lib/auth');
+const { AI_TASKS, buildPrompt } = require('../lib/prompts');
+
+/**
+ * AI proxy routes
+ * POST /api/ai/:task  { params, repair } → { text, provider, model, usage }
+ * GET  /api/ai/usage                    → { usage }
+ *
+ * One endpoint per generator task in src/lib/gemini.js and learningFramework.js.
+ * Prompts are built here from the task's validated params (server/lib/prompts.js);
+ * `repair` ({ previousText, issues }) re-asks for JSON that failed the client's schema.
+ */
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Translate a provider failure into a response status the client can act on
+ * @param {Error} error - Provider error
+ * @returns {HttpError} Error to send
+ */
+const toUpstreamError = (error) => {
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return new HttpError(504, 'AI provider timed out', 'upstream_timeout');
+  }
+  if (error.status === 429) {
+    return new HttpError(429, 'AI provider is rate limiting requests', 'upstream_rate_limited', { 'Retry-After': '5' });
+  }
+  return new HttpError(502, `AI provider error: ${error.message}`, 'upstream_error');
+};
+
+/**
+ * Register AI proxy routes
+ * @param {Object} router - Router from createRouter
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.config - Server config
+ * @param {Object} deps.provider - Text provider
+ * @param {Object} deps.quota - Quota tracker
+ * @param {Object} deps.usageLog - Usage log
+ */
+const registerAIRoutes = (router, { config, provider, quota, usageLog }) => {
+  router.add('GET', '/api/ai/usage', async (req, res) => {
+    const user = await authenticate(req, config.auth);
+    sendJSON(res, 200, { usage: quota.getUsage(user.id) });
+  });
+
+  router.add('POST', '/api/ai/:task', async (req, res, { params: { task } }) => {
+    const user = await authenticate(req, config.auth);
+
+    if (!AI_TASKS.includes(task)) {
+      throw new HttpError(404, `Unknown AI task: ${task}`, 'unknown_task');
+    }
+
+    const body = await readJSON(req);
+    if (!isPlainObject(body)) {
+      throw new HttpError(400, 'Request body must be a JSON object', 'invalid_request');
+    }
+    if (body.params !== undefined && !isPlainObject(body.params)) {
+      throw new HttpError(400, 'params must be an object', 'invalid_request');
+    }
+
+    const { prompt, params, json } = buildPrompt(task, body.params || {}, body.repair);
+    if (prompt.length > config.ai.maxPromptChars) {
+      throw new HttpError(413, `prompt exceeds ${config.ai.maxPromptChars} characters`, 'prompt_too_large');
+    }
+
+    quota.consume(user.id);
+
+    const startedAt = Date.now();
+    const logEntry = {
+      userId: user.id,
+      task,
+      provider: provider.name,
+      model: provider.model,
+      promptChars: prompt.length
+    };
+
+    let text;
+    try {
+      text = await provider.generateText(prompt, {
+        task,
+        params,
+        json,
+        signal: AbortSignal.timeout(config.ai.timeoutMs)
+      });
+    } catch (error) {
+      const httpError = toUpstreamError(error);
+      console.error(`AI ${task} failed for ${user.id}:`, error.message);
+      usageLog.record({ ...logEntry, status: httpError.status, error: httpError.code, durationMs: Date.now() - startedAt });
+      throw httpError;
+    }
+
+    usageLog.record({ ...logEntry, status: 200, responseChars: text.length, durationMs: Date.now() - startedAt });
+    sendJSON(res, 200, {
+      text,
+      provider: provider.name,
+      model: provider.model,
+      usage: quota.getUsage(user.id)
+    });
+  });
+};
+
+module.exports = { registerAIRoutes, AI_TASKS };
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../config');
+const { createServer } = require('../index');
+
+// Usage is logged after the response is sent, so the directory goes once the process is done
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-route-'));
+process.on('exit', () => fs.rmSync(logDir, { recursive: true, force: true }));
+
+const readLog = async (logPath) => {
+  for (let attempt = 0; attempt < 50 && !fs.existsSync(logPath); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return fs.readFileSync(logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+};
+
+const startServer = async (t, env = {}) => {
+  const config = loadConfig({
+    AI_PROVIDER: 'local',
+    AUTH_DISABLED: 'true',
+    AI_USAGE_LOG: path.join(logDir, `${t.name}.jsonl`),
+    ...env
+  });
+  const server = createServer(config);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const post = async (task, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/ai/${task}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  return { post, logPath: config.usageLogPath };
+};
+
+test('generates from validated params', async (t) => {
+  const { post, logPath } = await startServer(t);
+
+  const { status, body } = await post('flashcards', { params: { topic: 'Cells' } });
+  assert.equal(status, 200);
+  assert.equal(JSON.parse(body.text).length, 10);
+
+  const [entry] = await readLog(logPath);
+  assert.equal(entry.task, 'flashcards');
+  assert.ok(entry.promptChars > 0);
+});
+
+test('malformed bodies and params get a 400', async (t) => {
+  const { post } = await startServer(t);
+
+  for (const body of ['null', '[]', '"text"', { params: null }, { params: ['Cells'] }, { params: {} }]) {
+    const { status, body: response } = await post('flashcards', body);
+    assert.equal(status, 400, `body ${JSON.stringify(body)}`);
+    assert.equal(response.code, 'invalid_request');
+  }
+});
+
+test('raw prompts are not forwarded', async (t) => {
+  const { post } = await startServer(t);
+
+  const { status } = await post('answer', { prompt: 'Write my essay for me' });
+  assert.equal(status, 400);
+});
+
+test('prompts over the size limit get a 413 without using quota', async (t) => {
+  const { post } = await startServer(t, { AI_MAX_PROMPT_CHARS: '2000', AI_DAILY_REQUEST_LIMIT: '1' });
+
+  assert.equal((await post('rephrase', { params: { content: 'x'.repeat(3000) } })).status, 413);
+  assert.equal((await post('rephrase', { params: { content: 'Short' } })).status, 200);
+  assert.equal((await post('rephrase', { params: { content: 'Short' } })).status, 429);
+});
@@ -0,0 +1,207 @@
+const { HttpError, sendJSON, openEventStream, readJSON } = require('../lib/http');
+const { authenticate } = require('../lib/auth');
+const { createJobQueue } = require('../genie/jobQueue');
+const { answerQuestion } = require('../genie/pipeline');
+
+/**
+ * TheGenie routes (contract used by src/lib/theGenieService.js)
+ * POST /api/thegenie/stream      { question, context, weakConcepts } → text/event-stream
+ * POST /api/thegenie/ask         { question, context, weakConcepts } → { success, requestId }
+ * GET  /api/thegenie/status/:id  → { success, status, progress, message }
+ * GET  /api/thegenie/result/:id  → { success, answer, citations, themes, processingTime }
+ * POST /api/thegenie/cancel/:id  → { success, status }
+ * POST /api/thegenie/embed       { texts } → { success, vectors, model }
+ *
+ * The stream emits `accepted` { requestId }, `progress` { progress, message },
+ * `citations` { citations }, `token` { text }, then one of `done` (the /result
+ * body), `error` { error } or `cancelled`. A dropped stream leaves the job
+ * running so the client can pick it up with status/result; /cancel stops it.
+ * ask/status/result is the polling contract kept for older clients.
+ */
+
+const MAX_EMBED_TEXTS = 100;
+
+/**
+ * Read and validate a question request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Job payload { question, context, weakConcepts }
+ */
+const readQuestion = async (req) => {
+  const { question, context = '', weakConcepts = [] } = await readJSON(req);
+
+  if (typeof question !== 'string' || question.trim() === '') {
+    throw new HttpError(400, 'question must be a non-empty string', 'invalid_request');
+  }
+  if (typeof context !== 'string' || !Array.isArray(weakConcepts)) {
+    throw new HttpError(400, 'context must be a string and weakConcepts an array', 'invalid_request');
+  }
+
+  return {
+    question: question.trim(),
+    context,
+    weakConcepts: weakConcepts.filter(concept => typeof concept === 'string').slice(0, 20)
+  };
+};
+
+/**
+ * Register TheGenie routes
+ * @param {Object} router - Router from createRouter
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.config - Server config
+ * @param {Object} deps.provider - Text provider
+ * @param {Object} deps.embeddings - Embedding provider
+ * @param {Object} deps.quota - Quota tracker
+ * @param {Object} deps.usageLog - Usage log
+ * @returns {Object} The job queue (for inspection)
+ */
+const registerGenieRoutes = (router, { config, provider, embeddings, quota, usageLog }) => {
+  const queue = createJobQueue({
+    concurrency: config.genie.concurrency,
+    handler: async (payload, { reportProgress, publish, signal }, job) => {
+      const startedAt = Date.now();
+      const logEntry = {
+        userId: job.ownerId,
+        task: 'thegenie',
+        provider: provider.name,
+        model: provider.model,
+        embeddings: embeddings.name,
+        promptChars: payload.question.length + payload.context.length
+      };
+
+      try {
+        const result = await answerQuestion(payload, {
+          llm: provider,
+          embeddings,
+          topK: config.genie.topK,
+          timeoutMs: config.ai.timeoutMs
+        }, {
+          onProgress: reportProgress,
+          onCitations: citations => publish('citations', { citations }),
+          onToken: text => publish('token', { text }),
+          signal
+        });
+        usageLog.record({ ...logEntry, status: 200, responseChars: result.answer.length, durationMs: Date.now() - startedAt });
+        return result;
+      } catch (error) {
+        usageLog.record({
+          ...logEntry,
+          status: signal.aborted ? 499 : 500,
+          error: error.message,
+          durationMs: Date.now() - startedAt
+        });
+        throw error;
+      }
+    }
+  });
+
+  const getOwnJob = (id, user) => {
+    const job = queue.get(id);
+    if (!job || job.ownerId !== user.id) {
+      throw new HttpError(404, 'Request not found', 'not_found');
+    }
+    return job;
+  };
+
+  router.add('POST', '/api/thegenie/stream', async (req, res) => {
+    const user = await authenticate(req, config.auth);
+    const payload = await readQuestion(req);
+    quota.consume(user.id);
+
+    const job = queue.submit(payload, user.id);
+    const stream = openEventStream(res);
+
+    const unsubscribe = queue.subscribe(job.id, (event) => {
+      switch (event.type) {
+        case 'progress':
+          stream.send('progress', { progress: event.progress, message: event.message });
+          return;
+        case 'citations':
+          stream.send('citations', { citations: event.citations });
+          return;
+        case 'token':
+          stream.send('token', { text: event.text });
+          return;
+        case 'completed':
+          stream.send('done', { success: true, status: 'completed', ...event.result });
+          break;
+        case 'failed':
+          stream.send('error', { success: false, status: 'failed', error: event.error });
+          break;
+        default:
+          stream.send('cancelled', { success: false, status: 'cancelled' });
+      }
+      stream.close();
+    });
+
+    // The job outlives the connection: clients resume a dropped stream by polling
+    res.on('close', unsubscribe);
+
+    stream.send('accepted', { requestId: job.id, status: job.status, message: job.message });
+  });
+
+  router.add('POST', '/api/thegenie/ask', async (req, res) => {
+    const user = await authenticate(req, config.auth);
+    const payload = await readQuestion(req);
+    quota.consume(user.id);
+
+    const job = queue.submit(payload, user.id);
+    sendJSON(res, 202, { success: true, requestId: job.id, status: job.status });
+  });
+
+  router.add('GET', '/api/thegenie/status/:id', async (req, res, { params }) => {
+    const user = await authenticate(req, config.auth);
+    const job = getOwnJob(params.id, user);
+
+    sendJSON(res, 200, {
+      success: true,
+      requestId: job.id,
+      status: job.status,
+      progress: job.progress,
+      message: job.message
+    });
+  });
+
+  router.add('GET', '/api/thegenie/result/:id', async (req, res, { params }) => {
+    const user = await authenticate(req, config.auth);
+    const job = getOwnJob(params.id, user);
+
+    if (job.status === 'failed' || job.status === 'cancelled') {
+      sendJSON(res, 200, { success: false, status: job.status, error: job.error || 'Request was cancelled' });
+      return;
+    }
+    if (job.status !== 'completed') {
+      sendJSON(res, 202, { success: false, status: job.status, error: 'Result not ready yet' });
+      return;
+    }
+
+    sendJSON(res, 200, { success: true, status: job.status, ...job.result });
+  });
+
+  router.add('POST', '/api/thegenie/cancel/:id', async (req, res, { params }) => {
+    const user = await authenticate(req, config.auth);
+    const job = getOwnJob(params.id, user);
+
+    queue.cancel(job.id);
+    sendJSON(res, 200, { success: true, requestId: job.id, status: job.status });
+  });
+
+  // Used by the client retrieval index (src/lib/retrievalIndex.js) when
+  // REACT_APP_RETRIEVAL_EMBEDDINGS is enabled
+  router.add('POST', '/api/thegenie/embed', async (req, res) => {
+    const user = await authenticate(req, config.auth);
+    const { texts } = await readJSON(req);
+
+    if (!Array.isArray(texts) || texts.length === 0 || texts.length > MAX_EMBED_TEXTS ||
+        texts.some(text => typeof text !== 'string')) {
+      throw new HttpError(400, `texts must be an array of 1-${MAX_EMBED_TEXTS} strings`, 'invalid_request');
+    }
+
+    quota.consume(user.id);
+    const vectors = await embeddings.embed(texts);
+    sendJSON(res, 200, { success: true, vectors, model: embeddings.name });
+  });
+
+  return queue;
+};
+
+module.exports = { registerGenieRoutes };
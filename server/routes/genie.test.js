@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createRouter } = require('../lib/http');
+const { createQuotaTracker } = require('../lib/quota');
+const { createLocalEmbeddings } = require('../genie/embeddings');
+const { registerGenieRoutes } = require('./genie');
+
+const CONTEXT = '## Source: Biology notes\nMitochondria produce ATP through cellular respiration.';
+
+/**
+ * Serve TheGenie routes with a provider that streams one token, then waits
+ * for the test to release the rest of the answer (or for the job to be cancelled)
+ */
+const startServer = async (t) => {
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  const provider = {
+    name: 'test',
+    model: 'test',
+    generateText: async () => 'unused',
+    streamText: async function* (prompt, { signal }) {
+      yield 'Mitochondria ';
+      await Promise.race([released, new Promise(resolve => signal.addEventListener('abort', resolve))]);
+      yield 'make ATP.';
+    }
+  };
+
+  const router = createRouter();
+  registerGenieRoutes(router, {
+    config: { auth: { disabled: true }, genie: { concurrency: 1, topK: 2 }, ai: { timeoutMs: 5000 } },
+    provider,
+    embeddings: createLocalEmbeddings(),
+    quota: createQuotaTracker({ dailyRequests: 0, perMinuteRequests: 0 }),
+    usageLog: { record: () => {} }
+  });
+  const server = http.createServer((req, res) => router.handle(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    release();
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const url = (path) => `http://127.0.0.1:${server.address().port}/api/thegenie${path}`;
+  const getJSON = async (path, method = 'GET') => (await fetch(url(path), { method })).json();
+  return { url, getJSON, release };
+};
+
+/**
+ * Read server-sent events until one matches
+ * @returns {Promise<Array<Object>>} Events so far ({ event, data })
+ */
+const readEventsUntil = async (reader, type) => {
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+  while (!events.some(({ event }) => event === type)) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    blocks.forEach(block => {
+      const event = block.match(/^event: (.+)$/m);
+      const data = block.match(/^data: (.+)$/m);
+      if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]) });
+    });
+  }
+  return events;
+};
+
+const waitForStatus = async (getJSON, requestId, status) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const body = await getJSON(`/status/${requestId}`);
+    if (body.status === status) return body;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job never reached ${status}`);
+};
+
+test('a dropped stream leaves the job running for polling', async (t) => {
+  const { url, getJSON, release } = await startServer(t);
+  const controller = new AbortController();
+
+  const response = await fetch(url('/stream'), {
+    method: 'POST',
+    body: JSON.stringify({ question: 'What do mitochondria do?', context: CONTEXT }),
+    signal: controller.signal
+  });
+  const events = await readEventsUntil(response.body.getReader(), 'token');
+  const { requestId } = events.find(({ event }) => event === 'accepted').data;
+
+  // Disconnect mid-answer, the way a network drop would
+  controller.abort();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal((await getJSON(`/status/${requestId}`)).status, 'processing');
+
+  release();
+  await waitForStatus(getJSON, requestId, 'completed');
+  const result = await getJSON(`/result/${requestId}`);
+  assert.equal(result.success, true);
+  assert.equal(result.answer, 'Mitochondria make ATP.');
+});
+
+test('the cancel endpoint still stops a job', async (t) => {
+  const { getJSON, url } = await startServer(t);
+
+  const submitted = await (await fetch(url('/ask'), {
+    method: 'POST',
+    body: JSON.stringify({ question: 'What do mitochondria do?', context: CONTEXT })
+  })).json();
+  await waitForStatus(getJSON, submitted.requestId, 'processing');
+
+  await getJSON(`/cancel/${submitted.requestId}`, 'POST');
+  await waitForStatus(getJSON, submitted.requestId, 'cancelled');
+  assert.equal((await getJSON(`/result/${submitted.requestId}`)).success, false);
+});
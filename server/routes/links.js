@@ -0,0 +1,49 @@
+const { HttpError, sendJSON, readJSON } = require('../lib/http');
+const { authenticate } = require('../lib/auth');
+
+/**
+ * Link routes (contract used by src/lib/linkService.js)
+ * POST /api/links/fetch  { url } → { success, url, contentType, data }
+ *
+ * `url` in the response is the address after redirects and `data` is the
+ * page body, base64 encoded so the browser can detect its charset the same
+ * way it does for uploaded files.
+ */
+
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * Register link routes
+ * @param {Object} router - Router from createRouter
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.config - Server config
+ * @param {Object} deps.linkFetcher - Fetcher from createLinkFetcher
+ * @param {Object} deps.quota - Quota tracker
+ */
+const registerLinkRoutes = (router, { config, linkFetcher, quota }) => {
+  router.add('POST', '/api/links/fetch', async (req, res) => {
+    const user = await authenticate(req, config.auth);
+    const url = (await readJSON(req))?.url;
+
+    if (typeof url !== 'string' || url.trim() === '' || url.length > MAX_URL_LENGTH) {
+      throw new HttpError(400, 'url must be a non-empty string', 'invalid_request');
+    }
+
+    quota.consume(user.id);
+
+    try {
+      const page = await linkFetcher.fetchPage(url.trim());
+      sendJSON(res, 200, {
+        success: true,
+        url: page.url,
+        contentType: page.contentType,
+        data: page.body.toString('base64')
+      });
+    } catch (error) {
+      console.error(`Link fetch failed for ${user.id}:`, error.message);
+      throw error;
+    }
+  });
+};
+
+module.exports = { registerLinkRoutes };
@@ -5,9 +5,11 @@ import Auth from './components/Auth';
 import Dashboard from './components/Dashboard';
 import DepthLearningSession from './components/DepthLearningSession';
 import FastLearningSession from './components/FastLearningSession';
+import ReviewSession from './components/ReviewSession';
 import Profile from './components/Profile';
 import TheGeniePage from './components/TheGeniePage';
 import MagicLoader from './components/MagicLoader';
+import GenerationNotice from './components/GenerationNotice';
 
 // Loading component with dashboard theme
 const Loading = () => (
@@ -70,6 +72,13 @@ const AppContent = () => {
           onBack={handleBackToDashboard}
         />
       );
+    } else if (learningData.type === 'review') {
+      return (
+        <ReviewSession
+          resumeData={learningData.resumeData}
+          onBack={handleBackToDashboard}
+        />
+      );
     }
   }
 
@@ -89,6 +98,7 @@ function App() {
     <AuthProvider>
       <div className="App">
         <AppContent />
+        <GenerationNotice />
       </div>
     </AuthProvider>
   );
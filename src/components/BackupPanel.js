@@ -0,0 +1,259 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { getRecentSessions } from '../lib/sessionService';
+import { exportSessions, previewArchiveImport, importArchive } from '../lib/backupService';
+import { downloadBlob } from '../lib/download';
+import './BackupPanel.css';
+
+const SESSION_LIMIT = 500;
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString([], {
+  year: 'numeric', month: 'short', day: 'numeric'
+});
+
+/**
+ * Profile backup tools: export sessions to a JSON archive and restore an
+ * archive (from this or another Study Genie project) under the current user
+ */
+const BackupPanel = () => {
+  const [sessions, setSessions] = useState([]);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
+  const [archive, setArchive] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [conflictStrategy, setConflictStrategy] = useState('skip');
+  const [includeStruggles, setIncludeStruggles] = useState(true);
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const [report, setReport] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const loadSessions = useCallback(async () => {
+    const result = await getRecentSessions(SESSION_LIMIT);
+    if (result.success) setSessions(result.sessions);
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const handleExport = async (ids) => {
+    setExporting(true);
+    setExportError(null);
+    const result = await exportSessions(ids);
+    if (result.success) {
+      const blob = new Blob([JSON.stringify(result.archive, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `study-genie-backup-${result.archive.exportedAt.slice(0, 10)}.json`);
+    } else {
+      setExportError(result.error);
+    }
+    setExporting(false);
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setImportError(null);
+    setReport(null);
+    setPreview(null);
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      const result = await previewArchiveImport(parsed);
+      if (!result.success) throw new Error(result.error);
+      setArchive(result.valid ? parsed : null);
+      setPreview(result);
+    } catch (error) {
+      setArchive(null);
+      setImportError(error instanceof SyntaxError ? 'This file is not valid JSON' : error.message);
+    }
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    setImportError(null);
+    const result = await importArchive(archive, { conflictStrategy, includeStruggles });
+    if (result.success) {
+      setReport(result.report);
+      setArchive(null);
+      setPreview(null);
+      await loadSessions();
+    } else {
+      setImportError(result.error);
+    }
+    setImporting(false);
+  };
+
+  const archiveTotals = archive && {
+    sessions: archive.sessions.length,
+    flashcards: archive.sessions.reduce((sum, session) => sum + (session.flashcards?.length || 0), 0),
+    questions: archive.sessions.reduce((sum, session) => sum + (session.questions?.length || 0), 0),
+    struggles: archive.topicStruggles?.length || 0
+  };
+
+  return (
+    <div className="backup-panel">
+      <section className="backup-section">
+        <h4>Export</h4>
+        <p className="backup-hint">
+          Download your sessions, flashcards, quiz answers and topic struggles as a JSON file.
+        </p>
+
+        <div className="backup-session-list">
+          {sessions.length === 0 && <p className="backup-hint">No sessions yet.</p>}
+          {sessions.map(session => (
+            <label key={session.id} className="backup-session">
+              <input
+                type="checkbox"
+                checked={selectedIds.has(session.id)}
+                onChange={() => toggleSelected(session.id)}
+              />
+              <span className="backup-session-topic">{session.topic}</span>
+              <span className="backup-session-meta">
+                {session.session_type} · {session.total_flashcards || 0} cards · {formatDate(session.created_at)}
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <div className="backup-actions">
+          <button
+            className="backup-button primary"
+            onClick={() => handleExport(null)}
+            disabled={exporting || sessions.length === 0}
+          >
+            {exporting ? 'Exporting...' : '⬇️ Export everything'}
+          </button>
+          <button
+            className="backup-button"
+            onClick={() => handleExport([...selectedIds])}
+            disabled={exporting || selectedIds.size === 0}
+          >
+            Export {selectedIds.size || ''} selected
+          </button>
+        </div>
+        {exportError && <div className="backup-error">{exportError}</div>}
+      </section>
+
+      <section className="backup-section">
+        <h4>Restore</h4>
+        <p className="backup-hint">
+          Restore a backup into your account. Everything gets new IDs, so backups from another
+          Study Genie project work too.
+        </p>
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={(e) => handleFile(e.target.files[0])}
+          className="backup-file-input"
+        />
+
+        {importError && <div className="backup-error">{importError}</div>}
+
+        {preview && !preview.valid && (
+          <div className="backup-error">
+            <p>This backup can't be restored:</p>
+            <ul>
+              {preview.errors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {preview?.valid && archiveTotals && (
+          <div className="backup-preview">
+            <p>
+              {archiveTotals.sessions} sessions, {archiveTotals.flashcards} flashcards,
+              {' '}{archiveTotals.questions} questions and {archiveTotals.struggles} topic struggles
+              {archive.exportedAt && ` · exported ${formatDate(archive.exportedAt)}`}
+            </p>
+
+            {preview.conflicts.sessions.length > 0 && (
+              <div className="backup-conflicts">
+                <p>{preview.conflicts.sessions.length} sessions already exist in your account:</p>
+                <ul>
+                  {preview.conflicts.sessions.map(conflict => (
+                    <li key={conflict.key}>
+                      {conflict.topic}
+                      {conflict.createdAt && ` (${formatDate(conflict.createdAt)})`}
+                    </li>
+                  ))}
+                </ul>
+                <label className="backup-option">
+                  <input
+                    type="radio"
+                    checked={conflictStrategy === 'skip'}
+                    onChange={() => setConflictStrategy('skip')}
+                  />
+                  Skip them
+                </label>
+                <label className="backup-option">
+                  <input
+                    type="radio"
+                    checked={conflictStrategy === 'copy'}
+                    onChange={() => setConflictStrategy('copy')}
+                  />
+                  Restore them as copies
+                </label>
+              </div>
+            )}
+
+            {archiveTotals.struggles > 0 && (
+              <label className="backup-option">
+                <input
+                  type="checkbox"
+                  checked={includeStruggles}
+                  onChange={(e) => setIncludeStruggles(e.target.checked)}
+                />
+                Restore topic struggles
+                {preview.conflicts.struggles.length > 0 &&
+                  ` (${preview.conflicts.struggles.length} existing topics will have their counts combined)`}
+              </label>
+            )}
+
+            <div className="backup-actions">
+              <button className="backup-button primary" onClick={handleImport} disabled={importing}>
+                {importing ? 'Restoring...' : 'Restore backup'}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {report && (
+          <div className="backup-report">
+            <p>
+              Restored {report.sessionsImported} sessions with {report.flashcards} flashcards
+              and {report.questions} questions.
+              {report.sessionsSkipped > 0 && ` Skipped ${report.sessionsSkipped} that already existed.`}
+              {(report.strugglesAdded > 0 || report.strugglesMerged > 0) &&
+                ` Topic struggles: ${report.strugglesAdded} added, ${report.strugglesMerged} combined.`}
+            </p>
+            {report.failures.length > 0 && (
+              <div className="backup-error">
+                <p>These sessions could not be restored:</p>
+                <ul>
+                  {report.failures.map(failure => (
+                    <li key={failure.topic}>{failure.topic}: {failure.error}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default BackupPanel;
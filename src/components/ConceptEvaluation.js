@@ -18,6 +18,7 @@ const ConceptEvaluation = ({
   const [questions, setQuestions] = useState([]);
   const [answers, setAnswers] = useState({});
   const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
   const [showResults, setShowResults] = useState(false);
   const [evaluationResults, setEvaluationResults] = useState(null);
   const [selectedAnswer, setSelectedAnswer] = useState('');
@@ -36,6 +37,7 @@ const ConceptEvaluation = ({
 
   const loadQuestionsForCurrentConcept = async () => {
     setLoading(true);
+    setLoadError(null);
     try {
       const concept = conceptsArray[currentConceptIndex];
       const conceptQuestions = await generateConceptMCQQuestions(concept);
@@ -44,6 +46,7 @@ const ConceptEvaluation = ({
       setSelectedAnswer('');
     } catch (error) {
       console.error('Error loading questions:', error);
+      setLoadError(error);
     } finally {
       setLoading(false);
     }
@@ -120,6 +123,31 @@ const ConceptEvaluation = ({
     return null;
   }
 
+  if (loadError && !loading) {
+    return (
+      <div className="evaluation-container">
+        <div className="nav-menu" onClick={onBack}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <line x1="3" y1="6" x2="21" y2="6"/>
+            <line x1="3" y1="12" x2="21" y2="12"/>
+            <line x1="3" y1="18" x2="21" y2="18"/>
+          </svg>
+        </div>
+
+        <h1 className="title">Study Genie</h1>
+
+        <div className="generation-error">
+          <p>Couldn't generate valid evaluation questions for "{currentConcept}".</p>
+          <div className="results-actions">
+            <button className="action-button" onClick={loadQuestionsForCurrentConcept}>
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (loading) {
     return (
       <div className="evaluation-container">
@@ -5,12 +5,16 @@ import { detectTopicFromContent } from '../lib/gemini';
 import { getDisplayName } from '../lib/userProfileService';
 import TopicInput from './TopicInput';
 import FileUpload from './FileUpload';
+import DeckImport from './DeckImport';
 import SessionTypeSelector from './SessionTypeSelector';
+import ReviewQueue from './ReviewQueue';
 import './Dashboard.css';
 
+const SESSION_TYPE_ICONS = { fast: '⚡', depth: '🌳', review: '🔁' };
+
 const Dashboard = ({ onStartLearning, onOpenProfile, onOpenTheGenie }) => {
   const { user, signOut } = useAuth();
-  const [inputMethod, setInputMethod] = useState('topic'); // 'topic' or 'files'
+  const [inputMethod, setInputMethod] = useState('topic'); // 'topic', 'files' or 'import'
   const [displayName, setDisplayName] = useState(''); // full_name or email
   const [sessionType, setSessionType] = useState('fast'); // 'fast' or 'depth'
   const [currentStep, setCurrentStep] = useState('dashboard'); // 'dashboard', 'input-method', 'session-type', 'ready'
@@ -88,6 +92,16 @@ const Dashboard = ({ onStartLearning, onOpenProfile, onOpenTheGenie }) => {
     }
   };
 
+  // Show an imported deck in recent sessions right away
+  const handleDeckImported = (session) => {
+    setRecentSessions(prev => [session, ...prev]);
+  };
+
+  // Start today's review of due cards from all sessions
+  const handleStartReview = () => {
+    onStartLearning && onStartLearning({ type: 'review', topic: 'Daily Review' });
+  };
+
   // Load dashboard data
   useEffect(() => {
     const loadDashboardData = async () => {
@@ -162,6 +176,10 @@ const Dashboard = ({ onStartLearning, onOpenProfile, onOpenTheGenie }) => {
             <span className="nav-icon">👤</span>
             <span className="nav-text">Profile</span>
           </div>
+          <div className="nav-item" onClick={handleStartReview}>
+            <span className="nav-icon">🔁</span>
+            <span className="nav-text">Daily Review</span>
+          </div>
           <div className="nav-item" onClick={onOpenTheGenie}>
             <span className="nav-icon">🧞‍♂️</span>
             <span className="nav-text">Ask TheGenie</span>
@@ -221,6 +239,9 @@ const Dashboard = ({ onStartLearning, onOpenProfile, onOpenTheGenie }) => {
         <div className="content-grid">
           {/* Left Column */}
           <div className="left-column">
+            {/* Spaced repetition reviews due today */}
+            <ReviewQueue onStartReview={handleStartReview} />
+
             {/* Learning Sessions Section */}
             <section className="sessions-section">
               <div className="section-header">
@@ -232,7 +253,7 @@ const Dashboard = ({ onStartLearning, onOpenProfile, onOpenTheGenie }) => {
                   recentSessions.slice(0, 4).map((session) => (
                     <div key={session.id} className="session-item">
                       <div className="session-icon">
-                        {session.session_type === 'fast' ? '⚡' : '🌳'}
+                        {SESSION_TYPE_ICONS[session.session_type] || '📘'}
                       </div>
                       <div className="session-details">
                         <h4>{session.topic}</h4>
@@ -422,6 +443,13 @@ const Dashboard = ({ onStartLearning, onOpenProfile, onOpenTheGenie }) => {
                     <span className="method-icon">📁</span>
                     <span className="method-text">Upload Files</span>
                   </button>
+                  <button
+                    className={`method-option ${inputMethod === 'import' ? 'selected' : ''}`}
+                    onClick={() => setInputMethod('import')}
+                  >
+                    <span className="method-icon">📥</span>
+                    <span className="method-text">Import Deck</span>
+                  </button>
                 </div>
 
                 <div className="selected-method-content">
@@ -431,6 +459,9 @@ const Dashboard = ({ onStartLearning, onOpenProfile, onOpenTheGenie }) => {
                   {inputMethod === 'files' && (
                     <FileUpload onFilesSubmit={handleFilesSubmit} />
                   )}
+                  {inputMethod === 'import' && (
+                    <DeckImport onImported={handleDeckImported} onStudy={handleContinueSession} />
+                  )}
                 </div>
               </div>
             </div>
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { exportDeck } from '../lib/deckService';
+import { EXPORT_FORMATS } from '../lib/deckExport';
+import { downloadBlob } from '../lib/download';
+
+/**
+ * Export options for the selected deck: Anki package or CSV/TSV, with the
+ * session's MCQs optionally added as basic or cloze cards
+ */
+const DeckExportPanel = ({ sessionId, disabled }) => {
+  const [format, setFormat] = useState('apkg');
+  const [includeQuestions, setIncludeQuestions] = useState(false);
+  const [questionFormat, setQuestionFormat] = useState('basic');
+  const [exporting, setExporting] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setMessage(null);
+    const result = await exportDeck(sessionId, { format, includeQuestions, questionFormat });
+    if (result.success) {
+      downloadBlob(result.blob, result.fileName);
+      setMessage({ type: 'success', text: `Exported ${result.noteCount} cards to ${result.fileName}` });
+    } else {
+      setMessage({ type: 'error', text: result.error });
+    }
+    setExporting(false);
+  };
+
+  return (
+    <div className="deck-export">
+      <select className="deck-select" value={format} onChange={(e) => setFormat(e.target.value)}>
+        {EXPORT_FORMATS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+      </select>
+
+      <label className="deck-export-option">
+        <input
+          type="checkbox"
+          checked={includeQuestions}
+          onChange={(e) => setIncludeQuestions(e.target.checked)}
+        />
+        Include quiz questions
+      </label>
+
+      {includeQuestions && (
+        <select className="deck-select" value={questionFormat} onChange={(e) => setQuestionFormat(e.target.value)}>
+          <option value="basic">as basic cards</option>
+          <option value="cloze">as cloze cards</option>
+        </select>
+      )}
+
+      <button className="deck-button primary" onClick={handleExport} disabled={disabled || exporting}>
+        {exporting ? 'Exporting...' : '⬇️ Export'}
+      </button>
+
+      {message && <span className={`deck-export-message ${message.type}`}>{message.text}</span>}
+    </div>
+  );
+};
+
+export default DeckExportPanel;
@@ -0,0 +1,195 @@
+import React, { useState, useRef } from 'react';
+import { previewImport, importDeck } from '../lib/deckService';
+import { IMPORT_ACCEPT } from '../lib/deckImport';
+import './FileUpload.css';
+import './DeckImport.css';
+
+const PREVIEW_LIMIT = 8;
+
+/**
+ * Import flow for decks made elsewhere: Anki packages, Quizlet exports and CSV/TSV.
+ * Shows a preview with duplicates of existing cards left out, then creates a deck.
+ */
+const DeckImport = ({ onStudy, onImported }) => {
+  const [preview, setPreview] = useState(null);
+  const [deckName, setDeckName] = useState('');
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+  const [status, setStatus] = useState('idle'); // 'idle', 'reading', 'importing', 'done'
+  const [error, setError] = useState(null);
+  const [session, setSession] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setStatus('reading');
+    setError(null);
+    setPreview(null);
+
+    const result = await previewImport(file);
+    if (result.success) {
+      setPreview(result);
+      setDeckName(result.deckName);
+      setIncludeDuplicates(false);
+    } else {
+      setError(result.error);
+    }
+    setStatus('idle');
+  };
+
+  const handleDrag = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(e.type === 'dragenter' || e.type === 'dragover');
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+    handleFile(e.dataTransfer.files?.[0]);
+  };
+
+  const cardsToImport = preview
+    ? (includeDuplicates ? [...preview.cards, ...preview.duplicates] : preview.cards)
+    : [];
+
+  const handleImport = async () => {
+    setStatus('importing');
+    setError(null);
+    const result = await importDeck(deckName, cardsToImport);
+    if (result.success) {
+      setSession(result.session);
+      setStatus('done');
+      onImported && onImported(result.session);
+    } else {
+      setError(result.error);
+      setStatus('idle');
+    }
+  };
+
+  const reset = () => {
+    setPreview(null);
+    setSession(null);
+    setStatus('idle');
+    setError(null);
+  };
+
+  if (status === 'done' && session) {
+    return (
+      <div className="file-upload-container">
+        <div className="input-method-card deck-import-done">
+          <div className="input-method-icon">✅</div>
+          <h3>Imported {cardsToImport.length} cards into "{session.topic}"</h3>
+          <p>They're due for review now and show up in your Daily Review.</p>
+          <div className="deck-import-actions">
+            <button className="files-submit-button" onClick={() => onStudy && onStudy(session.id)}>
+              Study this deck
+            </button>
+            <button className="deck-import-secondary" onClick={reset}>
+              Import another
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="file-upload-container">
+      <div className="input-method-card">
+        <div className="input-method-header">
+          <div className="input-method-icon">📥</div>
+          <h3>Import a Deck</h3>
+          <p>Bring in cards from Anki, Quizlet or a spreadsheet</p>
+        </div>
+
+        {!preview && (
+          <div
+            className={`file-drop-zone ${dragActive ? 'drag-active' : ''}`}
+            onDragEnter={handleDrag}
+            onDragLeave={handleDrag}
+            onDragOver={handleDrag}
+            onDrop={handleDrop}
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}
+          >
+            <div className="drop-zone-content">
+              <div className="upload-icon">{status === 'reading' ? '⏳' : '🗂️'}</div>
+              <p>{status === 'reading' ? 'Reading cards...' : 'Drop a deck file here, or click to browse'}</p>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept={IMPORT_ACCEPT}
+                onChange={(e) => handleFile(e.target.files[0])}
+                className="hidden-file-input"
+              />
+              <div className="supported-formats">
+                <span>Supported: Anki .apkg, Quizlet export (tab separated), CSV, TSV</span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {error && <div className="deck-import-error">{error}</div>}
+
+        {preview && (
+          <div className="deck-import-preview">
+            <label className="deck-import-label">
+              Deck name
+              <input
+                className="link-input-field"
+                value={deckName}
+                onChange={(e) => setDeckName(e.target.value)}
+              />
+            </label>
+
+            <div className="deck-import-summary">
+              <span>{preview.cards.length} new cards</span>
+              {preview.duplicates.length > 0 && (
+                <span>{preview.duplicates.length} already in your decks</span>
+              )}
+            </div>
+
+            <div className="deck-import-cards">
+              {cardsToImport.slice(0, PREVIEW_LIMIT).map((card, index) => (
+                <div key={index} className="deck-import-card">
+                  <div className="deck-import-question">{card.question}</div>
+                  <div className="deck-import-answer">{card.answer}</div>
+                </div>
+              ))}
+              {cardsToImport.length > PREVIEW_LIMIT && (
+                <div className="deck-import-more">and {cardsToImport.length - PREVIEW_LIMIT} more...</div>
+              )}
+            </div>
+
+            {preview.duplicates.length > 0 && (
+              <label className="deck-import-option">
+                <input
+                  type="checkbox"
+                  checked={includeDuplicates}
+                  onChange={(e) => setIncludeDuplicates(e.target.checked)}
+                />
+                Import duplicates too
+              </label>
+            )}
+
+            <div className="deck-import-actions">
+              <button
+                className="files-submit-button"
+                onClick={handleImport}
+                disabled={status === 'importing' || cardsToImport.length === 0 || !deckName.trim()}
+              >
+                {status === 'importing' ? 'Importing...' : `Import ${cardsToImport.length} Cards`}
+              </button>
+              <button className="deck-import-secondary" onClick={reset} disabled={status === 'importing'}>
+                Choose another file
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeckImport;
@@ -0,0 +1,348 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getDecks,
+  getDeckCards,
+  renameDeck,
+  updateFlashcard,
+  addManualFlashcard,
+  deleteFlashcard,
+  moveFlashcards,
+  mergeDecks
+} from '../lib/deckService';
+import { collectTags } from '../lib/deckUtils';
+import DeckExportPanel from './DeckExportPanel';
+import './DeckManager.css';
+
+const EMPTY_DRAFT = { question: '', answer: '', tags: '' };
+
+const toDraft = (card) => ({ question: card.question, answer: card.answer, tags: (card.tags || []).join(', ') });
+
+/**
+ * Profile deck editor: pick a deck, then edit, tag, add, delete or move its
+ * cards, rename it, merge it into another deck or export it.
+ */
+const DeckManager = () => {
+  const [decks, setDecks] = useState([]);
+  const [deckId, setDeckId] = useState(null);
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [newCard, setNewCard] = useState(EMPTY_DRAFT);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [moveTarget, setMoveTarget] = useState('');
+  const [mergeTarget, setMergeTarget] = useState('');
+  const [renaming, setRenaming] = useState(false);
+  const [deckName, setDeckName] = useState('');
+
+  const loadDecks = useCallback(async () => {
+    const result = await getDecks();
+    setDecks(result.decks);
+    setDeckId(current => (result.decks.some(deck => deck.id === current) ? current : result.decks[0]?.id || null));
+    setLoading(false);
+  }, []);
+
+  const loadCards = useCallback(async (id) => {
+    if (!id) {
+      setCards([]);
+      return;
+    }
+    const result = await getDeckCards(id);
+    setCards(result.cards);
+  }, []);
+
+  useEffect(() => {
+    loadDecks();
+  }, [loadDecks]);
+
+  useEffect(() => {
+    loadCards(deckId);
+    setSelectedIds(new Set());
+    setTagFilter(null);
+    setEditingId(null);
+    setRenaming(false);
+  }, [deckId, loadCards]);
+
+  // Run a deck change, then reload whatever it touched
+  const runChange = async (change, { reloadDecks = false } = {}) => {
+    setBusy(true);
+    setError(null);
+    const result = await change();
+    if (result.success) {
+      if (reloadDecks) await loadDecks();
+      await loadCards(deckId);
+    } else {
+      setError(result.error);
+    }
+    setBusy(false);
+    return result.success;
+  };
+
+  const handleSaveEdit = async (card) => {
+    if (await runChange(() => updateFlashcard(card, draft))) {
+      setEditingId(null);
+    }
+  };
+
+  const handleDelete = (card) => {
+    if (window.confirm('Delete this card and its review history?')) {
+      runChange(() => deleteFlashcard(card), { reloadDecks: true });
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await runChange(() => addManualFlashcard(deckId, newCard), { reloadDecks: true })) {
+      setNewCard(EMPTY_DRAFT);
+    }
+  };
+
+  const handleMove = async () => {
+    const selected = cards.filter(card => selectedIds.has(card.id));
+    if (await runChange(() => moveFlashcards(selected, moveTarget), { reloadDecks: true })) {
+      setSelectedIds(new Set());
+      setMoveTarget('');
+    }
+  };
+
+  const handleMerge = async () => {
+    const source = decks.find(deck => deck.id === deckId);
+    const target = decks.find(deck => deck.id === mergeTarget);
+    if (!window.confirm(`Move every card from "${source.topic}" into "${target.topic}" and delete "${source.topic}"?`)) {
+      return;
+    }
+    if (await runChange(() => mergeDecks(deckId, mergeTarget))) {
+      setMergeTarget('');
+      setDeckId(mergeTarget);
+      await loadDecks();
+    }
+  };
+
+  const handleRename = async () => {
+    setRenaming(false);
+    const current = decks.find(deck => deck.id === deckId);
+    if (deckName.trim() && deckName.trim() !== current?.topic) {
+      await runChange(() => renameDeck(deckId, deckName), { reloadDecks: true });
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  if (loading) {
+    return <p className="deck-empty">Loading decks...</p>;
+  }
+
+  if (decks.length === 0) {
+    return <p className="deck-empty">You don't have any decks yet. Start a learning session to create one.</p>;
+  }
+
+  const deck = decks.find(item => item.id === deckId);
+  const otherDecks = decks.filter(item => item.id !== deckId);
+  const tags = collectTags(cards);
+  const visibleCards = tagFilter ? cards.filter(card => (card.tags || []).includes(tagFilter)) : cards;
+
+  return (
+    <div className="deck-manager">
+      <div className="deck-toolbar">
+        <select className="deck-select" value={deckId || ''} onChange={(e) => setDeckId(e.target.value)}>
+          {decks.map(item => (
+            <option key={item.id} value={item.id}>
+              {item.topic} ({item.cardCount})
+            </option>
+          ))}
+        </select>
+
+        {renaming ? (
+          <input
+            className="deck-input deck-rename-input"
+            value={deckName}
+            onChange={(e) => setDeckName(e.target.value)}
+            onBlur={handleRename}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleRename();
+              else if (e.key === 'Escape') setRenaming(false);
+            }}
+            autoFocus
+          />
+        ) : (
+          <button
+            className="deck-button subtle"
+            onClick={() => { setDeckName(deck?.topic || ''); setRenaming(true); }}
+            disabled={busy}
+          >
+            ✏️ Rename
+          </button>
+        )}
+
+        {otherDecks.length > 0 && (
+          <div className="deck-merge">
+            <select className="deck-select" value={mergeTarget} onChange={(e) => setMergeTarget(e.target.value)}>
+              <option value="">Merge into...</option>
+              {otherDecks.map(item => <option key={item.id} value={item.id}>{item.topic}</option>)}
+            </select>
+            <button className="deck-button" onClick={handleMerge} disabled={busy || !mergeTarget}>
+              Merge
+            </button>
+          </div>
+        )}
+      </div>
+
+      <DeckExportPanel sessionId={deckId} disabled={busy || cards.length === 0} />
+
+      {error && <div className="deck-error">{error}</div>}
+
+      {tags.length > 0 && (
+        <div className="deck-tags">
+          <button
+            className={`deck-tag ${tagFilter === null ? 'active' : ''}`}
+            onClick={() => setTagFilter(null)}
+          >
+            All ({cards.length})
+          </button>
+          {tags.map(({ tag, count }) => (
+            <button
+              key={tag}
+              className={`deck-tag ${tagFilter === tag ? 'active' : ''}`}
+              onClick={() => setTagFilter(tag)}
+            >
+              #{tag} ({count})
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selectedIds.size > 0 && otherDecks.length > 0 && (
+        <div className="deck-move-bar">
+          <span>{selectedIds.size} selected</span>
+          <select className="deck-select" value={moveTarget} onChange={(e) => setMoveTarget(e.target.value)}>
+            <option value="">Move to...</option>
+            {otherDecks.map(item => <option key={item.id} value={item.id}>{item.topic}</option>)}
+          </select>
+          <button className="deck-button primary" onClick={handleMove} disabled={busy || !moveTarget}>
+            Move
+          </button>
+        </div>
+      )}
+
+      <div className="deck-card-list">
+        {visibleCards.length === 0 && <p className="deck-empty">No cards in this deck yet.</p>}
+
+        {visibleCards.map(card => (
+          <div key={card.id} className="deck-card">
+            {editingId === card.id ? (
+              <div className="deck-card-form">
+                <textarea
+                  className="deck-input"
+                  value={draft.question}
+                  onChange={(e) => setDraft({ ...draft, question: e.target.value })}
+                  placeholder="Question"
+                  rows={2}
+                />
+                <textarea
+                  className="deck-input"
+                  value={draft.answer}
+                  onChange={(e) => setDraft({ ...draft, answer: e.target.value })}
+                  placeholder="Answer"
+                  rows={3}
+                />
+                <input
+                  className="deck-input"
+                  value={draft.tags}
+                  onChange={(e) => setDraft({ ...draft, tags: e.target.value })}
+                  placeholder="Tags, separated by commas"
+                />
+                <div className="deck-card-actions">
+                  <button className="deck-button primary" onClick={() => handleSaveEdit(card)} disabled={busy}>
+                    Save
+                  </button>
+                  <button className="deck-button subtle" onClick={() => setEditingId(null)} disabled={busy}>
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <>
+                <div className="deck-card-header">
+                  <label className="deck-card-select">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.has(card.id)}
+                      onChange={() => toggleSelected(card.id)}
+                    />
+                    #{card.flashcard_index + 1}
+                    {card.is_manual && <span className="deck-badge">manual</span>}
+                    {card.edited_at && !card.is_manual && <span className="deck-badge">edited</span>}
+                  </label>
+                  <div className="deck-card-actions">
+                    <button
+                      className="deck-button subtle"
+                      onClick={() => { setEditingId(card.id); setDraft(toDraft(card)); }}
+                      disabled={busy}
+                    >
+                      ✏️ Edit
+                    </button>
+                    <button className="deck-button subtle" onClick={() => handleDelete(card)} disabled={busy}>
+                      🗑️ Delete
+                    </button>
+                  </div>
+                </div>
+                <div className="deck-question">{card.question}</div>
+                <div className="deck-answer">{card.answer}</div>
+                {card.tags?.length > 0 && (
+                  <div className="deck-card-tags">
+                    {card.tags.map(tag => <span key={tag} className="deck-card-tag">#{tag}</span>)}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <form className="deck-card deck-card-form deck-add-form" onSubmit={handleAdd}>
+        <h4>Add a card</h4>
+        <textarea
+          className="deck-input"
+          value={newCard.question}
+          onChange={(e) => setNewCard({ ...newCard, question: e.target.value })}
+          placeholder="Question"
+          rows={2}
+        />
+        <textarea
+          className="deck-input"
+          value={newCard.answer}
+          onChange={(e) => setNewCard({ ...newCard, answer: e.target.value })}
+          placeholder="Answer"
+          rows={3}
+        />
+        <input
+          className="deck-input"
+          value={newCard.tags}
+          onChange={(e) => setNewCard({ ...newCard, tags: e.target.value })}
+          placeholder="Tags, separated by commas"
+        />
+        <div className="deck-card-actions">
+          <button
+            type="submit"
+            className="deck-button primary"
+            disabled={busy || !newCard.question.trim() || !newCard.answer.trim()}
+          >
+            + Add card
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default DeckManager;
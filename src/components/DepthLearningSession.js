@@ -174,6 +174,7 @@ const DepthLearningSession = ({ topic: initialTopic = '', resumeData = null, onB
     return (
       <LearningComponent
         topicsToLearn={topicsToLearn}
+        sessionId={sessionId}
         onComplete={handleLearningComplete}
         onBack={onBack}
       />
@@ -0,0 +1,112 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { downloadDocumentMarkdown } from '../lib/fileProcessor';
+import { locateCitation } from '../lib/documentPages';
+import MagicLoader from './MagicLoader';
+import './DocumentViewer.css';
+
+const DocumentViewer = ({ citation, onClose }) => {
+  const [pages, setPages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const highlightRef = useRef(null);
+  const pageRefs = useRef({});
+
+  useEffect(() => {
+    let active = true;
+
+    const loadDocument = async () => {
+      setLoading(true);
+      setError(null);
+      const result = await downloadDocumentMarkdown(citation.storagePath);
+      if (!active) return;
+
+      if (result.success) {
+        setPages(result.pages);
+      } else {
+        setError(result.error || 'Could not open this document');
+      }
+      setLoading(false);
+    };
+
+    loadDocument();
+    return () => {
+      active = false;
+    };
+  }, [citation.storagePath]);
+
+  // Work out where the cited passage is: the cited page first, then anywhere
+  const highlight = locateCitation(pages, citation);
+
+  const targetPage = highlight?.page ?? citation.page;
+
+  // Scroll to the passage (or the cited page) once the document has loaded
+  useEffect(() => {
+    if (loading) return;
+    const target = highlightRef.current || pageRefs.current[targetPage];
+    target?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [loading, targetPage]);
+
+  const renderPageText = (page) => {
+    if (highlight?.page !== page.page) {
+      return page.text;
+    }
+    return (
+      <>
+        {page.text.slice(0, highlight.start)}
+        <mark ref={highlightRef} className="cited-passage">
+          {page.text.slice(highlight.start, highlight.end)}
+        </mark>
+        {page.text.slice(highlight.end)}
+      </>
+    );
+  };
+
+  return (
+    <div className="document-viewer-overlay" onClick={onClose}>
+      <div className="document-viewer" onClick={(e) => e.stopPropagation()}>
+        <div className="document-viewer-header">
+          <div>
+            <h3>📄 {citation.fileName}</h3>
+            {citation.page && <span className="document-viewer-page">Page {citation.page}</span>}
+          </div>
+          <button className="close-button" onClick={onClose} aria-label="Close document">×</button>
+        </div>
+
+        <div className="document-viewer-body">
+          {loading && (
+            <div className="document-viewer-status">
+              <MagicLoader size={24} particleCount={1} speed={1.5} hueRange={[200, 280]} />
+              Opening document...
+            </div>
+          )}
+
+          {!loading && error && (
+            <div className="document-viewer-status error">
+              ❌ {error}
+            </div>
+          )}
+
+          {!loading && !error && pages.map(page => (
+            <section
+              key={page.page}
+              ref={(element) => { pageRefs.current[page.page] = element; }}
+              className={`document-page ${page.page === targetPage ? 'cited' : ''}`}
+            >
+              {page.page > 0 && <div className="document-page-label">Page {page.page}</div>}
+              <div className="document-page-text">{renderPageText(page)}</div>
+            </section>
+          ))}
+
+          {!loading && !error && !highlight && citation.snippet && (
+            <div className="document-viewer-status">
+              The quoted passage couldn't be located exactly. Cited text:
+              <blockquote>{citation.snippet}</blockquote>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentViewer;
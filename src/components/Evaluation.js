@@ -9,6 +9,7 @@ const Evaluation = ({ selectedPrerequisites, onEvaluationComplete, onBack }) =>
   const [questions, setQuestions] = useState([]);
   const [answers, setAnswers] = useState({});
   const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
   const [showResults, setShowResults] = useState(false);
   const [evaluationResults, setEvaluationResults] = useState(null);
   const [selectedAnswer, setSelectedAnswer] = useState('');
@@ -27,6 +28,7 @@ const Evaluation = ({ selectedPrerequisites, onEvaluationComplete, onBack }) =>
 
   const loadQuestionsForCurrentTopic = async () => {
     setLoading(true);
+    setLoadError(null);
     try {
       const topic = prerequisitesArray[currentTopicIndex];
       const topicQuestions = await generateMCQQuestions(topic);
@@ -35,6 +37,7 @@ const Evaluation = ({ selectedPrerequisites, onEvaluationComplete, onBack }) =>
       setSelectedAnswer('');
     } catch (error) {
       console.error('Error loading questions:', error);
+      setLoadError(error);
     } finally {
       setLoading(false);
     }
@@ -168,6 +171,31 @@ const Evaluation = ({ selectedPrerequisites, onEvaluationComplete, onBack }) =>
     return null;
   }
 
+  if (loadError && !loading) {
+    return (
+      <div className="evaluation-container">
+        <div className="nav-menu" onClick={onBack}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <line x1="3" y1="6" x2="21" y2="6"/>
+            <line x1="3" y1="12" x2="21" y2="12"/>
+            <line x1="3" y1="18" x2="21" y2="18"/>
+          </svg>
+        </div>
+
+        <h1 className="title">Study Genie</h1>
+
+        <div className="generation-error">
+          <p>Couldn't generate valid evaluation questions for "{currentTopic}".</p>
+          <div className="results-actions">
+            <button className="action-button" onClick={loadQuestionsForCurrentTopic}>
+              Try Again
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (loading) {
     return (
       <div className="evaluation-container">
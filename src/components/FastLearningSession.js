@@ -1,14 +1,16 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { generateFlashcards } from '../lib/gemini';
+import { generateFlashcards, generateMCQQuestions } from '../lib/gemini';
 import {
   createSession,
   updateSessionProgress,
   markFlashcardStudied,
+  reviewFlashcard,
   recordQuestionAnswer
 } from '../lib/sessionService';
 import { recordMultipleTopicStruggles } from '../lib/topicStruggleService';
 import SessionDebugInfo from './SessionDebugInfo';
 import EvaluationReport from './EvaluationReport';
+import GradeButtons from './GradeButtons';
 import MagicLoader from './MagicLoader';
 import './FastLearningSession.css';
 
@@ -19,7 +21,10 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
   const [currentCardIndex, setCurrentCardIndex] = useState(resumeData?.currentCardIndex || 0);
   const [isFlipped, setIsFlipped] = useState(false);
   const [studiedCards, setStudiedCards] = useState(resumeData?.studiedCards || new Set());
+  const [cardStates, setCardStates] = useState(resumeData?.cardStates || []); // spaced repetition state per card
+  const [grading, setGrading] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [generationError, setGenerationError] = useState(null);
 
   // Session management
   const [sessionId, setSessionId] = useState(resumeData?.sessionId || null);
@@ -37,41 +42,23 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
 
   // Generate 10 flashcards for fast learning
   const generateFastFlashcards = async (topicName) => {
-    try {
-      // Use the existing generateFlashcards function and limit to 10
-      const cards = await generateFlashcards(topicName);
-      return cards.slice(0, 10); // Ensure exactly 10 cards
-
-
-    } catch (error) {
-      console.error('Error generating fast flashcards:', error);
-      // Fallback flashcards
-      return Array.from({ length: 10 }, (_, index) => ({
-        question: `Key Concept ${index + 1} of ${topicName}`,
-        answer: `This is an important concept related to ${topicName} that you should understand.`
-      }));
-    }
+    // Use the existing generateFlashcards function and limit to 10
+    const cards = await generateFlashcards(topicName);
+    return cards.slice(0, 10); // Ensure exactly 10 cards
   };
 
   // Generate 15 MCQ questions for evaluation
   const generateFastMCQQuestions = async (topicName) => {
-    try {
-      // Generate multiple batches to get 15 questions
-      const batch1 = await import('../lib/gemini').then(module => module.generateMCQQuestions(topicName));
-      const batch2 = await import('../lib/gemini').then(module => module.generateMCQQuestions(topicName));
-      const batch3 = await import('../lib/gemini').then(module => module.generateMCQQuestions(topicName));
-
-      const allQuestions = [...batch1, ...batch2, ...batch3];
-      return allQuestions.slice(0, 15); // Take exactly 15 questions
-    } catch (error) {
-      console.error('Error generating fast MCQ questions:', error);
-      // Fallback questions
-      return Array.from({ length: 15 }, (_, index) => ({
-        question: `Question ${index + 1} about ${topicName}?`,
-        options: ["Option A", "Option B", "Option C", "Option D"],
-        correctAnswer: ["Option A", "Option B", "Option C", "Option D"][index % 4]
-      }));
-    }
+    // Generate multiple batches to get 15 questions
+    // (the request limiter in llmProvider keeps these within the rate limit)
+    const batches = await Promise.all([
+      generateMCQQuestions(topicName),
+      generateMCQQuestions(topicName),
+      generateMCQQuestions(topicName)
+    ]);
+
+    const allQuestions = batches.flat();
+    return allQuestions.slice(0, 15); // Take exactly 15 questions
   };
 
   // Create session and load flashcards when component mounts
@@ -79,6 +66,7 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
     if (!topic.trim() || sessionCreated) return;
 
     setLoading(true);
+    setGenerationError(null);
     try {
       // Generate flashcards and questions
       const cards = await generateFastFlashcards(topic);
@@ -104,6 +92,8 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
       }
     } catch (error) {
       console.error('Error initializing session:', error);
+      // Don't start a session with missing or invalid generated content
+      setGenerationError(error);
     } finally {
       setLoading(false);
     }
@@ -154,6 +144,23 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
     }
   };
 
+  // Grade the flipped card and move on to the next one
+  const handleGradeCard = async (grade) => {
+    if (sessionId) {
+      setGrading(true);
+      const result = await reviewFlashcard(sessionId, currentCardIndex, grade);
+      if (result.success) {
+        setCardStates(prev => {
+          const next = [...prev];
+          next[currentCardIndex] = result.schedule;
+          return next;
+        });
+      }
+      setGrading(false);
+    }
+    handleNextCard();
+  };
+
   const handleNextCard = () => {
     if (currentCardIndex < flashcards.length - 1) {
       setCurrentCardIndex(currentCardIndex + 1);
@@ -311,6 +318,34 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
     );
   }
 
+  // Render generation error state
+  if (generationError) {
+    return (
+      <div className="fast-learning-container">
+        <div className="nav-menu" onClick={onBack}>
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <line x1="3" y1="6" x2="21" y2="6"/>
+            <line x1="3" y1="12" x2="21" y2="12"/>
+            <line x1="3" y1="18" x2="21" y2="18"/>
+          </svg>
+        </div>
+
+        <div className="generation-error">
+          <div className="generation-error-icon">⚠️</div>
+          <h2>We couldn't prepare your session</h2>
+          <p>
+            {generationError.name === 'StructuredOutputError'
+              ? `The AI returned flashcards or questions for "${topic}" that failed validation.`
+              : `The AI service could not generate content for "${topic}".`}
+          </p>
+          <button className="restart-button" onClick={initializeSession}>
+            Try Again
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   // Render evaluation report phase
   if (currentPhase === 'report') {
     // Convert answers object to array format for the report
@@ -508,6 +543,14 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
               </div>
             </div>
 
+            {isFlipped && (
+              <GradeButtons
+                cardState={cardStates[currentCardIndex]}
+                onGrade={handleGradeCard}
+                disabled={grading}
+              />
+            )}
+
             <div className="card-navigation">
               <button
                 onClick={handlePrevCard}
@@ -541,16 +584,24 @@ const FastLearningSession = ({ topic: initialTopic = '', resumeData = null, onBa
               </button>
             </div>
 
-            {allCardsStudied && (
+            {allCardsStudied && questions.length > 0 && (
               <div className="completion-actions">
                 <button
                   onClick={handleStartEvaluation}
                   className="start-evaluation-button"
                 >
-                  Start Evaluation (15 Questions)
+                  Start Evaluation ({questions.length} Questions)
                 </button>
               </div>
             )}
+
+            {allCardsStudied && questions.length === 0 && (
+              <div className="completion-actions">
+                <p className="deck-studied-note">
+                  All cards studied! They'll come back in your Daily Review when they're due.
+                </p>
+              </div>
+            )}
           </div>
 
           {/* Genie Explain Button */}
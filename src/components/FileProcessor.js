@@ -1,15 +1,29 @@
 import React from 'react';
 import { useFileProcessor, formatFileSize, getFileTypeDisplay } from '../hooks/useFileProcessor';
+import { getPdfInfo } from '../lib/fileProcessor';
+import { selectionToPages } from '../lib/pageRanges';
+import PageRangePicker from './PageRangePicker';
+import OCRReviewEditor from './OCRReviewEditor';
 import './FileProcessor.css';
 
-const FileProcessor = ({ files, onComplete, onError }) => {
+const isPdf = (file) => file.type === 'application/pdf';
+const needsOCRReview = (result) => (
+  result.success && !result.ocrReviewed && (result.ocrPages || []).some(page => page.lowConfidenceWords > 0)
+);
+
+const FileProcessor = ({ files, ocrLanguages, onComplete, onError }) => {
   const {
     processing,
     progress,
     currentFile,
+    pageProgress,
     results,
     errors,
     processFiles,
+    cancel,
+    getSavedPageCount,
+    saveOCRReview,
+    skipOCRReview,
     clearResults,
     hasResults,
     hasErrors,
@@ -17,21 +31,54 @@ const FileProcessor = ({ files, onComplete, onError }) => {
     errorCount
   } = useFileProcessor();
 
-  // Auto-process files when they change
+  // Page counts, chapters and resumable progress for each PDF, by index in files
+  const [pdfInfo, setPdfInfo] = React.useState({});
+  const [pageSelections, setPageSelections] = React.useState({});
+
+  // Auto-process files when they change; PDFs wait so a page range can be chosen first
   React.useEffect(() => {
-    if (files && files.length > 0 && !processing) {
+    if (files && files.length > 0 && !processing && !files.some(isPdf)) {
       handleProcessFiles();
     }
   }, [files]);
 
+  // Read each PDF's page count and outline for the page range picker
+  React.useEffect(() => {
+    let cancelled = false;
+    setPdfInfo({});
+    setPageSelections({});
+
+    (files || []).forEach((file, index) => {
+      if (!isPdf(file)) return;
+      Promise.all([getPdfInfo(file), getSavedPageCount(file)])
+        .then(([info, savedPages]) => {
+          if (cancelled) return;
+          setPdfInfo(prev => ({ ...prev, [index]: { ...info, savedPages } }));
+          setPageSelections(prev => ({
+            ...prev,
+            [index]: { mode: 'all', ranges: '', fromChapter: 0, toChapter: Math.max(info.chapters.length - 1, 0) }
+          }));
+        })
+        .catch(error => {
+          console.error(`Could not read ${file.name}:`, error);
+          if (!cancelled) setPdfInfo(prev => ({ ...prev, [index]: { error: error.message } }));
+        });
+    });
+
+    return () => { cancelled = true; };
+  }, [files, getSavedPageCount]);
+
   // Debug progress changes
   React.useEffect(() => {
     console.log(`FileProcessor: Progress updated to ${progress}%, Processing: ${processing}, Current file: ${currentFile}`);
   }, [progress, processing, currentFile]);
 
-  // Notify parent component when processing completes
+  // Results with uncertain OCR text are checked before the parent gets them
+  const reviewResult = processing ? null : results.find(needsOCRReview);
+
+  // Notify parent component when processing (and any OCR review) completes
   React.useEffect(() => {
-    if (!processing && (hasResults || hasErrors) && results.length > 0) {
+    if (!processing && !reviewResult && (hasResults || hasErrors) && results.length > 0) {
       // Check if we have multiple files
       if (results.length > 1) {
         // Combine markdown content from all successful results
@@ -61,14 +108,37 @@ const FileProcessor = ({ files, onComplete, onError }) => {
         onError(errors);
       }
     }
-  }, [processing, hasResults, hasErrors, results, errors, successCount, errorCount, onComplete, onError]);
+  }, [processing, reviewResult, hasResults, hasErrors, results, errors, successCount, errorCount, onComplete, onError]);
+
+  // Pages chosen for each PDF; files without a selection are processed in full
+  const resolvedSelections = (files || []).map((file, index) => (
+    pdfInfo[index]?.numPages && pageSelections[index]
+      ? selectionToPages(pageSelections[index], pdfInfo[index])
+      : null
+  ));
+  const pdfsReady = (files || []).every((file, index) => !isPdf(file) || pdfInfo[index]);
+  const hasSelectionError = resolvedSelections.some(selection => selection?.error);
 
   const handleProcessFiles = async () => {
     if (!files || files.length === 0) return;
     
     console.log(`Starting to process ${files.length} files`);
     clearResults();
-    await processFiles(files);
+    const selections = new Map();
+    files.forEach((file, index) => {
+      if (resolvedSelections[index] && pageSelections[index].mode !== 'all') {
+        selections.set(file, resolvedSelections[index].pages);
+      }
+    });
+    await processFiles(files, { pageSelections: selections, ocrLanguages });
+
+    // A cancelled or failed run leaves pages to resume from
+    files.forEach((file, index) => {
+      if (!isPdf(file)) return;
+      getSavedPageCount(file).then(savedPages => {
+        setPdfInfo(prev => (prev[index] ? { ...prev, [index]: { ...prev[index], savedPages } } : prev));
+      });
+    });
   };
 
   if (!files || files.length === 0) {
@@ -88,6 +158,9 @@ const FileProcessor = ({ files, onComplete, onError }) => {
             <div className="current-file">
               <span className="file-icon">📄</span>
               <span className="file-name">{currentFile}</span>
+              {pageProgress && (
+                <span className="page-progress">Page {pageProgress.page} ({pageProgress.completed} of {pageProgress.total})</span>
+              )}
             </div>
           )}
           
@@ -105,10 +178,24 @@ const FileProcessor = ({ files, onComplete, onError }) => {
             <p>Extracting text using PDF.js and Tesseract OCR...</p>
             <p>This may take a few minutes for large files.</p>
           </div>
+
+          <button onClick={cancel} className="cancel-processing-btn">
+            Cancel
+          </button>
         </div>
       )}
 
-      {!processing && (hasResults || hasErrors) && (
+      {reviewResult && (
+        <OCRReviewEditor
+          key={reviewResult.fileIndex}
+          file={files[reviewResult.fileIndex]}
+          result={reviewResult}
+          onSave={(corrections) => saveOCRReview(reviewResult, corrections)}
+          onSkip={() => skipOCRReview(reviewResult)}
+        />
+      )}
+
+      {!processing && !reviewResult && (hasResults || hasErrors) && (
         <div className="processing-results">
           <div className="results-header">
             <h4>Processing Complete</h4>
@@ -131,7 +218,11 @@ const FileProcessor = ({ files, onComplete, onError }) => {
                     <div className="result-header">
                       <span className="result-icon">✅</span>
                       <span className="result-filename">{result.fileName}</span>
-                      <span className="result-method">{result.processingMethod}</span>
+                      <span className="result-method">
+                        {result.processingMethod}
+                        {result.ocrLanguages && ` (${result.ocrLanguages})`}
+                        {Number.isFinite(result.ocrConfidence) && ` • ${result.ocrConfidence}% OCR confidence`}
+                      </span>
                     </div>
                     
                     <div className="result-details">
@@ -192,13 +283,27 @@ const FileProcessor = ({ files, onComplete, onError }) => {
             {files.map((file, index) => (
               <div key={index} className="file-item">
                 <span className="file-icon">
-                  {file.type === 'application/pdf' ? '📄' : '🖼️'}
+                  {file.type.startsWith('image/') ? '🖼️' : '📄'}
                 </span>
                 <div className="file-info">
                   <span className="file-name">{file.name}</span>
                   <span className="file-details">
-                    {getFileTypeDisplay(file.type)} • {formatFileSize(file.size)}
+                    {getFileTypeDisplay(file.type, file.name)} • {formatFileSize(file.size)}
                   </span>
+                  {isPdf(file) && !pdfInfo[index] && (
+                    <span className="file-details">Reading pages...</span>
+                  )}
+                  {pdfInfo[index]?.error && (
+                    <span className="file-details">Couldn't read the page count; all pages will be processed</span>
+                  )}
+                  {pdfInfo[index]?.numPages && pageSelections[index] && (
+                    <PageRangePicker
+                      info={pdfInfo[index]}
+                      selection={pageSelections[index]}
+                      savedPages={pdfInfo[index].savedPages}
+                      onChange={(selection) => setPageSelections(prev => ({ ...prev, [index]: selection }))}
+                    />
+                  )}
                 </div>
               </div>
             ))}
@@ -207,7 +312,7 @@ const FileProcessor = ({ files, onComplete, onError }) => {
           <button 
             onClick={handleProcessFiles}
             className="process-btn"
-            disabled={processing}
+            disabled={processing || !pdfsReady || hasSelectionError}
           >
             Start Processing
           </button>
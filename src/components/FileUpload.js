@@ -1,27 +1,33 @@
 import React, { useState, useRef } from 'react';
 import FileProcessor from './FileProcessor';
+import { SUPPORTED_LANGUAGES, LANGUAGE_NAMES } from '../lib/tesseractConfig';
+import { useAuth } from '../context/AuthContext';
+import { getDocumentType } from '../lib/documentParsers';
+import { processLink } from '../lib/fileProcessor';
+import { normalizeLinkUrl } from '../lib/linkUtils';
 import './FileUpload.css';
 
 const FileUpload = ({ onFilesSubmit, disabled = false }) => {
+  const { user } = useAuth();
   const [uploadedFiles, setUploadedFiles] = useState([]);
-  const [attachedLinks, setAttachedLinks] = useState([]);
+  const [attachedLinks, setAttachedLinks] = useState([]); // { url, status: 'fetching' | 'ready' | 'error', result, error }
   const [linkInput, setLinkInput] = useState('');
+  const [linkError, setLinkError] = useState(null);
   const [filesToProcess, setFilesToProcess] = useState([]);
   const [showFileProcessor, setShowFileProcessor] = useState(false);
   const [dragActive, setDragActive] = useState(false);
+  const [ocrLanguage, setOcrLanguage] = useState(''); // '' detects the language from each scan
   const fileInputRef = useRef(null);
 
   // Handle file uploads
   const handleFileUpload = (files) => {
     console.log('Files uploaded:', files);
 
-    // Separate files that need processing (PDFs and images) from regular files
-    const processableFiles = files.filter(file =>
-      file.type === 'application/pdf' || file.type.startsWith('image/')
-    );
-    const regularFiles = files.filter(file =>
-      file.type !== 'application/pdf' && !file.type.startsWith('image/')
-    );
+    // Separate files that need processing (PDFs, images, documents, text and code) from regular files
+    const needsProcessing = (file) =>
+      file.type === 'application/pdf' || file.type.startsWith('image/') || Boolean(getDocumentType(file));
+    const processableFiles = files.filter(needsProcessing);
+    const regularFiles = files.filter(file => !needsProcessing(file));
 
     // Add regular files to uploaded files immediately
     if (regularFiles.length > 0) {
@@ -71,13 +77,32 @@ const FileUpload = ({ onFilesSubmit, disabled = false }) => {
     }
   };
 
-  // Handle link submission
-  const handleLinkSubmit = () => {
-    if (linkInput.trim()) {
-      console.log('Link added:', linkInput);
-      setAttachedLinks(prev => [...prev, linkInput.trim()]);
-      setLinkInput('');
+  // Handle link submission: fetch the page and store it like an uploaded document
+  const handleLinkSubmit = async () => {
+    if (!linkInput.trim()) return;
+
+    const url = normalizeLinkUrl(linkInput);
+    if (!url) {
+      setLinkError('Enter a web address such as https://example.com/article');
+      return;
+    }
+    if (attachedLinks.some(link => link.url === url)) {
+      setLinkError('This link is already attached');
+      return;
     }
+
+    console.log('Link added:', url);
+    setLinkError(null);
+    setLinkInput('');
+    setAttachedLinks(prev => [...prev, { url, status: 'fetching' }]);
+
+    const result = await processLink(url, user?.id);
+    setAttachedLinks(prev => prev.map(link => {
+      if (link.url !== url) return link;
+      return result.success
+        ? { url, status: 'ready', result }
+        : { url, status: 'error', error: result.error };
+    }));
   };
 
   // Handle file processing completion
@@ -126,15 +151,21 @@ const FileUpload = ({ onFilesSubmit, disabled = false }) => {
 
   // Handle main submission
   const handleSubmit = async () => {
-    const hasContent = uploadedFiles.length > 0 || attachedLinks.length > 0;
+    const readyLinks = attachedLinks.filter(link => link.status === 'ready');
+    const hasContent = uploadedFiles.length > 0 || readyLinks.length > 0;
     
     if (hasContent && onFilesSubmit) {
+      // Linked pages join the uploaded files' markdown for topic detection and generation
+      const markdownContent = [window.processedMarkdown, ...readyLinks.map(link => link.result.markdownContent)]
+        .filter(Boolean)
+        .join('\n\n---\n\n');
+
       // Prepare the submission data
       const submissionData = {
         files: uploadedFiles,
-        links: attachedLinks,
-        markdownContent: window.processedMarkdown || null,
-        hasProcessedContent: !!window.processedMarkdown
+        links: readyLinks.map(link => link.url),
+        markdownContent: markdownContent || null,
+        hasProcessedContent: !!markdownContent
       };
       
       // Call the parent handler
@@ -153,6 +184,8 @@ const FileUpload = ({ onFilesSubmit, disabled = false }) => {
   };
 
   const hasContent = uploadedFiles.length > 0 || attachedLinks.length > 0;
+  const fetchingLinks = attachedLinks.some(link => link.status === 'fetching');
+  const canSubmit = uploadedFiles.length > 0 || attachedLinks.some(link => link.status === 'ready');
 
   return (
     <div className="file-upload-container">
@@ -184,11 +217,28 @@ const FileUpload = ({ onFilesSubmit, disabled = false }) => {
               disabled={disabled}
             />
             <div className="supported-formats">
-              <span>Supported: PDF, Images, Documents</span>
+              <span>Supported: PDF, Images, Word, PowerPoint, EPUB, Text, Markdown, HTML, Code</span>
             </div>
           </div>
         </div>
 
+        {/* OCR Language Override */}
+        <div className="ocr-language-section">
+          <label htmlFor="ocr-language">Language of scanned pages and images:</label>
+          <select
+            id="ocr-language"
+            value={ocrLanguage}
+            onChange={(e) => setOcrLanguage(e.target.value)}
+            className="ocr-language-select"
+            disabled={disabled}
+          >
+            <option value="">Detect automatically</option>
+            {SUPPORTED_LANGUAGES.map(language => (
+              <option key={language} value={language}>{LANGUAGE_NAMES[language]}</option>
+            ))}
+          </select>
+        </div>
+
         {/* Link Input */}
         <div className="link-input-section">
           <div className="link-input-group">
@@ -196,7 +246,10 @@ const FileUpload = ({ onFilesSubmit, disabled = false }) => {
               type="url"
               placeholder="Or paste a link here..."
               value={linkInput}
-              onChange={(e) => setLinkInput(e.target.value)}
+              onChange={(e) => {
+                setLinkInput(e.target.value);
+                setLinkError(null);
+              }}
               onKeyDown={(e) => e.key === 'Enter' && handleLinkSubmit()}
               className="link-input-field"
               disabled={disabled}
@@ -209,6 +262,7 @@ const FileUpload = ({ onFilesSubmit, disabled = false }) => {
               Add Link
             </button>
           </div>
+          {linkError && <div className="link-error">{linkError}</div>}
         </div>
 
         {/* Attached Files Display */}
@@ -237,9 +291,14 @@ const FileUpload = ({ onFilesSubmit, disabled = false }) => {
                 </div>
               ))}
               {attachedLinks.map((link, index) => (
-                <div key={`link-${index}`} className="attachment-item">
+                <div key={`link-${index}`} className={`attachment-item ${link.status === 'error' ? 'error' : ''}`}>
                   <span className="attachment-icon">🔗</span>
-                  <span className="attachment-name">{link}</span>
+                  <span className="attachment-name">
+                    {link.result?.fileName || link.url}
+                    {link.status === 'fetching' && <span className="processing-badge">Fetching...</span>}
+                    {link.status === 'ready' && <span className="processing-badge">{link.result.processingMethod}</span>}
+                    {link.status === 'error' && <span className="attachment-error">{link.error}</span>}
+                  </span>
                   <button
                     onClick={() => removeLink(index)}
                     className="remove-attachment"
@@ -254,9 +313,9 @@ const FileUpload = ({ onFilesSubmit, disabled = false }) => {
             <button
               onClick={handleSubmit}
               className="files-submit-button"
-              disabled={!hasContent || disabled}
+              disabled={!canSubmit || fetchingLinks || disabled}
             >
-              Start Learning from Files
+              {fetchingLinks ? 'Fetching links...' : 'Start Learning from Files'}
             </button>
           </div>
         )}
@@ -265,6 +324,7 @@ const FileUpload = ({ onFilesSubmit, disabled = false }) => {
         {showFileProcessor && filesToProcess.length > 0 && (
           <FileProcessor
             files={filesToProcess}
+            ocrLanguages={ocrLanguage || undefined}
             onComplete={handleFileProcessingComplete}
             onError={handleFileProcessingError}
           />
@@ -0,0 +1,46 @@
+import React from 'react';
+import { useDegradedGeneration } from '../hooks/useDegradedGeneration';
+import './GenerationNotice.css';
+
+// Human readable names for generator tasks
+const TASK_LABELS = {
+  prerequisites: 'prerequisites',
+  evaluationReport: 'evaluation report',
+  subtopics: 'subtopics',
+  subtopicContent: 'lesson content',
+  rephrase: 'simplified explanation',
+  answer: 'answer',
+  conversation: 'reply',
+  topicDetection: 'topic detection',
+  coreConcepts: 'core concepts',
+  conceptEvaluationReport: 'evaluation report',
+  conceptSubtopics: 'subtopics',
+  conceptSubtopicContent: 'lesson content',
+  advancedConcepts: 'advanced concepts',
+  sessionReport: 'session report'
+};
+
+const GenerationNotice = () => {
+  const { degraded, dismiss } = useDegradedGeneration();
+
+  if (!degraded) {
+    return null;
+  }
+
+  const label = TASK_LABELS[degraded.task] || 'content';
+
+  return (
+    <div className="generation-notice" role="status">
+      <span className="generation-notice-icon">⚠️</span>
+      <div className="generation-notice-text">
+        <strong>AI service is busy</strong>
+        <p>The {label} shown is placeholder content and won't be saved. Try again in a moment.</p>
+      </div>
+      <button className="generation-notice-close" onClick={dismiss} aria-label="Dismiss">
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default GenerationNotice;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { GRADES, previewIntervals } from '../lib/spacedRepetition';
+import './GradeButtons.css';
+
+/**
+ * "Again / Hard / Good / Easy" grading shown after a flashcard is flipped.
+ * Each button shows when the card would come back with that grade.
+ */
+const GradeButtons = ({ cardState, onGrade, disabled = false }) => {
+  const intervals = previewIntervals(cardState || {});
+
+  return (
+    <div className="grade-buttons" onClick={(e) => e.stopPropagation()}>
+      <span className="grade-prompt">How well did you know it?</span>
+      <div className="grade-options">
+        {GRADES.map(grade => (
+          <button
+            key={grade.id}
+            className={`grade-button ${grade.id}`}
+            onClick={() => onGrade(grade.id)}
+            disabled={disabled}
+          >
+            <span className="grade-label">{grade.label}</span>
+            <span className="grade-interval">{intervals[grade.id]}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GradeButtons;
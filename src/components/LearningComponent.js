@@ -1,29 +1,38 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { generateFlashcards } from '../lib/gemini';
+import { reviewGeneratedFlashcard } from '../lib/sessionService';
 import MagicLoader from './MagicLoader';
+import GradeButtons from './GradeButtons';
 import './LearningComponent.css';
 
-const LearningComponent = ({ topicsToLearn, onComplete, onBack }) => {
+const LearningComponent = ({ topicsToLearn, sessionId = null, onComplete, onBack }) => {
   const [currentTopicIndex, setCurrentTopicIndex] = useState(0);
   const [flashcards, setFlashcards] = useState([]);
   const [currentCardIndex, setCurrentCardIndex] = useState(0);
   const [isFlipped, setIsFlipped] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
   const [studiedCards, setStudiedCards] = useState(new Set());
+  const [cardStates, setCardStates] = useState({}); // spaced repetition state by card index
+  const [grading, setGrading] = useState(false);
 
   const currentTopic = topicsToLearn[currentTopicIndex];
 
-  const loadFlashcards = useCallback(async () => {
+  const loadFlashcards = useCallback(async ({ regenerate = false } = {}) => {
     setLoading(true);
+    setLoadError(null);
     setIsFlipped(false);
     setCurrentCardIndex(0);
     setStudiedCards(new Set());
+    setCardStates({});
     
     try {
-      const generatedFlashcards = await generateFlashcards(currentTopic);
+      const generatedFlashcards = await generateFlashcards(currentTopic, { regenerate });
       setFlashcards(generatedFlashcards);
     } catch (error) {
       console.error('Error generating flashcards:', error);
+      setFlashcards([]);
+      setLoadError(error);
     } finally {
       setLoading(false);
     }
@@ -42,6 +51,19 @@ const LearningComponent = ({ topicsToLearn, onComplete, onBack }) => {
     }
   };
 
+  // Grade the flipped card; with a session it is saved so it comes back for review
+  const handleGradeCard = async (grade) => {
+    if (sessionId) {
+      setGrading(true);
+      const result = await reviewGeneratedFlashcard(sessionId, flashcards[currentCardIndex], grade);
+      if (result.success) {
+        setCardStates(prev => ({ ...prev, [currentCardIndex]: result.schedule }));
+      }
+      setGrading(false);
+    }
+    handleNextCard();
+  };
+
   const handleNextCard = () => {
     if (currentCardIndex < flashcards.length - 1) {
       setCurrentCardIndex(currentCardIndex + 1);
@@ -134,6 +156,13 @@ const LearningComponent = ({ topicsToLearn, onComplete, onBack }) => {
             <MagicLoader size={120} particleCount={2} speed={1.2} hueRange={[200, 280]} />
             <p>Generating flashcards...</p>
           </div>
+        ) : loadError ? (
+          <div className="loading">
+            <p>Couldn't generate valid flashcards for "{currentTopic}".</p>
+            <button className="action-button secondary" onClick={() => loadFlashcards()}>
+              Try Again
+            </button>
+          </div>
         ) : (
           <div className="flashcard-container">
             <div className="progress-bar">
@@ -172,6 +201,14 @@ const LearningComponent = ({ topicsToLearn, onComplete, onBack }) => {
               </div>
             </div>
 
+            {isFlipped && (
+              <GradeButtons
+                cardState={cardStates[currentCardIndex]}
+                onGrade={handleGradeCard}
+                disabled={grading}
+              />
+            )}
+
             <div className="flashcard-navigation">
               <button 
                 className="nav-button" 
@@ -234,6 +271,9 @@ const LearningComponent = ({ topicsToLearn, onComplete, onBack }) => {
                     <button onClick={handleRestartTopic} className="action-button secondary">
                       Restart Topic
                     </button>
+                    <button onClick={() => loadFlashcards({ regenerate: true })} className="action-button secondary">
+                      New Cards
+                    </button>
                   </div>
                 </div>
               )}
@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getLeeches, reworkLeech, dismissLeech } from '../lib/leechService';
+import { LEECH_LAPSES, QUESTION_LEECH_MISSES, LEECH_WINDOW_DAYS } from '../lib/leechDetection';
+import './LeechInbox.css';
+
+/**
+ * Profile inbox of leeches: flashcards and questions the user keeps failing.
+ * Each can be reworked into simpler cards, given a mnemonic, or dismissed.
+ */
+const LeechInbox = () => {
+  const [leeches, setLeeches] = useState({ flashcards: [], questions: [], reworked: [] });
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  const loadLeeches = useCallback(async () => {
+    const result = await getLeeches();
+    setLeeches(result);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadLeeches();
+  }, [loadLeeches]);
+
+  const handleRework = async (leech, kind, strategy) => {
+    setBusyId(leech.id);
+    setErrors(prev => ({ ...prev, [leech.id]: null }));
+    const result = await reworkLeech(leech, kind, strategy);
+    if (result.success) {
+      await loadLeeches();
+    } else {
+      setErrors(prev => ({ ...prev, [leech.id]: "Couldn't rework this card right now. Please try again." }));
+    }
+    setBusyId(null);
+  };
+
+  const handleDismiss = async (leech, kind) => {
+    setBusyId(leech.id);
+    const result = await dismissLeech(leech, kind);
+    if (result.success) {
+      await loadLeeches();
+    }
+    setBusyId(null);
+  };
+
+  const renderLeech = (leech, kind) => (
+    <div key={leech.id} className="leech-item">
+      <div className="leech-item-header">
+        <span className="leech-topic">{leech.topic}</span>
+        <span className="leech-kind">
+          {kind === 'question' ? 'Question' : `Flashcard · ${leech.lapses || 0} lapses`}
+        </span>
+      </div>
+      <div className="leech-question">{leech.question}</div>
+      <div className="leech-answer">{kind === 'question' ? leech.correct_answer : leech.answer}</div>
+
+      {errors[leech.id] && <div className="leech-error">{errors[leech.id]}</div>}
+
+      <div className="leech-actions">
+        <button
+          className="leech-button primary"
+          onClick={() => handleRework(leech, kind, 'split')}
+          disabled={busyId === leech.id}
+        >
+          {busyId === leech.id ? 'Working...' : '✂️ Split into simpler cards'}
+        </button>
+        <button
+          className="leech-button"
+          onClick={() => handleRework(leech, kind, 'mnemonic')}
+          disabled={busyId === leech.id}
+        >
+          💡 Add a mnemonic
+        </button>
+        <button
+          className="leech-button subtle"
+          onClick={() => handleDismiss(leech, kind)}
+          disabled={busyId === leech.id}
+        >
+          Keep as is
+        </button>
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return <p className="leech-empty">Loading leeches...</p>;
+  }
+
+  const total = leeches.flashcards.length + leeches.questions.length;
+
+  return (
+    <div className="leech-inbox">
+      <p className="leech-intro">
+        Cards you've forgotten {LEECH_LAPSES} times or questions you've missed {QUESTION_LEECH_MISSES} times
+        in the last {LEECH_WINDOW_DAYS} days land here and are paused from your reviews until you rework or keep them.
+      </p>
+
+      {total === 0 ? (
+        <p className="leech-empty">No leeches right now. Nice work! 🎉</p>
+      ) : (
+        <div className="leech-list">
+          {leeches.flashcards.map(leech => renderLeech(leech, 'flashcard'))}
+          {leeches.questions.map(leech => renderLeech(leech, 'question'))}
+        </div>
+      )}
+
+      {leeches.reworked.length > 0 && (
+        <div className="leech-reworked">
+          <h4>Recently reworked</h4>
+          {leeches.reworked.map(card => (
+            <div key={card.id} className="leech-reworked-item">
+              {card.origin && (
+                <div className="leech-origin">
+                  From {card.origin.kind === 'question' ? 'question' : 'card'}: “{card.origin.question}”
+                  <span className="leech-strategy">{card.rework_strategy === 'mnemonic' ? 'mnemonic' : 'split'}</span>
+                </div>
+              )}
+              <div className="leech-question">{card.question}</div>
+              <div className="leech-answer">{card.answer}</div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeechInbox;
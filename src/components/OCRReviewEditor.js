@@ -0,0 +1,148 @@
+import React from 'react';
+import { renderPdfPageImage } from '../lib/fileProcessor';
+import { countConfidenceFlags } from '../lib/ocrConfidence';
+import './OCRReviewEditor.css';
+
+const pageLabel = (page) => (page.page === null ? 'Image' : `Page ${page.page}`);
+
+/**
+ * Review OCR text that Tesseract wasn't sure about before flashcards are made
+ * Each page with low-confidence words is shown next to its image, with the
+ * uncertain lines outlined, so the text can be checked and corrected.
+ * @param {File} props.file - The processed file, for page images
+ * @param {Object} props.result - Processing result with ocrPages
+ * @param {Function} props.onSave - Called with corrected pages [{ page, text }]; resolves to the updated result
+ * @param {Function} props.onSkip - Keep the text as extracted
+ */
+const OCRReviewEditor = ({ file, result, onSave, onSkip }) => {
+  const reviewPages = React.useMemo(
+    () => result.ocrPages.filter(page => page.lowConfidenceWords > 0),
+    [result]
+  );
+  const [index, setIndex] = React.useState(0);
+  const [drafts, setDrafts] = React.useState(() => reviewPages.map(page => page.text));
+  const [image, setImage] = React.useState(null); // { url, width, height }
+  const [saving, setSaving] = React.useState(false);
+  const [error, setError] = React.useState('');
+
+  const current = reviewPages[index];
+
+  // Show the image OCR read: the file itself, or the PDF page rendered the same way
+  React.useEffect(() => {
+    let cancelled = false;
+    let objectUrl = null;
+    setImage(null);
+
+    if (!file) return undefined;
+    const load = current.page === null ? Promise.resolve(file) : renderPdfPageImage(file, current.page);
+    load
+      .then(source => {
+        if (cancelled) return;
+        objectUrl = typeof source === 'string' ? null : URL.createObjectURL(source);
+        setImage({ url: objectUrl || source });
+      })
+      .catch(loadError => console.error(`Could not show ${pageLabel(current)}:`, loadError));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [file, current]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    const updated = await onSave(reviewPages.map((page, i) => ({ page: page.page, text: drafts[i] })));
+    if (!updated.success) {
+      setError(`Couldn't save corrections: ${updated.error}`);
+      setSaving(false);
+    }
+  };
+
+  const remainingFlags = countConfidenceFlags(drafts[index]);
+
+  return (
+    <div className="ocr-review">
+      <div className="ocr-review-header">
+        <h4>Check the extracted text: {result.fileName}</h4>
+        <p>
+          OCR wasn't sure about some words{result.ocrConfidence !== null && ` (${result.ocrConfidence}% confidence overall)`}.
+          They're marked [?like this?] and outlined on the page. Correct anything misread; markers are removed when you save.
+        </p>
+      </div>
+
+      {reviewPages.length > 1 && (
+        <div className="ocr-review-pages">
+          {reviewPages.map((page, i) => (
+            <button
+              key={page.page ?? 'image'}
+              className={`ocr-review-page-btn ${i === index ? 'active' : ''}`}
+              onClick={() => setIndex(i)}
+            >
+              {pageLabel(page)} ({page.lowConfidenceWords})
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="ocr-review-body">
+        <div className="ocr-review-image">
+          {image ? (
+            <div className="ocr-review-image-frame">
+              <img
+                src={image.url}
+                alt={pageLabel(current)}
+                onLoad={(e) => {
+                  const { naturalWidth: width, naturalHeight: height } = e.currentTarget;
+                  setImage(prev => ({ ...prev, width, height }));
+                }}
+              />
+              {image.width && current.lowConfidenceLines.map((line, i) => (
+                <div
+                  key={i}
+                  className="ocr-review-box"
+                  title={`${line.confidence}% confident: ${line.text}`}
+                  style={{
+                    left: `${(line.bbox.x0 / image.width) * 100}%`,
+                    top: `${(line.bbox.y0 / image.height) * 100}%`,
+                    width: `${((line.bbox.x1 - line.bbox.x0) / image.width) * 100}%`,
+                    height: `${((line.bbox.y1 - line.bbox.y0) / image.height) * 100}%`
+                  }}
+                />
+              ))}
+            </div>
+          ) : (
+            <span className="ocr-review-loading">Loading {pageLabel(current).toLowerCase()}...</span>
+          )}
+        </div>
+
+        <div className="ocr-review-text">
+          <div className="ocr-review-text-header">
+            <span>{pageLabel(current)}{current.confidence !== null && ` • ${current.confidence}% confidence`}</span>
+            <span className={remainingFlags > 0 ? 'ocr-review-flags' : 'ocr-review-flags done'}>
+              {remainingFlags > 0 ? `${remainingFlags} marked` : 'No markers left'}
+            </span>
+          </div>
+          <textarea
+            value={drafts[index]}
+            onChange={(e) => setDrafts(prev => prev.map((draft, i) => (i === index ? e.target.value : draft)))}
+            spellCheck
+          />
+        </div>
+      </div>
+
+      {error && <div className="ocr-review-error">{error}</div>}
+
+      <div className="ocr-review-actions">
+        <button onClick={onSkip} className="ocr-review-skip-btn" disabled={saving}>
+          Skip review
+        </button>
+        <button onClick={handleSave} className="ocr-review-save-btn" disabled={saving}>
+          {saving ? 'Saving...' : 'Save corrections'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OCRReviewEditor;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { selectionToPages, formatPageRanges } from '../lib/pageRanges';
+import './PageRangePicker.css';
+
+/**
+ * Choose which pages of a PDF to process: all of them, typed page ranges, or
+ * a run of chapters from the PDF's outline
+ * @param {Object} props.info - { numPages, chapters } from getPdfInfo
+ * @param {Object} props.selection - { mode, ranges, fromChapter, toChapter }
+ * @param {Function} props.onChange - Called with the updated selection
+ * @param {number} props.savedPages - Pages already extracted by an interrupted run
+ */
+const PageRangePicker = ({ info, selection, onChange, savedPages = 0 }) => {
+  const { pages, error } = selectionToPages(selection, info);
+  const hasChapters = info.chapters.length > 0;
+
+  const update = (changes) => onChange({ ...selection, ...changes });
+
+  return (
+    <div className="page-range-picker">
+      <div className="page-range-modes">
+        <label>
+          <input
+            type="radio"
+            checked={selection.mode === 'all'}
+            onChange={() => update({ mode: 'all' })}
+          />
+          All {info.numPages} pages
+        </label>
+        <label>
+          <input
+            type="radio"
+            checked={selection.mode === 'pages'}
+            onChange={() => update({ mode: 'pages' })}
+          />
+          Pages
+        </label>
+        {hasChapters && (
+          <label>
+            <input
+              type="radio"
+              checked={selection.mode === 'chapters'}
+              onChange={() => update({ mode: 'chapters' })}
+            />
+            Chapters
+          </label>
+        )}
+      </div>
+
+      {selection.mode === 'pages' && (
+        <input
+          type="text"
+          className="page-range-input"
+          value={selection.ranges}
+          onChange={(e) => update({ ranges: e.target.value })}
+          placeholder={`e.g. 40-120, 130 (1-${info.numPages})`}
+        />
+      )}
+
+      {selection.mode === 'chapters' && hasChapters && (
+        <div className="page-range-chapters">
+          <select value={selection.fromChapter} onChange={(e) => update({ fromChapter: e.target.value })}>
+            {info.chapters.map((chapter, index) => (
+              <option key={index} value={index}>{chapter.title} (p. {chapter.startPage})</option>
+            ))}
+          </select>
+          <span>to</span>
+          <select value={selection.toChapter} onChange={(e) => update({ toChapter: e.target.value })}>
+            {info.chapters.map((chapter, index) => (
+              <option key={index} value={index}>{chapter.title} (p. {chapter.endPage})</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {error ? (
+        <span className="page-range-summary error">{error}</span>
+      ) : (
+        <span className="page-range-summary">
+          {selection.mode === 'all'
+            ? `${pages.length} pages`
+            : `${pages.length} of ${info.numPages} pages: ${formatPageRanges(pages)}`}
+        </span>
+      )}
+
+      {savedPages > 0 && (
+        <span className="page-range-resume">
+          ↻ {savedPages} pages were extracted before processing stopped and will be reused
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default PageRangePicker;
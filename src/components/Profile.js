@@ -7,8 +7,13 @@ import { getComprehensiveAnalytics } from '../lib/analyticsService';
 import { calculateAchievements, calculateUserLevel } from '../lib/achievementService';
 import TrendChart from './charts/TrendChart';
 import ProgressRing from './charts/ProgressRing';
+import LeechInbox from './LeechInbox';
+import DeckManager from './DeckManager';
+import BackupPanel from './BackupPanel';
 import './Profile.css';
 
+const SESSION_TYPE_LABELS = { fast: '⚡ Fast', depth: '🌳 Depth', review: '🔁 Review' };
+
 const Profile = ({ onBack }) => {
   const { user } = useAuth();
   const [profile, setProfile] = useState(null);
@@ -125,6 +130,27 @@ const Profile = ({ onBack }) => {
             <span className="profile-nav-icon">🎯</span>
             <span className="profile-nav-text">Progress</span>
           </div>
+          <div
+            className={`profile-nav-item ${activeTab === 'leeches' ? 'active' : ''}`}
+            onClick={() => setActiveTab('leeches')}
+          >
+            <span className="profile-nav-icon">🩹</span>
+            <span className="profile-nav-text">Leech Inbox</span>
+          </div>
+          <div
+            className={`profile-nav-item ${activeTab === 'decks' ? 'active' : ''}`}
+            onClick={() => setActiveTab('decks')}
+          >
+            <span className="profile-nav-icon">🗂️</span>
+            <span className="profile-nav-text">My Decks</span>
+          </div>
+          <div
+            className={`profile-nav-item ${activeTab === 'backup' ? 'active' : ''}`}
+            onClick={() => setActiveTab('backup')}
+          >
+            <span className="profile-nav-icon">💾</span>
+            <span className="profile-nav-text">Backup</span>
+          </div>
         </nav>
 
         <div className="profile-sidebar-footer">
@@ -242,7 +268,7 @@ const Profile = ({ onBack }) => {
                   {sessions.slice(0, 10).map(s => (
                     <div key={s.id} className="profile-sessions-row">
                       <div>{s.topic}</div>
-                      <div>{s.session_type === 'fast' ? '⚡ Fast' : '🌳 Depth'}</div>
+                      <div>{SESSION_TYPE_LABELS[s.session_type] || s.session_type}</div>
                       <div>{s.status}</div>
                       <div>{s.studied_flashcards}/{s.total_flashcards}</div>
                       <div>{s.final_score ? `${s.final_score}%` : '-'}</div>
@@ -387,6 +413,36 @@ const Profile = ({ onBack }) => {
               </>
             )}
 
+            {activeTab === 'leeches' && (
+              <div className="profile-card">
+                <h3>
+                  <span className="profile-card-icon">🩹</span>
+                  Leech Inbox
+                </h3>
+                <LeechInbox />
+              </div>
+            )}
+
+            {activeTab === 'decks' && (
+              <div className="profile-card">
+                <h3>
+                  <span className="profile-card-icon">🗂️</span>
+                  My Decks
+                </h3>
+                <DeckManager />
+              </div>
+            )}
+
+            {activeTab === 'backup' && (
+              <div className="profile-card">
+                <h3>
+                  <span className="profile-card-icon">💾</span>
+                  Backup &amp; Restore
+                </h3>
+                <BackupPanel />
+              </div>
+            )}
+
             {activeTab === 'progress' && analytics && achievements && userLevel && (
               <>
                 {/* User Level */}
@@ -496,7 +552,7 @@ const Profile = ({ onBack }) => {
                           </div>
                           <div className="timeline-details">
                             <span className="timeline-type">
-                              {session.session_type === 'fast' ? '⚡ Fast' : '🌳 Depth'}
+                              {SESSION_TYPE_LABELS[session.session_type] || session.session_type}
                             </span>
                             <span className="timeline-score">
                               {session.final_score ? `${session.final_score}%` : 'In Progress'}
@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { getDueFlashcards } from '../lib/sessionService';
+import './ReviewQueue.css';
+
+// Cards due any time today count toward today's queue
+const endOfToday = () => {
+  const end = new Date();
+  end.setHours(23, 59, 59, 999);
+  return end;
+};
+
+/**
+ * Dashboard card listing flashcards due today across all sessions,
+ * with a button to start the daily review session.
+ */
+const ReviewQueue = ({ onStartReview }) => {
+  const [dueCards, setDueCards] = useState([]);
+  const [totalDue, setTotalDue] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadDueCards = async () => {
+      const result = await getDueFlashcards({ dueBefore: endOfToday() });
+      setDueCards(result.cards);
+      setTotalDue(result.totalDue);
+      setLoading(false);
+    };
+    loadDueCards();
+  }, []);
+
+  const topics = [...new Set(dueCards.map(card => card.topic))];
+
+  return (
+    <section className="sessions-section review-queue-section">
+      <div className="section-header">
+        <h3>Today's reviews</h3>
+        {totalDue > 0 && <span className="review-count-badge">{totalDue} due</span>}
+      </div>
+
+      {loading ? (
+        <div className="empty-state">
+          <p>Loading reviews...</p>
+        </div>
+      ) : totalDue === 0 ? (
+        <div className="empty-state">
+          <p>You're all caught up. Grade cards in your sessions to schedule reviews.</p>
+          <button className="start-first-session" onClick={onStartReview}>
+            Practice weak cards
+          </button>
+        </div>
+      ) : (
+        <div className="review-queue-summary">
+          <p>
+            {totalDue} flashcard{totalDue === 1 ? '' : 's'} from {topics.length} topic{topics.length === 1 ? '' : 's'}
+            {topics.length > 0 && <span className="review-topics"> · {topics.slice(0, 3).join(', ')}{topics.length > 3 ? '…' : ''}</span>}
+          </p>
+          <button className="start-first-session" onClick={onStartReview}>
+            Start review
+          </button>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ReviewQueue;
@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  createSession,
+  updateSessionProgress,
+  getReviewSessionCards,
+  reviewFlashcardById
+} from '../lib/sessionService';
+import { cardStateFromRecord } from '../lib/spacedRepetition';
+import GradeButtons from './GradeButtons';
+import MagicLoader from './MagicLoader';
+import './FastLearningSession.css';
+import './ReviewSession.css';
+
+const REVIEW_TOPIC = 'Daily Review';
+
+const ReviewSession = ({ resumeData = null, onBack }) => {
+  const [phase, setPhase] = useState('loading'); // 'loading', 'empty', 'reviewing', 'completed'
+  const [queue, setQueue] = useState([]);
+  const [totalCards, setTotalCards] = useState(0);
+  const [reviewedIds, setReviewedIds] = useState(new Set());
+  const [firstGrades, setFirstGrades] = useState({}); // card id -> first grade this session
+  const [isFlipped, setIsFlipped] = useState(false);
+  const [grading, setGrading] = useState(false);
+  const [dailyLimit, setDailyLimit] = useState(null);
+  const sessionIdRef = useRef(resumeData?.sessionId || null); // learning_sessions row for this review
+  const [loadError, setLoadError] = useState(null);
+  const [leechNotice, setLeechNotice] = useState(false);
+
+  const loadQueue = useCallback(async () => {
+    setPhase('loading');
+    setLoadError(null);
+
+    const result = await getReviewSessionCards();
+    if (!result.success) {
+      setLoadError(result.error);
+      setPhase('empty');
+      return;
+    }
+
+    setDailyLimit({ limit: result.dailyLimit, reviewedToday: result.reviewedToday });
+    setQueue(result.cards);
+    setTotalCards(result.cards.length);
+    setReviewedIds(new Set());
+    setFirstGrades({});
+    setIsFlipped(false);
+
+    if (result.cards.length === 0) {
+      setPhase('empty');
+      return;
+    }
+
+    // Record the review as a session so it shows up in history
+    if (sessionIdRef.current) {
+      await updateSessionProgress(sessionIdRef.current, { totalFlashcards: result.cards.length, studiedFlashcards: 0 });
+    } else {
+      const sessionResult = await createSession({
+        sessionType: 'review',
+        topic: REVIEW_TOPIC,
+        flashcards: [],
+        mcqQuestions: []
+      });
+      if (sessionResult.success) {
+        sessionIdRef.current = sessionResult.session.id;
+        await updateSessionProgress(sessionResult.session.id, { totalFlashcards: result.cards.length });
+      } else {
+        console.error('Failed to create review session:', sessionResult.error);
+      }
+    }
+
+    setPhase('reviewing');
+  }, []);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  // Start another round as a new review session
+  const reviewMore = () => {
+    sessionIdRef.current = null;
+    loadQueue();
+  };
+
+  const completeReview = async (grades) => {
+    const firstTry = Object.values(grades);
+    const recalled = firstTry.filter(grade => grade !== 'again').length;
+    const percentage = firstTry.length > 0 ? Math.round((recalled / firstTry.length) * 100) : 0;
+
+    if (sessionIdRef.current) {
+      await updateSessionProgress(sessionIdRef.current, {
+        status: 'completed',
+        finalScore: percentage,
+        evaluationResults: {
+          reviewed: firstTry.length,
+          recalled,
+          percentage,
+          grades: firstTry.reduce((acc, grade) => ({ ...acc, [grade]: (acc[grade] || 0) + 1 }), {})
+        }
+      });
+    }
+
+    setPhase('completed');
+  };
+
+  // Grade the current card; the outcome is saved onto its source session card
+  const handleGrade = async (grade) => {
+    const [card, ...rest] = queue;
+    setGrading(true);
+    const result = await reviewFlashcardById(card.id, grade);
+    setGrading(false);
+
+    const nextGrades = card.id in firstGrades ? firstGrades : { ...firstGrades, [card.id]: grade };
+    const nextReviewed = new Set([...reviewedIds, card.id]);
+    setFirstGrades(nextGrades);
+    setReviewedIds(nextReviewed);
+
+    // Forgotten cards come back at the end of the queue, unless they just became leeches
+    const nextQueue = result.success && grade === 'again' && !result.isLeech
+      ? [...rest, { ...card, ...result.flashcard }]
+      : rest;
+    setQueue(nextQueue);
+    setIsFlipped(false);
+    setLeechNotice(Boolean(result.isLeech));
+
+    if (sessionIdRef.current) {
+      await updateSessionProgress(sessionIdRef.current, { studiedFlashcards: nextReviewed.size });
+    }
+
+    if (nextQueue.length === 0) {
+      await completeReview(nextGrades);
+    }
+  };
+
+  const navMenu = (
+    <div className="nav-menu" onClick={onBack}>
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <line x1="3" y1="6" x2="21" y2="6"/>
+        <line x1="3" y1="12" x2="21" y2="12"/>
+        <line x1="3" y1="18" x2="21" y2="18"/>
+      </svg>
+    </div>
+  );
+
+  if (phase === 'loading') {
+    return (
+      <div className="fast-learning-container">
+        <div className="loading-section">
+          <MagicLoader size={120} particleCount={2} speed={1.2} hueRange={[200, 280]} />
+          <p>Gathering today's reviews...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (phase === 'empty') {
+    const limitReached = dailyLimit && dailyLimit.reviewedToday >= dailyLimit.limit;
+    return (
+      <div className="fast-learning-container">
+        {navMenu}
+        <h1 className="title">Daily Review</h1>
+        <div className="completion-section">
+          <div className="completion-icon">{loadError ? '⚠️' : '✅'}</div>
+          <div className="results-summary">
+            <h2>
+              {loadError ? "We couldn't load your reviews" : limitReached ? "You've hit today's review limit" : "You're all caught up"}
+            </h2>
+            <p className="review-note">
+              {loadError
+                ? 'Please try again in a moment.'
+                : limitReached
+                  ? `${dailyLimit.reviewedToday} cards reviewed today. Come back tomorrow for more.`
+                  : 'No cards are due right now. Grade flashcards in your sessions to schedule them for review.'}
+            </p>
+          </div>
+          {loadError ? (
+            <button className="restart-button" onClick={loadQueue}>Try Again</button>
+          ) : (
+            <button className="restart-button" onClick={onBack}>Back to Dashboard</button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  if (phase === 'completed') {
+    const firstTry = Object.values(firstGrades);
+    const counts = firstTry.reduce((acc, grade) => ({ ...acc, [grade]: (acc[grade] || 0) + 1 }), {});
+    const recalled = firstTry.length - (counts.again || 0);
+
+    return (
+      <div className="fast-learning-container">
+        {navMenu}
+        <h1 className="title">Review Complete!</h1>
+        <div className="completion-section">
+          <div className="completion-icon">🎉</div>
+          <div className="results-summary">
+            <h2>Today's Review</h2>
+            <div className="score-display">
+              <span className="score-number">{firstTry.length > 0 ? Math.round((recalled / firstTry.length) * 100) : 0}%</span>
+              <span className="score-details">
+                recalled on the first try ({recalled} of {firstTry.length} cards)
+              </span>
+            </div>
+            <div className="review-grade-tally">
+              {['again', 'hard', 'good', 'easy'].map(grade => (
+                <span key={grade} className={`review-grade-count ${grade}`}>
+                  {grade}: {counts[grade] || 0}
+                </span>
+              ))}
+            </div>
+          </div>
+          <button className="restart-button" onClick={reviewMore}>
+            Review More
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const currentCard = queue[0];
+  const progress = totalCards > 0 ? (reviewedIds.size / totalCards) * 100 : 0;
+
+  return (
+    <div className="fast-learning-container">
+      {navMenu}
+
+      <h1 className="title">Daily Review</h1>
+      <div className="topic-display">Cards due from all your sessions</div>
+
+      <div className="progress-section">
+        <div className="progress-bar">
+          <div className="progress-fill" style={{ width: `${progress}%` }}></div>
+        </div>
+        <span className="progress-text">
+          {reviewedIds.size} of {totalCards} cards reviewed
+          {dailyLimit && ` · daily limit ${dailyLimit.limit}`}
+        </span>
+        {leechNotice && (
+          <div className="review-leech-notice">
+            🩹 You keep missing that card, so it moved to the leech inbox in your Profile for rework.
+          </div>
+        )}
+      </div>
+
+      {currentCard && (
+        <div className="flashcard-section">
+          <div className="review-card-tags">
+            <span className="review-card-tag">{currentCard.topic}</span>
+            {currentCard.reason === 'weak' && <span className="review-card-tag weak">Needs practice</span>}
+            {currentCard.struggleTopic && (
+              <span className="review-card-tag struggle">Struggle: {currentCard.struggleTopic}</span>
+            )}
+          </div>
+
+          <div className="flashcard-wrapper">
+            <div
+              className={`flashcard ${isFlipped ? 'flipped' : ''}`}
+              onClick={() => setIsFlipped(true)}
+            >
+              <div className="flashcard-front">
+                <div className="card-number">{queue.length} left</div>
+                <div className="card-content">
+                  <h3>{currentCard.question}</h3>
+                  <div className="tap-instruction">
+                    {!isFlipped && <span>👆 Tap to reveal answer</span>}
+                  </div>
+                </div>
+              </div>
+              <div className="flashcard-back">
+                <div className="card-number">{queue.length} left</div>
+                <div className="card-content">
+                  <div className="answer-content">{currentCard.answer}</div>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {isFlipped && (
+            <GradeButtons
+              cardState={cardStateFromRecord(currentCard)}
+              onGrade={handleGrade}
+              disabled={grading}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewSession;
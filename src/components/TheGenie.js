@@ -1,19 +1,37 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
-import { prepareLearningContext, callTheGenie } from '../lib/theGenieService';
+import { prepareLearningContext, prepareQuestionContext, callTheGenie, resolveCitations } from '../lib/theGenieService';
+import { useConversationThreads } from '../hooks/useConversationThreads';
 import MagicLoader from './MagicLoader';
+import DocumentViewer from './DocumentViewer';
+import ThreadSidebar from './ThreadSidebar';
 import './TheGenie.css';
 
+// Stored thread message → chat message
+const toChatMessage = (message) => ({
+  id: message.id,
+  type: message.role === 'user' ? 'user' : 'genie',
+  content: message.content,
+  timestamp: new Date(message.created_at),
+  citations: message.metadata?.citations,
+  processingTime: message.metadata?.processingTime
+});
+
 const TheGenie = ({ onClose }) => {
   const { user } = useAuth();
   const [messages, setMessages] = useState([]);
   const [inputMessage, setInputMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [contextReady, setContextReady] = useState(false);
-  const [contextInfo, setContextInfo] = useState('');
+  const [learningContext, setLearningContext] = useState(null);
   const [weakConcepts, setWeakConcepts] = useState([]);
   const [processingStatus, setProcessingStatus] = useState(null);
+  const [openCitation, setOpenCitation] = useState(null);
+  const [showThreads, setShowThreads] = useState(false);
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const welcomeMessageRef = useRef(null);
+  const conversation = useConversationThreads('materials');
 
   // Auto-scroll to bottom when new messages arrive
   const scrollToBottom = () => {
@@ -31,6 +49,9 @@ const TheGenie = ({ onClose }) => {
     }
   }, [user]);
 
+  // Cancel any in-flight question when the chat closes
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
+
   // Prepare context by combining user's documents and flashcards
   const prepareContext = async () => {
     try {
@@ -40,7 +61,7 @@ const TheGenie = ({ onClose }) => {
       const result = await prepareLearningContext(user.id);
       
       if (result.success) {
-        setContextInfo(result.contextContent);
+        setLearningContext(result);
         setContextReady(true);
         
         // Extract weak concepts for enhanced responses
@@ -50,28 +71,26 @@ const TheGenie = ({ onClose }) => {
         }
         
         // Add welcome message with context summary
-        setMessages([
-          {
-            id: 1,
-            type: 'genie',
-            content: `🧞‍♂️ **TheGenie is ready to help!**\n\nI have access to:\n• ${result.metadata.documentCount} uploaded documents\n• ${result.metadata.flashcardCount} generated flashcards\n• ${result.metadata.struggleCount} areas you're working on\n• ${result.metadata.sessionCount} learning sessions\n\nAsk me anything about your learning materials, or get help with concepts you find challenging!`,
-            timestamp: new Date()
-          }
-        ]);
+        welcomeMessageRef.current = {
+          id: 1,
+          type: 'genie',
+          content: `🧞‍♂️ **TheGenie is ready to help!**\n\nI have access to:\n• ${result.metadata.documentCount} uploaded documents\n• ${result.metadata.flashcardCount} generated flashcards\n• ${result.metadata.struggleCount} areas you're working on\n• ${result.metadata.sessionCount} learning sessions\n\nAsk me anything about your learning materials, or get help with concepts you find challenging!`,
+          timestamp: new Date()
+        };
+        setMessages([welcomeMessageRef.current]);
       } else {
         throw new Error(result.error || 'Failed to prepare context');
       }
 
     } catch (error) {
       console.error('Error preparing context:', error);
-      setMessages([
-        {
-          id: 1,
-          type: 'genie',
-          content: '🧞‍♂️ **TheGenie is here to help!**\n\nI\'m having trouble accessing your learning materials right now, but I can still help with general questions. What would you like to know?',
-          timestamp: new Date()
-        }
-      ]);
+      welcomeMessageRef.current = {
+        id: 1,
+        type: 'genie',
+        content: '🧞‍♂️ **TheGenie is here to help!**\n\nI\'m having trouble accessing your learning materials right now, but I can still help with general questions. What would you like to know?',
+        timestamp: new Date()
+      };
+      setMessages([welcomeMessageRef.current]);
       setContextReady(true); // Still allow basic interaction
     } finally {
       setIsLoading(false);
@@ -82,9 +101,9 @@ const TheGenie = ({ onClose }) => {
   const handleProgressUpdate = (progressData) => {
     setProcessingStatus(progressData);
     
-    // Update the thinking message with progress
+    // Update the thinking message with progress (until the answer starts streaming)
     setMessages(prev => prev.map(msg => {
-      if (msg.type === 'genie' && msg.isThinking) {
+      if (msg.type === 'genie' && msg.isThinking && !msg.isStreaming) {
         return {
           ...msg,
           content: `🧠 **TheGenie is processing your question...**\n\n**Progress:** ${progressData.progress}%\n**Status:** ${progressData.message}\n\nThis may take a few minutes as I analyze your learning materials and generate a personalized response.`,
@@ -95,6 +114,46 @@ const TheGenie = ({ onClose }) => {
     }));
   };
 
+  // Show the answer as it streams in
+  const handleToken = (delta, answerSoFar) => {
+    setMessages(prev => prev.map(msg => (
+      msg.isThinking ? { ...msg, content: answerSoFar, isStreaming: true } : msg
+    )));
+  };
+
+  // Keep sources for the answer being written
+  const handleCitations = (citations, chunks) => {
+    const resolved = resolveCitations(citations, chunks);
+    setMessages(prev => prev.map(msg => (msg.isThinking ? { ...msg, citations: resolved } : msg)));
+  };
+
+  // Stop the current question
+  const cancelMessage = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Open a saved conversation
+  const selectThread = async (threadId) => {
+    if (isLoading) return;
+    const stored = await conversation.selectThread(threadId);
+    setMessages(stored.map(toChatMessage));
+  };
+
+  // Start a new conversation
+  const startNewThread = () => {
+    if (isLoading) return;
+    conversation.startNewThread();
+    setMessages(welcomeMessageRef.current ? [welcomeMessageRef.current] : []);
+  };
+
+  const deleteThread = async (threadId) => {
+    const wasActive = conversation.activeThread?.id === threadId;
+    const result = await conversation.deleteThread(threadId);
+    if (result.success && wasActive) {
+      setMessages(welcomeMessageRef.current ? [welcomeMessageRef.current] : []);
+    }
+  };
+
   // Send message to TheGenie
   const sendMessage = async () => {
     if (!inputMessage.trim() || isLoading) return;
@@ -110,6 +169,10 @@ const TheGenie = ({ onClose }) => {
     setInputMessage('');
     setIsLoading(true);
     setProcessingStatus(null);
+    conversation.saveMessage({ role: 'user', content: userMessage.content });
+
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
 
     try {
       // Add thinking message with initial status
@@ -124,15 +187,52 @@ const TheGenie = ({ onClose }) => {
 
       setMessages(prev => [...prev, thinkingMessage]);
 
+      // Only the passages relevant to this question are sent
+      const { contextContent, chunks } = await prepareQuestionContext(user.id, userMessage.content, learningContext || {});
+
       // Call TheGenie service with progress callback
       const response = await callTheGenie(
-        inputMessage, 
-        contextInfo, 
+        userMessage.content, 
+        contextContent, 
         weakConcepts, 
-        handleProgressUpdate
+        handleProgressUpdate,
+        {
+          signal: abortController.signal,
+          onToken: handleToken,
+          onCitations: citations => handleCitations(citations, chunks)
+        }
       );
-      
-      if (response.success) {
+
+      if (response.cancelled) {
+        // Keep whatever was already written
+        let partialAnswer = null;
+        setMessages(prev => prev.map(msg => {
+          if (msg.isThinking) {
+            if (msg.isStreaming) {
+              partialAnswer = { content: `${msg.content}\n\n⏹️ _Stopped._`, citations: msg.citations };
+            }
+            return {
+              id: msg.id,
+              type: 'genie',
+              content: msg.isStreaming
+                ? `${msg.content}\n\n⏹️ _Stopped._`
+                : '⏹️ **Stopped.** Ask another question whenever you\'re ready.',
+              timestamp: new Date(),
+              citations: msg.citations
+            };
+          }
+          return msg;
+        }));
+        if (partialAnswer) {
+          conversation.saveMessage({
+            role: 'assistant',
+            content: partialAnswer.content,
+            metadata: { citations: partialAnswer.citations || [], stopped: true }
+          });
+        }
+      } else if (response.success) {
+        const citations = resolveCitations(response.citations, chunks);
+
         // Replace thinking message with actual response
         setMessages(prev => prev.map(msg => {
           if (msg.isThinking) {
@@ -141,12 +241,19 @@ const TheGenie = ({ onClose }) => {
               type: 'genie',
               content: response.answer,
               timestamp: new Date(),
-              processingTime: response.processingTime
+              processingTime: response.processingTime,
+              citations
             };
           }
           return msg;
         }));
 
+        conversation.saveMessage({
+          role: 'assistant',
+          content: response.answer,
+          metadata: { citations, processingTime: response.processingTime }
+        }).then(() => conversation.refreshSummary());
+
         // Add processing time info if available
         if (response.processingTime) {
           const timeMessage = {
@@ -178,6 +285,9 @@ const TheGenie = ({ onClose }) => {
         return msg;
       }));
     } finally {
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+      }
       setIsLoading(false);
       setProcessingStatus(null);
     }
@@ -191,6 +301,30 @@ const TheGenie = ({ onClose }) => {
     }
   };
 
+  // Render source chips under an answer
+  const renderCitations = (citations) => {
+    if (!citations || citations.length === 0) return null;
+
+    return (
+      <div className="citation-chips">
+        <span className="citation-label">Sources:</span>
+        {citations.map(citation => (
+          <button
+            key={citation.id}
+            className="citation-chip"
+            onClick={() => setOpenCitation(citation)}
+            disabled={!citation.storagePath}
+            title={citation.snippet}
+          >
+            <span className="citation-number">{citation.id}</span>
+            {citation.fileName}
+            {citation.page && <span className="citation-page">p. {citation.page}</span>}
+          </button>
+        ))}
+      </div>
+    );
+  };
+
   // Render progress bar for processing status
   const renderProgressBar = () => {
     if (!processingStatus) return null;
@@ -212,10 +346,20 @@ const TheGenie = ({ onClose }) => {
 
   return (
     <div className="thegenie-overlay">
-      <div className="thegenie-container">
+      <div className={`thegenie-container ${showThreads ? 'with-threads' : ''}`}>
         <div className="thegenie-header">
           <h2>🧞‍♂️ TheGenie</h2>
-          <button className="close-button" onClick={onClose}>×</button>
+          <div className="thegenie-header-actions">
+            <button
+              className={`threads-toggle ${showThreads ? 'active' : ''}`}
+              onClick={() => setShowThreads(prev => !prev)}
+              title="Conversations"
+              aria-label="Toggle conversations"
+            >
+              💬
+            </button>
+            <button className="close-button" onClick={onClose}>×</button>
+          </div>
         </div>
 
         <div className="thegenie-status">
@@ -233,57 +377,86 @@ const TheGenie = ({ onClose }) => {
 
         {renderProgressBar()}
 
-        <div className="messages-container">
-          {messages.map((message) => (
-            <div key={message.id} className={`message ${message.type}`}>
-              <div className="message-content">
-                {message.content}
-              </div>
-              <div className="message-timestamp">
-                {message.timestamp.toLocaleTimeString()}
-                {message.processingTime && (
-                  <span className="processing-time">
-                    ⏱️ {Math.round(message.processingTime / 1000)}s
-                  </span>
-                )}
-              </div>
-            </div>
-          ))}
-          
-          {isLoading && !processingStatus && (
-            <div className="message genie">
-              <div className="message-content">
-                <span className="typing-indicator">
-                  <span></span>
-                  <span></span>
-                  <span></span>
-                </span>
-                TheGenie is thinking...
-              </div>
-            </div>
+        <div className="thegenie-body">
+          {showThreads && (
+            <ThreadSidebar
+              threads={conversation.threads}
+              activeThreadId={conversation.activeThread?.id}
+              search={conversation.search}
+              onSearchChange={conversation.setSearch}
+              loading={conversation.loadingThreads}
+              onSelect={selectThread}
+              onNew={startNewThread}
+              onRename={conversation.renameThread}
+              onDelete={deleteThread}
+            />
           )}
+
+          <div className="thegenie-conversation">
+            <div className="messages-container">
+              {messages.map((message) => (
+                <div key={message.id} className={`message ${message.type}`}>
+                  <div className="message-content">
+                    {message.content}
+                  </div>
+                  {message.type === 'genie' && renderCitations(message.citations)}
+                  <div className="message-timestamp">
+                    {message.timestamp.toLocaleTimeString()}
+                    {message.processingTime && (
+                      <span className="processing-time">
+                        ⏱️ {Math.round(message.processingTime / 1000)}s
+                      </span>
+                    )}
+                  </div>
+                </div>
+              ))}
           
-          <div ref={messagesEndRef} />
-        </div>
+              {isLoading && !processingStatus && (
+                <div className="message genie">
+                  <div className="message-content">
+                    <span className="typing-indicator">
+                      <span></span>
+                      <span></span>
+                      <span></span>
+                    </span>
+                    TheGenie is thinking...
+                  </div>
+                </div>
+              )}
+          
+              <div ref={messagesEndRef} />
+            </div>
 
-        <div className="input-container">
-          <textarea
-            value={inputMessage}
-            onChange={(e) => setInputMessage(e.target.value)}
-            onKeyPress={handleKeyPress}
-            placeholder="Ask TheGenie anything about your learning materials..."
-            disabled={!contextReady || isLoading}
-            rows={2}
-          />
-          <button
-            onClick={sendMessage}
-            disabled={!inputMessage.trim() || !contextReady || isLoading}
-            className="send-button"
-          >
-            {isLoading ? 'Processing...' : 'Send'}
-          </button>
+            <div className="input-container">
+              <textarea
+                value={inputMessage}
+                onChange={(e) => setInputMessage(e.target.value)}
+                onKeyPress={handleKeyPress}
+                placeholder="Ask TheGenie anything about your learning materials..."
+                disabled={!contextReady || isLoading}
+                rows={2}
+              />
+              {isLoading && abortControllerRef.current ? (
+                <button onClick={cancelMessage} className="send-button stop-button">
+                  Stop
+                </button>
+              ) : (
+                <button
+                  onClick={sendMessage}
+                  disabled={!inputMessage.trim() || !contextReady || isLoading}
+                  className="send-button"
+                >
+                  {isLoading ? 'Processing...' : 'Send'}
+                </button>
+              )}
+            </div>
+          </div>
         </div>
 
+        {openCitation && (
+          <DocumentViewer citation={openCitation} onClose={() => setOpenCitation(null)} />
+        )}
+
         <div className="thegenie-footer">
           <small>
             TheGenie uses your uploaded documents, flashcards, and learning history to provide personalized answers.
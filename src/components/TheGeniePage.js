@@ -1,13 +1,25 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { generateResponse } from '../lib/gemini';
+import { useConversationThreads } from '../hooks/useConversationThreads';
 import ForceDirectedGraph from './ForceDirectedGraph';
+import ThreadSidebar from './ThreadSidebar';
 import './TheGeniePage.css';
 
+// Stored thread message → chat message
+const toChatMessage = (message) => ({
+  id: message.id,
+  text: message.content,
+  sender: message.role === 'user' ? 'user' : 'ai',
+  timestamp: new Date(message.created_at)
+});
+
 const TheGeniePage = ({ onBack }) => {
   const [messages, setMessages] = useState([]);
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [showThreads, setShowThreads] = useState(window.innerWidth > 768);
   const messagesEndRef = useRef(null);
+  const conversation = useConversationThreads('chat');
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -17,6 +29,26 @@ const TheGeniePage = ({ onBack }) => {
     scrollToBottom();
   }, [messages]);
 
+  const handleSelectThread = async (threadId) => {
+    if (isLoading) return;
+    const stored = await conversation.selectThread(threadId);
+    setMessages(stored.map(toChatMessage));
+  };
+
+  const handleNewThread = () => {
+    if (isLoading) return;
+    conversation.startNewThread();
+    setMessages([]);
+  };
+
+  const handleDeleteThread = async (threadId) => {
+    const wasActive = conversation.activeThread?.id === threadId;
+    const result = await conversation.deleteThread(threadId);
+    if (result.success && wasActive) {
+      setMessages([]);
+    }
+  };
+
   const handleSendMessage = async () => {
     if (!inputValue.trim() || isLoading) return;
 
@@ -35,17 +67,31 @@ const TheGeniePage = ({ onBack }) => {
     setIsLoading(true);
 
     try {
+      // Rolling summary + unsummarized turns from the stored thread; the
+      // on-screen history when the thread couldn't be stored
+      const { summary, recentMessages } = conversation.getContext();
+      const history = summary || recentMessages.length > 0
+        ? recentMessages.map(toChatMessage)
+        : messages;
+      await conversation.saveMessage({ role: 'user', content: userMessage });
+
       // Generate AI response with conversation context
-      const aiResponse = await generateResponse(userMessage, messages);
+      const { text: aiResponse, degraded } = await generateResponse(userMessage, history, { summary });
 
       const aiMessage = {
         id: Date.now() + 1,
         text: aiResponse,
         sender: 'ai',
-        timestamp: new Date()
+        timestamp: new Date(),
+        // A fallback reply isn't an answer, so it's shown as an error and not stored
+        isError: degraded
       };
 
       setMessages(prev => [...prev, aiMessage]);
+      if (!degraded) {
+        await conversation.saveMessage({ role: 'assistant', content: aiResponse });
+        conversation.refreshSummary();
+      }
     } catch (error) {
       console.error('Error generating response:', error);
       const errorMessage = {
@@ -86,6 +132,15 @@ const TheGeniePage = ({ onBack }) => {
           </div>
         </div>
         <div className="header-right">
+          <button
+            className="settings-button"
+            onClick={() => setShowThreads(prev => !prev)}
+            title={showThreads ? 'Hide conversations' : 'Show conversations'}
+          >
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
+            </svg>
+          </button>
           <button className="settings-button">
             <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <circle cx="12" cy="12" r="3"/>
@@ -95,90 +150,108 @@ const TheGeniePage = ({ onBack }) => {
         </div>
       </header>
 
-      {/* Main Content */}
-      <main className="genie-main">
-        {/* Force Directed Graph Background */}
-        <div className="graph-background">
-          <ForceDirectedGraph />
-        </div>
+      <div className="genie-layout">
+        {showThreads && (
+          <ThreadSidebar
+            threads={conversation.threads}
+            activeThreadId={conversation.activeThread?.id}
+            search={conversation.search}
+            onSearchChange={conversation.setSearch}
+            loading={conversation.loadingThreads}
+            onSelect={handleSelectThread}
+            onNew={handleNewThread}
+            onRename={conversation.renameThread}
+            onDelete={handleDeleteThread}
+          />
+        )}
 
-        {messages.length === 0 ? (
-          /* Welcome Screen */
-          <div className="welcome-screen">
-            <h1>Hi, I'm TheGenie</h1>
-            <p>Can I help you with anything?</p>
-            <span className="welcome-subtitle">
-              Ready to assist you with anything you need, from answering
-              questions to providing recommendations. Let's get started!
-            </span>
-          </div>
-        ) : (
-          /* Chat Messages */
-          <div className="chat-container">
-            <div className="messages-container">
-              {messages.map((message) => (
-                <div key={message.id} className={`message ${message.sender}`}>
-                  {message.sender === 'ai' && (
-                    <div className="message-avatar">
-                      <span>🧞‍♂️</span>
-                    </div>
-                  )}
-                  <div className="message-content">
-                    <div className="message-text">{message.text}</div>
-                    <div className="message-time">
-                      {message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        <div className="genie-conversation">
+          {/* Main Content */}
+          <main className="genie-main">
+            {/* Force Directed Graph Background */}
+            <div className="graph-background">
+              <ForceDirectedGraph />
+            </div>
+
+            {messages.length === 0 ? (
+              /* Welcome Screen */
+              <div className="welcome-screen">
+                <h1>Hi, I'm TheGenie</h1>
+                <p>Can I help you with anything?</p>
+                <span className="welcome-subtitle">
+                  Ready to assist you with anything you need, from answering
+                  questions to providing recommendations. Let's get started!
+                </span>
+              </div>
+            ) : (
+              /* Chat Messages */
+              <div className="chat-container">
+                <div className="messages-container">
+                  {messages.map((message) => (
+                    <div key={message.id} className={`message ${message.sender}`}>
+                      {message.sender === 'ai' && (
+                        <div className="message-avatar">
+                          <span>🧞‍♂️</span>
+                        </div>
+                      )}
+                      <div className="message-content">
+                        <div className="message-text">{message.text}</div>
+                        <div className="message-time">
+                          {message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                        </div>
+                      </div>
                     </div>
-                  </div>
-                </div>
-              ))}
-              {isLoading && (
-                <div className="message ai">
-                  <div className="message-avatar">
-                    <span>🧞‍♂️</span>
-                  </div>
-                  <div className="message-content">
-                    <div className="typing-indicator">
-                      <span></span>
-                      <span></span>
-                      <span></span>
+                  ))}
+                  {isLoading && (
+                    <div className="message ai">
+                      <div className="message-avatar">
+                        <span>🧞‍♂️</span>
+                      </div>
+                      <div className="message-content">
+                        <div className="typing-indicator">
+                          <span></span>
+                          <span></span>
+                          <span></span>
+                        </div>
+                      </div>
                     </div>
-                  </div>
+                  )}
+                  <div ref={messagesEndRef} />
                 </div>
-              )}
-              <div ref={messagesEndRef} />
+              </div>
+            )}
+          </main>
+
+          {/* Input Area */}
+          <div className="input-area">
+            <div className="input-container">
+              <button className="attachment-button">
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"/>
+                </svg>
+              </button>
+              
+              <textarea
+                value={inputValue}
+                onChange={(e) => setInputValue(e.target.value)}
+                onKeyPress={handleKeyPress}
+                placeholder="Ask TheGenie anything..."
+                className="message-input"
+                rows="1"
+              />
+              
+              <button 
+                className="send-button"
+                onClick={handleSendMessage}
+                disabled={!inputValue.trim() || isLoading}
+              >
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <line x1="22" y1="2" x2="11" y2="13"/>
+                  <polygon points="22,2 15,22 11,13 2,9 22,2"/>
+                </svg>
+              </button>
             </div>
           </div>
-        )}
-      </main>
-
-      {/* Input Area */}
-      <div className="input-area">
-        <div className="input-container">
-          <button className="attachment-button">
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-              <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48"/>
-            </svg>
-          </button>
-          
-          <textarea
-            value={inputValue}
-            onChange={(e) => setInputValue(e.target.value)}
-            onKeyPress={handleKeyPress}
-            placeholder="Ask TheGenie anything..."
-            className="message-input"
-            rows="1"
-          />
-          
-          <button 
-            className="send-button"
-            onClick={handleSendMessage}
-            disabled={!inputValue.trim() || isLoading}
-          >
-            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-              <line x1="22" y1="2" x2="11" y2="13"/>
-              <polygon points="22,2 15,22 11,13 2,9 22,2"/>
-            </svg>
-          </button>
         </div>
       </div>
     </div>
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import './ThreadSidebar.css';
+
+// Short relative date for the thread list
+const formatUpdated = (timestamp) => {
+  const date = new Date(timestamp);
+  const days = Math.floor((Date.now() - date.getTime()) / (24 * 60 * 60 * 1000));
+  if (days < 1) return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (days < 7) return date.toLocaleDateString([], { weekday: 'short' });
+  return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+const ThreadSidebar = ({
+  threads,
+  activeThreadId,
+  search,
+  onSearchChange,
+  loading,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete
+}) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState('');
+
+  const startRename = (thread) => {
+    setEditingId(thread.id);
+    setDraftTitle(thread.title);
+  };
+
+  const commitRename = async () => {
+    const title = draftTitle.trim();
+    const thread = threads.find(item => item.id === editingId);
+    setEditingId(null);
+    if (thread && title && title !== thread.title) {
+      await onRename(thread.id, title);
+    }
+  };
+
+  const handleRenameKey = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commitRename();
+    } else if (e.key === 'Escape') {
+      setEditingId(null);
+    }
+  };
+
+  const handleDelete = (thread) => {
+    if (window.confirm(`Delete "${thread.title}"? This can't be undone.`)) {
+      onDelete(thread.id);
+    }
+  };
+
+  return (
+    <aside className="thread-sidebar">
+      <button className="new-thread-button" onClick={onNew}>
+        + New chat
+      </button>
+
+      <input
+        type="search"
+        className="thread-search"
+        value={search}
+        onChange={(e) => onSearchChange(e.target.value)}
+        placeholder="Search conversations..."
+      />
+
+      <div className="thread-list">
+        {loading && threads.length === 0 && (
+          <div className="thread-list-empty">Loading...</div>
+        )}
+
+        {!loading && threads.length === 0 && (
+          <div className="thread-list-empty">
+            {search ? 'No conversations match your search' : 'No conversations yet'}
+          </div>
+        )}
+
+        {threads.map(thread => (
+          <div
+            key={thread.id}
+            className={`thread-item ${thread.id === activeThreadId ? 'active' : ''}`}
+            onClick={() => editingId !== thread.id && onSelect(thread.id)}
+          >
+            {editingId === thread.id ? (
+              <input
+                className="thread-rename-input"
+                value={draftTitle}
+                onChange={(e) => setDraftTitle(e.target.value)}
+                onKeyDown={handleRenameKey}
+                onBlur={commitRename}
+                onClick={(e) => e.stopPropagation()}
+                autoFocus
+              />
+            ) : (
+              <>
+                <div className="thread-item-text">
+                  <span className="thread-title">{thread.title}</span>
+                  <span className="thread-updated">{formatUpdated(thread.updated_at)}</span>
+                </div>
+                <div className="thread-actions" onClick={(e) => e.stopPropagation()}>
+                  <button onClick={() => startRename(thread)} title="Rename" aria-label="Rename conversation">✏️</button>
+                  <button onClick={() => handleDelete(thread)} title="Delete" aria-label="Delete conversation">🗑️</button>
+                </div>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+    </aside>
+  );
+};
+
+export default ThreadSidebar;
@@ -0,0 +1,170 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import {
+  listThreads,
+  createThread,
+  renameThread as renameStoredThread,
+  deleteThread as deleteStoredThread,
+  getThreadMessages,
+  addMessage,
+  getConversationContext,
+  updateRollingSummary
+} from '../lib/conversationService';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Custom hook managing persistent TheGenie threads for one chat surface
+ * A thread is created lazily when its first message is saved. If storage is
+ * unavailable the chat keeps working; messages just aren't persisted.
+ * @param {string} mode - 'chat' (TheGeniePage) or 'materials' (TheGenie)
+ */
+export function useConversationThreads(mode) {
+  const { user } = useAuth();
+  const [threads, setThreads] = useState([]);
+  const [activeThread, setActiveThread] = useState(null);
+  const [search, setSearch] = useState('');
+  const [loadingThreads, setLoadingThreads] = useState(false);
+
+  // Refs keep saves made back-to-back in one handler on the same thread
+  const threadRef = useRef(null);
+  const messagesRef = useRef([]);
+
+  const setThread = useCallback((thread) => {
+    threadRef.current = thread;
+    setActiveThread(thread);
+  }, []);
+
+  const upsertThreadInList = useCallback((thread) => {
+    setThreads(prev => [thread, ...prev.filter(item => item.id !== thread.id)]);
+  }, []);
+
+  useEffect(() => {
+    if (!user) return undefined;
+
+    let active = true;
+    const timer = setTimeout(async () => {
+      setLoadingThreads(true);
+      const result = await listThreads(user.id, { mode, search });
+      if (active) {
+        setThreads(result.threads);
+        setLoadingThreads(false);
+      }
+    }, search ? SEARCH_DEBOUNCE_MS : 0);
+
+    return () => {
+      active = false;
+      clearTimeout(timer);
+    };
+  }, [user, mode, search]);
+
+  /**
+   * Open a thread
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<Array>} Stored messages, oldest first
+   */
+  const selectThread = useCallback(async (threadId) => {
+    const thread = threads.find(item => item.id === threadId) || { id: threadId };
+    const { messages } = await getThreadMessages(threadId);
+    messagesRef.current = messages;
+    setThread(thread);
+    return messages;
+  }, [threads, setThread]);
+
+  /**
+   * Start a fresh conversation (stored once its first message is saved)
+   */
+  const startNewThread = useCallback(() => {
+    messagesRef.current = [];
+    setThread(null);
+  }, [setThread]);
+
+  /**
+   * Persist a message in the active thread, creating the thread if needed
+   * @param {Object} message - { role: 'user' | 'assistant', content, metadata }
+   * @returns {Promise<Object|null>} Stored message, or null when it couldn't be saved
+   */
+  const saveMessage = useCallback(async (message) => {
+    if (!user) return null;
+
+    let thread = threadRef.current;
+    if (!thread) {
+      const created = await createThread(user.id, { mode, title: message.content });
+      if (!created.success) return null;
+      thread = created.thread;
+      setThread(thread);
+    }
+
+    const result = await addMessage(thread, message);
+    if (!result.success) return null;
+
+    messagesRef.current = [...messagesRef.current, result.message];
+    setThread(result.thread);
+    upsertThreadInList(result.thread);
+    return result.message;
+  }, [user, mode, setThread, upsertThreadInList]);
+
+  /**
+   * Rolling summary and unsummarized messages for the next reply
+   * @returns {Object} { summary, recentMessages }
+   */
+  const getContext = useCallback(
+    () => getConversationContext(threadRef.current, messagesRef.current),
+    []
+  );
+
+  /**
+   * Fold older messages into the rolling summary when the thread has grown
+   * @returns {Promise<void>}
+   */
+  const refreshSummary = useCallback(async () => {
+    if (!threadRef.current) return;
+    const result = await updateRollingSummary(threadRef.current, messagesRef.current);
+    if (result.summarized) {
+      setThread(result.thread);
+      upsertThreadInList(result.thread);
+    }
+  }, [setThread, upsertThreadInList]);
+
+  /**
+   * Rename a thread
+   * @param {string} threadId - Thread ID
+   * @param {string} title - New title
+   */
+  const renameThread = useCallback(async (threadId, title) => {
+    const result = await renameStoredThread(threadId, title);
+    if (result.success) {
+      setThreads(prev => prev.map(item => (item.id === threadId ? result.thread : item)));
+      if (threadRef.current?.id === threadId) setThread(result.thread);
+    }
+    return result;
+  }, [setThread]);
+
+  /**
+   * Delete a thread (starting a new one if it was open)
+   * @param {string} threadId - Thread ID
+   */
+  const deleteThread = useCallback(async (threadId) => {
+    const result = await deleteStoredThread(threadId);
+    if (result.success) {
+      setThreads(prev => prev.filter(item => item.id !== threadId));
+      if (threadRef.current?.id === threadId) startNewThread();
+    }
+    return result;
+  }, [startNewThread]);
+
+  return {
+    threads,
+    activeThread,
+    search,
+    setSearch,
+    loadingThreads,
+    selectThread,
+    startNewThread,
+    saveMessage,
+    getContext,
+    refreshSummary,
+    renameThread,
+    deleteThread
+  };
+}
@@ -0,0 +1,22 @@
+import { useState, useEffect, useCallback } from 'react';
+import { subscribeToDegradedGeneration } from '../lib/aiRequest';
+
+/**
+ * Custom hook exposing the latest degraded AI generation
+ * A generation is degraded when retries were exhausted and a generator
+ * returned placeholder content instead of real model output.
+ */
+export function useDegradedGeneration() {
+  const [degraded, setDegraded] = useState(null);
+
+  useEffect(() => subscribeToDegradedGeneration(setDegraded), []);
+
+  /**
+   * Hide the current notice until the next degraded generation
+   */
+  const dismiss = useCallback(() => {
+    setDegraded(null);
+  }, []);
+
+  return { degraded, dismiss };
+}
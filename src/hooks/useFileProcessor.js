@@ -1,5 +1,8 @@
-import { useState, useCallback } from 'react';
-import { processFile, processMultipleFiles } from '../lib/fileProcessor';
+import { useState, useCallback, useRef } from 'react';
+import { processFile, processMultipleFiles, saveOCRCorrections } from '../lib/fileProcessor';
+import { terminateOCRPools } from '../lib/tesseractConfig';
+import { getDocumentType, DOCUMENT_TYPES } from '../lib/documentParsers';
+import { countSavedPages } from '../lib/extractionProgress';
 import { useAuth } from '../context/AuthContext';
 
 /**
@@ -10,15 +13,18 @@ export function useFileProcessor() {
   const [processing, setProcessing] = useState(false);
   const [progress, setProgress] = useState(0);
   const [currentFile, setCurrentFile] = useState('');
+  const [pageProgress, setPageProgress] = useState(null); // { page, completed, total } for the PDF being processed
   const [results, setResults] = useState([]);
   const [errors, setErrors] = useState([]);
+  const abortControllerRef = useRef(null);
 
   /**
    * Process a single file
    * @param {File} file - File to process
+   * @param {Object} options - { pages: PDF pages to process (default: all), ocrLanguages: OCR languages (detected when omitted) }
    * @returns {Promise<Object>} Processing result
    */
-  const processSingleFile = useCallback(async (file) => {
+  const processSingleFile = useCallback(async (file, { pages, ocrLanguages } = {}) => {
     if (!user) {
       throw new Error('User must be authenticated to process files');
     }
@@ -27,6 +33,8 @@ export function useFileProcessor() {
     setProgress(0);
     setCurrentFile(file.name);
     setErrors([]);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
     try {
       console.log(`Starting processing for: ${file.name}`);
@@ -38,7 +46,15 @@ export function useFileProcessor() {
 
       setProgress(10);
       
-      const result = await processFile(file, user.id);
+      const result = await processFile(file, user.id, {
+        pages,
+        ocrLanguages,
+        signal: controller.signal,
+        onProgress: (update) => {
+          setPageProgress(update);
+          setProgress(10 + (update.completed / update.total) * 85);
+        }
+      });
       
       setProgress(100);
       
@@ -61,8 +77,10 @@ export function useFileProcessor() {
         fileName: file.name
       };
     } finally {
+      abortControllerRef.current = null;
       setProcessing(false);
       setCurrentFile('');
+      setPageProgress(null);
       // Don't reset progress immediately - let it stay at 100% for a moment
       setTimeout(() => {
         setProgress(0);
@@ -73,9 +91,12 @@ export function useFileProcessor() {
   /**
    * Process multiple files sequentially
    * @param {File[]} files - Array of files to process
-   * @returns {Promise<Array>} Array of processing results
+   * @param {Object} options - Processing options
+   * @param {Map} options.pageSelections - PDF file → pages to process (default: all)
+   * @param {string} options.ocrLanguages - OCR languages for every file (detected per file when omitted)
+   * @returns {Promise<Array>} Array of processing results, each with the fileIndex of its file in files
    */
-  const processFiles = useCallback(async (files) => {
+  const processFiles = useCallback(async (files, { pageSelections, ocrLanguages } = {}) => {
     if (!user) {
       throw new Error('User must be authenticated to process files');
     }
@@ -88,6 +109,8 @@ export function useFileProcessor() {
     setProgress(0);
     setErrors([]);
     setResults([]);
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
     const validFiles = files.filter(isValidFile);
     const invalidFiles = files.filter(file => !isValidFile(file));
@@ -114,13 +137,35 @@ export function useFileProcessor() {
 
         // Update progress during processing
         const progressStep = (1 / validFiles.length) * 100;
-        const midProgress = baseProgress + progressStep * 0.5;
-        setProgress(midProgress); // 50% through current file
-        console.log(`Progress: ${midProgress}% - Processing ${file.name}...`);
+        if (file.type === 'application/pdf') {
+          setPageProgress(null);
+        } else {
+          const midProgress = baseProgress + progressStep * 0.5;
+          setProgress(midProgress); // 50% through current file
+          console.log(`Progress: ${midProgress}% - Processing ${file.name}...`);
+        }
 
-        const result = await processFile(file, user.id);
+        // PDFs report each page, so long documents move the bar steadily.
+        // OCR workers stay up between files and are shut down after the batch.
+        const processed = await processFile(file, user.id, {
+          pages: pageSelections?.get(file),
+          ocrLanguages,
+          signal: controller.signal,
+          keepOCRWorkers: true,
+          onProgress: (update) => {
+            setPageProgress(update);
+            setProgress(baseProgress + progressStep * (update.completed / update.total));
+          }
+        });
+        // Files can share a name, so results point back to their file by position
+        const result = { ...processed, fileIndex: files.indexOf(file) };
         allResults.push(result);
 
+        if (result.cancelled) {
+          setErrors(prev => [...prev, `${file.name}: Processing cancelled (extracted pages are kept, so processing it again resumes)`]);
+          break;
+        }
+
         if (result.success) {
           setResults(prev => [...prev, result]);
         } else {
@@ -143,8 +188,11 @@ export function useFileProcessor() {
       setErrors(prev => [...prev, error.message]);
       return allResults;
     } finally {
+      await terminateOCRPools();
+      abortControllerRef.current = null;
       setProcessing(false);
       setCurrentFile('');
+      setPageProgress(null);
       // Don't reset progress immediately - let it stay at 100% for a moment
       setTimeout(() => {
         setProgress(0);
@@ -152,6 +200,49 @@ export function useFileProcessor() {
     }
   }, [user]);
 
+  /**
+   * Cancel the file being processed and any files after it
+   */
+  const cancel = useCallback(() => {
+    abortControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Count the pages of a PDF already extracted by an interrupted run
+   * @param {File} file - PDF file
+   * @returns {Promise<number>} Pages that will be reused rather than extracted again
+   */
+  const getSavedPageCount = useCallback(async (file) => {
+    if (!user || file.type !== 'application/pdf') return 0;
+    return countSavedPages(file, user.id);
+  }, [user]);
+
+  /**
+   * Save corrected OCR text for a result and mark it reviewed
+   * @param {Object} result - Processing result being reviewed
+   * @param {Array<Object>} corrections - Corrected pages { page, text }
+   * @returns {Promise<Object>} Updated result, or { success: false, error }
+   */
+  const saveOCRReview = useCallback(async (result, corrections) => {
+    if (!user) {
+      throw new Error('User must be authenticated to save corrections');
+    }
+
+    const updated = await saveOCRCorrections(result, corrections, user.id);
+    if (updated.success) {
+      setResults(prev => prev.map(r => (r === result ? updated : r)));
+    }
+    return updated;
+  }, [user]);
+
+  /**
+   * Keep a result's OCR text as extracted, low-confidence markers included
+   * @param {Object} result - Processing result being reviewed
+   */
+  const skipOCRReview = useCallback((result) => {
+    setResults(prev => prev.map(r => (r === result ? { ...r, ocrReviewed: true } : r)));
+  }, []);
+
   /**
    * Clear results and errors
    */
@@ -167,6 +258,7 @@ export function useFileProcessor() {
     setProcessing(false);
     setProgress(0);
     setCurrentFile('');
+    setPageProgress(null);
     setResults([]);
     setErrors([]);
   }, []);
@@ -176,12 +268,17 @@ export function useFileProcessor() {
     processing,
     progress,
     currentFile,
+    pageProgress,
     results,
     errors,
     
     // Actions
     processSingleFile,
     processFiles,
+    cancel,
+    getSavedPageCount,
+    saveOCRReview,
+    skipOCRReview,
     clearResults,
     reset,
     
@@ -216,7 +313,8 @@ function isValidFile(file) {
     return false;
   }
 
-  if (!ALLOWED_TYPES.includes(file.type)) {
+  // Documents, text and source files are recognised by extension as well as MIME type
+  if (!ALLOWED_TYPES.includes(file.type) && !getDocumentType(file)) {
     console.warn(`File ${file.name} has unsupported type: ${file.type}`);
     return false;
   }
@@ -227,9 +325,10 @@ function isValidFile(file) {
 /**
  * Get file type display name
  * @param {string} mimeType - MIME type
+ * @param {string} fileName - File name, checked first since browsers often misreport document MIME types
  * @returns {string} Display name
  */
-export function getFileTypeDisplay(mimeType) {
+export function getFileTypeDisplay(mimeType, fileName) {
   const typeMap = {
     'application/pdf': 'PDF Document',
     'image/jpeg': 'JPEG Image',
@@ -238,10 +337,12 @@ export function getFileTypeDisplay(mimeType) {
     'image/gif': 'GIF Image',
     'image/bmp': 'BMP Image',
     'image/webp': 'WebP Image',
-    'image/tiff': 'TIFF Image'
+    'image/tiff': 'TIFF Image',
+    ...Object.fromEntries(Object.values(DOCUMENT_TYPES).flatMap(type => type.mimeTypes.map(mime => [mime, type.label])))
   };
 
-  return typeMap[mimeType] || mimeType;
+  const documentType = fileName && getDocumentType({ name: fileName, type: mimeType });
+  return (documentType && DOCUMENT_TYPES[documentType].label) || typeMap[mimeType] || mimeType;
 }
 
 /**
@@ -0,0 +1,252 @@
+/**
+ * AI Request Policy - retries, backoff, rate limiting and timeouts
+ * Every provider call made through llmProvider.js goes through runAIRequest so
+ * 429s and transient 5xx responses are retried with exponential backoff, the
+ * number of in-flight calls is capped, and hung requests are aborted.
+ *
+ * When a generator still has to fall back to placeholder content it marks the
+ * value with markDegraded. Degraded values are reported to subscribers (the UI
+ * shows a notice) and are refused by sessionService.createSession.
+ */
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Error thrown when a request is aborted after exceeding its time limit
+ */
+export class AITimeoutError extends Error {
+  /**
+   * @param {number} timeoutMs - Time limit that was exceeded
+   */
+  constructor(timeoutMs) {
+    super(`AI request timed out after ${timeoutMs}ms`);
+    this.name = 'AITimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Extract an HTTP status code from a provider error
+ * @param {Error} error - Error thrown by a provider
+ * @returns {number|null} Status code if known
+ */
+export const getErrorStatus = (error) => {
+  if (!error) return null;
+  if (typeof error.status === 'number') return error.status;
+
+  // Gemini SDK messages look like "[GoogleGenerativeAI Error]: ... [429 Too Many Requests]"
+  const match = String(error.message || '').match(/\[(\d{3})[ \]]|status:? (\d{3})/);
+  return match ? Number(match[1] || match[2]) : null;
+};
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} True for timeouts, rate limits, transient server and network errors
+ */
+export const isRetryableError = (error) => {
+  if (error instanceof AITimeoutError) return true;
+  if (error?.name === 'AbortError' || error?.retryable === false) return false;
+
+  const status = getErrorStatus(error);
+  if (status !== null) return RETRYABLE_STATUSES.includes(status);
+
+  // fetch rejects with a TypeError on network failures
+  return error instanceof TypeError;
+};
+
+/**
+ * Delay before the next retry: exponential backoff with full jitter,
+ * honouring a Retry-After hint when the provider gave one
+ * @param {number} attempt - Retry number starting at 1
+ * @param {Object} options - Backoff options
+ * @param {number} options.baseDelayMs - Delay for the first retry
+ * @param {number} options.maxDelayMs - Upper bound for any delay
+ * @param {Error} error - Error that triggered the retry
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempt, { baseDelayMs, maxDelayMs }, error) => {
+  if (typeof error?.retryAfterMs === 'number') {
+    return Math.min(error.retryAfterMs, maxDelayMs);
+  }
+  const ceiling = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a task, retrying retryable failures with exponential backoff
+ * @param {Function} task - Async function receiving the attempt number
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Retries after the first attempt (default: 3)
+ * @param {number} options.baseDelayMs - Delay for the first retry (default: 1000)
+ * @param {number} options.maxDelayMs - Upper bound for any delay (default: 16000)
+ * @param {Function} options.onRetry - Called with (error, attempt, delayMs) before waiting
+ * @returns {Promise<*>} Task result
+ */
+export const withRetry = async (task, {
+  maxRetries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 16000,
+  onRetry
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+      const delayMs = getRetryDelay(attempt + 1, { baseDelayMs, maxDelayMs }, error);
+      if (onRetry) onRetry(error, attempt + 1, delayMs);
+      await sleep(delayMs);
+    }
+  }
+};
+
+/**
+ * Run a task with an AbortSignal that fires after a time limit
+ * @param {Function} task - Async function receiving an AbortSignal
+ * @param {number} timeoutMs - Time limit in milliseconds (0 disables the limit)
+ * @returns {Promise<*>} Task result
+ * @throws {AITimeoutError} When the time limit is exceeded
+ */
+export const withTimeout = async (task, timeoutMs) => {
+  const controller = new AbortController();
+  if (!timeoutMs) return task(controller.signal);
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new AITimeoutError(timeoutMs));
+    }, timeoutMs);
+  });
+
+  try {
+    // Race so providers that ignore the signal still time out
+    return await Promise.race([task(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Create a limiter that runs at most maxConcurrent tasks at a time
+ * @param {number} maxConcurrent - Maximum number of tasks in flight
+ * @returns {Function} limit(task) returning the task's result promise
+ */
+export const createConcurrencyLimiter = (maxConcurrent) => {
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= maxConcurrent || queue.length === 0) return;
+    const { task, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+/**
+ * Run a provider call under the full request policy
+ * Each attempt waits for a limiter slot, so backoff delays don't hold one.
+ * @param {Function} call - Async function receiving an AbortSignal
+ * @param {Object} options - Policy options
+ * @param {Function} options.limit - Concurrency limiter from createConcurrencyLimiter
+ * @param {number} options.timeoutMs - Per-attempt time limit
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay for the first retry
+ * @param {number} options.maxDelayMs - Upper bound for any delay
+ * @param {string} options.task - Task name used in log messages
+ * @returns {Promise<*>} Call result
+ */
+export const runAIRequest = (call, { limit, timeoutMs, task = 'request', ...retryOptions } = {}) => {
+  const attemptCall = () => withTimeout(call, timeoutMs);
+
+  return withRetry(
+    () => (limit ? limit(attemptCall) : attemptCall()),
+    {
+      ...retryOptions,
+      onRetry: (error, attempt, delayMs) => {
+        console.warn(`AI ${task} failed (${error.message}), retry ${attempt} in ${delayMs}ms`);
+      }
+    }
+  );
+};
+
+// Degraded generation tracking
+
+const degradedValues = new WeakSet();
+const degradedListeners = new Set();
+
+/**
+ * Wrap generated text in the result shape text generators return
+ * Strings can't be tracked as degraded, so text generators return
+ * { text, degraded } and their fallbacks go through markDegraded.
+ * @param {string} text - Generated text
+ * @returns {Object} { text, degraded: false }
+ */
+export const textResult = (text) => ({ text, degraded: false });
+
+/**
+ * Mark generator output as placeholder content and notify subscribers
+ * @param {*} value - Fallback value returned by a generator
+ * @param {Object} details - What degraded
+ * @param {string} details.task - Generator task name
+ * @param {Error} details.error - Error that caused the fallback
+ * @returns {*} The same value; fallback text comes back as { text, degraded: true }
+ */
+export const markDegraded = (value, { task, error } = {}) => {
+  if (typeof value === 'string') {
+    value = { text: value, degraded: true };
+  }
+  if (value && typeof value === 'object') {
+    degradedValues.add(value);
+    // Mark items too so slices and merges of a fallback list stay detectable
+    if (Array.isArray(value)) {
+      value.filter(item => item && typeof item === 'object').forEach(item => degradedValues.add(item));
+    }
+  }
+  degradedListeners.forEach(listener => {
+    try {
+      listener({ task, error, timestamp: Date.now() });
+    } catch (listenerError) {
+      console.error('Error in degraded generation listener:', listenerError);
+    }
+  });
+  return value;
+};
+
+/**
+ * Check whether a generator returned placeholder content
+ * @param {*} value - Generator output
+ * @returns {boolean} True if the value (or, for arrays, any item) is degraded
+ */
+export const isDegraded = (value) => {
+  if (!value || typeof value !== 'object') return false;
+  if (degradedValues.has(value) || value.degraded === true) return true;
+  return Array.isArray(value) && value.some(item => item && typeof item === 'object' && degradedValues.has(item));
+};
+
+/**
+ * Subscribe to degraded generation events
+ * @param {Function} listener - Called with { task, error, timestamp }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToDegradedGeneration = (listener) => {
+  degradedListeners.add(listener);
+  return () => degradedListeners.delete(listener);
+};
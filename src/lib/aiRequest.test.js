@@ -0,0 +1,100 @@
+// Tests for the AI request policy and degraded generation tracking
+
+const {
+  AITimeoutError,
+  isRetryableError,
+  withRetry,
+  withTimeout,
+  createConcurrencyLimiter,
+  markDegraded,
+  textResult,
+  isDegraded,
+  subscribeToDegradedGeneration
+} = require('./aiRequest');
+
+const httpError = (status) => Object.assign(new Error(`HTTP error! status: ${status}`), { status });
+
+describe('AI Request Policy', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('isRetryableError should only accept transient failures', () => {
+    expect(isRetryableError(httpError(429))).toBe(true);
+    expect(isRetryableError(httpError(503))).toBe(true);
+    expect(isRetryableError(new Error('[GoogleGenerativeAI Error]: Error fetching: [500 Internal Server Error]'))).toBe(true);
+    expect(isRetryableError(new AITimeoutError(100))).toBe(true);
+    expect(isRetryableError(httpError(400))).toBe(false);
+    expect(isRetryableError(new Error('API Error'))).toBe(false);
+  });
+
+  test('withRetry should back off and retry rate limited calls', async () => {
+    const task = jest.fn()
+      .mockRejectedValueOnce(httpError(429))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce('ok');
+    const onRetry = jest.fn();
+
+    await expect(withRetry(task, { baseDelayMs: 1, maxDelayMs: 2, onRetry })).resolves.toBe('ok');
+    expect(task).toHaveBeenCalledTimes(3);
+    expect(onRetry).toHaveBeenCalledTimes(2);
+  });
+
+  test('withRetry should give up on permanent errors and after maxRetries', async () => {
+    const badRequest = jest.fn().mockRejectedValue(httpError(400));
+    await expect(withRetry(badRequest, { baseDelayMs: 1 })).rejects.toThrow('status: 400');
+    expect(badRequest).toHaveBeenCalledTimes(1);
+
+    const rateLimited = jest.fn().mockRejectedValue(httpError(429));
+    await expect(withRetry(rateLimited, { maxRetries: 2, baseDelayMs: 1 })).rejects.toThrow('status: 429');
+    expect(rateLimited).toHaveBeenCalledTimes(3);
+  });
+
+  test('withTimeout should abort calls that take too long', async () => {
+    let receivedSignal;
+    const hanging = (signal) => {
+      receivedSignal = signal;
+      return new Promise(() => {});
+    };
+
+    await expect(withTimeout(hanging, 10)).rejects.toBeInstanceOf(AITimeoutError);
+    expect(receivedSignal.aborted).toBe(true);
+  });
+
+  test('createConcurrencyLimiter should cap tasks in flight', async () => {
+    const limit = createConcurrencyLimiter(2);
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return active;
+    };
+
+    await Promise.all([task, task, task, task, task].map(limit));
+    expect(peak).toBe(2);
+  });
+
+  test('markDegraded should tag fallbacks and notify subscribers', () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToDegradedGeneration(listener);
+    const cards = markDegraded([{ question: 'Q', answer: 'A' }], { task: 'flashcards' });
+    unsubscribe();
+    const answer = markDegraded('text fallback', { task: 'answer' });
+
+    expect(answer).toEqual({ text: 'text fallback', degraded: true });
+    expect(isDegraded(answer)).toBe(true);
+    expect(isDegraded(textResult('real answer'))).toBe(false);
+    expect(isDegraded(cards)).toBe(true);
+    expect(isDegraded(cards.slice(0, 1))).toBe(true);
+    expect(isDegraded([{ question: 'Q', answer: 'A' }])).toBe(false);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ task: 'flashcards' }));
+  });
+});
@@ -0,0 +1,295 @@
+import initSqlJs from 'sql.js';
+import JSZip from 'jszip';
+
+/**
+ * Anki Package - reads and writes Anki .apkg files
+ * An .apkg is a zip holding "collection.anki2" (a SQLite database in Anki's
+ * schema 11 layout) and a "media" manifest. The database is built and read in
+ * the browser with sql.js; its wasm binary is served from /sql-wasm.wasm,
+ * copied from the installed sql.js by scripts/copy-sql-wasm.js.
+ */
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+  models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+  flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+  ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null,
+  odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+// Fixed model IDs so repeated exports update the same note types in Anki
+const BASIC_MODEL_ID = 1718000000001;
+const CLOZE_MODEL_ID = 1718000000002;
+const FIELD_SEPARATOR = '\x1f';
+
+const CARD_CSS = `.card {
+  font-family: arial;
+  font-size: 20px;
+  text-align: center;
+  color: black;
+  background-color: white;
+}
+.cloze {
+  font-weight: bold;
+  color: blue;
+}`;
+
+let sqlPromise = null;
+
+const loadSql = () => {
+  if (!sqlPromise) {
+    sqlPromise = initSqlJs({ locateFile: (file) => `/${file}` });
+  }
+  return sqlPromise;
+};
+
+const field = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] });
+
+const buildModel = ({ id, name, type, fields, template, deckId, now }) => ({
+  id,
+  name,
+  type,
+  mod: now,
+  usn: -1,
+  sortf: 0,
+  did: deckId,
+  tmpls: [{ name: template.name, ord: 0, qfmt: template.qfmt, afmt: template.afmt, did: null, bqfmt: '', bafmt: '' }],
+  flds: fields.map(field),
+  css: CARD_CSS,
+  latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+  latexPost: '\\end{document}',
+  tags: [],
+  vers: [],
+  req: [[0, 'any', [0]]]
+});
+
+const buildDeck = (id, name, now) => ({
+  id,
+  name,
+  desc: 'Exported from Study Genie',
+  mod: now,
+  usn: -1,
+  collapsed: false,
+  browserCollapsed: false,
+  newToday: [0, 0],
+  revToday: [0, 0],
+  lrnToday: [0, 0],
+  timeToday: [0, 0],
+  dyn: 0,
+  conf: 1,
+  extendNew: 10,
+  extendRev: 50
+});
+
+const DECK_CONFIG = {
+  1: {
+    id: 1,
+    name: 'Default',
+    mod: 0,
+    usn: 0,
+    maxTaken: 60,
+    autoplay: true,
+    timer: 0,
+    replayq: true,
+    dyn: false,
+    new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+    lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+    rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, maxIvl: 36500, ivlFct: 1, bury: true, minSpace: 1 }
+  }
+};
+
+const COLLECTION_CONFIG = {
+  nextPos: 1,
+  estTimes: true,
+  activeDecks: [1],
+  sortType: 'noteFld',
+  timeLim: 0,
+  sortBackwards: false,
+  addToCur: true,
+  curDeck: 1,
+  newSpread: 0,
+  dueCounts: true,
+  curModel: String(BASIC_MODEL_ID),
+  collapseTime: 1200
+};
+
+// Note text is plain; Anki fields are HTML
+const toHtml = (text = '') => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/\r?\n/g, '<br>');
+
+// Anki's duplicate check: first 8 hex digits of the SHA-1 of the sort field
+const checksum = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(text));
+  const hex = Array.from(new Uint8Array(digest).slice(0, 4), byte => byte.toString(16).padStart(2, '0')).join('');
+  return parseInt(hex, 16);
+};
+
+// Stable guid per source card, so importing a re-export updates notes instead of duplicating them
+const noteGuid = (note, index) => (note.id ? `sg-${note.id}` : `sg-${Date.now().toString(36)}-${index}`);
+
+/**
+ * Build an Anki package
+ * @param {string} deckName - Name of the deck in Anki
+ * @param {Array<Object>} notes - Notes from buildExportNotes
+ * @returns {Promise<Blob>} .apkg file contents
+ */
+export const buildApkg = async (deckName, notes) => {
+  const SQL = await loadSql();
+  const db = new SQL.Database();
+
+  try {
+    const nowMs = Date.now();
+    const now = Math.floor(nowMs / 1000);
+    const deckId = nowMs;
+
+    const models = {
+      [BASIC_MODEL_ID]: buildModel({
+        id: BASIC_MODEL_ID,
+        name: 'Study Genie Basic',
+        type: 0,
+        fields: ['Front', 'Back'],
+        template: { name: 'Card 1', qfmt: '{{Front}}', afmt: '{{FrontSide}}<hr id=answer>{{Back}}' },
+        deckId,
+        now
+      }),
+      [CLOZE_MODEL_ID]: buildModel({
+        id: CLOZE_MODEL_ID,
+        name: 'Study Genie Cloze',
+        type: 1,
+        fields: ['Text', 'Back Extra'],
+        template: { name: 'Cloze', qfmt: '{{cloze:Text}}', afmt: '{{cloze:Text}}<br>{{Back Extra}}' },
+        deckId,
+        now
+      })
+    };
+
+    const decks = {
+      1: buildDeck(1, 'Default', now),
+      [deckId]: buildDeck(deckId, deckName, now)
+    };
+
+    db.run(SCHEMA);
+    db.run(
+      'INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)',
+      [now, nowMs, nowMs, JSON.stringify(COLLECTION_CONFIG), JSON.stringify(models),
+        JSON.stringify(decks), JSON.stringify(DECK_CONFIG), '{}']
+    );
+
+    const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+    const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, \'\')');
+
+    for (const [index, note] of notes.entries()) {
+      const noteId = nowMs + index;
+      const front = toHtml(note.front);
+      const tags = note.tags.length > 0 ? ` ${note.tags.join(' ')} ` : '';
+
+      insertNote.run([
+        noteId,
+        noteGuid(note, index),
+        note.type === 'cloze' ? CLOZE_MODEL_ID : BASIC_MODEL_ID,
+        now,
+        tags,
+        [front, toHtml(note.back)].join(FIELD_SEPARATOR),
+        note.front,
+        await checksum(note.front)
+      ]);
+      insertCard.run([noteId, noteId, deckId, now, index + 1]);
+    }
+
+    insertNote.free();
+    insertCard.free();
+
+    const zip = new JSZip();
+    zip.file('collection.anki2', db.export());
+    zip.file('media', '{}');
+
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+  } finally {
+    db.close();
+  }
+};
+
+// Rows of a query as objects
+const selectAll = (db, sql) => {
+  const [result] = db.exec(sql);
+  if (!result) return [];
+  return result.values.map(values => Object.fromEntries(result.columns.map((column, index) => [column, values[index]])));
+};
+
+const hasTable = (db, name) => selectAll(db, `SELECT name FROM sqlite_master WHERE type = 'table' AND name = '${name}'`).length > 0;
+
+// Field names per note type, from the legacy models JSON or the newer fields table
+const readFieldNames = (db) => {
+  const [col] = selectAll(db, 'SELECT models FROM col');
+  const models = col?.models ? JSON.parse(col.models) : {};
+  const names = {};
+
+  Object.values(models).forEach(model => {
+    names[model.id] = [...model.flds].sort((a, b) => a.ord - b.ord).map(field => field.name);
+  });
+
+  if (Object.keys(names).length === 0 && hasTable(db, 'fields')) {
+    selectAll(db, 'SELECT ntid, name FROM fields ORDER BY ntid, ord').forEach(({ ntid, name }) => {
+      names[ntid] = [...(names[ntid] || []), name];
+    });
+  }
+
+  return names;
+};
+
+/**
+ * Read the notes in an Anki package
+ * Packages from recent Anki versions store a zstd-compressed "collection.anki21b"
+ * that can't be read here; they have to be exported with "Support older Anki versions".
+ * @param {File|Blob|ArrayBuffer} file - .apkg file
+ * @returns {Promise<Object>} { deckName, notes } where notes are { fields, fieldNames, tags } with HTML fields
+ */
+export const readApkg = async (file) => {
+  const zip = await JSZip.loadAsync(file);
+
+  // collection.anki21 is the real collection when both are present; collection.anki2 is then a stub
+  const entry = zip.file('collection.anki21') || zip.file('collection.anki2');
+  if (!entry) {
+    throw new Error(zip.file('collection.anki21b')
+      ? 'This package uses the newest Anki format. Export it again with "Support older Anki versions" checked.'
+      : 'This file is not an Anki package');
+  }
+
+  const SQL = await loadSql();
+  const db = new SQL.Database(await entry.async('uint8array'));
+
+  try {
+    const fieldNames = readFieldNames(db);
+    const notes = selectAll(db, 'SELECT mid, tags, flds FROM notes ORDER BY id').map(note => ({
+      fields: note.flds.split(FIELD_SEPARATOR),
+      fieldNames: fieldNames[note.mid] || [],
+      tags: note.tags.trim().split(/\s+/).filter(Boolean)
+    }));
+
+    const [col] = selectAll(db, 'SELECT decks FROM col');
+    const decks = col?.decks ? Object.values(JSON.parse(col.decks)) : [];
+    const named = decks.find(deck => deck.id !== 1 && deck.name !== 'Default');
+
+    return { deckName: named?.name || null, notes };
+  } finally {
+    db.close();
+  }
+};
@@ -0,0 +1,284 @@
+import { supabase } from './supabase';
+import {
+  buildArchive,
+  validateArchive,
+  findConflicts,
+  mergeStruggle,
+  SESSION_FIELDS,
+  FLASHCARD_FIELDS,
+  QUESTION_FIELDS,
+  STRUGGLE_FIELDS
+} from './sessionArchive';
+import { selectAllRows, selectAllRowsIn } from './pagedQuery';
+
+/**
+ * Backup Service - exports learning sessions to a JSON archive and restores
+ * archives under the current user (see src/lib/sessionArchive.js for the format)
+ */
+
+// Archived rows only carry known fields; copy the ones present
+const columns = (record, fields) => fields.reduce((row, field) => (
+  record[field] === undefined ? row : { ...row, [field]: record[field] }
+), {});
+
+/**
+ * Export sessions to an archive
+ * @param {Array<string>|null} sessionIds - Sessions to export, or null for all of them
+ * @returns {Promise<Object>} { success, archive }
+ */
+export const exportSessions = async (sessionIds = null) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    // Every read is paged and counted: a backup must not silently miss rows
+    const sessionQuery = () => supabase
+      .from('learning_sessions')
+      .select('*', { count: 'exact' })
+      .eq('user_id', user.id)
+      .order('id');
+    const sessions = (sessionIds
+      ? await selectAllRowsIn(sessionIds, batch => sessionQuery().in('id', batch))
+      : await selectAllRows(sessionQuery)
+    ).sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    const ids = sessions.map(session => session.id);
+    const sessionRows = (table) => selectAllRowsIn(ids, batch => supabase
+      .from(table)
+      .select('*', { count: 'exact' })
+      .in('session_id', batch)
+      .order('id'));
+
+    const [flashcards, questions, struggles] = await Promise.all([
+      sessionRows('session_flashcards'),
+      sessionRows('session_questions'),
+      selectAllRows(() => supabase
+        .from('topic_struggles')
+        .select('*', { count: 'exact' })
+        .eq('user_id', user.id)
+        .order('id'))
+    ]);
+
+    const archive = buildArchive({ sessions, flashcards, questions, struggles });
+
+    return { success: true, archive };
+  } catch (error) {
+    console.error('Error exporting sessions:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Check an archive against the user's data before restoring it
+ * @param {Object} archive - Parsed archive
+ * @returns {Promise<Object>} { success, valid, errors, conflicts }
+ */
+export const previewArchiveImport = async (archive) => {
+  try {
+    const validation = validateArchive(archive);
+    if (!validation.valid) {
+      return { success: true, ...validation, conflicts: { sessions: [], struggles: [] } };
+    }
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const [sessions, struggles] = await Promise.all([
+      selectAllRows(() => supabase.from('learning_sessions').select('id, topic, created_at').eq('user_id', user.id).order('id')),
+      selectAllRows(() => supabase.from('topic_struggles').select('topic_name').eq('user_id', user.id).order('id'))
+    ]);
+
+    const conflicts = findConflicts(archive, { sessions, struggles });
+
+    return { success: true, valid: true, errors: [], conflicts };
+  } catch (error) {
+    console.error('Error checking archive:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Insert an archived session's questions and flashcards under its new ID
+ * @param {Object} session - Archived session
+ * @param {string} sessionId - ID of the restored session row
+ * @param {Object} idMap - Archive key -> new ID, filled in as rows are created
+ */
+const restoreSessionRows = async (session, sessionId, idMap) => {
+  if (session.questions.length > 0) {
+    const { data: questions, error: questionError } = await supabase
+      .from('session_questions')
+      .insert(session.questions.map(question => ({ ...columns(question, QUESTION_FIELDS), session_id: sessionId })))
+      .select('id, question_index');
+
+    if (questionError) throw questionError;
+
+    // Positions are unique within a session, so they pair new rows with archived ones
+    const byIndex = new Map(questions.map(row => [row.question_index, row.id]));
+    session.questions.forEach(question => { idMap[question.key] = byIndex.get(question.question_index); });
+  }
+
+  if (session.flashcards.length > 0) {
+    const { data: flashcards, error: flashcardError } = await supabase
+      .from('session_flashcards')
+      .insert(session.flashcards.map(card => ({ ...columns(card, FLASHCARD_FIELDS), session_id: sessionId })))
+      .select('id, flashcard_index');
+
+    if (flashcardError) throw flashcardError;
+
+    const byIndex = new Map(flashcards.map(row => [row.flashcard_index, row.id]));
+    session.flashcards.forEach(card => { idMap[card.key] = byIndex.get(card.flashcard_index); });
+  }
+};
+
+/**
+ * Restore one archived session with new IDs
+ * @param {Object} session - Archived session
+ * @param {string} userId - Importing user
+ * @param {Object} idMap - Archive key -> new ID, filled in as rows are created
+ * @returns {Promise<Object>} { flashcards, questions } counts
+ */
+const restoreSession = async (session, userId, idMap) => {
+  const { data: created, error } = await supabase
+    .from('learning_sessions')
+    .insert([{ ...columns(session, SESSION_FIELDS), user_id: userId }])
+    .select('id')
+    .single();
+
+  if (error) throw error;
+  idMap[session.key] = created.id;
+
+  try {
+    await restoreSessionRows(session, created.id, idMap);
+  } catch (childError) {
+    // Questions and flashcards cascade with the session, so one delete undoes a partial restore
+    const { error: cleanupError } = await supabase.from('learning_sessions').delete().eq('id', created.id);
+    if (cleanupError) console.error('Error removing partially restored session:', cleanupError);
+    [session, ...session.questions, ...session.flashcards].forEach(record => { delete idMap[record.key]; });
+    throw childError;
+  }
+
+  return { flashcards: session.flashcards.length, questions: session.questions.length };
+};
+
+/**
+ * Restore reworked-card links once every referenced row has its new ID
+ * @param {Array<Object>} sessions - Restored archived sessions
+ * @param {Object} idMap - Archive key -> new ID
+ */
+const restoreLineage = async (sessions, idMap) => {
+  const linked = sessions
+    .flatMap(session => session.flashcards)
+    .filter(card => idMap[card.key] && (card.parentKey || card.sourceQuestionKey));
+
+  for (const card of linked) {
+    const { error } = await supabase
+      .from('session_flashcards')
+      .update({
+        parent_flashcard_id: idMap[card.parentKey] || null,
+        source_question_id: idMap[card.sourceQuestionKey] || null
+      })
+      .eq('id', idMap[card.key]);
+
+    if (error) throw error;
+  }
+};
+
+/**
+ * Add archived topic struggles to the user's, merging counts for topics they already have
+ * @param {Array<Object>} struggles - Archived struggles
+ * @param {string} userId - Importing user
+ * @returns {Promise<Object>} { added, merged }
+ */
+const restoreStruggles = async (struggles, userId) => {
+  const existing = await selectAllRows(() => supabase
+    .from('topic_struggles')
+    .select('*')
+    .eq('user_id', userId)
+    .order('id'));
+
+  const byTopic = new Map(existing.map(row => [row.topic_name, row]));
+  let added = 0;
+  let merged = 0;
+
+  for (const struggle of struggles) {
+    const current = byTopic.get(struggle.topic_name);
+    const { error: writeError } = current
+      ? await supabase.from('topic_struggles').update(mergeStruggle(current, struggle)).eq('id', current.id)
+      : await supabase.from('topic_struggles').insert([{ ...columns(struggle, STRUGGLE_FIELDS), user_id: userId }]);
+
+    if (writeError) throw writeError;
+    if (current) merged++;
+    else added++;
+  }
+
+  return { added, merged };
+};
+
+/**
+ * Restore an archive under the current user
+ * Every row gets a new ID. Sessions that already exist are skipped unless
+ * conflictStrategy is 'copy'; a session that fails to restore is reported and
+ * the rest carry on.
+ * @param {Object} archive - Parsed archive
+ * @param {Object} options - { conflictStrategy: 'skip' or 'copy', includeStruggles }
+ * @returns {Promise<Object>} { success, report }
+ */
+export const importArchive = async (archive, { conflictStrategy = 'skip', includeStruggles = true } = {}) => {
+  try {
+    const preview = await previewArchiveImport(archive);
+    if (!preview.success) throw new Error(preview.error);
+    if (!preview.valid) throw new Error(preview.errors.join('; '));
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const conflicting = new Set(preview.conflicts.sessions.map(conflict => conflict.key));
+    const report = {
+      sessionsImported: 0,
+      sessionsSkipped: 0,
+      flashcards: 0,
+      questions: 0,
+      strugglesAdded: 0,
+      strugglesMerged: 0,
+      conflicts: preview.conflicts.sessions.map(conflict => ({
+        ...conflict,
+        resolution: conflictStrategy === 'copy' ? 'copied' : 'skipped'
+      })),
+      failures: []
+    };
+
+    const idMap = {};
+    const restored = [];
+
+    for (const session of archive.sessions) {
+      if (conflicting.has(session.key) && conflictStrategy !== 'copy') {
+        report.sessionsSkipped++;
+        continue;
+      }
+
+      try {
+        const counts = await restoreSession(session, user.id, idMap);
+        restored.push(session);
+        report.sessionsImported++;
+        report.flashcards += counts.flashcards;
+        report.questions += counts.questions;
+      } catch (error) {
+        console.error('Error restoring session:', session.topic, error);
+        report.failures.push({ topic: session.topic, error: error.message });
+      }
+    }
+
+    await restoreLineage(restored, idMap);
+
+    if (includeStruggles && archive.topicStruggles?.length > 0) {
+      const { added, merged } = await restoreStruggles(archive.topicStruggles, user.id);
+      report.strugglesAdded = added;
+      report.strugglesMerged = merged;
+    }
+
+    return { success: true, report };
+  } catch (error) {
+    console.error('Error importing archive:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,143 @@
+// Tests for restoring backup archives
+// Supabase is replaced by an in-memory query builder that records each call
+
+const { buildArchive } = require('./sessionArchive');
+
+jest.mock('./supabase', () => ({
+  supabase: {
+    auth: { getUser: jest.fn() },
+    from: jest.fn()
+  }
+}));
+
+const { supabase } = require('./supabase');
+const { exportSessions, importArchive } = require('./backupService');
+
+const rows = {
+  sessions: [
+    { id: 's1', user_id: 'u1', session_type: 'fast', topic: 'Cells', created_at: '2025-01-05T10:00:00Z' },
+    { id: 's2', user_id: 'u1', session_type: 'fast', topic: 'Atoms', created_at: '2025-01-06T10:00:00Z' }
+  ],
+  flashcards: [
+    { id: 'f1', session_id: 's1', flashcard_index: 0, question: 'Leech', answer: 'B' },
+    { id: 'f2', session_id: 's2', flashcard_index: 0, question: 'Split card', answer: 'A', parent_flashcard_id: 'f1' }
+  ],
+  questions: [{ id: 'q1', session_id: 's1', question_index: 0, question: 'Q?', options: ['a', 'b'], correct_answer: 'a' }],
+  struggles: []
+};
+
+// Each query resolves through respond(call) once awaited
+const fakeQuery = (calls, respond) => (table) => {
+  const call = { table, action: 'select' };
+  calls.push(call);
+  const record = (fields) => {
+    Object.assign(call, fields);
+    return builder;
+  };
+  const builder = {
+    select: () => builder,
+    insert: (values) => record({ action: 'insert', values }),
+    update: (values) => record({ action: 'update', values }),
+    delete: () => record({ action: 'delete' }),
+    eq: (column, value) => record({ filter: [column, value] }),
+    in: (column, values) => record({ in: values }),
+    order: () => builder,
+    range: (from, to) => record({ range: [from, to] }),
+    single: () => builder,
+    then: (resolve, reject) => Promise.resolve(respond(call)).then(resolve, reject)
+  };
+  return builder;
+};
+
+describe('Backup Service', () => {
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'u2' } } });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a session whose flashcards fail to insert is removed and left out of lineage', async () => {
+    let sessionCount = 0;
+    supabase.from.mockImplementation(fakeQuery(calls, (call) => {
+      if (call.action !== 'insert') return { data: [], error: null };
+      if (call.table === 'learning_sessions') return { data: { id: `new-s${++sessionCount}` }, error: null };
+      if (call.table === 'session_questions') {
+        return { data: call.values.map(row => ({ id: 'new-q1', question_index: row.question_index })), error: null };
+      }
+      // The first session's flashcards fail; the second session restores normally
+      if (call.values[0].question === 'Leech') return { data: null, error: new Error('insert failed') };
+      return { data: call.values.map(row => ({ id: 'new-f2', flashcard_index: row.flashcard_index })), error: null };
+    }));
+
+    const result = await importArchive(buildArchive(rows));
+
+    expect(result.success).toBe(true);
+    expect(result.report).toMatchObject({
+      sessionsImported: 1,
+      flashcards: 1,
+      questions: 0,
+      failures: [{ topic: 'Cells', error: 'insert failed' }]
+    });
+    expect(calls).toContainEqual({ table: 'learning_sessions', action: 'delete', filter: ['id', 'new-s1'] });
+    // The surviving card's parent was in the removed session, so its link is cleared
+    expect(calls).toContainEqual({
+      table: 'session_flashcards',
+      action: 'update',
+      values: { parent_flashcard_id: null, source_question_id: null },
+      filter: ['id', 'new-f2']
+    });
+  });
+
+  test('exports read every page of large sessions', async () => {
+    const cards = Array.from({ length: 2500 }, (_, i) => ({
+      id: `f${String(i).padStart(4, '0')}`, session_id: 's1', flashcard_index: i, question: `Q${i}`, answer: 'A'
+    }));
+    const tables = { learning_sessions: rows.sessions.slice(0, 1), session_flashcards: cards, session_questions: [], topic_struggles: [] };
+    supabase.from.mockImplementation(fakeQuery(calls, (call) => {
+      // The project caps responses at 1000 rows whatever range is asked for
+      const [from, to] = call.range;
+      const all = tables[call.table];
+      return { data: all.slice(from, Math.min(to + 1, from + 1000)), count: all.length, error: null };
+    }));
+
+    const result = await exportSessions();
+
+    expect(result.success).toBe(true);
+    expect(result.archive.sessions[0].flashcards).toHaveLength(2500);
+  });
+
+  test('exports fail rather than return a partial archive', async () => {
+    supabase.from.mockImplementation(fakeQuery(calls, (call) => {
+      const all = call.table === 'learning_sessions' ? rows.sessions : [];
+      // Flashcards report more rows than they return
+      const count = call.table === 'session_flashcards' ? 5 : all.length;
+      return { data: all.slice(call.range[0], call.range[1] + 1), count, error: null };
+    }));
+
+    await expect(exportSessions()).resolves.toEqual({
+      success: false,
+      error: 'Read 0 of 5 rows; the data changed while it was being read'
+    });
+  });
+
+  test('exports of many sessions filter them in batches', async () => {
+    const sessionIds = Array.from({ length: 250 }, (_, i) => `s${i}`);
+    supabase.from.mockImplementation(fakeQuery(calls, (call) => {
+      const all = call.table === 'learning_sessions'
+        ? (call.in || []).map(id => ({ id, session_type: 'fast', topic: id, created_at: '2025-01-05T10:00:00Z' }))
+        : [];
+      return { data: all.slice(call.range[0], call.range[1] + 1), count: all.length, error: null };
+    }));
+
+    const result = await exportSessions(sessionIds);
+
+    expect(result.archive.sessions).toHaveLength(250);
+    expect(Math.max(...calls.filter(call => call.in).map(call => call.in.length))).toBe(100);
+  });
+});
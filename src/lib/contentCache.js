@@ -0,0 +1,290 @@
+import { isDegraded } from './aiRequest';
+import { SCHEMAS, validate } from './structuredOutput';
+
+/**
+ * Content Cache - reuse generated study material for repeat topics
+ * Entries are keyed by normalized topic + generator + parameters and stored in
+ * IndexedDB (in-memory when IndexedDB is unavailable). A shared Supabase table
+ * can be enabled as a second tier so content generated once serves everyone.
+ * Any signed-in user can write to that table, so shared entries are only used
+ * when they match the generator's schema.
+ *
+ * Configuration (environment variables):
+ * - REACT_APP_CONTENT_CACHE: set to 'off' to disable caching
+ * - REACT_APP_CONTENT_CACHE_TTL_HOURS: entry lifetime (default: 168 = 7 days)
+ * - REACT_APP_CONTENT_CACHE_REMOTE: set to 'true' to use the generated_content_cache table
+ */
+
+// v2: text content is cached as { text, degraded } rather than a bare string
+const CACHE_VERSION = 2;
+const DB_NAME = 'study-genie-cache';
+const STORE_NAME = 'generated_content';
+const REMOTE_TABLE = 'generated_content_cache';
+const DEFAULT_TTL_HOURS = 168;
+
+const memoryStore = new Map();
+let dbPromise = null;
+
+/**
+ * Read cache configuration from the environment
+ * @returns {Object} { enabled, ttlMs, remote }
+ */
+export const getCacheConfig = () => {
+  const ttlHours = Number(process.env.REACT_APP_CONTENT_CACHE_TTL_HOURS);
+  return {
+    enabled: process.env.REACT_APP_CONTENT_CACHE !== 'off',
+    ttlMs: (ttlHours > 0 ? ttlHours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000,
+    remote: process.env.REACT_APP_CONTENT_CACHE_REMOTE === 'true'
+  };
+};
+
+/**
+ * Normalize free text so "Photosynthesis", " photosynthesis! " and
+ * "PHOTOSYNTHESIS" share a cache entry
+ * @param {string} text - Topic or other text parameter
+ * @returns {string} Normalized text
+ */
+export const normalizeTopic = (text) => String(text)
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Build the cache key for a generator call
+ * @param {string} generator - Generator task name (e.g. 'flashcards')
+ * @param {Object} params - Generator parameters (topic, count, wordCount, contextType, ...)
+ * @returns {string} Cache key
+ */
+export const buildCacheKey = (generator, params = {}) => {
+  const normalized = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== '')
+    .sort()
+    .map(key => [key, typeof params[key] === 'string' ? normalizeTopic(params[key]) : params[key]]);
+  return `v${CACHE_VERSION}|${generator}|${JSON.stringify(normalized)}`;
+};
+
+// Local tier (IndexedDB with in-memory fallback)
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, using in-memory content cache:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runStoreRequest = async (mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const readLocal = async (key) => {
+  const db = await openDatabase();
+  if (!db) {
+    const entry = memoryStore.get(key);
+    return entry ? JSON.parse(entry) : null;
+  }
+  return (await runStoreRequest('readonly', store => store.get(key))) || null;
+};
+
+const writeLocal = async (entry) => {
+  const db = await openDatabase();
+  if (!db) {
+    memoryStore.set(entry.key, JSON.stringify(entry));
+    return;
+  }
+  await runStoreRequest('readwrite', store => store.put(entry));
+};
+
+const deleteLocal = async (key) => {
+  const db = await openDatabase();
+  if (!db) {
+    memoryStore.delete(key);
+    return;
+  }
+  await runStoreRequest('readwrite', store => store.delete(key));
+};
+
+// Remote tier (Supabase), loaded lazily so the cache works without a configured client
+
+const getSupabase = async () => (await import('./supabase')).supabase;
+
+const readRemote = async (key) => {
+  const supabase = await getSupabase();
+  const { data, error } = await supabase
+    .from(REMOTE_TABLE)
+    .select('cache_key, generator, content, expires_at')
+    .eq('cache_key', key)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data
+    ? { key, generator: data.generator, value: data.content, expiresAt: new Date(data.expires_at).getTime() }
+    : null;
+};
+
+const writeRemote = async (entry) => {
+  const supabase = await getSupabase();
+  const { error } = await supabase
+    .from(REMOTE_TABLE)
+    .upsert({
+      cache_key: entry.key,
+      generator: entry.generator,
+      content: entry.value,
+      expires_at: new Date(entry.expiresAt).toISOString()
+    }, { onConflict: 'cache_key' });
+
+  if (error) throw error;
+};
+
+/**
+ * Look up a cached value
+ * @param {string} key - Cache key from buildCacheKey
+ * @param {Object} options - Lookup options
+ * @param {Function} options.isValid - Checks shared entries before they are used; others are misses
+ * @returns {Promise<*|null>} Cached value, or null on a miss or expired entry
+ */
+export const getCachedContent = async (key, { isValid = () => true } = {}) => {
+  const { remote } = getCacheConfig();
+
+  try {
+    const entry = await readLocal(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+    if (entry) {
+      await deleteLocal(key);
+    }
+  } catch (error) {
+    console.warn('Error reading local content cache:', error);
+  }
+
+  if (!remote) return null;
+
+  try {
+    const entry = await readRemote(key);
+    if (entry && isValid(entry.value)) {
+      await writeLocal(entry);
+      return entry.value;
+    }
+    if (entry) {
+      console.warn(`Ignoring invalid shared content cache entry for ${entry.generator}`);
+    }
+  } catch (error) {
+    console.warn('Error reading shared content cache:', error);
+  }
+  return null;
+};
+
+/**
+ * Store a generated value
+ * @param {string} key - Cache key from buildCacheKey
+ * @param {*} value - Generated content (must be JSON serializable)
+ * @param {Object} options - Store options
+ * @param {string} options.generator - Generator task name
+ * @param {number} options.ttlMs - Entry lifetime (default from configuration)
+ * @returns {Promise<void>}
+ */
+export const setCachedContent = async (key, value, { generator, ttlMs = getCacheConfig().ttlMs } = {}) => {
+  const entry = { key, generator, value, expiresAt: Date.now() + ttlMs };
+
+  try {
+    await writeLocal(entry);
+  } catch (error) {
+    console.warn('Error writing local content cache:', error);
+  }
+
+  if (getCacheConfig().remote) {
+    // Shared tier is best-effort; don't hold up the learner
+    writeRemote(entry).catch(error => console.warn('Error writing shared content cache:', error));
+  }
+};
+
+/**
+ * Remove every locally cached entry
+ * @returns {Promise<void>}
+ */
+export const clearContentCache = async () => {
+  memoryStore.clear();
+  try {
+    await runStoreRequest('readwrite', store => store.clear());
+  } catch (error) {
+    console.warn('Error clearing content cache:', error);
+  }
+};
+
+/**
+ * Check whether generated content may be cached
+ * Placeholder content never is. Bare strings can't say whether they are real
+ * output, so text is only cached as a { text, degraded: false } result.
+ * @param {*} value - Generator output
+ * @returns {boolean} True when the value reports a successful generation
+ */
+const isCacheable = (value) => {
+  if (value === null || value === undefined || typeof value !== 'object') return false;
+  return !isDegraded(value);
+};
+
+/**
+ * Check a shared cache entry against what its generator produces
+ * JSON generators use their structuredOutput schema; text generators cache { text, degraded: false }.
+ * @param {string} generator - Generator task name
+ * @param {Object} params - Generator parameters
+ * @param {*} value - Cached content
+ * @returns {boolean} True when the content could have come from the generator
+ */
+const matchesGenerator = (generator, params, value) => {
+  if (SCHEMAS[generator]) {
+    return validate(SCHEMAS[generator](params), value).length === 0;
+  }
+  return Boolean(value) && typeof value.text === 'string' && value.text.trim() !== '' && value.degraded === false;
+};
+
+/**
+ * Serve a generator call from the cache, generating and storing it on a miss
+ * @param {string} generator - Generator task name
+ * @param {Object} params - Parameters that affect the output
+ * @param {Function} generate - Async function producing fresh content
+ * @param {Object} options - Cache options
+ * @param {boolean} options.regenerate - Skip the lookup and overwrite the entry
+ * @param {number} options.ttlMs - Entry lifetime (default from configuration)
+ * @returns {Promise<*>} Cached or freshly generated content
+ */
+export const withContentCache = async (generator, params, generate, { regenerate = false, ttlMs } = {}) => {
+  if (!getCacheConfig().enabled) {
+    return generate();
+  }
+
+  const key = buildCacheKey(generator, params);
+
+  if (!regenerate) {
+    const cached = await getCachedContent(key, { isValid: value => matchesGenerator(generator, params, value) });
+    if (cached !== null) {
+      return cached;
+    }
+  }
+
+  const value = await generate();
+  if (isCacheable(value)) {
+    await setCachedContent(key, value, { generator, ttlMs });
+  }
+  return value;
+};
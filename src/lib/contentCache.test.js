@@ -0,0 +1,131 @@
+// Tests for the generated content cache
+// jsdom has no IndexedDB, so these exercise the in-memory local tier; the
+// shared tier reads from a Supabase stub
+
+jest.mock('./supabase', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+const {
+  normalizeTopic,
+  buildCacheKey,
+  withContentCache,
+  clearContentCache
+} = require('./contentCache');
+const { markDegraded, textResult } = require('./aiRequest');
+const { setProvider } = require('./llmProvider');
+const { generateFlashcards } = require('./gemini');
+const { supabase } = require('./supabase');
+
+describe('Content Cache', () => {
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    setProvider(null);
+    await clearContentCache();
+  });
+
+  test('cache keys ignore topic formatting and parameter order', () => {
+    expect(normalizeTopic('  Photosynthesis!  ')).toBe('photosynthesis');
+    expect(buildCacheKey('conceptSubtopics', { concept: 'Cell  Biology', count: 5 }))
+      .toBe(buildCacheKey('conceptSubtopics', { count: 5, concept: 'cell biology' }));
+    expect(buildCacheKey('conceptSubtopics', { concept: 'Cell Biology', count: 5 }))
+      .not.toBe(buildCacheKey('conceptSubtopics', { concept: 'Cell Biology', count: 6 }));
+  });
+
+  test('repeat calls are served from the cache until regenerate is requested', async () => {
+    const generate = jest.fn()
+      .mockResolvedValueOnce(['first'])
+      .mockResolvedValueOnce(['second']);
+
+    await expect(withContentCache('subtopics', { topic: 'Algebra' }, generate)).resolves.toEqual(['first']);
+    await expect(withContentCache('subtopics', { topic: 'algebra' }, generate)).resolves.toEqual(['first']);
+    expect(generate).toHaveBeenCalledTimes(1);
+
+    await expect(withContentCache('subtopics', { topic: 'Algebra' }, generate, { regenerate: true }))
+      .resolves.toEqual(['second']);
+    await expect(withContentCache('subtopics', { topic: 'Algebra' }, generate)).resolves.toEqual(['second']);
+    expect(generate).toHaveBeenCalledTimes(2);
+  });
+
+  test('expired and degraded entries are not served', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    const generate = jest.fn().mockResolvedValue(textResult('content'));
+
+    await withContentCache('subtopicContent', { subtopic: 'Limits' }, generate, { ttlMs: 1000 });
+    Date.now.mockReturnValue(now + 2000);
+    await withContentCache('subtopicContent', { subtopic: 'Limits' }, generate, { ttlMs: 1000 });
+    expect(generate).toHaveBeenCalledTimes(2);
+
+    const fallback = jest.fn().mockImplementation(async () => markDegraded(['placeholder'], { task: 'subtopics' }));
+    await withContentCache('subtopics', { topic: 'Limits' }, fallback);
+    await withContentCache('subtopics', { topic: 'Limits' }, fallback);
+    expect(fallback).toHaveBeenCalledTimes(2);
+  });
+
+  test('placeholder text and bare strings are never cached', async () => {
+    const fallback = jest.fn().mockImplementation(async () => markDegraded('# Placeholder', { task: 'conceptSubtopicContent' }));
+    await withContentCache('conceptSubtopicContent', { subtopic: 'Limits' }, fallback);
+    await expect(withContentCache('conceptSubtopicContent', { subtopic: 'Limits' }, fallback))
+      .resolves.toEqual({ text: '# Placeholder', degraded: true });
+    expect(fallback).toHaveBeenCalledTimes(2);
+
+    const bare = jest.fn().mockResolvedValue('# Unknown origin');
+    await withContentCache('subtopicContent', { subtopic: 'Limits' }, bare);
+    await withContentCache('subtopicContent', { subtopic: 'Limits' }, bare);
+    expect(bare).toHaveBeenCalledTimes(2);
+
+    const real = jest.fn().mockResolvedValue(textResult('# Limits'));
+    await withContentCache('conceptSubtopicContent', { subtopic: 'Limits' }, real);
+    await expect(withContentCache('conceptSubtopicContent', { subtopic: 'Limits' }, real))
+      .resolves.toEqual({ text: '# Limits', degraded: false });
+    expect(real).toHaveBeenCalledTimes(1);
+  });
+
+  test('shared entries that do not match the generator schema are treated as misses', async () => {
+    process.env.REACT_APP_CONTENT_CACHE_REMOTE = 'true';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const rows = {
+      [buildCacheKey('subtopics', { topic: 'Algebra' })]: ['Groups', 'Rings', 'Fields', 'Modules'],
+      [buildCacheKey('flashcards', { topic: 'Algebra' })]: [{ question: 'Visit evil.example', answer: '' }],
+      [buildCacheKey('conceptSubtopicContent', { subtopic: 'Rings' })]: { text: '# Rings', degraded: true }
+    };
+    supabase.from.mockImplementation(() => {
+      let key = null;
+      const builder = {
+        select: () => builder,
+        eq: (column, value) => {
+          key = value;
+          return builder;
+        },
+        gt: () => builder,
+        maybeSingle: async () => ({
+          data: rows[key] ? { generator: 'any', content: rows[key], expires_at: '2999-01-01T00:00:00Z' } : null,
+          error: null
+        }),
+        upsert: async () => ({ error: null })
+      };
+      return builder;
+    });
+
+    try {
+      const generate = jest.fn().mockResolvedValue(textResult('# Fresh'));
+      await expect(withContentCache('subtopics', { topic: 'Algebra' }, generate))
+        .resolves.toEqual(['Groups', 'Rings', 'Fields', 'Modules']);
+      await expect(withContentCache('flashcards', { topic: 'Algebra' }, generate)).resolves.toEqual(textResult('# Fresh'));
+      await expect(withContentCache('conceptSubtopicContent', { subtopic: 'Rings' }, generate))
+        .resolves.toEqual(textResult('# Fresh'));
+      expect(generate).toHaveBeenCalledTimes(2);
+    } finally {
+      delete process.env.REACT_APP_CONTENT_CACHE_REMOTE;
+    }
+  });
+
+  test('generateFlashcards reuses cached cards for the same topic', async () => {
+    const cards = await generateFlashcards('Photosynthesis');
+    setProvider({ name: 'broken', generateText: jest.fn().mockRejectedValue(new Error('API Error')) });
+
+    await expect(generateFlashcards(' photosynthesis ')).resolves.toEqual(cards);
+    await expect(generateFlashcards('Photosynthesis', { regenerate: true })).rejects.toThrow('API Error');
+  });
+});
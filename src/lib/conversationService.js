@@ -0,0 +1,255 @@
+import { supabase } from './supabase';
+import { summarizeConversation } from './gemini';
+
+/**
+ * Conversation Service - persistent TheGenie threads in Supabase
+ * Threads belong to one chat surface (`mode`): 'chat' for TheGeniePage and
+ * 'materials' for the TheGenie materials assistant. Long threads keep a rolling
+ * summary: once more than SUMMARIZE_AFTER messages are unsummarized, all but
+ * the last KEEP_RECENT are folded into genie_threads.summary.
+ */
+
+const KEEP_RECENT = 6;
+const SUMMARIZE_AFTER = 12;
+const TITLE_LENGTH = 60;
+
+/**
+ * Derive a thread title from its first message
+ * @param {string} text - First user message
+ * @returns {string} Title
+ */
+const titleFromMessage = (text) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > TITLE_LENGTH ? `${flat.slice(0, TITLE_LENGTH).trim()}…` : flat || 'New conversation';
+};
+
+/**
+ * List the user's threads, most recently active first
+ * @param {string} userId - User ID
+ * @param {Object} options - List options
+ * @param {string} options.mode - 'chat' or 'materials'
+ * @param {string} options.search - Matches thread titles and message text
+ * @returns {Promise<Object>} { success, threads }
+ */
+export const listThreads = async (userId, { mode, search = '' } = {}) => {
+  try {
+    let query = supabase
+      .from('genie_threads')
+      .select('*')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false });
+
+    if (mode) query = query.eq('mode', mode);
+
+    const term = search.trim().replace(/[%_,()]/g, ' ');
+    if (term) {
+      // Threads whose messages mention the term also match
+      const { data: matches, error: matchError } = await supabase
+        .from('genie_messages')
+        .select('thread_id')
+        .eq('user_id', userId)
+        .ilike('content', `%${term}%`)
+        .limit(200);
+
+      if (matchError) throw matchError;
+
+      const threadIds = [...new Set((matches || []).map(match => match.thread_id))];
+      query = threadIds.length > 0
+        ? query.or(`title.ilike.%${term}%,id.in.(${threadIds.join(',')})`)
+        : query.ilike('title', `%${term}%`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return { success: true, threads: data || [] };
+  } catch (error) {
+    console.error('Error listing threads:', error);
+    return { success: false, error: error.message, threads: [] };
+  }
+};
+
+/**
+ * Create a thread
+ * @param {string} userId - User ID
+ * @param {Object} options - Thread options
+ * @param {string} options.mode - 'chat' or 'materials'
+ * @param {string} options.title - Title (default: 'New conversation')
+ * @returns {Promise<Object>} { success, thread }
+ */
+export const createThread = async (userId, { mode = 'chat', title = 'New conversation' } = {}) => {
+  try {
+    const { data, error } = await supabase
+      .from('genie_threads')
+      .insert([{ user_id: userId, mode, title: titleFromMessage(title) }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, thread: data };
+  } catch (error) {
+    console.error('Error creating thread:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Rename a thread
+ * @param {string} threadId - Thread ID
+ * @param {string} title - New title
+ * @returns {Promise<Object>} { success, thread }
+ */
+export const renameThread = async (threadId, title) => {
+  try {
+    const { data, error } = await supabase
+      .from('genie_threads')
+      .update({ title: titleFromMessage(title) })
+      .eq('id', threadId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, thread: data };
+  } catch (error) {
+    console.error('Error renaming thread:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a thread and its messages
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<Object>} Delete result
+ */
+export const deleteThread = async (threadId) => {
+  try {
+    const { error } = await supabase
+      .from('genie_threads')
+      .delete()
+      .eq('id', threadId);
+
+    if (error) throw error;
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting thread:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Load a thread's messages, oldest first
+ * @param {string} threadId - Thread ID
+ * @returns {Promise<Object>} { success, messages }
+ */
+export const getThreadMessages = async (threadId) => {
+  try {
+    const { data, error } = await supabase
+      .from('genie_messages')
+      .select('*')
+      .eq('thread_id', threadId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return { success: true, messages: data || [] };
+  } catch (error) {
+    console.error('Error loading thread messages:', error);
+    return { success: false, error: error.message, messages: [] };
+  }
+};
+
+/**
+ * Append a message to a thread
+ * The first user message in an untitled thread becomes its title.
+ * @param {Object} thread - Thread record
+ * @param {Object} message - Message to store
+ * @param {string} message.role - 'user' or 'assistant'
+ * @param {string} message.content - Message text
+ * @param {Object} message.metadata - Extra data (citations, processingTime, isError)
+ * @returns {Promise<Object>} { success, message, thread }
+ */
+export const addMessage = async (thread, { role, content, metadata = {} }) => {
+  try {
+    const { data, error } = await supabase
+      .from('genie_messages')
+      .insert([{ thread_id: thread.id, user_id: thread.user_id, role, content, metadata }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    // Touch the thread so it sorts first (and name it after the opening question)
+    const changes = { updated_at: new Date().toISOString() };
+    if (role === 'user' && thread.title === 'New conversation') {
+      changes.title = titleFromMessage(content);
+    }
+    const { data: updatedThread, error: threadError } = await supabase
+      .from('genie_threads')
+      .update(changes)
+      .eq('id', thread.id)
+      .select()
+      .single();
+
+    if (threadError) {
+      console.error('Error updating thread:', threadError);
+    }
+
+    return { success: true, message: data, thread: updatedThread || thread };
+  } catch (error) {
+    console.error('Error saving message:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Conversation context for the next reply: the rolling summary plus every
+ * message it doesn't cover yet
+ * @param {Object} thread - Thread record
+ * @param {Array<Object>} messages - Thread messages, oldest first
+ * @returns {Object} { summary, recentMessages }
+ */
+export const getConversationContext = (thread, messages) => ({
+  summary: thread?.summary || '',
+  recentMessages: messages.slice(Math.min(thread?.summarized_count || 0, messages.length))
+});
+
+/**
+ * Fold older messages into the thread's rolling summary when enough have built up
+ * @param {Object} thread - Thread record
+ * @param {Array<Object>} messages - Thread messages, oldest first ({ role, content })
+ * @returns {Promise<Object>} { success, thread, summarized } (thread unchanged when not needed)
+ */
+export const updateRollingSummary = async (thread, messages) => {
+  const summarizedCount = Math.min(thread.summarized_count || 0, messages.length);
+  if (messages.length - summarizedCount <= SUMMARIZE_AFTER) {
+    return { success: true, thread, summarized: false };
+  }
+
+  try {
+    const foldUntil = messages.length - KEEP_RECENT;
+    const summary = await summarizeConversation(
+      thread.summary || '',
+      messages.slice(summarizedCount, foldUntil).map(msg => ({
+        sender: msg.role === 'user' ? 'user' : 'ai',
+        text: msg.content
+      }))
+    );
+
+    const { data, error } = await supabase
+      .from('genie_threads')
+      .update({ summary, summarized_count: foldUntil })
+      .eq('id', thread.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, thread: data, summarized: true };
+  } catch (error) {
+    console.error('Error updating conversation summary:', error);
+    return { success: false, error: error.message, thread, summarized: false };
+  }
+};
@@ -0,0 +1,107 @@
+// Tests for TheGenie conversation context and rolling summaries
+// Summaries come from the fixture provider; Supabase is replaced by a stub
+// that echoes back the thread update
+
+jest.mock('./supabase', () => ({
+  supabase: { from: jest.fn() }
+}));
+
+const { supabase } = require('./supabase');
+const { setProvider } = require('./llmProvider');
+const { getConversationContext, updateRollingSummary } = require('./conversationService');
+
+const messagesOf = (count) => Array.from({ length: count }, (_, i) => ({
+  role: i % 2 === 0 ? 'user' : 'assistant',
+  content: `Message ${i + 1}`
+}));
+
+describe('Conversation Service', () => {
+  let updates;
+
+  beforeEach(() => {
+    updates = [];
+    supabase.from.mockImplementation(() => {
+      const builder = {
+        update: (values) => {
+          updates.push(values);
+          return builder;
+        },
+        eq: () => builder,
+        select: () => builder,
+        single: async () => ({ data: { id: 't1', ...updates[updates.length - 1] }, error: null })
+      };
+      return builder;
+    });
+  });
+
+  afterEach(() => {
+    setProvider(null);
+    jest.restoreAllMocks();
+  });
+
+  test('context holds the summary and every message it does not cover', () => {
+    const messages = messagesOf(10);
+
+    expect(getConversationContext(null, messages)).toEqual({ summary: '', recentMessages: messages });
+    expect(getConversationContext({ summary: 'Earlier', summarized_count: 4 }, messages)).toEqual({
+      summary: 'Earlier',
+      recentMessages: messages.slice(4)
+    });
+    // A count past the end (messages deleted since) leaves nothing recent rather than failing
+    expect(getConversationContext({ summary: 'Earlier', summarized_count: 20 }, messages).recentMessages).toEqual([]);
+  });
+
+  test('threads are only summarized once more than twelve messages are unsummarized', async () => {
+    const thread = { id: 't1', summary: '', summarized_count: 0 };
+
+    await expect(updateRollingSummary(thread, messagesOf(12))).resolves.toEqual({ success: true, thread, summarized: false });
+    expect(updates).toEqual([]);
+
+    const result = await updateRollingSummary(thread, messagesOf(13));
+
+    // All but the last six messages are folded in
+    expect(updates).toEqual([{ summary: 'Fixture summary of 7 more messages.', summarized_count: 7 }]);
+    expect(result).toEqual({ success: true, thread: { id: 't1', ...updates[0] }, summarized: true });
+    expect(getConversationContext(result.thread, messagesOf(13)).recentMessages).toEqual(messagesOf(13).slice(7));
+  });
+
+  test('later summaries extend the previous one with only the newly folded messages', async () => {
+    const generateText = jest.fn().mockResolvedValue('Updated summary');
+    setProvider({ name: 'custom', generateText });
+    const thread = { id: 't1', summary: 'Earlier summary', summarized_count: 7 };
+    const messages = messagesOf(20);
+
+    const result = await updateRollingSummary(thread, messages);
+
+    expect(generateText).toHaveBeenCalledWith(expect.objectContaining({
+      task: 'conversationSummary',
+      params: {
+        previousSummary: 'Earlier summary',
+        messages: [
+          { sender: 'ai', text: 'Message 8' },
+          { sender: 'user', text: 'Message 9' },
+          { sender: 'ai', text: 'Message 10' },
+          { sender: 'user', text: 'Message 11' },
+          { sender: 'ai', text: 'Message 12' },
+          { sender: 'user', text: 'Message 13' },
+          { sender: 'ai', text: 'Message 14' }
+        ]
+      }
+    }));
+    expect(result.thread).toMatchObject({ summary: 'Updated summary', summarized_count: 14 });
+  });
+
+  test('a failed summary keeps the thread as it was', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    setProvider({ name: 'broken', generateText: jest.fn().mockRejectedValue(new Error('API Error')) });
+    const thread = { id: 't1', summary: 'Earlier summary', summarized_count: 0 };
+
+    await expect(updateRollingSummary(thread, messagesOf(13))).resolves.toEqual({
+      success: false,
+      error: 'API Error',
+      thread,
+      summarized: false
+    });
+    expect(updates).toEqual([]);
+  });
+});
@@ -8,7 +8,7 @@ ALTER DATABASE postgres SET "app.jwt_secret" TO 'your-jwt-secret';
 CREATE TABLE IF NOT EXISTS learning_sessions (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
-    session_type VARCHAR(20) NOT NULL CHECK (session_type IN ('fast', 'depth')),
+    session_type VARCHAR(20) NOT NULL CHECK (session_type IN ('fast', 'depth', 'review')),
     topic VARCHAR(500) NOT NULL,
     status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'abandoned')),
     
@@ -84,7 +84,15 @@ CREATE TABLE IF NOT EXISTS session_flashcards (
     answer TEXT NOT NULL,
     is_studied BOOLEAN DEFAULT FALSE,
     study_time TIMESTAMP WITH TIME ZONE,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Spaced repetition state (see src/lib/spacedRepetition.js)
+    ease_factor NUMERIC(4, 2) DEFAULT 2.5,
+    interval_days INTEGER DEFAULT 0,
+    repetitions INTEGER DEFAULT 0,
+    lapses INTEGER DEFAULT 0,
+    due_at TIMESTAMP WITH TIME ZONE,
+    last_reviewed_at TIMESTAMP WITH TIME ZONE
 );
 
 -- Create session_questions table for detailed question tracking
@@ -209,3 +217,218 @@ CREATE POLICY "Users can update their own topic struggles" ON topic_struggles
 
 CREATE POLICY "Users can delete their own topic struggles" ON topic_struggles
     FOR DELETE USING (user_id = auth.uid());
+
+-- Shared cache of generated study content (optional, see src/lib/contentCache.js)
+-- Entries are keyed by normalized topic + generator + parameters and are not user data,
+-- so any signed-in user can read them; only the creator can overwrite an entry.
+-- Since anyone signed in can write one, clients check entries against the generator's schema before using them.
+CREATE TABLE IF NOT EXISTS generated_content_cache (
+    cache_key TEXT PRIMARY KEY,
+    generator VARCHAR(50) NOT NULL,
+    content JSONB NOT NULL,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL DEFAULT auth.uid(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_generated_content_cache_expires_at ON generated_content_cache(expires_at);
+
+ALTER TABLE generated_content_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Signed-in users can read cached content" ON generated_content_cache
+    FOR SELECT USING (auth.role() = 'authenticated');
+
+CREATE POLICY "Signed-in users can add cached content" ON generated_content_cache
+    FOR INSERT WITH CHECK (auth.role() = 'authenticated' AND created_by = auth.uid());
+
+CREATE POLICY "Users can refresh cached content they created" ON generated_content_cache
+    FOR UPDATE USING (created_by = auth.uid());
+
+-- Retrieval index over uploaded documents (see src/lib/retrievalIndex.js)
+-- Documents are chunked at upload; TheGenie retrieves the most relevant chunks per question.
+CREATE TABLE IF NOT EXISTS document_chunks (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    document_id UUID,
+    file_name TEXT NOT NULL,
+    storage_path TEXT NOT NULL,
+    chunk_index INTEGER NOT NULL,
+    page INTEGER,
+    section TEXT,
+    content TEXT NOT NULL,
+    token_count INTEGER DEFAULT 0,
+    embedding JSONB,
+    embedding_model VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_chunks_user_id ON document_chunks(user_id);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_storage_path ON document_chunks(user_id, storage_path);
+
+ALTER TABLE document_chunks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own document chunks" ON document_chunks
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert their own document chunks" ON document_chunks
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can delete their own document chunks" ON document_chunks
+    FOR DELETE USING (user_id = auth.uid());
+
+-- TheGenie conversations (see src/lib/conversationService.js)
+-- Older turns are folded into genie_threads.summary; summarized_count is how many
+-- messages (oldest first) the summary covers.
+CREATE TABLE IF NOT EXISTS genie_threads (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    title TEXT NOT NULL DEFAULT 'New conversation',
+    mode VARCHAR(20) NOT NULL DEFAULT 'chat' CHECK (mode IN ('chat', 'materials')),
+    summary TEXT,
+    summarized_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS genie_messages (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    thread_id UUID REFERENCES genie_threads(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+    content TEXT NOT NULL,
+    metadata JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_genie_threads_user_id ON genie_threads(user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_genie_messages_thread_id ON genie_messages(thread_id, created_at);
+
+CREATE TRIGGER update_genie_threads_updated_at
+    BEFORE UPDATE ON genie_threads
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE genie_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE genie_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own threads" ON genie_threads
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert their own threads" ON genie_threads
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update their own threads" ON genie_threads
+    FOR UPDATE USING (user_id = auth.uid());
+
+CREATE POLICY "Users can delete their own threads" ON genie_threads
+    FOR DELETE USING (user_id = auth.uid());
+
+CREATE POLICY "Users can view their own thread messages" ON genie_messages
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert messages into their own threads" ON genie_messages
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND
+        EXISTS (SELECT 1 FROM genie_threads WHERE genie_threads.id = genie_messages.thread_id AND genie_threads.user_id = auth.uid())
+    );
+
+CREATE POLICY "Users can delete their own thread messages" ON genie_messages
+    FOR DELETE USING (user_id = auth.uid());
+
+-- Spaced repetition for session flashcards (see src/lib/spacedRepetition.js)
+-- Existing databases: add the scheduling columns to session_flashcards.
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS ease_factor NUMERIC(4, 2) DEFAULT 2.5;
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS interval_days INTEGER DEFAULT 0;
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS repetitions INTEGER DEFAULT 0;
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS lapses INTEGER DEFAULT 0;
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS due_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS last_reviewed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_session_flashcards_due_at ON session_flashcards(due_at) WHERE due_at IS NOT NULL;
+
+-- One row per grading, for review history and future scheduler tuning
+CREATE TABLE IF NOT EXISTS flashcard_reviews (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    flashcard_id UUID REFERENCES session_flashcards(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    grade VARCHAR(10) NOT NULL CHECK (grade IN ('again', 'hard', 'good', 'easy')),
+    ease_factor NUMERIC(4, 2),
+    interval_days INTEGER,
+    due_at TIMESTAMP WITH TIME ZONE,
+    reviewed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_flashcard_id ON flashcard_reviews(flashcard_id, reviewed_at);
+CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_user_id ON flashcard_reviews(user_id, reviewed_at);
+
+ALTER TABLE flashcard_reviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own flashcard reviews" ON flashcard_reviews
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert their own flashcard reviews" ON flashcard_reviews
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+-- Daily review sessions (see src/components/ReviewSession.js)
+-- Existing databases: allow the 'review' session type.
+ALTER TABLE learning_sessions DROP CONSTRAINT IF EXISTS learning_sessions_session_type_check;
+ALTER TABLE learning_sessions ADD CONSTRAINT learning_sessions_session_type_check
+    CHECK (session_type IN ('fast', 'depth', 'review'));
+
+-- Leech detection and card rework (see src/lib/leechDetection.js and src/lib/leechService.js)
+-- leech_status: 'none', 'active' (in the Profile leech inbox, out of the review queue),
+-- 'reworked' (replaced by simpler cards) or 'dismissed' (back in the queue).
+-- leech_status_at records when the status last changed.
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS leech_status VARCHAR(20) NOT NULL DEFAULT 'none'
+    CHECK (leech_status IN ('none', 'active', 'reworked', 'dismissed'));
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS leech_status_at TIMESTAMP WITH TIME ZONE;
+
+-- Lineage of reworked cards: the leech flashcard or question they replace
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS parent_flashcard_id UUID REFERENCES session_flashcards(id) ON DELETE SET NULL;
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS source_question_id UUID REFERENCES session_questions(id) ON DELETE SET NULL;
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS rework_strategy VARCHAR(20) CHECK (rework_strategy IN ('split', 'mnemonic'));
+
+ALTER TABLE session_questions ADD COLUMN IF NOT EXISTS leech_status VARCHAR(20) NOT NULL DEFAULT 'none'
+    CHECK (leech_status IN ('none', 'active', 'reworked', 'dismissed'));
+ALTER TABLE session_questions ADD COLUMN IF NOT EXISTS leech_status_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_session_flashcards_leech_status ON session_flashcards(leech_status) WHERE leech_status <> 'none';
+CREATE INDEX IF NOT EXISTS idx_session_flashcards_parent ON session_flashcards(parent_flashcard_id) WHERE parent_flashcard_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_session_questions_leech_status ON session_questions(leech_status) WHERE leech_status <> 'none';
+
+-- Every answer to a session question (session_questions only keeps the latest)
+CREATE TABLE IF NOT EXISTS question_attempts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    question_id UUID REFERENCES session_questions(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+    user_answer TEXT,
+    is_correct BOOLEAN NOT NULL,
+    answered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_question_attempts_question_id ON question_attempts(question_id, answered_at);
+
+ALTER TABLE question_attempts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own question attempts" ON question_attempts
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can insert their own question attempts" ON question_attempts
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+-- User-editable decks (see src/lib/deckService.js)
+-- A deck is a learning session's flashcards; users can edit, tag, add, delete,
+-- move and merge cards. flashcard_index stays contiguous per session.
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS is_manual BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE session_flashcards ADD COLUMN IF NOT EXISTS edited_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_session_flashcards_tags ON session_flashcards USING GIN (tags);
+
+CREATE POLICY "Users can delete their own session flashcards" ON session_flashcards
+    FOR DELETE USING (
+        EXISTS (
+            SELECT 1 FROM learning_sessions 
+            WHERE learning_sessions.id = session_flashcards.session_id 
+            AND learning_sessions.user_id = auth.uid()
+        )
+    );
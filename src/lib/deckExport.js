@@ -0,0 +1,117 @@
+import { normalizeTags } from './deckUtils';
+
+/**
+ * Deck Export - turns a session's flashcards (and optionally its MCQs) into
+ * notes for Anki packages and CSV/TSV files
+ * A note is { front, back, tags, type } where type is 'basic' or 'cloze';
+ * cloze notes keep the cloze text in front and any extra info in back.
+ */
+
+export const EXPORT_FORMATS = [
+  { id: 'apkg', label: 'Anki package (.apkg)', extension: 'apkg' },
+  { id: 'csv', label: 'CSV', extension: 'csv' },
+  { id: 'tsv', label: 'TSV', extension: 'tsv' }
+];
+
+const LETTERS = 'ABCDEFGHIJ';
+
+/**
+ * Turn an MCQ into a note
+ * @param {Object} question - session_questions row
+ * @param {string} questionFormat - 'basic' (options on the front) or 'cloze'
+ * @returns {Object} Note
+ */
+const questionToNote = (question, questionFormat) => {
+  const explanation = question.explanation || '';
+
+  if (questionFormat === 'cloze') {
+    return {
+      front: `${question.question}\n\n{{c1::${question.correct_answer}}}`,
+      back: explanation,
+      type: 'cloze'
+    };
+  }
+
+  const options = (question.options || []).map((option, index) => `${LETTERS[index]}) ${option}`).join('\n');
+  return {
+    front: options ? `${question.question}\n\n${options}` : question.question,
+    back: explanation ? `${question.correct_answer}\n\n${explanation}` : question.correct_answer,
+    type: 'basic'
+  };
+};
+
+/**
+ * Build the notes to export for a session
+ * @param {Object} session - Session with topic, flashcards and questions rows (see getSessionById)
+ * @param {Object} options - Export options
+ * @param {boolean} options.includeQuestions - Also export the session's MCQs
+ * @param {string} options.questionFormat - 'basic' or 'cloze'
+ * @returns {Array<Object>} Notes with tags from the topic, card tags and MCQ topic categories
+ */
+export const buildExportNotes = (session, { includeQuestions = false, questionFormat = 'basic' } = {}) => {
+  const topicTags = normalizeTags([session.topic]);
+
+  const cardNotes = (session.flashcards || []).map(card => ({
+    id: card.id,
+    front: card.question,
+    back: card.answer,
+    tags: normalizeTags([...topicTags, ...(card.tags || [])]),
+    type: 'basic'
+  }));
+
+  const questionNotes = includeQuestions
+    ? (session.questions || []).map(question => ({
+      id: question.id,
+      ...questionToNote(question, questionFormat),
+      tags: normalizeTags([...topicTags, question.topic_category].filter(Boolean))
+    }))
+    : [];
+
+  return [...cardNotes, ...questionNotes];
+};
+
+const quoteCsv = (value) => (/[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// TSV has no quoting, so tabs and line breaks inside a field become HTML
+const escapeTsv = (value) => value.replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+
+/**
+ * Write notes as a CSV or TSV file Anki can import
+ * Anki file headers name the separator and tags column; a notetype column is
+ * added when cloze notes are mixed in.
+ * @param {Array<Object>} notes - Notes from buildExportNotes
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} File contents
+ */
+export const toDelimited = (notes, format = 'csv') => {
+  const tsv = format === 'tsv';
+  const withNotetype = notes.some(note => note.type === 'cloze');
+  const encode = tsv ? escapeTsv : quoteCsv;
+
+  const header = [
+    `#separator:${tsv ? 'tab' : 'comma'}`,
+    `#html:${tsv ? 'true' : 'false'}`,
+    withNotetype ? '#notetype column:1' : null,
+    `#tags column:${withNotetype ? 4 : 3}`
+  ].filter(Boolean);
+
+  const rows = notes.map(note => {
+    const fields = [note.front, note.back || '', note.tags.join(' ')];
+    if (withNotetype) fields.unshift(note.type === 'cloze' ? 'Cloze' : 'Basic');
+    return fields.map(field => encode(String(field))).join(tsv ? '\t' : ',');
+  });
+
+  return [...header, ...rows].join('\n') + '\n';
+};
+
+/**
+ * File name for an exported deck
+ * @param {string} topic - Deck name
+ * @param {string} format - Export format id
+ * @returns {string} e.g. "cell-biology.apkg"
+ */
+export const exportFileName = (topic, format) => {
+  const base = normalizeTags([topic])[0]?.replace(/[^a-z0-9-_]/g, '') || 'study-genie-deck';
+  const { extension } = EXPORT_FORMATS.find(option => option.id === format) || EXPORT_FORMATS[1];
+  return `${base}.${extension}`;
+};
@@ -0,0 +1,58 @@
+// Tests for building export notes and CSV/TSV output
+
+const { buildExportNotes, toDelimited, exportFileName } = require('./deckExport');
+
+const session = {
+  topic: 'Cell Biology',
+  flashcards: [
+    { id: 'f1', question: 'What is ATP?', answer: 'The cell\'s "energy currency", made in mitochondria', tags: ['exam'] }
+  ],
+  questions: [
+    {
+      id: 'q1',
+      question: 'Which organelle makes ATP?',
+      options: ['Nucleus', 'Mitochondria'],
+      correct_answer: 'Mitochondria',
+      topic_category: 'Organelles',
+      explanation: 'Cellular respiration happens there.'
+    }
+  ]
+};
+
+describe('Deck Export', () => {
+  test('flashcards are tagged with the topic and MCQs are optional basic or cloze notes', () => {
+    expect(buildExportNotes(session)).toEqual([
+      { id: 'f1', front: 'What is ATP?', back: session.flashcards[0].answer, tags: ['cell-biology', 'exam'], type: 'basic' }
+    ]);
+
+    const [, basic] = buildExportNotes(session, { includeQuestions: true });
+    expect(basic.front).toBe('Which organelle makes ATP?\n\nA) Nucleus\nB) Mitochondria');
+    expect(basic.back).toBe('Mitochondria\n\nCellular respiration happens there.');
+    expect(basic.tags).toEqual(['cell-biology', 'organelles']);
+
+    const [, cloze] = buildExportNotes(session, { includeQuestions: true, questionFormat: 'cloze' });
+    expect(cloze).toMatchObject({ type: 'cloze', front: 'Which organelle makes ATP?\n\n{{c1::Mitochondria}}' });
+  });
+
+  test('CSV quotes fields and TSV keeps one note per line', () => {
+    const notes = buildExportNotes(session);
+
+    expect(toDelimited(notes, 'csv')).toBe(
+      '#separator:comma\n#html:false\n#tags column:3\n' +
+      'What is ATP?,"The cell\'s ""energy currency"", made in mitochondria",cell-biology exam\n'
+    );
+
+    const tsv = toDelimited([{ front: 'Line one\nline two', back: 'A', tags: [], type: 'basic' }], 'tsv');
+    expect(tsv.split('\n')[3]).toBe('Line one<br>line two\tA\t');
+  });
+
+  test('mixed note types add a notetype column, and file names come from the topic', () => {
+    const notes = buildExportNotes(session, { includeQuestions: true, questionFormat: 'cloze' });
+    const lines = toDelimited(notes, 'csv').split('\n');
+
+    expect(lines.slice(0, 4)).toEqual(['#separator:comma', '#html:false', '#notetype column:1', '#tags column:4']);
+    expect(lines[5].startsWith('Cloze,')).toBe(true);
+    expect(exportFileName('Cell Biology', 'apkg')).toBe('cell-biology.apkg');
+    expect(exportFileName('物理', 'tsv')).toBe('study-genie-deck.tsv');
+  });
+});
@@ -0,0 +1,226 @@
+import { normalizeTags } from './deckUtils';
+
+/**
+ * Deck Import - turns Anki notes, Quizlet exports and CSV/TSV files into
+ * flashcards ({ question, answer, tags }) and finds duplicates
+ * Quizlet's default export is one "term<TAB>definition" pair per line, so it
+ * is read as TSV. Anki text exports may start with "#key:value" header lines.
+ */
+
+export const IMPORT_ACCEPT = '.apkg,.csv,.tsv,.txt';
+
+const QUESTION_HEADERS = ['question', 'front', 'term', 'prompt', 'q'];
+const ANSWER_HEADERS = ['answer', 'back', 'definition', 'response', 'a'];
+const TAG_HEADERS = ['tags', 'tag'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', '#39': '\'' };
+
+/**
+ * Convert an Anki HTML field to plain text
+ * @param {string} html - Field contents
+ * @returns {string} Text with line breaks kept and media references dropped
+ */
+export const htmlToText = (html = '') => String(html)
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(div|p|li)>/gi, '\n')
+  .replace(/\[sound:[^\]]*\]/g, '')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&(#39|[a-z]+);/gi, (match, name) => ENTITIES[name.toLowerCase()] ?? match)
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const CLOZE_PATTERN = /\{\{c\d+::(.*?)(?:::(.*?))?\}\}/g;
+const CLOZE_MARKER = /\{\{c\d+::/;
+
+/**
+ * Turn an Anki cloze note into a question/answer card
+ * @param {string} text - Cloze text, e.g. "ATP is made in the {{c1::mitochondria}}"
+ * @param {string} extra - "Back Extra" field
+ * @returns {Object} { question, answer }
+ */
+export const clozeToCard = (text, extra = '') => {
+  const answers = [];
+  const question = text.replace(CLOZE_PATTERN, (match, answer, hint) => {
+    answers.push(answer);
+    return hint ? `[${hint}]` : '[...]';
+  });
+  const answer = answers.join(', ');
+  return { question, answer: extra ? `${answer}\n\n${extra}` : answer };
+};
+
+/**
+ * Split delimited text into rows, honouring CSV quotes
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field separator
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+const splitRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+const SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+// Pick the separator that splits the first rows most consistently into 2+ fields
+const detectDelimiter = (text) => {
+  const sample = text.slice(0, 4000);
+  const scored = ['\t', ',', ';'].map(delimiter => {
+    const rows = splitRows(sample, delimiter).slice(0, 10);
+    // The last sampled row may be cut off
+    const counts = (rows.length > 1 && sample.length < text.length ? rows.slice(0, -1) : rows).map(row => row.length);
+    const min = Math.min(...counts);
+    return { delimiter, score: min > 1 ? min + (counts.every(count => count === counts[0]) ? 1 : 0) : 0 };
+  });
+  const best = scored.sort((a, b) => b.score - a.score)[0];
+  return best.score > 0 ? best.delimiter : '\t';
+};
+
+/**
+ * Parse a CSV, TSV or Quizlet export
+ * @param {string} text - File contents
+ * @param {Object} options - { delimiter } to override detection
+ * @returns {Object} { rows, columns, html } where columns maps question/answer/tags to field
+ * positions and html says whether fields contain HTML
+ */
+export const parseDelimited = (text, { delimiter } = {}) => {
+  const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  // Anki text export headers
+  const headers = {};
+  let start = 0;
+  while (start < lines.length && /^#[a-z ]+:/i.test(lines[start])) {
+    const [, key, value] = lines[start].match(/^#([a-z ]+):(.*)$/i);
+    headers[key.trim().toLowerCase()] = value.trim();
+    start++;
+  }
+
+  const body = lines.slice(start).join('\n');
+  const separator = delimiter
+    || SEPARATORS[headers.separator?.toLowerCase()]
+    || headers.separator
+    || detectDelimiter(body);
+
+  let rows = splitRows(body, separator);
+
+  const columns = { question: 0, answer: 1, tags: null };
+  if (headers['tags column']) columns.tags = Number(headers['tags column']) - 1;
+  if (headers['notetype column']) {
+    // Columns after the note type shift right by one
+    columns.question += 1;
+    columns.answer += 1;
+  }
+
+  // A header row names its columns
+  const first = (rows[0] || []).map(value => value.trim().toLowerCase());
+  const questionColumn = first.findIndex(name => QUESTION_HEADERS.includes(name));
+  const answerColumn = first.findIndex(name => ANSWER_HEADERS.includes(name));
+  if (questionColumn !== -1 && answerColumn !== -1) {
+    const tagColumn = first.findIndex(name => TAG_HEADERS.includes(name));
+    columns.question = questionColumn;
+    columns.answer = answerColumn;
+    columns.tags = tagColumn === -1 ? null : tagColumn;
+    rows = rows.slice(1);
+  }
+
+  return { rows, columns, html: headers.html === 'true' };
+};
+
+/**
+ * Map parsed rows to cards
+ * @param {Array<Array<string>>} rows - Rows from parseDelimited
+ * @param {Object} columns - { question, answer, tags } field positions
+ * @param {Object} options - { html } when fields contain HTML
+ * @returns {Array<Object>} Cards with both sides filled in
+ */
+export const rowsToCards = (rows, columns, { html = false } = {}) => rows
+  .map(row => {
+    const read = (index) => {
+      const value = index === null || index === undefined ? '' : (row[index] || '');
+      return html ? htmlToText(value) : value.trim();
+    };
+    const card = { question: read(columns.question), answer: read(columns.answer) };
+    return {
+      ...(CLOZE_MARKER.test(card.question) ? clozeToCard(card.question, card.answer) : card),
+      tags: normalizeTags(read(columns.tags).split(/\s+/))
+    };
+  })
+  .filter(card => card.question && card.answer);
+
+/**
+ * Turn notes read from an Anki package into cards
+ * @param {Array<Object>} notes - { fields, tags } with HTML fields in note type order
+ * @returns {Array<Object>} Cards
+ */
+export const ankiNotesToCards = (notes) => notes
+  .map(note => {
+    const [first = '', second = ''] = note.fields.map(htmlToText);
+    const card = CLOZE_MARKER.test(first) ? clozeToCard(first, second) : { question: first, answer: second };
+    return { ...card, tags: normalizeTags(note.tags || []) };
+  })
+  .filter(card => card.question && card.answer);
+
+const cardKey = (question) => question.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Split imported cards into new cards and duplicates
+ * A card is a duplicate when its question matches an existing card or an
+ * earlier card in the same import (case and whitespace are ignored).
+ * @param {Array<Object>} cards - Imported cards
+ * @param {Array<string>} existingQuestions - Questions already in the user's decks
+ * @returns {Object} { unique, duplicates }
+ */
+export const dedupeCards = (cards, existingQuestions = []) => {
+  const seen = new Set(existingQuestions.map(cardKey));
+  const unique = [];
+  const duplicates = [];
+
+  cards.forEach(card => {
+    const key = cardKey(card.question);
+    if (seen.has(key)) {
+      duplicates.push(card);
+    } else {
+      seen.add(key);
+      unique.push(card);
+    }
+  });
+
+  return { unique, duplicates };
+};
@@ -0,0 +1,56 @@
+// Tests for reading imported decks and finding duplicate cards
+
+const { parseDelimited, rowsToCards, ankiNotesToCards, dedupeCards } = require('./deckImport');
+const { toDelimited } = require('./deckExport');
+
+const readCards = (text) => {
+  const { rows, columns, html } = parseDelimited(text);
+  return rowsToCards(rows, columns, { html });
+};
+
+describe('Deck Import', () => {
+  test('Quizlet exports and CSV files with a header row become cards', () => {
+    expect(readCards('Mitosis\tCell division, one nucleus into two\nATP\tEnergy currency\n')).toEqual([
+      { question: 'Mitosis', answer: 'Cell division, one nucleus into two', tags: [] },
+      { question: 'ATP', answer: 'Energy currency', tags: [] }
+    ]);
+
+    expect(readCards('Tags,Front,Back\r\nbio exam,"What is ""ATP""?","Energy,\nfor cells"\r\n')).toEqual([
+      { question: 'What is "ATP"?', answer: 'Energy,\nfor cells', tags: ['bio', 'exam'] }
+    ]);
+  });
+
+  test('files written by our own export read back, including cloze notes', () => {
+    const notes = [
+      { front: 'Line one\nline two', back: 'A & B', tags: ['cell-biology'], type: 'basic' },
+      { front: 'ATP is made in the {{c1::mitochondria}}', back: '', tags: [], type: 'cloze' }
+    ];
+
+    const expected = [
+      { question: 'Line one\nline two', answer: 'A & B', tags: ['cell-biology'] },
+      { question: 'ATP is made in the [...]', answer: 'mitochondria', tags: [] }
+    ];
+    expect(readCards(toDelimited(notes, 'tsv'))).toEqual(expected);
+    expect(readCards(toDelimited(notes, 'csv'))).toEqual(expected);
+  });
+
+  test('Anki notes lose their HTML and duplicates are set aside', () => {
+    const cards = ankiNotesToCards([
+      { fields: ['<b>Capital</b> of France?', 'Paris&nbsp;<br>[sound:paris.mp3]'], tags: ['Geo'] },
+      { fields: ['{{c1::Berlin::city}} is the capital of Germany', ''], tags: [] },
+      { fields: ['Empty back', ''], tags: [] }
+    ]);
+
+    expect(cards).toEqual([
+      { question: 'Capital of France?', answer: 'Paris', tags: ['geo'] },
+      { question: '[city] is the capital of Germany', answer: 'Berlin', tags: [] }
+    ]);
+
+    const { unique, duplicates } = dedupeCards(
+      [...cards, { question: 'capital  of france?', answer: 'Paris', tags: [] }],
+      ['[CITY] is the capital of Germany']
+    );
+    expect(unique.map(card => card.answer)).toEqual(['Paris']);
+    expect(duplicates).toHaveLength(2);
+  });
+});
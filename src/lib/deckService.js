@@ -0,0 +1,360 @@
+import { supabase } from './supabase';
+import { normalizeTags, validateCard } from './deckUtils';
+import { createSession, getSessionById, syncSessionFlashcards } from './sessionService';
+import { buildExportNotes, toDelimited, exportFileName } from './deckExport';
+import { parseDelimited, rowsToCards, ankiNotesToCards, dedupeCards } from './deckImport';
+import { buildApkg, readApkg } from './ankiPackage';
+import { selectAllRows } from './pagedQuery';
+
+/**
+ * Deck Service - user editing of flashcard decks
+ * Every learning session with flashcards is a deck. Cards live in
+ * session_flashcards; the session's flashcards JSON and counters are kept in
+ * sync so resume data and TheGenie see the edited deck.
+ */
+
+/**
+ * List the user's decks
+ * @returns {Promise<Object>} { success, decks } where each deck is a session with its card count
+ */
+export const getDecks = async () => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const { data, error } = await supabase
+      .from('learning_sessions')
+      .select('id, topic, session_type, status, created_at, updated_at, session_flashcards(count)')
+      .eq('user_id', user.id)
+      .neq('session_type', 'review')
+      .order('updated_at', { ascending: false });
+
+    if (error) throw error;
+
+    const decks = (data || []).map(({ session_flashcards: counts, ...session }) => ({
+      ...session,
+      cardCount: counts?.[0]?.count || 0
+    }));
+
+    return { success: true, decks };
+  } catch (error) {
+    console.error('Error getting decks:', error);
+    return { success: false, error: error.message, decks: [] };
+  }
+};
+
+/**
+ * Get a deck's cards in order
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} { success, cards }
+ */
+export const getDeckCards = async (sessionId) => {
+  try {
+    const { data, error } = await supabase
+      .from('session_flashcards')
+      .select('*')
+      .eq('session_id', sessionId)
+      .order('flashcard_index');
+
+    if (error) throw error;
+
+    return { success: true, cards: data || [] };
+  } catch (error) {
+    console.error('Error getting deck cards:', error);
+    return { success: false, error: error.message, cards: [] };
+  }
+};
+
+/**
+ * Rename a deck
+ * @param {string} sessionId - Session ID
+ * @param {string} topic - New deck name
+ * @returns {Promise<Object>} Update result
+ */
+export const renameDeck = async (sessionId, topic) => {
+  try {
+    if (!topic?.trim()) throw new Error('The deck name cannot be empty');
+
+    const { error } = await supabase
+      .from('learning_sessions')
+      .update({ topic: topic.trim(), updated_at: new Date().toISOString() })
+      .eq('id', sessionId);
+
+    if (error) throw error;
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error renaming deck:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Edit a card's text and tags
+ * Scheduling state is kept, so an edited card stays where it was in the review queue.
+ * @param {Object} card - session_flashcards row
+ * @param {Object} changes - { question, answer, tags } (any subset)
+ * @returns {Promise<Object>} { success, card }
+ */
+export const updateFlashcard = async (card, changes) => {
+  try {
+    const next = {
+      question: changes.question ?? card.question,
+      answer: changes.answer ?? card.answer
+    };
+    const invalid = validateCard(next);
+    if (invalid) throw new Error(invalid);
+
+    const updateData = {
+      question: next.question.trim(),
+      answer: next.answer.trim(),
+      edited_at: new Date().toISOString()
+    };
+    if (changes.tags !== undefined) {
+      updateData.tags = normalizeTags(changes.tags);
+    }
+
+    const { data, error } = await supabase
+      .from('session_flashcards')
+      .update(updateData)
+      .eq('id', card.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await syncSessionFlashcards(card.session_id);
+
+    return { success: true, card: data };
+  } catch (error) {
+    console.error('Error updating flashcard:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Add a hand-written card to the end of a deck
+ * @param {string} sessionId - Session ID
+ * @param {Object} card - { question, answer, tags }
+ * @returns {Promise<Object>} { success, card }
+ */
+export const addManualFlashcard = async (sessionId, card) => {
+  try {
+    const invalid = validateCard(card);
+    if (invalid) throw new Error(invalid);
+
+    const { count, error: countError } = await supabase
+      .from('session_flashcards')
+      .select('id', { count: 'exact', head: true })
+      .eq('session_id', sessionId);
+
+    if (countError) throw countError;
+
+    const { data, error } = await supabase
+      .from('session_flashcards')
+      .insert([{
+        session_id: sessionId,
+        flashcard_index: count || 0,
+        question: card.question.trim(),
+        answer: card.answer.trim(),
+        tags: normalizeTags(card.tags),
+        is_manual: true,
+        is_studied: false
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await syncSessionFlashcards(sessionId);
+
+    return { success: true, card: data };
+  } catch (error) {
+    console.error('Error adding flashcard:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a card and its review history
+ * @param {Object} card - session_flashcards row
+ * @returns {Promise<Object>} Delete result
+ */
+export const deleteFlashcard = async (card) => {
+  try {
+    const { error } = await supabase
+      .from('session_flashcards')
+      .delete()
+      .eq('id', card.id);
+
+    if (error) throw error;
+
+    await syncSessionFlashcards(card.session_id);
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting flashcard:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Move cards to the end of another deck, keeping their review history
+ * @param {Array<Object>} cards - session_flashcards rows (may come from several decks)
+ * @param {string} targetSessionId - Deck to move them to
+ * @returns {Promise<Object>} { success, moved }
+ */
+export const moveFlashcards = async (cards, targetSessionId) => {
+  try {
+    const moving = cards.filter(card => card.session_id !== targetSessionId);
+    if (moving.length === 0) return { success: true, moved: 0 };
+
+    const { count, error: countError } = await supabase
+      .from('session_flashcards')
+      .select('id', { count: 'exact', head: true })
+      .eq('session_id', targetSessionId);
+
+    if (countError) throw countError;
+
+    for (const [offset, card] of moving.entries()) {
+      const { error } = await supabase
+        .from('session_flashcards')
+        .update({ session_id: targetSessionId, flashcard_index: (count || 0) + offset })
+        .eq('id', card.id);
+
+      if (error) throw error;
+    }
+
+    const touched = new Set([targetSessionId, ...moving.map(card => card.session_id)]);
+    for (const sessionId of touched) {
+      await syncSessionFlashcards(sessionId);
+    }
+
+    return { success: true, moved: moving.length };
+  } catch (error) {
+    console.error('Error moving flashcards:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Merge one deck into another
+ * All cards move to the target deck and the source session is deleted,
+ * together with its questions and progress.
+ * @param {string} sourceSessionId - Deck to merge and remove
+ * @param {string} targetSessionId - Deck that receives the cards
+ * @returns {Promise<Object>} { success, moved }
+ */
+export const mergeDecks = async (sourceSessionId, targetSessionId) => {
+  try {
+    if (sourceSessionId === targetSessionId) throw new Error('Cannot merge a deck into itself');
+
+    const { success, cards, error } = await getDeckCards(sourceSessionId);
+    if (!success) throw new Error(error);
+
+    const moveResult = await moveFlashcards(cards, targetSessionId);
+    if (!moveResult.success) throw new Error(moveResult.error);
+
+    const { error: deleteError } = await supabase
+      .from('learning_sessions')
+      .delete()
+      .eq('id', sourceSessionId);
+
+    if (deleteError) throw deleteError;
+
+    return { success: true, moved: moveResult.moved };
+  } catch (error) {
+    console.error('Error merging decks:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Export a deck as an Anki package or a CSV/TSV file
+ * @param {string} sessionId - Session ID
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'apkg', 'csv' or 'tsv'
+ * @param {boolean} options.includeQuestions - Also export the session's MCQs
+ * @param {string} options.questionFormat - 'basic' or 'cloze' for exported MCQs
+ * @returns {Promise<Object>} { success, blob, fileName, noteCount }
+ */
+export const exportDeck = async (sessionId, { format = 'apkg', includeQuestions = false, questionFormat = 'basic' } = {}) => {
+  try {
+    const sessionResult = await getSessionById(sessionId);
+    if (!sessionResult.success) throw new Error(sessionResult.error);
+
+    const { session } = sessionResult;
+    const notes = buildExportNotes(session, { includeQuestions, questionFormat });
+    if (notes.length === 0) throw new Error('This deck has no cards to export');
+
+    const blob = format === 'apkg'
+      ? await buildApkg(session.topic, notes)
+      : new Blob([toDelimited(notes, format)], { type: format === 'tsv' ? 'text/tab-separated-values' : 'text/csv' });
+
+    return { success: true, blob, fileName: exportFileName(session.topic, format), noteCount: notes.length };
+  } catch (error) {
+    console.error('Error exporting deck:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Read cards from an import file and mark the ones the user already has
+ * @param {File} file - .apkg, Quizlet export, CSV or TSV file
+ * @returns {Promise<Object>} { success, deckName, cards, duplicates }
+ */
+export const previewImport = async (file) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    let cards;
+    let deckName = file.name.replace(/\.[^.]+$/, '');
+
+    if (file.name.toLowerCase().endsWith('.apkg')) {
+      const pkg = await readApkg(file);
+      cards = ankiNotesToCards(pkg.notes);
+      deckName = pkg.deckName || deckName;
+    } else {
+      const { rows, columns, html } = parseDelimited(await file.text());
+      cards = rowsToCards(rows, columns, { html });
+    }
+
+    if (cards.length === 0) throw new Error('No question/answer pairs were found in this file');
+
+    // Every card is compared, not just the first page the server returns
+    const existing = await selectAllRows(() => supabase
+      .from('session_flashcards')
+      .select('question, learning_sessions!inner(user_id)')
+      .eq('learning_sessions.user_id', user.id)
+      .order('id'));
+
+    const { unique, duplicates } = dedupeCards(cards, existing.map(card => card.question));
+
+    return { success: true, deckName, cards: unique, duplicates };
+  } catch (error) {
+    console.error('Error reading import file:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Create a deck from imported cards
+ * The deck is a learning session, so its cards join reviews, analytics and
+ * TheGenie's context; they are due for review right away.
+ * @param {string} deckName - Deck name (session topic)
+ * @param {Array<Object>} cards - { question, answer, tags } cards from previewImport
+ * @returns {Promise<Object>} { success, session }
+ */
+export const importDeck = async (deckName, cards) => {
+  if (!deckName?.trim()) return { success: false, error: 'The deck name cannot be empty' };
+  if (cards.length === 0) return { success: false, error: 'There are no cards to import' };
+
+  return createSession({
+    sessionType: 'fast',
+    topic: deckName.trim(),
+    flashcards: cards,
+    mcqQuestions: [],
+    dueNow: true
+  });
+};
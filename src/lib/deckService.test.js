@@ -0,0 +1,35 @@
+// Tests for deck imports
+// Supabase is replaced by a stub that caps responses at 1000 rows
+
+jest.mock('./supabase', () => ({
+  supabase: {
+    auth: { getUser: jest.fn() },
+    from: jest.fn()
+  }
+}));
+
+const { supabase } = require('./supabase');
+const { previewImport } = require('./deckService');
+
+describe('Deck Service', () => {
+  test('imports are checked against every card the user already has', async () => {
+    const existing = Array.from({ length: 2500 }, (_, i) => ({ question: `Card ${i}`, learning_sessions: { user_id: 'u1' } }));
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'u1' } } });
+    supabase.from.mockImplementation(() => {
+      const builder = {
+        select: () => builder,
+        eq: () => builder,
+        order: () => builder,
+        range: async (from, to) => ({ data: existing.slice(from, Math.min(to + 1, from + 1000)), error: null })
+      };
+      return builder;
+    });
+    const file = { name: 'deck.tsv', text: async () => 'Card 5\tA\nCard 2400\tB\nNew card\tC\n' };
+
+    const result = await previewImport(file);
+
+    expect(result.success).toBe(true);
+    expect(result.cards.map(card => card.question)).toEqual(['New card']);
+    expect(result.duplicates).toHaveLength(2);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Deck Utilities - pure helpers for editing flashcard decks
+ * A deck is the ordered list of a session's flashcards. Session resume and the
+ * study views address cards by position, so flashcard_index must stay
+ * contiguous (0..n-1) after cards are deleted, moved or merged.
+ */
+
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Normalize user-entered tags
+ * @param {string|Array<string>} input - Comma separated string or list of tags
+ * @returns {Array<string>} Trimmed, lowercased, de-duplicated tags
+ */
+export const normalizeTags = (input) => {
+  const raw = Array.isArray(input) ? input : String(input || '').split(',');
+  const tags = raw
+    .map(tag => String(tag).trim().replace(/^#/, '').replace(/\s+/g, '-').toLowerCase())
+    .filter(Boolean)
+    .map(tag => tag.slice(0, MAX_TAG_LENGTH));
+  return [...new Set(tags)];
+};
+
+/**
+ * Work out which cards need a new flashcard_index so a deck is contiguous again
+ * @param {Array<Object>} cards - session_flashcards rows of one session
+ * @returns {Array<Object>} { id, flashcard_index } for every card whose index changes
+ */
+export const planReindex = (cards) => [...cards]
+  .sort((a, b) => a.flashcard_index - b.flashcard_index)
+  .map((card, position) => ({ id: card.id, from: card.flashcard_index, flashcard_index: position }))
+  .filter(card => card.from !== card.flashcard_index)
+  .map(({ id, flashcard_index }) => ({ id, flashcard_index }));
+
+/**
+ * Check a card before saving it
+ * @param {Object} card - { question, answer }
+ * @returns {string|null} Error message, or null when the card is valid
+ */
+export const validateCard = (card) => {
+  if (!card?.question?.trim()) return 'The question cannot be empty';
+  if (!card?.answer?.trim()) return 'The answer cannot be empty';
+  return null;
+};
+
+/**
+ * All tags used in a deck with how many cards carry each
+ * @param {Array<Object>} cards - Cards with a tags array
+ * @returns {Array<Object>} { tag, count } sorted by count, then name
+ */
+export const collectTags = (cards) => {
+  const counts = {};
+  cards.forEach(card => (card.tags || []).forEach(tag => { counts[tag] = (counts[tag] || 0) + 1; }));
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
@@ -0,0 +1,34 @@
+// Tests for the flashcard deck editing helpers
+
+const { normalizeTags, planReindex, validateCard, collectTags } = require('./deckUtils');
+
+describe('Deck Utilities', () => {
+  test('tags are trimmed, lowercased and de-duplicated', () => {
+    expect(normalizeTags(' Biology, #cells,, biology , Cell Cycle')).toEqual(['biology', 'cells', 'cell-cycle']);
+    expect(normalizeTags(['Exam', 'exam'])).toEqual(['exam']);
+    expect(normalizeTags(undefined)).toEqual([]);
+  });
+
+  test('reindexing closes gaps left by deleted or moved cards', () => {
+    const cards = [
+      { id: 'c', flashcard_index: 5 },
+      { id: 'a', flashcard_index: 0 },
+      { id: 'b', flashcard_index: 2 }
+    ];
+
+    expect(planReindex(cards)).toEqual([
+      { id: 'b', flashcard_index: 1 },
+      { id: 'c', flashcard_index: 2 }
+    ]);
+    expect(planReindex([{ id: 'a', flashcard_index: 0 }])).toEqual([]);
+  });
+
+  test('cards need both sides and tags are counted across the deck', () => {
+    expect(validateCard({ question: 'Q', answer: ' ' })).toBe('The answer cannot be empty');
+    expect(validateCard({ question: 'Q', answer: 'A' })).toBeNull();
+    expect(collectTags([{ tags: ['b', 'a'] }, { tags: ['a'] }, {}])).toEqual([
+      { tag: 'a', count: 2 },
+      { tag: 'b', count: 1 }
+    ]);
+  });
+});
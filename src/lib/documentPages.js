@@ -0,0 +1,77 @@
+/**
+ * Document Pages - split processed markdown back into pages and find cited passages
+ * Extraction writes a "--- Page N ---" marker before each PDF page; the
+ * document viewer uses them to show a citation on the page it came from.
+ */
+
+// Page boundary markers written during extraction ("--- Page 3 ---", "--- Page 3 (OCR) ---")
+export const PAGE_MARKER_PATTERN = /^-{3} Page (\d+)(?: \(OCR\))? -{3}$/gm;
+const EXTRACTION_FOOTER_PATTERN = /\n-{3}\s*\n\*This content was automatically extracted and processed\.\*\s*$/;
+
+/**
+ * Split processed markdown into pages using its page markers
+ * Content before the first marker (the metadata header) is returned as page 0;
+ * documents without markers come back as a single page 1.
+ * @param {string} markdown - Processed document markdown
+ * @returns {Array<Object>} Pages { page, text }
+ */
+export const splitMarkdownPages = (markdown) => {
+  const pages = [];
+  const markers = [...markdown.matchAll(PAGE_MARKER_PATTERN)];
+
+  if (markers.length === 0) {
+    return [{ page: 1, text: markdown.trim() }];
+  }
+
+  const header = markdown.slice(0, markers[0].index).trim();
+  if (header) pages.push({ page: 0, text: header });
+
+  markers.forEach((marker, index) => {
+    const end = index + 1 < markers.length ? markers[index + 1].index : markdown.length;
+    pages.push({
+      page: Number(marker[1]),
+      text: markdown.slice(marker.index + marker[0].length, end).replace(EXTRACTION_FOOTER_PATTERN, '').trim()
+    });
+  });
+  return pages;
+};
+
+// Build a whitespace-tolerant pattern for a quoted snippet
+const snippetPattern = (snippet) => {
+  const escaped = snippet
+    .trim()
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\s+/g, '\\s+');
+  return escaped ? new RegExp(escaped, 'i') : null;
+};
+
+// Locate the cited passage: whole snippet first, then its opening words
+const findPassage = (text, snippet) => {
+  const attempts = [snippet, snippet.split(/\s+/).slice(0, 12).join(' ')];
+  for (const attempt of attempts) {
+    const pattern = snippetPattern(attempt);
+    const match = pattern && text.match(pattern);
+    if (match) return { start: match.index, end: match.index + match[0].length };
+  }
+  return null;
+};
+
+/**
+ * Find where a citation's quoted snippet appears, searching the cited page first
+ * @param {Array<Object>} pages - Pages from splitMarkdownPages
+ * @param {Object} citation - { page, snippet }
+ * @returns {Object|null} { page, start, end } of the passage, or null when it can't be found
+ */
+export const locateCitation = (pages, { page, snippet }) => {
+  if (!snippet) return null;
+
+  const orderedPages = [
+    ...pages.filter(candidate => candidate.page === page),
+    ...pages.filter(candidate => candidate.page !== page)
+  ];
+  for (const candidate of orderedPages) {
+    const passage = findPassage(candidate.text, snippet);
+    if (passage) return { page: candidate.page, ...passage };
+  }
+  return null;
+};
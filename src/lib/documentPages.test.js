@@ -0,0 +1,75 @@
+// Tests for splitting processed documents into pages and locating citations
+
+const { splitMarkdownPages, locateCitation } = require('./documentPages');
+
+// Shaped like the markdown fileProcessor stores for a PDF
+const markdown = `# Extracted Content: cells.pdf
+
+**File:** cells.pdf  
+**Pages:** 3  
+
+---
+
+## Content
+
+--- Page 4 ---
+Cells are the basic unit of life and every organism is made of them.
+
+--- Page 5 (OCR) ---
+The mitochondria   produces ATP
+through cellular respiration.
+
+--- Page 6 ---
+Ribosomes build proteins. The mitochondria produces ATP here too.
+
+---
+
+*This content was automatically extracted and processed.*
+`;
+
+describe('Document Pages', () => {
+  test('markdown splits into the header and numbered pages without the extraction footer', () => {
+    expect(splitMarkdownPages(markdown)).toEqual([
+      { page: 0, text: '# Extracted Content: cells.pdf\n\n**File:** cells.pdf  \n**Pages:** 3  \n\n---\n\n## Content' },
+      { page: 4, text: 'Cells are the basic unit of life and every organism is made of them.' },
+      { page: 5, text: 'The mitochondria   produces ATP\nthrough cellular respiration.' },
+      { page: 6, text: 'Ribosomes build proteins. The mitochondria produces ATP here too.' }
+    ]);
+  });
+
+  test('documents without page markers are a single page', () => {
+    expect(splitMarkdownPages('  # Notes\n\nJust text.\n')).toEqual([{ page: 1, text: '# Notes\n\nJust text.' }]);
+    expect(splitMarkdownPages('--- Page 2 ---\nOnly page')).toEqual([{ page: 2, text: 'Only page' }]);
+  });
+
+  test('citations are found on the cited page first, ignoring case and spacing', () => {
+    const pages = splitMarkdownPages(markdown);
+
+    expect(locateCitation(pages, { page: 5, snippet: 'the Mitochondria produces ATP' }))
+      .toEqual({ page: 5, start: 0, end: 'The mitochondria   produces ATP'.length });
+
+    const onPageSix = 'Ribosomes build proteins. '.length;
+    expect(locateCitation(pages, { page: 6, snippet: 'The mitochondria produces ATP' }))
+      .toEqual({ page: 6, start: onPageSix, end: onPageSix + 'The mitochondria produces ATP'.length });
+  });
+
+  test('citations with a wrong page or a paraphrased ending still find their passage', () => {
+    const pages = splitMarkdownPages(markdown);
+
+    expect(locateCitation(pages, { page: 9, snippet: 'basic unit of life' }))
+      .toMatchObject({ page: 4 });
+
+    // Only the opening twelve words need to match
+    const opening = 'Cells are the basic unit of life and every organism is made';
+    expect(locateCitation(pages, { page: 4, snippet: `${opening} of cells, as the text explains` }))
+      .toEqual({ page: 4, start: 0, end: opening.length });
+    expect(locateCitation(pages, { page: 4, snippet: 'Cells are the smallest unit of life' })).toBeNull();
+  });
+
+  test('citations without a snippet or with special characters do not break the search', () => {
+    const pages = splitMarkdownPages(markdown);
+
+    expect(locateCitation(pages, { page: 4, snippet: '' })).toBeNull();
+    expect(locateCitation(pages, { page: 4, snippet: 'life.*(' })).toBeNull();
+  });
+});
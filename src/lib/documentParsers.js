@@ -0,0 +1,627 @@
+import JSZip from 'jszip';
+import { decodeText } from './textEncoding';
+
+/**
+ * Document Parsers - extract structured text from files that don't need OCR
+ * Word, PowerPoint and EPUB files are zip packages of XML/XHTML parts.
+ * Headings, lists and tables become markdown; slides and chapters are
+ * separated with the same "--- Page N ---" markers PDF extraction writes, so
+ * page splitting and citations work the same way for every document. Text,
+ * Markdown, HTML and source files are decoded with charset detection.
+ */
+
+// Source files are fenced with their language so code blocks survive into the markdown
+const CODE_LANGUAGES = {
+  '.py': 'python',
+  '.js': 'javascript',
+  '.jsx': 'jsx',
+  '.mjs': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'tsx',
+  '.java': 'java',
+  '.kt': 'kotlin',
+  '.c': 'c',
+  '.h': 'c',
+  '.cpp': 'cpp',
+  '.hpp': 'cpp',
+  '.cs': 'csharp',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.rb': 'ruby',
+  '.php': 'php',
+  '.swift': 'swift',
+  '.scala': 'scala',
+  '.r': 'r',
+  '.sql': 'sql',
+  '.sh': 'bash',
+  '.css': 'css',
+  '.scss': 'scss',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.xml': 'xml'
+};
+
+export const DOCUMENT_TYPES = {
+  docx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    label: 'Word Document',
+    method: 'Word Document Parsing'
+  },
+  pptx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extensions: ['.pptx'],
+    label: 'PowerPoint Presentation',
+    method: 'PowerPoint Slide Parsing'
+  },
+  epub: {
+    mimeTypes: ['application/epub+zip'],
+    extensions: ['.epub'],
+    label: 'EPUB Book',
+    method: 'EPUB Chapter Parsing'
+  },
+  text: {
+    mimeTypes: ['text/plain'],
+    extensions: ['.txt', '.text', '.log'],
+    label: 'Text File',
+    method: 'Plain Text'
+  },
+  markdown: {
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown'],
+    label: 'Markdown File',
+    method: 'Markdown'
+  },
+  html: {
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm', '.xhtml'],
+    label: 'HTML Page',
+    method: 'HTML Conversion'
+  },
+  code: {
+    mimeTypes: [],
+    extensions: Object.keys(CODE_LANGUAGES),
+    label: 'Source Code',
+    method: 'Source Code'
+  }
+};
+
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+const SKIPPED_HTML = ['script', 'style', 'head', 'template', 'noscript'];
+const BLOCK_HTML = [
+  'address', 'article', 'aside', 'body', 'dd', 'details', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'header', 'hr', 'main', 'nav', 'ol', 'section', 'summary', 'ul'
+];
+
+const extensionOf = (fileName = '') => {
+  const dot = fileName.lastIndexOf('.');
+  return dot > 0 ? fileName.slice(dot).toLowerCase() : '';
+};
+
+/**
+ * Work out which document parser handles a file
+ * The extension is checked first: browsers often report no MIME type for
+ * EPUB and source files, and a misleading one for others (.ts as video/mp2t).
+ * @param {File} file - Uploaded file
+ * @returns {string|null} A DOCUMENT_TYPES key, or null
+ */
+export const getDocumentType = (file) => {
+  const extension = extensionOf(file.name);
+  const types = Object.entries(DOCUMENT_TYPES);
+  const match = types.find(([, type]) => type.extensions.includes(extension))
+    || types.find(([, type]) => type.mimeTypes.includes(file.type));
+  return match ? match[0] : null;
+};
+
+// --- XML helpers ---
+
+const parseXml = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The document contains malformed XML');
+  }
+  return doc;
+};
+
+const readXml = async (zip, path) => {
+  const entry = zip.file(path);
+  return entry ? parseXml(await entry.async('string')) : null;
+};
+
+// Namespace prefixes vary between producers, so elements and attributes are matched by local name
+const descendants = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+const childElements = (node, name) => Array.from(node.childNodes)
+  .filter(child => child.nodeType === 1 && (!name || child.localName === name));
+const firstChild = (node, name) => childElements(node, name)[0] || null;
+const attr = (node, name) => {
+  const attribute = node && Array.from(node.attributes).find(a => a.localName === name);
+  return attribute ? attribute.value : null;
+};
+
+const collapse = (text) => text.replace(/[ \t\r\n\u00a0]+/g, ' ').trim();
+const escapeCell = (text) => collapse(text).replace(/\|/g, '\\|');
+
+const markdownTable = (rows) => {
+  const width = rows.length > 0 ? Math.max(...rows.map(row => row.length)) : 0;
+  if (width === 0) return '';
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+};
+
+// Blocks are separated by blank lines, except consecutive list items
+const joinBlocks = (blocks) => blocks.reduce((markdown, block, index) => {
+  if (index === 0) return block.text;
+  const separator = block.list && blocks[index - 1].list ? '\n' : '\n\n';
+  return markdown + separator + block.text;
+}, '');
+
+/**
+ * Resolve a package relationship target against the part that references it
+ * @param {string} baseDir - Directory of the referencing part ("ppt/slides/")
+ * @param {string} target - Relative or package-absolute target
+ * @returns {string} Zip entry path
+ */
+const resolvePath = (baseDir, target) => {
+  const parts = (target.startsWith('/') ? target.slice(1) : baseDir + target).split('/');
+  const resolved = [];
+  parts.forEach(part => {
+    if (part === '..') resolved.pop();
+    else if (part !== '.' && part !== '') resolved.push(part);
+  });
+  return decodeURIComponent(resolved.join('/'));
+};
+
+const directoryOf = (path) => path.slice(0, path.lastIndexOf('/') + 1);
+
+const readRelationships = async (zip, partPath) => {
+  const dir = directoryOf(partPath);
+  const doc = await readXml(zip, `${dir}_rels/${partPath.slice(dir.length)}.rels`);
+  if (!doc) return [];
+  return descendants(doc, 'Relationship')
+    .filter(rel => attr(rel, 'TargetMode') !== 'External')
+    .map(rel => ({
+      id: attr(rel, 'Id'),
+      type: attr(rel, 'Type') || '',
+      path: resolvePath(dir, attr(rel, 'Target') || '')
+    }));
+};
+
+// --- Word ---
+
+// Map style IDs to heading levels using their names ("heading 2"), which stay
+// English even when the style ID is localised
+const readHeadingStyles = (stylesDoc) => {
+  const levels = {};
+  if (!stylesDoc) return levels;
+  descendants(stylesDoc, 'style').forEach(style => {
+    const name = (attr(firstChild(style, 'name'), 'val') || '').toLowerCase();
+    const heading = name.match(/^heading (\d)$/);
+    if (heading) levels[attr(style, 'styleId')] = Math.min(Number(heading[1]), 6);
+    else if (name === 'title') levels[attr(style, 'styleId')] = 1;
+  });
+  return levels;
+};
+
+const wordText = (node) => {
+  let text = '';
+  const walk = (element) => childElements(element).forEach(child => {
+    if (child.localName === 't') text += child.textContent;
+    else if (child.localName === 'tab') text += ' ';
+    else if (child.localName === 'br' || child.localName === 'cr') text += '\n';
+    else if (!['delText', 'instrText', 'footnoteReference', 'rPr', 'pPr', 'Fallback'].includes(child.localName)) walk(child);
+  });
+  walk(node);
+  return text;
+};
+
+const wordParagraph = (paragraph, headingStyles) => {
+  const text = wordText(paragraph).split('\n').map(collapse).join('\n').trim();
+  if (!text) return null;
+
+  const properties = firstChild(paragraph, 'pPr');
+  const styleId = attr(properties && firstChild(properties, 'pStyle'), 'val');
+  const outline = attr(properties && firstChild(properties, 'outlineLvl'), 'val');
+  const level = headingStyles[styleId]
+    || (/^(Heading\d|Title)$/.test(styleId || '') && (Number(styleId.slice(7)) || 1))
+    || (outline !== null && Number(outline) < 6 && Number(outline) + 1);
+
+  if (level) return { text: `${'#'.repeat(level)} ${text.replace(/\n/g, ' ')}` };
+
+  const numbering = properties && firstChild(properties, 'numPr');
+  if (numbering) {
+    const depth = Number(attr(firstChild(numbering, 'ilvl'), 'val')) || 0;
+    return { text: `${'  '.repeat(depth)}- ${text.replace(/\n/g, ' ')}`, list: true };
+  }
+
+  return { text };
+};
+
+const wordTable = (table) => markdownTable(
+  childElements(table, 'tr').map(row => childElements(row, 'tc').map(cell =>
+    childElements(cell, 'p').map(wordText).join(' ')
+  ).map(escapeCell))
+);
+
+/**
+ * Extract a Word document's body as markdown
+ * Heading and Title styles become headings, numbered/bulleted paragraphs
+ * become list items and tables become markdown tables.
+ * @param {ArrayBuffer|Uint8Array} data - .docx file contents
+ * @returns {Promise<string>} Markdown text
+ */
+export const parseDocx = async (data) => {
+  const zip = await JSZip.loadAsync(data);
+  const documentDoc = await readXml(zip, 'word/document.xml');
+  if (!documentDoc) throw new Error('This file is not a Word document');
+
+  const headingStyles = readHeadingStyles(await readXml(zip, 'word/styles.xml'));
+  const body = descendants(documentDoc, 'body')[0];
+  const blocks = [];
+
+  const readBlocks = (container) => childElements(container).forEach(element => {
+    if (element.localName === 'p') {
+      const block = wordParagraph(element, headingStyles);
+      if (block) blocks.push(block);
+    } else if (element.localName === 'tbl') {
+      const table = wordTable(element);
+      if (table) blocks.push({ text: table });
+    } else if (['sdt', 'sdtContent', 'customXml'].includes(element.localName)) {
+      // Content controls wrap ordinary paragraphs
+      readBlocks(element);
+    }
+  });
+
+  if (body) readBlocks(body);
+  return joinBlocks(blocks);
+};
+
+// --- PowerPoint ---
+
+const slideParagraphs = (textBody) => descendants(textBody, 'p')
+  .map(paragraph => {
+    const text = childElements(paragraph)
+      .map(run => (run.localName === 'br' ? '\n' : descendants(run, 't').map(t => t.textContent).join('')))
+      .join('');
+    return { text: collapse(text), level: Number(attr(firstChild(paragraph, 'pPr'), 'lvl')) || 0 };
+  })
+  .filter(paragraph => paragraph.text);
+
+const placeholderType = (shape) => {
+  const placeholder = descendants(shape, 'ph')[0];
+  if (!placeholder) return null;
+  return attr(placeholder, 'type') || 'body';
+};
+
+/**
+ * Read a slide's title, text and tables in shape order
+ * @param {Document} slideDoc - Parsed slide part
+ * @returns {Object} { title, blocks }
+ */
+const readSlide = (slideDoc) => {
+  let title = '';
+  const blocks = [];
+
+  descendants(slideDoc, '*')
+    .filter(element => element.localName === 'sp' || element.localName === 'graphicFrame')
+    .forEach(shape => {
+      if (shape.localName === 'graphicFrame') {
+        descendants(shape, 'tbl').forEach(table => {
+          const markdown = markdownTable(descendants(table, 'tr').map(row =>
+            descendants(row, 'tc').map(cell => escapeCell(descendants(cell, 't').map(t => t.textContent).join(' ')))
+          ));
+          if (markdown) blocks.push({ text: markdown });
+        });
+        return;
+      }
+
+      const textBody = firstChild(shape, 'txBody');
+      if (!textBody) return;
+      const paragraphs = slideParagraphs(textBody);
+
+      if (!title && TITLE_PLACEHOLDERS.includes(placeholderType(shape))) {
+        title = paragraphs.map(paragraph => paragraph.text).join(' ');
+        return;
+      }
+      paragraphs.forEach(paragraph => blocks.push({
+        text: `${'  '.repeat(paragraph.level)}- ${paragraph.text}`,
+        list: true
+      }));
+    });
+
+  return { title, blocks };
+};
+
+// Speaker notes live in the body placeholder; the others hold the slide image and number
+const readNotes = (notesDoc) => descendants(notesDoc, 'sp')
+  .filter(shape => placeholderType(shape) === 'body')
+  .flatMap(shape => slideParagraphs(firstChild(shape, 'txBody') || shape))
+  .map(paragraph => paragraph.text)
+  .join('\n\n');
+
+const slideNumber = (path) => Number((path.match(/(\d+)\.xml$/) || [])[1]) || 0;
+
+/**
+ * Extract a presentation's slides as markdown, one page per slide
+ * Each slide gets a "## Slide N: Title" heading, its text as bullet points
+ * and its speaker notes under "### Speaker notes".
+ * @param {ArrayBuffer|Uint8Array} data - .pptx file contents
+ * @returns {Promise<string>} Markdown text
+ */
+export const parsePptx = async (data) => {
+  const zip = await JSZip.loadAsync(data);
+  const presentationDoc = await readXml(zip, 'ppt/presentation.xml');
+  if (!presentationDoc) throw new Error('This file is not a PowerPoint presentation');
+
+  // Slide order comes from the presentation's slide list, not the part names
+  const relationships = await readRelationships(zip, 'ppt/presentation.xml');
+  const targets = new Map(relationships.map(rel => [rel.id, rel.path]));
+  let slidePaths = descendants(presentationDoc, 'sldId')
+    .map(slide => targets.get(slide.getAttributeNS(RELATIONSHIP_NS, 'id')))
+    .filter(path => path && zip.file(path));
+
+  if (slidePaths.length === 0) {
+    slidePaths = Object.keys(zip.files)
+      .filter(path => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+      .sort((a, b) => slideNumber(a) - slideNumber(b));
+  }
+
+  const slides = [];
+  for (const [index, path] of slidePaths.entries()) {
+    const { title, blocks } = readSlide(await readXml(zip, path));
+    const notesRel = (await readRelationships(zip, path)).find(rel => rel.type.endsWith('/notesSlide'));
+    const notesDoc = notesRel ? await readXml(zip, notesRel.path) : null;
+    const notes = notesDoc ? readNotes(notesDoc) : '';
+
+    const number = index + 1;
+    const sections = [`## Slide ${number}${title ? `: ${title}` : ''}`];
+    if (blocks.length > 0) sections.push(joinBlocks(blocks));
+    if (notes) sections.push(`### Speaker notes\n\n${notes}`);
+    slides.push(`--- Page ${number} ---\n${sections.join('\n\n')}`);
+  }
+
+  return slides.join('\n\n');
+};
+
+// --- HTML ---
+
+const inlineNode = (node) => {
+  if (node.nodeType === 3) return node.textContent.replace(/\s+/g, ' ');
+  if (node.nodeType !== 1) return '';
+
+  const tag = node.localName.toLowerCase();
+  if (SKIPPED_HTML.includes(tag)) return '';
+  if (tag === 'br') return '\n';
+  if (tag === 'img') return node.getAttribute('alt') || '';
+
+  const inner = inlineMarkdown(node);
+  if (!inner.trim()) return inner;
+  if (tag === 'strong' || tag === 'b') return `**${inner.trim()}**`;
+  if (tag === 'em' || tag === 'i') return `*${inner.trim()}*`;
+  if (tag === 'code') return `\`${inner.trim()}\``;
+  return inner;
+};
+
+const inlineMarkdown = (node) => Array.from(node.childNodes).map(inlineNode).join('');
+
+/**
+ * Convert an HTML element's content to markdown blocks
+ * Handles headings, paragraphs, nested lists, quotes, preformatted text and
+ * tables; other inline markup is reduced to its text.
+ * @param {Element} root - Element to convert
+ * @returns {string} Markdown
+ */
+const htmlToMarkdown = (root) => {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = inline.split('\n').map(collapse).filter(Boolean).join('\n');
+    if (text) blocks.push({ text });
+    inline = '';
+  };
+
+  const walk = (node, depth) => Array.from(node.childNodes).forEach(child => {
+    if (child.nodeType === 3) {
+      inline += child.textContent;
+      return;
+    }
+    if (child.nodeType !== 1) return;
+
+    const tag = child.localName.toLowerCase();
+    if (SKIPPED_HTML.includes(tag)) return;
+
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) {
+      flush();
+      const text = collapse(inlineMarkdown(child));
+      if (text) blocks.push({ text: `${'#'.repeat(Number(heading[1]))} ${text}` });
+    } else if (tag === 'p') {
+      flush();
+      inline = inlineMarkdown(child);
+      flush();
+    } else if (tag === 'li') {
+      flush();
+      const nested = childElements(child).filter(element => ['ul', 'ol'].includes(element.localName.toLowerCase()));
+      const own = child.cloneNode(true);
+      childElements(own).filter(element => ['ul', 'ol'].includes(element.localName.toLowerCase()))
+        .forEach(element => own.removeChild(element));
+      const text = collapse(inlineMarkdown(own));
+      if (text) blocks.push({ text: `${'  '.repeat(depth)}- ${text}`, list: true });
+      nested.forEach(list => walk(list, depth + 1));
+    } else if (tag === 'pre') {
+      flush();
+      blocks.push({ text: `\`\`\`\n${child.textContent.replace(/\n+$/, '')}\n\`\`\`` });
+    } else if (tag === 'blockquote') {
+      flush();
+      const quote = htmlToMarkdown(child);
+      if (quote) blocks.push({ text: quote.split('\n').map(line => `> ${line}`.trimEnd()).join('\n') });
+    } else if (tag === 'table') {
+      flush();
+      const table = markdownTable(descendants(child, 'tr').map(row =>
+        childElements(row).filter(cell => ['td', 'th'].includes(cell.localName.toLowerCase()))
+          .map(cell => escapeCell(cell.textContent))
+      ));
+      if (table) blocks.push({ text: table });
+    } else if (BLOCK_HTML.includes(tag)) {
+      flush();
+      walk(child, tag === 'ul' || tag === 'ol' ? depth : 0);
+      flush();
+    } else {
+      inline += inlineNode(child);
+    }
+  });
+
+  walk(root, 0);
+  flush();
+  return joinBlocks(blocks);
+};
+
+const BOILERPLATE_TAGS = ['nav', 'aside', 'form', 'button', 'select', 'iframe', 'svg', 'canvas', 'dialog'];
+const BOILERPLATE_ROLES = ['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'dialog'];
+const BOILERPLATE_NAMES = /(^|[\s_-])(nav|navbar|menu|sidebar|breadcrumbs?|cookies?|banner|ads?|advert|promo|share|social|related|comments?|subscribe|newsletter|skip-link)([\s_-]|$)/i;
+const MAIN_CONTENT = 'main, [role="main"], article';
+
+/**
+ * Convert a saved web page to markdown, keeping only its readable content
+ * Navigation, sidebars, forms, cookie banners and similar boilerplate are
+ * removed; page-level headers and footers go too, but an article's own header
+ * (where its title usually is) stays. When the page marks its main content
+ * (<main>, role="main" or a single <article>) only that is converted.
+ * @param {string} html - Page source
+ * @returns {Object} { title, markdown }
+ */
+export const extractReadableHtml = (html) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const title = collapse(doc.querySelector('title')?.textContent || '');
+  const body = doc.body || doc.documentElement;
+  const bodyLength = collapse(body.textContent).length;
+
+  Array.from(body.querySelectorAll('*')).forEach(element => {
+    const tag = element.localName;
+    const names = `${element.id || ''} ${element.getAttribute('class') || ''}`;
+    const pageChrome = (tag === 'header' || tag === 'footer') && !element.parentElement?.closest(MAIN_CONTENT);
+    const namedBoilerplate = BOILERPLATE_NAMES.test(names)
+      && !element.querySelector(MAIN_CONTENT)
+      && collapse(element.textContent).length < bodyLength / 2;
+
+    if (BOILERPLATE_TAGS.includes(tag)
+      || BOILERPLATE_ROLES.includes(element.getAttribute('role'))
+      || element.getAttribute('aria-hidden') === 'true'
+      || pageChrome
+      || namedBoilerplate) {
+      element.remove();
+    }
+  });
+
+  const articles = body.querySelectorAll('article');
+  const main = body.querySelector('main, [role="main"]') || (articles.length === 1 ? articles[0] : null);
+  const markdown = htmlToMarkdown(main && collapse(main.textContent) ? main : body);
+
+  return {
+    title,
+    markdown: title && !/^# /m.test(markdown) ? `# ${title}\n\n${markdown}` : markdown
+  };
+};
+
+// --- Text, Markdown and source code ---
+
+/**
+ * Decode a plain text or Markdown file as-is
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {Promise<string>} Text
+ */
+export const parseText = async (data) => decodeText(data).trim();
+
+/**
+ * Convert a saved HTML page to markdown
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {Promise<string>} Markdown text
+ */
+export const parseHtml = async (data) => extractReadableHtml(decodeText(data, { html: true })).markdown;
+
+/**
+ * Wrap a source file in a fenced code block tagged with its language
+ * The fence is made longer than any backtick run inside the code.
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @param {string} fileName - File name, for the language
+ * @returns {Promise<string>} Markdown text
+ */
+export const parseCode = async (data, fileName) => {
+  const code = decodeText(data).replace(/^\n+|\s+$/g, '');
+  const longestRun = Math.max(2, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longestRun + 1);
+  return `${fence}${CODE_LANGUAGES[extensionOf(fileName)] || ''}\n${code}\n${fence}`;
+};
+
+// --- EPUB ---
+
+/**
+ * Extract an EPUB's chapters in reading order as markdown, one page per chapter
+ * Chapters without text (covers, image-only pages) are skipped; a chapter with
+ * no heading of its own gets "## Chapter N".
+ * @param {ArrayBuffer|Uint8Array} data - .epub file contents
+ * @returns {Promise<string>} Markdown text
+ */
+export const parseEpub = async (data) => {
+  const zip = await JSZip.loadAsync(data);
+  const containerDoc = await readXml(zip, 'META-INF/container.xml');
+  const packagePath = containerDoc && attr(descendants(containerDoc, 'rootfile')[0], 'full-path');
+  const packageDoc = packagePath && await readXml(zip, packagePath);
+  if (!packageDoc) throw new Error('This file is not an EPUB book');
+
+  const packageDir = directoryOf(packagePath);
+  const manifest = new Map(descendants(packageDoc, 'item').map(item => [attr(item, 'id'), item]));
+  const bookTitle = collapse(descendants(packageDoc, 'title')[0]?.textContent || '');
+
+  const chapterPaths = descendants(packageDoc, 'itemref')
+    .map(ref => manifest.get(attr(ref, 'idref')))
+    .filter(item => item && /html/.test(attr(item, 'media-type') || ''))
+    .map(item => resolvePath(packageDir, attr(item, 'href')));
+
+  const chapters = [];
+  for (const path of chapterPaths) {
+    const entry = zip.file(path);
+    if (!entry) continue;
+
+    // XHTML is parsed as HTML so named entities (&nbsp;) don't break it
+    const doc = new DOMParser().parseFromString(await entry.async('string'), 'text/html');
+    const markdown = htmlToMarkdown(doc.body || doc.documentElement);
+    if (!collapse(markdown.replace(/[#>*`|-]/g, ''))) continue;
+
+    const number = chapters.length + 1;
+    const heading = /^#{1,6} /m.test(markdown) ? '' : `## Chapter ${number}\n\n`;
+    chapters.push(`--- Page ${number} ---\n${heading}${markdown}`);
+  }
+
+  return [bookTitle && `# ${bookTitle}`, ...chapters].filter(Boolean).join('\n\n');
+};
+
+const PARSERS = {
+  docx: parseDocx,
+  pptx: parsePptx,
+  epub: parseEpub,
+  text: parseText,
+  markdown: parseText,
+  html: parseHtml,
+  code: parseCode
+};
+
+/**
+ * Extract a document, web page, text or source file as markdown
+ * @param {File} file - Uploaded file
+ * @param {string} type - Document type from getDocumentType
+ * @returns {Promise<Object>} Extracted text and processing method
+ */
+export const parseDocument = async (file, type = getDocumentType(file)) => {
+  if (!PARSERS[type]) throw new Error(`Unsupported document type: ${file.name}`);
+
+  try {
+    const text = await PARSERS[type](await file.arrayBuffer(), file.name);
+    return { text, method: DOCUMENT_TYPES[type].method };
+  } catch (error) {
+    console.error(`${DOCUMENT_TYPES[type].label} parsing error:`, error);
+    throw new Error(`Failed to read ${DOCUMENT_TYPES[type].label}: ${error.message}`);
+  }
+};
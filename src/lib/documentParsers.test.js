@@ -0,0 +1,118 @@
+// Tests for document, web page and source file text extraction
+
+const JSZip = require('jszip');
+const { parseDocx, parsePptx, parseEpub, extractReadableHtml, getDocumentType } = require('./documentParsers');
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const P = 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" '
+  + 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const RELS = 'xmlns="http://schemas.openxmlformats.org/package/2006/relationships"';
+const NOTES_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide';
+
+const buildZip = async (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([path, content]) => zip.file(path, content));
+  return zip.generateAsync({ type: 'uint8array' });
+};
+
+const shape = (text, placeholder) => `<p:sp><p:nvSpPr><p:nvPr>${placeholder ? `<p:ph type="${placeholder}"/>` : ''}</p:nvPr></p:nvSpPr>`
+  + `<p:txBody>${text.map(([line, lvl]) => `<a:p>${lvl ? `<a:pPr lvl="${lvl}"/>` : ''}<a:r><a:t>${line}</a:t></a:r></a:p>`).join('')}</p:txBody></p:sp>`;
+
+describe('Document Parsers', () => {
+  test('Word headings, lists and tables become markdown', async () => {
+    const paragraph = (text, props = '') => `<w:p><w:pPr>${props}</w:pPr><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+    const data = await buildZip({
+      'word/styles.xml': `<w:styles ${W}><w:style w:styleId="berschrift1"><w:name w:val="heading 1"/></w:style></w:styles>`,
+      'word/document.xml': `<w:document ${W}><w:body>
+        ${paragraph('Cell Biology', '<w:pStyle w:val="Title"/>')}
+        ${paragraph('Organelles', '<w:pStyle w:val="berschrift1"/>')}
+        ${paragraph('Cells contain  organelles.')}
+        ${paragraph('Nucleus', '<w:numPr><w:ilvl w:val="0"/></w:numPr>')}
+        ${paragraph('Nucleolus', '<w:numPr><w:ilvl w:val="1"/></w:numPr>')}
+        <w:tbl><w:tr><w:tc>${paragraph('Part')}</w:tc><w:tc>${paragraph('Role')}</w:tc></w:tr>
+          <w:tr><w:tc>${paragraph('Ribosome')}</w:tc><w:tc>${paragraph('Makes proteins | enzymes')}</w:tc></w:tr></w:tbl>
+        <w:p><w:r><w:t></w:t></w:r></w:p>
+      </w:body></w:document>`
+    });
+
+    expect(await parseDocx(data)).toBe([
+      '# Cell Biology',
+      '# Organelles',
+      'Cells contain organelles.',
+      '- Nucleus\n  - Nucleolus',
+      '| Part | Role |\n| --- | --- |\n| Ribosome | Makes proteins \\| enzymes |'
+    ].join('\n\n'));
+    expect(getDocumentType({ name: 'Notes.DOCX', type: '' })).toBe('docx');
+    expect(getDocumentType({ name: 'book', type: 'application/epub+zip' })).toBe('epub');
+    expect(getDocumentType({ name: 'scan.pdf', type: 'application/pdf' })).toBeNull();
+  });
+
+  test('web pages keep their main content and source files are recognised by extension', () => {
+    const page = extractReadableHtml(`<html><head><title>Enzymes | Bio Blog</title></head><body>
+      <header><a href="/">Home</a></header>
+      <nav><a href="/a">Archive</a></nav>
+      <main>
+        <article><header><h1>Enzymes</h1></header><p>They <strong>speed up</strong> reactions.</p>
+          <div class="share-buttons">Tweet</div><pre>rate = k[S]</pre></article>
+        <div id="comments">Nice post!</div>
+      </main>
+      <aside>Popular posts</aside><div class="cookie-banner">We use cookies</div>
+      <footer>© 2025</footer><script>track()</script>
+    </body></html>`);
+
+    expect(page).toEqual({
+      title: 'Enzymes | Bio Blog',
+      markdown: '# Enzymes\n\nThey **speed up** reactions.\n\n```\nrate = k[S]\n```'
+    });
+    expect(extractReadableHtml('<title>Notes</title><p>Plain page</p>').markdown).toBe('# Notes\n\nPlain page');
+    expect(getDocumentType({ name: 'types.ts', type: 'video/mp2t' })).toBe('code');
+    expect(getDocumentType({ name: 'page', type: 'text/html' })).toBe('html');
+  });
+
+  test('slides follow the presentation order and keep their speaker notes', async () => {
+    const data = await buildZip({
+      'ppt/presentation.xml': `<p:presentation ${P}><p:sldIdLst><p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>`,
+      'ppt/_rels/presentation.xml.rels': `<Relationships ${RELS}><Relationship Id="rId2" Target="slides/slide1.xml"/><Relationship Id="rId3" Target="slides/slide2.xml"/></Relationships>`,
+      'ppt/slides/slide2.xml': `<p:sld ${P}><p:cSld><p:spTree>${shape([['Photosynthesis']], 'ctrTitle')}${shape([['Light reactions'], ['Thylakoid', 1]], 'body')}</p:spTree></p:cSld></p:sld>`,
+      'ppt/slides/_rels/slide2.xml.rels': `<Relationships ${RELS}><Relationship Id="rId1" Type="${NOTES_TYPE}" Target="../notesSlides/notesSlide1.xml"/></Relationships>`,
+      'ppt/notesSlides/notesSlide1.xml': `<p:notes ${P}><p:cSld><p:spTree>${shape([['1']], 'sldNum')}${shape([['Mention chlorophyll.']], 'body')}</p:spTree></p:cSld></p:notes>`,
+      'ppt/slides/slide1.xml': `<p:sld ${P}><p:cSld><p:spTree>${shape([['Summary']], 'title')}${shape([['Glucose is made']])}</p:spTree></p:cSld></p:sld>`
+    });
+
+    expect(await parsePptx(data)).toBe([
+      '--- Page 1 ---\n## Slide 1: Photosynthesis',
+      '- Light reactions\n  - Thylakoid',
+      '### Speaker notes\n\nMention chlorophyll.',
+      '--- Page 2 ---\n## Slide 2: Summary',
+      '- Glucose is made'
+    ].join('\n\n'));
+  });
+
+  test('EPUB chapters follow the spine and skip pages without text', async () => {
+    const chapter = (body) => `<html xmlns="http://www.w3.org/1999/xhtml"><head><title>x</title><style>p{}</style></head><body>${body}</body></html>`;
+    const data = await buildZip({
+      'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+      'OEBPS/content.opf': `<package xmlns:dc="http://purl.org/dc/elements/1.1/"><metadata><dc:title>Genetics</dc:title></metadata>
+        <manifest>
+          <item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>
+          <item id="c1" href="text/Chapter%201.xhtml" media-type="application/xhtml+xml"/>
+          <item id="c2" href="text/c2.xhtml" media-type="application/xhtml+xml"/>
+          <item id="css" href="style.css" media-type="text/css"/>
+        </manifest>
+        <spine><itemref idref="cover"/><itemref idref="c2"/><itemref idref="c1"/></spine></package>`,
+      'OEBPS/cover.xhtml': chapter('<img src="cover.jpg"/>'),
+      'OEBPS/text/Chapter 1.xhtml': chapter('<h1>Mendel</h1><p>Peas&nbsp;have <em>traits</em>.</p><ul><li>Dominant<ul><li>Tall</li></ul></li></ul>'),
+      'OEBPS/text/c2.xhtml': chapter('<div><p>Before we begin</p><blockquote><p>Genes are units.</p></blockquote></div>')
+    });
+
+    expect(await parseEpub(data)).toBe([
+      '# Genetics',
+      '--- Page 1 ---\n## Chapter 1\n\nBefore we begin',
+      '> Genes are units.',
+      '--- Page 2 ---\n# Mendel',
+      'Peas have *traits*.',
+      '- Dominant\n  - Tall'
+    ].join('\n\n'));
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Event Stream - parse Server-Sent Events from a fetch response
+ * EventSource only supports GET, and TheGenie questions carry the whole
+ * learning context in a POST body, so streams are read with fetch instead.
+ */
+
+/**
+ * Create an incremental SSE parser
+ * Comment lines (": ...") are ignored; `data` is JSON-decoded when possible.
+ * @param {Function} onEvent - Called with { event, data } for each complete event
+ * @returns {Function} push(text) feeding decoded response text, any chunk size
+ */
+export const createEventStreamParser = (onEvent) => {
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const dataLines = [];
+
+    block.split(/\r?\n/).forEach(line => {
+      if (line === '' || line.startsWith(':')) return;
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+      if (field === 'event') event = value;
+      if (field === 'data') dataLines.push(value);
+    });
+
+    if (dataLines.length === 0) return;
+
+    const raw = dataLines.join('\n');
+    let data = raw;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      // Plain text payload
+    }
+    onEvent({ event, data });
+  };
+
+  return (text) => {
+    buffer += text;
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(dispatch);
+  };
+};
+
+/**
+ * Read a streaming fetch response to the end, dispatching each event
+ * @param {Response} response - fetch response with a readable body
+ * @param {Function} onEvent - Called with { event, data }
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const push = createEventStreamParser(onEvent);
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    push(decoder.decode(value, { stream: true }));
+  }
+  push(decoder.decode() + '\n\n');
+};
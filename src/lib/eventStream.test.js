@@ -0,0 +1,25 @@
+// Tests for the Server-Sent Events parser used by TheGenie streaming
+
+const { createEventStreamParser } = require('./eventStream');
+
+describe('Event Stream Parser', () => {
+  test('dispatches named JSON events split across arbitrary chunks', () => {
+    const events = [];
+    const push = createEventStreamParser(event => events.push(event));
+
+    push(': stream opened\n\nevent: accepted\ndata: {"requestId":');
+    push('"abc"}\n\nevent: token\r\ndata: {"text":"Hel');
+    expect(events).toEqual([{ event: 'accepted', data: { requestId: 'abc' } }]);
+
+    push('lo"}\r\n\r\n');
+    expect(events[1]).toEqual({ event: 'token', data: { text: 'Hello' } });
+  });
+
+  test('joins multi-line data and keeps plain text payloads', () => {
+    const events = [];
+    const push = createEventStreamParser(event => events.push(event));
+
+    push('data: line one\ndata: line two\n\nevent: ping\n\n');
+    expect(events).toEqual([{ event: 'message', data: 'line one\nline two' }]);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Extraction Progress - resume long PDF extractions after the tab closes
+ * Each extracted page is saved as soon as it's done, keyed by user and file
+ * (name, size and last-modified time), so processing the same file again
+ * skips the pages already extracted. Scanned pages record their OCR languages
+ * so a run in other languages redoes them. Entries are removed once the document is
+ * stored and expire after a week. Uses IndexedDB, in-memory when unavailable.
+ */
+
+const DB_NAME = 'study-genie-extraction';
+const STORE_NAME = 'pdf_pages';
+const FILE_INDEX = 'fileKey';
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const memoryStore = new Map();
+let dbPromise = null;
+
+/**
+ * Build the key identifying a file's saved progress
+ * @param {File} file - Uploaded file
+ * @param {string} userId - User ID
+ * @returns {string} Progress key
+ */
+export const getProgressKey = (file, userId) => `${userId}|${file.name}|${file.size}|${file.lastModified || 0}`;
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex(FILE_INDEX, FILE_INDEX);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, extraction progress will not survive a reload:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runStoreRequest = async (mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const readEntries = async (fileKey) => {
+  const db = await openDatabase();
+  if (!db) return [...memoryStore.values()].filter(entry => entry.fileKey === fileKey);
+  return (await runStoreRequest('readonly', store => store.index(FILE_INDEX).getAll(fileKey))) || [];
+};
+
+// Strip the bookkeeping fields from a stored entry
+const toPageResult = ({ key, fileKey, page, savedAt, ...result }) => result;
+
+/**
+ * Load the pages already extracted for a file
+ * Expired progress is discarded.
+ * @param {string} fileKey - Key from getProgressKey
+ * @returns {Promise<Object>} Saved pages by page number, as passed to savePageResult
+ */
+export const loadExtractionProgress = async (fileKey) => {
+  try {
+    const entries = await readEntries(fileKey);
+    if (entries.some(entry => Date.now() - entry.savedAt > MAX_AGE_MS)) {
+      await clearExtractionProgress(fileKey);
+      return {};
+    }
+    return Object.fromEntries(entries.map(entry => [entry.page, toPageResult(entry)]));
+  } catch (error) {
+    console.warn('Could not load extraction progress:', error);
+    return {};
+  }
+};
+
+/**
+ * Save one extracted page
+ * @param {string} fileKey - Key from getProgressKey
+ * @param {number} page - Page number
+ * @param {Object} result - { text, ocr }, plus the OCR languages and confidences for scanned pages
+ * @returns {Promise<void>}
+ */
+export const savePageResult = async (fileKey, page, result) => {
+  const entry = { ...result, key: `${fileKey}#${page}`, fileKey, page, savedAt: Date.now() };
+  try {
+    const db = await openDatabase();
+    if (!db) {
+      memoryStore.set(entry.key, entry);
+      return;
+    }
+    await runStoreRequest('readwrite', store => store.put(entry));
+  } catch (error) {
+    // Losing resumability shouldn't stop the extraction
+    console.warn(`Could not save extraction progress for page ${page}:`, error);
+  }
+};
+
+/**
+ * Remove a file's saved progress
+ * @param {string} fileKey - Key from getProgressKey
+ * @returns {Promise<void>}
+ */
+export const clearExtractionProgress = async (fileKey) => {
+  try {
+    const db = await openDatabase();
+    if (!db) {
+      [...memoryStore.keys()].filter(key => key.startsWith(`${fileKey}#`)).forEach(key => memoryStore.delete(key));
+      return;
+    }
+    const keys = await runStoreRequest('readonly', store => store.index(FILE_INDEX).getAllKeys(fileKey));
+    await Promise.all((keys || []).map(key => runStoreRequest('readwrite', store => store.delete(key))));
+  } catch (error) {
+    console.warn('Could not clear extraction progress:', error);
+  }
+};
+
+/**
+ * Count the pages already extracted for a file
+ * @param {File} file - Uploaded file
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Saved page count
+ */
+export const countSavedPages = async (file, userId) => (
+  Object.keys(await loadExtractionProgress(getProgressKey(file, userId))).length
+);
@@ -0,0 +1,36 @@
+// Tests for saved PDF extraction progress
+// jsdom has no IndexedDB, so progress is kept in memory
+
+const {
+  getProgressKey,
+  loadExtractionProgress,
+  savePageResult,
+  clearExtractionProgress
+} = require('./extractionProgress');
+
+describe('Extraction Progress', () => {
+  const file = { name: 'scan.pdf', size: 2048, lastModified: 1700000000000 };
+  const key = getProgressKey(file, 'u1');
+
+  afterEach(() => clearExtractionProgress(key));
+
+  test('saved pages keep their OCR languages and confidences', async () => {
+    await savePageResult(key, 1, { text: 'Intro', ocr: false });
+    await savePageResult(key, 2, { text: 'Hola', ocr: true, languages: 'spa+eng', confidence: 91, lowConfidenceWords: 1, lowConfidenceLines: [] });
+
+    await expect(loadExtractionProgress(key)).resolves.toEqual({
+      1: { text: 'Intro', ocr: false },
+      2: { text: 'Hola', ocr: true, languages: 'spa+eng', confidence: 91, lowConfidenceWords: 1, lowConfidenceLines: [] }
+    });
+  });
+
+  test('progress is kept per user and file', async () => {
+    await savePageResult(key, 1, { text: 'Intro', ocr: false });
+
+    await expect(loadExtractionProgress(getProgressKey(file, 'u2'))).resolves.toEqual({});
+    await expect(loadExtractionProgress(getProgressKey({ ...file, size: 4096 }, 'u1'))).resolves.toEqual({});
+
+    await clearExtractionProgress(key);
+    await expect(loadExtractionProgress(key)).resolves.toEqual({});
+  });
+});
@@ -1,8 +1,20 @@
 import * as pdfjsLib from 'pdfjs-dist';
 import { supabase } from './supabase';
+import { indexDocument } from './retrievalIndex';
+import { getDocumentType, parseDocument, extractReadableHtml, DOCUMENT_TYPES } from './documentParsers';
+import { decodeText } from './textEncoding';
+import { fetchLink } from './linkService';
+import { parseContentType, linkDocumentName, linkFileName } from './linkUtils';
+import { buildChapters, formatPageRanges } from './pageRanges';
+import { layoutPageToMarkdown } from './pdfLayout';
+import { PAGE_MARKER_PATTERN, splitMarkdownPages } from './documentPages';
+import { getProgressKey, loadExtractionProgress, savePageResult, clearExtractionProgress } from './extractionProgress';
+import { summarizeRecognition, combineConfidence, stripConfidenceFlags, replacePageText } from './ocrConfidence';
 import {
   createOptimizedWorker,
-  detectLanguageFromFileName,
+  detectOCRLanguages,
+  getOCRPool,
+  terminateOCRPools,
   getOCRPreset,
   DEFAULT_LANGUAGES
 } from './tesseractConfig';
@@ -10,17 +22,30 @@ import {
 // Configure PDF.js worker to use local file
 pdfjsLib.GlobalWorkerOptions.workerSrc = '/pdf.worker.min.js';
 
-// File size and page limits
+// File size limit
 const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
-const MAX_PDF_PAGES = 25;
+
+// PDF pages with less text than this (ignoring whitespace and dashes) are scanned, so they get OCR
+const MIN_PAGE_TEXT_LENGTH = 20;
+const OCR_RENDER_SCALE = 2.0;
+const OCR_PAGES_PER_WORKER = 2;
+
+const OCR_CONFIDENCE_LINE_PATTERN = /^\*\*OCR Confidence:\*\* .*$/m;
 
 /**
  * Main file processing function
  * @param {File} file - The uploaded file
  * @param {string} userId - User ID for storage organization
+ * @param {Object} options - Processing options
+ * @param {string} options.sourceUrl - Where the file was downloaded from, for linked files
+ * @param {Array<number>} options.pages - PDF pages to process (default: all)
+ * @param {Function} options.onProgress - Called as each PDF page finishes with { page, completed, total }
+ * @param {AbortSignal} options.signal - Cancels PDF processing; extracted pages are kept for resuming
+ * @param {boolean} options.keepOCRWorkers - Leave the OCR workers running for the next file (call terminateOCRPools when done)
+ * @param {string} options.ocrLanguages - OCR languages (e.g. 'spa+eng'); detected from the page content when omitted
  * @returns {Promise<Object>} Processing result with extracted text and storage info
  */
-export async function processFile(file, userId) {
+export async function processFile(file, userId, { sourceUrl, pages, onProgress, signal, keepOCRWorkers = false, ocrLanguages } = {}) {
   try {
     // Validate file size
     if (file.size > MAX_FILE_SIZE) {
@@ -31,182 +56,463 @@ export async function processFile(file, userId) {
 
     let extractedText = '';
     let processingMethod = '';
+    let pageRange = null;
+    let usedOCRLanguages = null;
+    let ocrPages = null;
+    const documentType = getDocumentType(file);
+    const progressKey = userId ? getProgressKey(file, userId) : null;
 
     if (file.type === 'application/pdf') {
-      const result = await processPDF(file);
+      const result = await processPDF(file, { pages, onProgress, progressKey, signal, ocrLanguages });
       extractedText = result.text;
       processingMethod = result.method;
+      pageRange = result.pageRange;
+      usedOCRLanguages = result.ocrLanguages;
+      ocrPages = result.ocrPages;
     } else if (file.type.startsWith('image/')) {
-      extractedText = await processImage(file);
+      const result = await processImage(file, ocrLanguages);
+      extractedText = result.text;
       processingMethod = 'OCR';
+      usedOCRLanguages = result.languages;
+      ocrPages = [{
+        page: null,
+        text: result.text,
+        confidence: result.confidence,
+        lowConfidenceWords: result.lowConfidenceWords,
+        lowConfidenceLines: result.lowConfidenceLines
+      }];
+    } else if (documentType) {
+      const result = await parseDocument(file, documentType);
+      extractedText = result.text;
+      processingMethod = result.method;
     } else {
       throw new Error(`Unsupported file type: ${file.type}`);
     }
 
-    if (!extractedText.trim()) {
-      throw new Error('No text could be extracted from the file');
-    }
-
-    // Convert to markdown
-    const markdownContent = convertToMarkdown(extractedText, file.name, processingMethod);
-    
-    // Upload to Supabase and get storage info
-    const storageResult = await uploadToSupabase(markdownContent, file.name, userId);
-    
-    // Store document metadata in database
-    const documentRecord = await storeDocumentMetadata({
+    const result = await storeExtractedContent({
       userId,
       fileName: file.name,
-      fileType: file.type,
+      fileType: file.type || DOCUMENT_TYPES[documentType]?.mimeTypes[0] || 'text/plain',
       fileSize: file.size,
-      markdownUrl: storageResult.url,
-      storagePath: storageResult.path,
+      extractedText,
       processingMethod,
-      extractedTextLength: extractedText.length
+      sourceUrl,
+      pageRange,
+      ocrLanguages: usedOCRLanguages,
+      ocrPages
     });
 
-    return {
-      success: true,
-      fileName: file.name,
-      extractedText,
-      markdownContent, // Return the markdown content for browser use
-      processingMethod,
-      markdownUrl: storageResult.url,
-      storageInfo: storageResult,
-      documentId: documentRecord?.id
-    };
+    // The document is stored, so there's nothing left to resume
+    if (progressKey && file.type === 'application/pdf') {
+      await clearExtractionProgress(progressKey);
+    }
+    return result;
 
   } catch (error) {
+    if (signal?.aborted) {
+      console.log(`Processing cancelled: ${file.name}`);
+      return { success: false, cancelled: true, error: 'Processing cancelled', fileName: file.name };
+    }
     console.error('File processing error:', error);
-    
-    // Check if it's a Supabase storage error
-    if (error.message && error.message.includes('storage')) {
-      return {
-        success: false,
-        error: 'Storage error: Please check your Supabase configuration',
-        details: error.message,
-        fileName: file.name
-      };
+    return toFailureResult(error, file.name);
+  } finally {
+    if (!keepOCRWorkers) {
+      await terminateOCRPools();
     }
-    
+  }
+}
+
+/**
+ * Fetch an attached link and process it like an uploaded document
+ * Web pages are reduced to their readable content; linked PDFs, documents and
+ * text files go through processFile.
+ * @param {string} url - Link URL
+ * @param {string} userId - User ID for storage organization
+ * @returns {Promise<Object>} Processing result (as processFile) with sourceUrl
+ */
+export async function processLink(url, userId) {
+  try {
+    const page = await fetchLink(url);
+    if (!page.success) {
+      throw new Error(page.error);
+    }
+
+    const { mimeType, charset } = parseContentType(page.contentType);
+    console.log(`Processing link: ${page.url}, Type: ${mimeType || 'unknown'}, Size: ${page.bytes.length} bytes`);
+
+    if (!mimeType || mimeType === 'text/html' || mimeType === 'application/xhtml+xml') {
+      const { title, markdown } = extractReadableHtml(decodeText(page.bytes, { html: true, charset }));
+      const result = await storeExtractedContent({
+        userId,
+        fileName: linkDocumentName(page.url, title),
+        fileType: mimeType || 'text/html',
+        fileSize: page.bytes.length,
+        extractedText: markdown,
+        processingMethod: 'Web Page Extraction',
+        sourceUrl: page.url
+      });
+      return { ...result, sourceUrl: page.url, title };
+    }
+
+    const file = new File([page.bytes], linkFileName(page.url), { type: mimeType });
+    const result = await processFile(file, userId, { sourceUrl: page.url });
+    return { ...result, sourceUrl: page.url };
+
+  } catch (error) {
+    console.error('Link processing error:', error);
+    return { ...toFailureResult(error, url), sourceUrl: url };
+  }
+}
+
+/**
+ * Convert extracted text to markdown, upload it and index it for TheGenie
+ * @param {Object} content - Extracted content
+ * @param {string} content.userId - User ID
+ * @param {string} content.fileName - Document name
+ * @param {string} content.fileType - MIME type
+ * @param {number} content.fileSize - Original size in bytes
+ * @param {string} content.extractedText - Extracted text
+ * @param {string} content.processingMethod - How the text was extracted
+ * @param {string} content.sourceUrl - Link the content came from (optional)
+ * @param {string} content.pageRange - Pages processed, when only part of a PDF was (optional)
+ * @param {string} content.ocrLanguages - Languages OCR used, when it ran (optional)
+ * @param {Array<Object>} content.ocrPages - Pages OCR read, with their confidence (optional)
+ * @returns {Promise<Object>} Processing result
+ */
+async function storeExtractedContent({ userId, fileName, fileType, fileSize, extractedText, processingMethod, sourceUrl, pageRange, ocrLanguages, ocrPages }) {
+  if (!extractedText.trim()) {
+    throw new Error('No text could be extracted from the file');
+  }
+
+  const ocrConfidence = ocrPages ? combineConfidence(ocrPages) : null;
+  const lowConfidenceWords = (ocrPages || []).reduce((sum, page) => sum + page.lowConfidenceWords, 0);
+
+  // Convert to markdown
+  const markdownContent = convertToMarkdown(extractedText, fileName, processingMethod, {
+    sourceUrl,
+    pageRange,
+    ocrLanguages,
+    ocrConfidence,
+    lowConfidenceWords
+  });
+
+  // Upload to Supabase and get storage info
+  const storageResult = await uploadToSupabase(markdownContent, fileName, userId);
+
+  // Store document metadata in database
+  const documentRecord = await storeDocumentMetadata({
+    userId,
+    fileName,
+    fileType,
+    fileSize,
+    markdownUrl: storageResult.url,
+    storagePath: storageResult.path,
+    processingMethod,
+    extractedTextLength: extractedText.length
+  });
+
+  // Chunk the document for TheGenie retrieval (an indexing failure doesn't fail the upload)
+  const indexResult = await indexDocument({
+    userId,
+    documentId: documentRecord?.id,
+    fileName,
+    storagePath: storageResult.path,
+    markdown: markdownContent
+  });
+
+  return {
+    success: true,
+    fileName,
+    extractedText,
+    markdownContent, // Return the markdown content for browser use
+    processingMethod,
+    ocrLanguages,
+    ocrPages,
+    ocrConfidence,
+    markdownUrl: storageResult.url,
+    storageInfo: storageResult,
+    documentId: documentRecord?.id,
+    chunkCount: indexResult.chunkCount
+  };
+}
+
+/**
+ * Build the failed processing result for an error
+ * @param {Error} error - Processing error
+ * @param {string} fileName - File or link that failed
+ * @returns {Object} Failed processing result
+ */
+function toFailureResult(error, fileName) {
+  // Check if it's a Supabase storage error
+  if (error.message && error.message.includes('storage')) {
     return {
       success: false,
-      error: error.message,
-      fileName: file.name
+      error: 'Storage error: Please check your Supabase configuration',
+      details: error.message,
+      fileName
     };
   }
+
+  return {
+    success: false,
+    error: error.message,
+    fileName
+  };
 }
 
 /**
- * Process PDF files - try text extraction first, then OCR if needed
+ * Read a PDF's page count and chapters (from its outline, when it has one)
  * @param {File} file - PDF file
- * @returns {Promise<Object>} Extracted text and processing method
+ * @returns {Promise<Object>} { numPages, chapters: [{ title, startPage, endPage }] }
  */
-async function processPDF(file) {
+export async function getPdfInfo(file) {
+  const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+
+  try {
+    let chapters = [];
+    try {
+      const outline = await resolveOutline(pdf, (await pdf.getOutline()) || []);
+      chapters = buildChapters(outline, pdf.numPages);
+    } catch (error) {
+      console.warn('Could not read the PDF outline:', error);
+    }
+    return { numPages: pdf.numPages, chapters };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Resolve outline destinations to 1-based page numbers
+ * Only the top two levels are resolved; that's all buildChapters uses.
+ * @param {Object} pdf - PDF.js document object
+ * @param {Array<Object>} items - PDF.js outline items
+ * @param {number} depth - Current outline level
+ * @returns {Promise<Array<Object>>} Entries { title, page, items }
+ */
+async function resolveOutline(pdf, items, depth = 0) {
+  return Promise.all(items.map(async (item) => {
+    let page = null;
+    try {
+      const dest = typeof item.dest === 'string' ? await pdf.getDestination(item.dest) : item.dest;
+      if (Array.isArray(dest)) {
+        page = (Number.isInteger(dest[0]) ? dest[0] : await pdf.getPageIndex(dest[0])) + 1;
+      }
+    } catch (error) {
+      // Broken destinations are common in generated PDFs; the entry is just skipped
+    }
+    return {
+      title: item.title,
+      page,
+      items: depth === 0 ? await resolveOutline(pdf, item.items || [], depth + 1) : []
+    };
+  }));
+}
+
+/**
+ * Process PDF files page by page - text extraction, with OCR for scanned pages
+ * Extracted text is laid out as markdown (see pdfLayout.js). Scanned pages are
+ * OCR'd in parallel by the shared worker pool while later pages are read. Each
+ * page is saved as it's extracted, so an interrupted or cancelled run resumes
+ * where it stopped instead of starting over.
+ * @param {File} file - PDF file
+ * @param {Object} options - Processing options
+ * @param {Array<number>} options.pages - Pages to process (default: all)
+ * @param {Function} options.onProgress - Called as each page finishes with { page, completed, total }
+ * @param {string} options.progressKey - Key for saved progress (optional)
+ * @param {AbortSignal} options.signal - Cancels processing (optional)
+ * @param {string} options.ocrLanguages - OCR languages; when omitted, those of resumed scanned pages or detected from the first scanned page
+ * @returns {Promise<Object>} Extracted text, processing method, OCR languages used, OCR pages with their confidence and the page range when partial
+ */
+async function processPDF(file, { pages, onProgress, progressKey, signal, ocrLanguages } = {}) {
+  let pdf;
+  // Cancelling stops the OCR workers, which rejects the pages they're working on
+  const stopOCR = () => terminateOCRPools();
+  signal?.addEventListener('abort', stopOCR, { once: true });
+
   try {
     console.log('Attempting PDF text extraction...');
-    
+
     const arrayBuffer = await file.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-    
-    const numPages = Math.min(pdf.numPages, MAX_PDF_PAGES);
-    console.log(`PDF has ${pdf.numPages} pages, processing ${numPages} pages`);
-    
-    let extractedText = '';
-    
-    // Try text extraction first
-    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+    pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+
+    const selectedPages = pages?.length
+      ? pages.filter(page => page >= 1 && page <= pdf.numPages)
+      : Array.from({ length: pdf.numPages }, (_, i) => i + 1);
+    if (selectedPages.length === 0) {
+      throw new Error(`None of the selected pages exist; the PDF has ${pdf.numPages} pages`);
+    }
+    console.log(`PDF has ${pdf.numPages} pages, processing ${selectedPages.length} pages`);
+
+    // Scanned pages are only reused when they were OCR'd in the requested languages;
+    // pages saved before languages were recorded are OCR'd again
+    const savedProgress = progressKey ? await loadExtractionProgress(progressKey) : {};
+    const savedPages = Object.fromEntries(Object.entries(savedProgress)
+      .filter(([, saved]) => !saved.ocr || !ocrLanguages || saved.languages === ocrLanguages));
+    const resumedPages = selectedPages.filter(page => savedPages[page]);
+    if (resumedPages.length > 0) {
+      console.log(`Resuming PDF extraction, ${resumedPages.length} pages already extracted`);
+    }
+    // Without requested languages, resumed scanned pages decide them for the rest of the document
+    const documentLanguages = ocrLanguages ||
+      resumedPages.map(page => savedPages[page].languages).find(Boolean);
+
+    const results = {};
+    const pendingOCR = new Set();
+    let ocrPool = null;
+    let completed = 0;
+    let bodySize = 0;
+
+    const finishPage = async (pageNum, result, alreadySaved = false) => {
+      results[pageNum] = result;
+      if (progressKey && !alreadySaved) {
+        await savePageResult(progressKey, pageNum, result);
+      }
+      completed++;
+      onProgress?.({ page: pageNum, completed, total: selectedPages.length });
+    };
+
+    for (const pageNum of selectedPages) {
+      signal?.throwIfAborted();
+
+      if (savedPages[pageNum]) {
+        await finishPage(pageNum, savedPages[pageNum], true);
+        continue;
+      }
+
       const page = await pdf.getPage(pageNum);
       const textContent = await page.getTextContent();
       const pageText = textContent.items.map(item => item.str).join(' ');
-      extractedText += `\n\n--- Page ${pageNum} ---\n${pageText}`;
-    }
-    
-    // Check if we got meaningful text (more than just whitespace and basic chars)
-    const meaningfulText = extractedText.replace(/[\s\n\r\t\-]/g, '');
-    
-    if (meaningfulText.length > 50) {
-      console.log('PDF text extraction successful');
-      return { text: extractedText.trim(), method: 'PDF.js Text Extraction' };
-    } else {
-      console.log('PDF text extraction yielded minimal text, falling back to OCR...');
-      return await processPDFWithOCR(file, pdf, numPages);
+
+      // Check if we got meaningful text (more than just whitespace and basic chars)
+      if (pageText.replace(/[\s-]/g, '').length >= MIN_PAGE_TEXT_LENGTH) {
+        // Rebuild headings, lists, tables and column order from the text positions
+        const layout = layoutPageToMarkdown(textContent.items, { bodySize });
+        bodySize = layout.bodySize;
+        await finishPage(pageNum, { text: layout.markdown, ocr: false });
+        continue;
+      }
+
+      // A few pages per worker in flight keeps every worker busy without holding many rendered pages
+      while (ocrPool && pendingOCR.size >= ocrPool.size * OCR_PAGES_PER_WORKER) {
+        await Promise.race(pendingOCR);
+      }
+      console.log(`Processing PDF page ${pageNum} with OCR...`);
+      const image = await renderPDFPage(page);
+
+      if (!ocrPool) {
+        // Unless requested or resumed, the first scanned page decides the languages for the rest of the document
+        const languages = documentLanguages || (await detectOCRLanguages(image)).languages;
+        console.log(`PDF page ${pageNum} has minimal text, starting OCR with languages: ${languages}`);
+        ocrPool = await getOCRPool(languages);
+      }
+
+      const pageLanguages = ocrPool.languages;
+      const job = ocrPool.recognize(image)
+        .then(({ data }) => {
+          const { text, confidence, lowConfidenceWords, lowConfidenceLines } = summarizeRecognition(data);
+          return finishPage(pageNum, { text, ocr: true, languages: pageLanguages, confidence, lowConfidenceWords, lowConfidenceLines });
+        })
+        .finally(() => pendingOCR.delete(job));
+      // Failures surface through Promise.race/all below; this stops them being reported as unhandled meanwhile
+      job.catch(() => {});
+      pendingOCR.add(job);
     }
-    
+    await Promise.all(pendingOCR);
+
+    // Pages saved before confidences were recorded have none
+    const ocrPages = selectedPages
+      .filter(pageNum => results[pageNum].ocr)
+      .map(pageNum => ({
+        page: pageNum,
+        text: results[pageNum].text,
+        confidence: results[pageNum].confidence ?? null,
+        lowConfidenceWords: results[pageNum].lowConfidenceWords || 0,
+        lowConfidenceLines: results[pageNum].lowConfidenceLines || []
+      }));
+    let method = 'PDF.js Text Extraction';
+    if (ocrPages.length === selectedPages.length) method = 'Tesseract OCR (PDF)';
+    else if (ocrPages.length > 0) method = 'PDF.js Text Extraction + Tesseract OCR';
+
+    return {
+      text: selectedPages
+        .map(pageNum => `--- Page ${pageNum}${results[pageNum].ocr ? ' (OCR)' : ''} ---\n${results[pageNum].text}`)
+        .join('\n\n'),
+      method,
+      ocrLanguages: ocrPool?.languages || (ocrPages.length > 0 && documentLanguages) || null,
+      ocrPages: ocrPages.length ? ocrPages : null,
+      pageRange: selectedPages.length < pdf.numPages
+        ? `${formatPageRanges(selectedPages)} of ${pdf.numPages}`
+        : null
+    };
+
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error('PDF processing error:', error);
     throw new Error(`Failed to process PDF: ${error.message}`);
+  } finally {
+    signal?.removeEventListener('abort', stopOCR);
+    if (pdf) await pdf.destroy();
   }
 }
 
 /**
- * Process PDF using OCR (fallback method)
+ * Render one page of a PDF as it was rendered for OCR
+ * Low-confidence line boxes from OCR use this image's pixel coordinates.
  * @param {File} file - PDF file
- * @param {Object} pdf - PDF.js document object
- * @param {number} numPages - Number of pages to process
- * @returns {Promise<Object>} OCR extracted text and method
+ * @param {number} pageNum - Page number
+ * @returns {Promise<Blob|string>} PNG blob (or data URL without OffscreenCanvas)
  */
-async function processPDFWithOCR(file, pdf, numPages) {
-  console.log('Starting PDF OCR processing...');
-
-  // Detect best language combination for this file
-  const languages = detectLanguageFromFileName(file.name);
-  console.log(`Using OCR languages: ${languages}`);
-
-  const worker = await createOptimizedWorker(languages, 1, {
-    logger: m => {
-      if (m.status === 'recognizing text') {
-        console.log(`PDF OCR Progress: ${Math.round(m.progress * 100)}%`);
-      }
-    }
-  });
-  
-  let ocrText = '';
-  
+export async function renderPdfPageImage(file, pageNum) {
+  const pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
   try {
-    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
-      console.log(`Processing PDF page ${pageNum}/${numPages} with OCR...`);
-      
-      const page = await pdf.getPage(pageNum);
-      const viewport = page.getViewport({ scale: 2.0 }); // Higher scale for better OCR
-      
-      // Create canvas to render PDF page
-      const canvas = document.createElement('canvas');
-      const context = canvas.getContext('2d');
-      canvas.height = viewport.height;
-      canvas.width = viewport.width;
-      
-      // Render PDF page to canvas
-      await page.render({
-        canvasContext: context,
-        viewport: viewport
-      }).promise;
-      
-      // Convert canvas to image data for OCR
-      const imageData = canvas.toDataURL('image/png');
-      
-      // Perform OCR on the page
-      const { data: { text } } = await worker.recognize(imageData);
-      ocrText += `\n\n--- Page ${pageNum} (OCR) ---\n${text}`;
-    }
-    
-    return { text: ocrText.trim(), method: 'Tesseract OCR (PDF)' };
-    
+    return await renderPDFPage(await pdf.getPage(pageNum));
   } finally {
-    await worker.terminate();
+    await pdf.destroy();
   }
 }
 
+/**
+ * Render a PDF page to an image for OCR
+ * Pages render to an OffscreenCanvas where the browser has one, so no DOM
+ * canvas is created for each page.
+ * @param {Object} page - PDF.js page object
+ * @returns {Promise<Blob|string>} PNG blob (or data URL without OffscreenCanvas)
+ */
+async function renderPDFPage(page) {
+  const viewport = page.getViewport({ scale: OCR_RENDER_SCALE }); // Higher scale for better OCR
+  const width = Math.ceil(viewport.width);
+  const height = Math.ceil(viewport.height);
+
+  const canvas = typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
+
+  // Render PDF page to canvas
+  await page.render({
+    canvasContext: canvas.getContext('2d'),
+    viewport: viewport
+  }).promise;
+
+  // Convert canvas to an image for OCR and free the page's render resources
+  const image = canvas.convertToBlob
+    ? await canvas.convertToBlob({ type: 'image/png' })
+    : canvas.toDataURL('image/png');
+  page.cleanup();
+  return image;
+}
+
 /**
  * Process image files using OCR
  * @param {File} file - Image file
- * @returns {Promise<string>} Extracted text
+ * @param {string} ocrLanguages - OCR languages; detected from the image when omitted
+ * @returns {Promise<Object>} { text, languages, confidence, lowConfidenceWords, lowConfidenceLines }
  */
-async function processImage(file) {
+async function processImage(file, ocrLanguages) {
   console.log('Starting image OCR processing...');
 
-  // Detect best language combination for this file
-  const languages = detectLanguageFromFileName(file.name);
+  // Detect best language combination from the image itself
+  const languages = ocrLanguages || (await detectOCRLanguages(file)).languages;
   console.log(`Using OCR languages: ${languages}`);
 
   // Use handwriting preset for better image recognition
@@ -223,9 +529,9 @@ async function processImage(file) {
     // Apply handwriting-specific parameters
     await worker.setParameters(preset.options);
 
-    const { data: { text } } = await worker.recognize(file);
+    const { data } = await worker.recognize(file, {}, { blocks: true });
     console.log('Image OCR completed');
-    return text;
+    return { ...summarizeRecognition(data), languages };
   } finally {
     await worker.terminate();
   }
@@ -236,17 +542,24 @@ async function processImage(file) {
  * @param {string} text - Extracted text
  * @param {string} fileName - Original file name
  * @param {string} method - Processing method used
+ * @param {Object} details - Optional header details
+ * @param {string} details.sourceUrl - Link the content came from
+ * @param {string} details.pageRange - Pages processed, when only part of a PDF was
+ * @param {string} details.ocrLanguages - Languages OCR used
+ * @param {number} details.ocrConfidence - Overall OCR confidence (0-100)
+ * @param {number} details.lowConfidenceWords - Words OCR flagged as uncertain
  * @returns {string} Formatted markdown content
  */
-function convertToMarkdown(text, fileName, method) {
+function convertToMarkdown(text, fileName, method, { sourceUrl, pageRange, ocrLanguages, ocrConfidence, lowConfidenceWords = 0 } = {}) {
   const timestamp = new Date().toISOString();
+  const pageCount = (text.match(PAGE_MARKER_PATTERN) || []).length;
   
   const markdownContent = `# Extracted Content: ${fileName}
 
 **File:** ${fileName}  
-**Processing Method:** ${method}  
-**Extracted Date:** ${timestamp}  
-
+${sourceUrl ? `**Source:** ${sourceUrl}  \n` : ''}**Processing Method:** ${method}  
+${ocrLanguages ? `**OCR Languages:** ${ocrLanguages}  \n` : ''}${ocrConfidence !== null && ocrConfidence !== undefined ? `${formatConfidenceLine(ocrConfidence, lowConfidenceWords)}  \n` : ''}**Extracted Date:** ${timestamp}  
+${pageCount > 0 ? `**Pages:** ${pageCount}  \n` : ''}${pageRange ? `**Page Range:** ${pageRange}  \n` : ''}
 ---
 
 ## Content
@@ -261,6 +574,90 @@ ${text}
   return markdownContent;
 }
 
+/**
+ * Build the markdown header line reporting OCR confidence
+ * @param {number} confidence - Overall OCR confidence (0-100)
+ * @param {number} lowConfidenceWords - Words still flagged, or -1 once the text was reviewed
+ * @returns {string} Header line
+ */
+function formatConfidenceLine(confidence, lowConfidenceWords) {
+  if (lowConfidenceWords < 0) return `**OCR Confidence:** ${confidence}% (reviewed and corrected)`;
+  if (lowConfidenceWords === 0) return `**OCR Confidence:** ${confidence}%`;
+  return `**OCR Confidence:** ${confidence}% (${lowConfidenceWords} uncertain ${lowConfidenceWords === 1 ? 'word' : 'words'} marked [?like this?])`;
+}
+
+/**
+ * Save reviewed OCR text over a processed document
+ * The stored markdown is overwritten in place and re-indexed, so flashcards
+ * and TheGenie use the corrected text. Any low-confidence markers left
+ * anywhere in the document are removed.
+ * @param {Object} result - Successful processing result
+ * @param {Array<Object>} corrections - Corrected pages { page, text } (page is null for an image)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Updated processing result, or { success: false, error }
+ */
+export async function saveOCRCorrections(result, corrections, userId) {
+  try {
+    const extractedText = stripConfidenceFlags(corrections.reduce(
+      (text, correction) => replacePageText(text, correction.page, correction.text),
+      result.extractedText
+    ));
+    const markdownContent = result.markdownContent
+      .replace(result.extractedText, () => extractedText)
+      .replace(OCR_CONFIDENCE_LINE_PATTERN, () => formatConfidenceLine(result.ocrConfidence, -1) + '  ');
+
+    const blob = new Blob([markdownContent], { type: 'text/markdown' });
+    const { error } = await supabase.storage
+      .from('documents')
+      .upload(result.storageInfo.path, blob, {
+        contentType: 'text/markdown',
+        upsert: true
+      });
+    if (error) throw error;
+
+    const indexResult = await indexDocument({
+      userId,
+      documentId: result.documentId,
+      fileName: result.fileName,
+      storagePath: result.storageInfo.path,
+      markdown: markdownContent
+    });
+
+    console.log(`Saved OCR corrections for ${result.fileName}`);
+    return {
+      ...result,
+      extractedText,
+      markdownContent,
+      ocrReviewed: true,
+      chunkCount: indexResult.chunkCount
+    };
+  } catch (error) {
+    console.error('Error saving OCR corrections:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Download a processed document's markdown from Supabase storage
+ * @param {string} storagePath - Path in the documents bucket
+ * @returns {Promise<Object>} { success, markdown, pages, error }
+ */
+export async function downloadDocumentMarkdown(storagePath) {
+  try {
+    const { data, error } = await supabase.storage
+      .from('documents')
+      .download(storagePath);
+
+    if (error) throw error;
+
+    const markdown = await data.text();
+    return { success: true, markdown, pages: splitMarkdownPages(markdown) };
+  } catch (error) {
+    console.error('Error downloading document:', error);
+    return { success: false, error: error.message, markdown: '', pages: [] };
+  }
+}
+
 /**
  * Upload markdown content to Supabase storage
  * @param {string} markdownContent - Markdown content to upload
@@ -422,16 +819,23 @@ async function storeDocumentMetadata(metadata) {
 
 /**
  * Batch process multiple files
+ * OCR workers are started once and shared by every file in the batch.
  * @param {File[]} files - Array of files to process
  * @param {string} userId - User ID
+ * @param {Object} options - { signal: cancels the batch, ocrLanguages: OCR languages for every file (detected when omitted) }
  * @returns {Promise<Array>} Array of processing results
  */
-export async function processMultipleFiles(files, userId) {
+export async function processMultipleFiles(files, userId, { signal, ocrLanguages } = {}) {
   const results = [];
   
-  for (const file of files) {
-    const result = await processFile(file, userId);
-    results.push(result);
+  try {
+    for (const file of files) {
+      const result = await processFile(file, userId, { signal, ocrLanguages, keepOCRWorkers: true });
+      results.push(result);
+      if (result.cancelled) break;
+    }
+  } finally {
+    await terminateOCRPools();
   }
   
   // Combine all markdown content if multiple files
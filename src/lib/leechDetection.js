@@ -0,0 +1,73 @@
+/**
+ * Leech Detection - finds cards and questions a user keeps failing
+ * A flashcard is a leech when it was graded "Again" LEECH_LAPSES times within
+ * LEECH_WINDOW_DAYS; a question is a leech when it was answered wrong
+ * QUESTION_LEECH_MISSES times in the same window. Leeches are pulled out of the
+ * review queue until they are reworked or dismissed. After a dismissal only
+ * failures since the dismissal count, so a dismissed card can become a leech again.
+ */
+
+export const LEECH_LAPSES = 4;
+export const QUESTION_LEECH_MISSES = 3;
+export const LEECH_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Count failures inside the detection window
+ * @param {Array<Object>} events - Review or answer events
+ * @param {Object} options - Detection options
+ * @param {Function} options.isFailure - Whether an event counts as a failure
+ * @param {Function} options.timeOf - Event timestamp accessor
+ * @param {number} options.windowDays - Window length in days
+ * @param {string|null} options.since - Ignore events before this time (e.g. last dismissal)
+ * @param {Date} options.now - Reference time
+ * @returns {number} Failures in the window
+ */
+export const countRecentFailures = (events, {
+  isFailure,
+  timeOf,
+  windowDays = LEECH_WINDOW_DAYS,
+  since = null,
+  now = new Date()
+}) => {
+  const windowStart = now.getTime() - windowDays * DAY_MS;
+  const start = since ? Math.max(windowStart, new Date(since).getTime()) : windowStart;
+
+  return events.filter(event => isFailure(event) && new Date(timeOf(event)).getTime() > start).length;
+};
+
+/**
+ * Whether a flashcard's review history makes it a leech
+ * @param {Array<Object>} reviews - flashcard_reviews rows ({ grade, reviewed_at })
+ * @param {Object} options - { threshold, windowDays, since, now }
+ * @returns {boolean} True for leeches
+ */
+export const isFlashcardLeech = (reviews, { threshold = LEECH_LAPSES, ...options } = {}) =>
+  countRecentFailures(reviews, {
+    isFailure: review => review.grade === 'again',
+    timeOf: review => review.reviewed_at,
+    ...options
+  }) >= threshold;
+
+/**
+ * Whether a question's answer history makes it a leech
+ * @param {Array<Object>} attempts - question_attempts rows ({ is_correct, answered_at })
+ * @param {Object} options - { threshold, windowDays, since, now }
+ * @returns {boolean} True for leeches
+ */
+export const isQuestionLeech = (attempts, { threshold = QUESTION_LEECH_MISSES, ...options } = {}) =>
+  countRecentFailures(attempts, {
+    isFailure: attempt => attempt.is_correct === false,
+    timeOf: attempt => attempt.answered_at,
+    ...options
+  }) >= threshold;
+
+/**
+ * Turn a leech question into a card that can be reworked like a flashcard
+ * @param {Object} question - session_questions row
+ * @returns {Object} { question, answer }
+ */
+export const questionToCard = (question) => ({
+  question: question.question,
+  answer: [question.correct_answer, question.explanation].filter(Boolean).join('\n\n')
+});
@@ -0,0 +1,38 @@
+// Tests for flashcard and question leech detection
+
+const { isFlashcardLeech, isQuestionLeech, questionToCard } = require('./leechDetection');
+
+const now = new Date('2025-04-01T12:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Leech Detection', () => {
+  test('a flashcard is a leech after repeated lapses inside the window', () => {
+    const reviews = [1, 3, 5, 8].map(days => ({ grade: 'again', reviewed_at: daysAgo(days) }))
+      .concat({ grade: 'good', reviewed_at: daysAgo(2) });
+
+    expect(isFlashcardLeech(reviews, { now })).toBe(true);
+    expect(isFlashcardLeech(reviews.slice(1), { now })).toBe(false);
+
+    // Lapses older than the window don't count
+    expect(isFlashcardLeech(reviews, { now, windowDays: 6 })).toBe(false);
+  });
+
+  test('only failures after a dismissal count', () => {
+    const reviews = [1, 3, 5, 8].map(days => ({ grade: 'again', reviewed_at: daysAgo(days) }));
+    expect(isFlashcardLeech(reviews, { now, since: daysAgo(4) })).toBe(false);
+  });
+
+  test('questions become leeches after repeated wrong answers', () => {
+    const attempts = [
+      { is_correct: false, answered_at: daysAgo(1) },
+      { is_correct: true, answered_at: daysAgo(2) },
+      { is_correct: false, answered_at: daysAgo(3) },
+      { is_correct: false, answered_at: daysAgo(4) }
+    ];
+
+    expect(isQuestionLeech(attempts, { now })).toBe(true);
+    expect(isQuestionLeech(attempts.slice(0, 3), { now })).toBe(false);
+    expect(questionToCard({ question: 'Q?', correct_answer: 'A', explanation: 'Because.' }))
+      .toEqual({ question: 'Q?', answer: 'A\n\nBecause.' });
+  });
+});
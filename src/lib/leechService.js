@@ -0,0 +1,253 @@
+import { supabase } from './supabase';
+import { rephraseContent } from './gemini';
+import {
+  isFlashcardLeech,
+  isQuestionLeech,
+  questionToCard,
+  LEECH_WINDOW_DAYS
+} from './leechDetection';
+
+/**
+ * Leech Service - flags flashcards and questions a user keeps failing,
+ * lists them for the Profile leech inbox and reworks them into simpler cards
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const windowStart = () => new Date(Date.now() - LEECH_WINDOW_DAYS * DAY_MS).toISOString();
+
+// After a dismissal only failures since then count toward a new leech
+const failuresSince = (record) => (record.leech_status === 'dismissed' ? record.leech_status_at : null);
+
+/**
+ * Mark a flashcard as a leech if its recent reviews say so
+ * @param {Object} flashcard - session_flashcards row (after its latest review)
+ * @returns {Promise<Object>} { success, isLeech }
+ */
+export const checkFlashcardLeech = async (flashcard) => {
+  try {
+    if (flashcard.leech_status === 'active' || flashcard.leech_status === 'reworked') {
+      return { success: true, isLeech: flashcard.leech_status === 'active' };
+    }
+
+    const { data: reviews, error } = await supabase
+      .from('flashcard_reviews')
+      .select('grade, reviewed_at')
+      .eq('flashcard_id', flashcard.id)
+      .gte('reviewed_at', windowStart());
+
+    if (error) throw error;
+
+    if (!isFlashcardLeech(reviews || [], { since: failuresSince(flashcard) })) {
+      return { success: true, isLeech: false };
+    }
+
+    const { error: updateError } = await supabase
+      .from('session_flashcards')
+      .update({ leech_status: 'active', leech_status_at: new Date().toISOString() })
+      .eq('id', flashcard.id);
+
+    if (updateError) throw updateError;
+
+    return { success: true, isLeech: true };
+  } catch (error) {
+    console.error('Error checking flashcard leech:', error);
+    return { success: false, error: error.message, isLeech: false };
+  }
+};
+
+/**
+ * Mark a question as a leech if its recent answers say so
+ * @param {Object} question - session_questions row (after its latest answer)
+ * @returns {Promise<Object>} { success, isLeech }
+ */
+export const checkQuestionLeech = async (question) => {
+  try {
+    if (question.leech_status === 'active' || question.leech_status === 'reworked') {
+      return { success: true, isLeech: question.leech_status === 'active' };
+    }
+
+    const { data: attempts, error } = await supabase
+      .from('question_attempts')
+      .select('is_correct, answered_at')
+      .eq('question_id', question.id)
+      .gte('answered_at', windowStart());
+
+    if (error) throw error;
+
+    if (!isQuestionLeech(attempts || [], { since: failuresSince(question) })) {
+      return { success: true, isLeech: false };
+    }
+
+    const { error: updateError } = await supabase
+      .from('session_questions')
+      .update({ leech_status: 'active', leech_status_at: new Date().toISOString() })
+      .eq('id', question.id);
+
+    if (updateError) throw updateError;
+
+    return { success: true, isLeech: true };
+  } catch (error) {
+    console.error('Error checking question leech:', error);
+    return { success: false, error: error.message, isLeech: false };
+  }
+};
+
+/**
+ * Look up the original leeches reworked cards came from
+ * @param {Array<Object>} cards - Reworked session_flashcards rows
+ * @returns {Promise<Object>} Map of original ID -> { id, kind, question }
+ */
+const getReworkOrigins = async (cards) => {
+  const flashcardIds = [...new Set(cards.map(card => card.parent_flashcard_id).filter(Boolean))];
+  const questionIds = [...new Set(cards.map(card => card.source_question_id).filter(Boolean))];
+
+  const [flashcards, questions] = await Promise.all([
+    flashcardIds.length > 0
+      ? supabase.from('session_flashcards').select('id, question').in('id', flashcardIds)
+      : { data: [] },
+    questionIds.length > 0
+      ? supabase.from('session_questions').select('id, question').in('id', questionIds)
+      : { data: [] }
+  ]);
+
+  const origins = {};
+  (flashcards.data || []).forEach(row => { origins[row.id] = { ...row, kind: 'flashcard' }; });
+  (questions.data || []).forEach(row => { origins[row.id] = { ...row, kind: 'question' }; });
+  return origins;
+};
+
+/**
+ * Get the user's leech inbox
+ * @returns {Promise<Object>} { success, flashcards, questions, reworked } where reworked lists
+ * the most recent cards created by a rework, each with the leech it came from (origin)
+ */
+export const getLeeches = async () => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const withTopic = ({ learning_sessions: session, ...record }) => ({ ...record, topic: session.topic });
+
+    const [flashcardResult, questionResult, reworkedResult] = await Promise.all([
+      supabase
+        .from('session_flashcards')
+        .select('*, learning_sessions!inner(user_id, topic)')
+        .eq('learning_sessions.user_id', user.id)
+        .eq('leech_status', 'active')
+        .order('leech_status_at', { ascending: false }),
+      supabase
+        .from('session_questions')
+        .select('*, learning_sessions!inner(user_id, topic)')
+        .eq('learning_sessions.user_id', user.id)
+        .eq('leech_status', 'active')
+        .order('leech_status_at', { ascending: false }),
+      supabase
+        .from('session_flashcards')
+        .select('*, learning_sessions!inner(user_id, topic)')
+        .eq('learning_sessions.user_id', user.id)
+        .or('parent_flashcard_id.not.is.null,source_question_id.not.is.null')
+        .order('created_at', { ascending: false })
+        .limit(20)
+    ]);
+
+    const failed = [flashcardResult, questionResult, reworkedResult].find(result => result.error);
+    if (failed) throw failed.error;
+
+    const reworked = (reworkedResult.data || []).map(withTopic);
+    const origins = await getReworkOrigins(reworked);
+
+    return {
+      success: true,
+      flashcards: (flashcardResult.data || []).map(withTopic),
+      questions: (questionResult.data || []).map(withTopic),
+      reworked: reworked.map(card => ({
+        ...card,
+        origin: origins[card.parent_flashcard_id || card.source_question_id] || null
+      }))
+    };
+  } catch (error) {
+    console.error('Error getting leeches:', error);
+    return { success: false, error: error.message, flashcards: [], questions: [], reworked: [] };
+  }
+};
+
+/**
+ * Rework a leech into simpler cards (or one card with a mnemonic)
+ * The new cards are added to the leech's session, linked back to it and due
+ * right away; the leech itself is retired from the review queue.
+ * @param {Object} leech - session_flashcards or session_questions row
+ * @param {string} kind - 'flashcard' or 'question'
+ * @param {string} strategy - 'split' or 'mnemonic'
+ * @returns {Promise<Object>} { success, cards }
+ */
+export const reworkLeech = async (leech, kind, strategy) => {
+  try {
+    const card = kind === 'question'
+      ? questionToCard(leech)
+      : { question: leech.question, answer: leech.answer };
+
+    const reworkedCards = await rephraseContent(card, { strategy });
+
+    const { count, error: countError } = await supabase
+      .from('session_flashcards')
+      .select('id', { count: 'exact', head: true })
+      .eq('session_id', leech.session_id);
+
+    if (countError) throw countError;
+
+    const now = new Date().toISOString();
+    const records = reworkedCards.map((reworked, index) => ({
+      session_id: leech.session_id,
+      flashcard_index: (count || 0) + index,
+      question: reworked.question,
+      answer: reworked.answer,
+      is_studied: false,
+      due_at: now,
+      parent_flashcard_id: kind === 'flashcard' ? leech.id : null,
+      source_question_id: kind === 'question' ? leech.id : null,
+      rework_strategy: strategy
+    }));
+
+    const { data, error } = await supabase
+      .from('session_flashcards')
+      .insert(records)
+      .select();
+
+    if (error) throw error;
+
+    const { error: updateError } = await supabase
+      .from(kind === 'question' ? 'session_questions' : 'session_flashcards')
+      .update({ leech_status: 'reworked', leech_status_at: now })
+      .eq('id', leech.id);
+
+    if (updateError) throw updateError;
+
+    return { success: true, cards: data || [] };
+  } catch (error) {
+    console.error('Error reworking leech:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Keep a leech as it is and put it back into the review queue
+ * @param {Object} leech - session_flashcards or session_questions row
+ * @param {string} kind - 'flashcard' or 'question'
+ * @returns {Promise<Object>} Update result
+ */
+export const dismissLeech = async (leech, kind) => {
+  try {
+    const { error } = await supabase
+      .from(kind === 'question' ? 'session_questions' : 'session_flashcards')
+      .update({ leech_status: 'dismissed', leech_status_at: new Date().toISOString() })
+      .eq('id', leech.id);
+
+    if (error) throw error;
+
+    return { success: true };
+  } catch (error) {
+    console.error('Error dismissing leech:', error);
+    return { success: false, error: error.message };
+  }
+};
@@ -0,0 +1,59 @@
+import { supabase } from './supabase';
+
+/**
+ * Link Service - downloads attached links through the Study Genie API
+ * (server/routes/links.js), which fetches public pages on the browser's behalf.
+ *
+ * Configuration: REACT_APP_AI_PROXY_URL or REACT_APP_THEGENIE_API_URL
+ * (the same server; default http://localhost:3001). Run the server with
+ * LINK_FETCHER=local to get stand-in pages without network access.
+ */
+
+const getApiUrl = () => (
+  process.env.REACT_APP_AI_PROXY_URL || process.env.REACT_APP_THEGENIE_API_URL || 'http://localhost:3001'
+).replace(/\/$/, '');
+
+const base64ToBytes = (data) => {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+/**
+ * Fetch a link through the API server
+ * @param {string} url - Page URL
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} { success, url (after redirects), contentType, bytes, error }
+ */
+export const fetchLink = async (url, { signal } = {}) => {
+  try {
+    const { data: { session } } = await supabase.auth.getSession();
+    const response = await fetch(`${getApiUrl()}/api/links/fetch`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {})
+      },
+      body: JSON.stringify({ url }),
+      signal
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+
+    return {
+      success: true,
+      url: data.url || url,
+      contentType: data.contentType || '',
+      bytes: base64ToBytes(data.data || '')
+    };
+  } catch (error) {
+    console.error('Error fetching link:', error);
+    // fetch rejects with a TypeError when the server can't be reached at all
+    const message = error instanceof TypeError ? 'Could not reach the Study Genie server to fetch this link' : error.message;
+    return { success: false, error: message };
+  }
+};
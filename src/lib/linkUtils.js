@@ -0,0 +1,69 @@
+/**
+ * Link Utils - helpers for links attached as learning material
+ */
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Turn what the user typed into a fetchable URL
+ * Adds https:// when no scheme is given and drops the #fragment.
+ * @param {string} input - Typed link
+ * @returns {string|null} Normalized URL, or null when it isn't an http(s) address
+ */
+export const normalizeLinkUrl = (input = '') => {
+  const trimmed = input.trim();
+  if (!trimmed) return null;
+
+  const withScheme = /^[a-z][a-z\d+.-]*:/i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  try {
+    const url = new URL(withScheme);
+    if (!['http:', 'https:'].includes(url.protocol) || !url.hostname.includes('.')) {
+      return null;
+    }
+    url.hash = '';
+    return url.toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Split a Content-Type header into its MIME type and charset
+ * @param {string} contentType - Header value
+ * @returns {Object} { mimeType, charset } (charset is null when not given)
+ */
+export const parseContentType = (contentType = '') => {
+  const [mimeType = ''] = contentType.split(';');
+  const charset = contentType.match(/;\s*charset\s*=\s*["']?([\w.:-]+)/i);
+  return { mimeType: mimeType.trim().toLowerCase(), charset: charset ? charset[1].toLowerCase() : null };
+};
+
+const shorten = (text) => (text.length > MAX_NAME_LENGTH ? `${text.slice(0, MAX_NAME_LENGTH - 1).trim()}…` : text);
+
+/**
+ * Name a fetched web page the way documents are listed: its title and site
+ * @param {string} url - Page URL (after redirects)
+ * @param {string} title - Page title, if it has one
+ * @returns {string} Document name, e.g. "Enzymes (en.wikipedia.org)"
+ */
+export const linkDocumentName = (url, title = '') => {
+  const { hostname, pathname } = new URL(url);
+  const site = hostname.replace(/^www\./, '');
+  if (title.trim()) return `${shorten(title.trim())} (${site})`;
+  return shorten(`${site}${pathname === '/' ? '' : decodeURIComponent(pathname).replace(/\/$/, '')}`);
+};
+
+/**
+ * File name for a linked file (PDF, Word document, ...) from its URL
+ * @param {string} url - File URL
+ * @returns {string} Last path segment, or the host when the path is empty
+ */
+export const linkFileName = (url) => {
+  const { hostname, pathname } = new URL(url);
+  const segment = pathname.split('/').filter(Boolean).pop();
+  try {
+    return segment ? decodeURIComponent(segment) : hostname;
+  } catch (error) {
+    return segment;
+  }
+};
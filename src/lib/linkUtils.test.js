@@ -0,0 +1,29 @@
+// Tests for attached link helpers
+
+const { normalizeLinkUrl, parseContentType, linkDocumentName, linkFileName } = require('./linkUtils');
+
+describe('Link Utils', () => {
+  test('typed links get a scheme and lose their fragment; other schemes are rejected', () => {
+    expect(normalizeLinkUrl('  en.wikipedia.org/wiki/Enzyme#History ')).toBe('https://en.wikipedia.org/wiki/Enzyme');
+    expect(normalizeLinkUrl('http://example.com')).toBe('http://example.com/');
+    expect(normalizeLinkUrl('mailto:tutor@example.com')).toBeNull();
+    expect(normalizeLinkUrl('ftp://example.com/notes.txt')).toBeNull();
+    expect(normalizeLinkUrl('not a link')).toBeNull();
+    expect(normalizeLinkUrl('')).toBeNull();
+  });
+
+  test('content types split into MIME type and charset', () => {
+    expect(parseContentType('text/html; charset="ISO-8859-1"')).toEqual({ mimeType: 'text/html', charset: 'iso-8859-1' });
+    expect(parseContentType('Application/PDF')).toEqual({ mimeType: 'application/pdf', charset: null });
+    expect(parseContentType()).toEqual({ mimeType: '', charset: null });
+  });
+
+  test('fetched pages and files are named after their title, site or path', () => {
+    expect(linkDocumentName('https://www.example.com/biology/enzymes', 'Enzymes ')).toBe('Enzymes (example.com)');
+    expect(linkDocumentName('https://example.com/biology/cell%20walls/')).toBe('example.com/biology/cell walls');
+    expect(linkDocumentName('https://example.com/')).toBe('example.com');
+    expect(linkDocumentName('https://example.com/', 'x'.repeat(150))).toHaveLength(100 + ' (example.com)'.length);
+    expect(linkFileName('https://example.com/papers/Krebs%20Cycle.pdf?dl=1')).toBe('Krebs Cycle.pdf');
+    expect(linkFileName('https://example.com/')).toBe('example.com');
+  });
+});
@@ -0,0 +1,169 @@
+import { createFixtureProvider } from './providers/fixtureProvider';
+import { createProxyProvider } from './providers/proxyProvider';
+import { createConcurrencyLimiter, runAIRequest } from './aiRequest';
+
+/**
+ * LLM Provider Layer
+ * Single entry point for text and JSON generation. Generators in gemini.js and
+ * learningFramework.js name a task and pass its parameters; the Study Genie API
+ * server (server/lib/prompts.js) builds the prompt and holds the provider key,
+ * so no key or prompt text lives in the browser. Offline fixtures stand in for
+ * the server under tests.
+ *
+ * Configuration (environment variables):
+ * - REACT_APP_LLM_PROVIDER: 'proxy' | 'fixture' (default: 'proxy'; 'fixture' under tests)
+ * - REACT_APP_AI_PROXY_URL: Study Genie API server URL (default: http://localhost:3001)
+ * - REACT_APP_LLM_MAX_CONCURRENCY: provider calls allowed in flight at once (default: 2)
+ * - REACT_APP_LLM_TIMEOUT_MS: per-attempt time limit (default: 45000)
+ * - REACT_APP_LLM_MAX_RETRIES: retries for rate limits and transient errors (default: 3)
+ */
+
+const PROVIDER_FACTORIES = {
+  proxy: createProxyProvider,
+  fixture: createFixtureProvider
+};
+
+let activeProvider = null;
+let requestPolicy = null;
+
+const readNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Read the request policy (concurrency, timeout, retries) from the environment
+ * @returns {Object} Request policy options
+ */
+export const getRequestPolicyConfig = () => ({
+  maxConcurrent: Math.max(1, readNumber(process.env.REACT_APP_LLM_MAX_CONCURRENCY, 2)),
+  timeoutMs: readNumber(process.env.REACT_APP_LLM_TIMEOUT_MS, 45000),
+  maxRetries: readNumber(process.env.REACT_APP_LLM_MAX_RETRIES, 3),
+  baseDelayMs: 1000,
+  maxDelayMs: 16000
+});
+
+const getRequestPolicy = () => {
+  if (!requestPolicy) {
+    setRequestPolicy(getRequestPolicyConfig());
+  }
+  return requestPolicy;
+};
+
+/**
+ * Replace the request policy, e.g. to disable backoff delays in tests
+ * @param {Object|null} options - Policy options, or null to reload from configuration
+ */
+export const setRequestPolicy = (options) => {
+  requestPolicy = options
+    ? { ...options, limit: createConcurrencyLimiter(options.maxConcurrent || 1) }
+    : null;
+};
+
+/**
+ * Read provider configuration from the environment
+ * @returns {Object} Provider name and adapter options
+ */
+export const getProviderConfig = () => {
+  const defaultProvider = process.env.NODE_ENV === 'test' ? 'fixture' : 'proxy';
+  const provider = (process.env.REACT_APP_LLM_PROVIDER || defaultProvider).toLowerCase();
+
+  if (provider === 'proxy') {
+    return { provider, options: { baseUrl: process.env.REACT_APP_AI_PROXY_URL || undefined } };
+  }
+
+  return { provider, options: {} };
+};
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name ('proxy' or 'fixture')
+ * @param {Object} options - Adapter options
+ * @returns {Object} Provider instance
+ */
+export const createProvider = (name, options = {}) => {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  // Drop undefined values so adapter defaults apply
+  const cleanOptions = Object.fromEntries(
+    Object.entries(options).filter(([, value]) => value !== undefined)
+  );
+  return factory(cleanOptions);
+};
+
+/**
+ * Get the configured provider (created lazily on first use)
+ * @returns {Object} Active provider instance
+ */
+export const getProvider = () => {
+  if (!activeProvider) {
+    const { provider, options } = getProviderConfig();
+    activeProvider = createProvider(provider, options);
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active provider, e.g. to switch models at runtime or in tests
+ * @param {Object|null} provider - Provider instance, or null to reload from configuration
+ */
+export const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Parse a model response as JSON, tolerating markdown code fences
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed JSON value
+ */
+export const parseJSONText = (text) => {
+  let cleanText = text.trim();
+  if (cleanText.startsWith('```json')) {
+    cleanText = cleanText.replace(/```json\s*/, '').replace(/```\s*$/, '');
+  } else if (cleanText.startsWith('```')) {
+    cleanText = cleanText.replace(/```\s*/, '').replace(/```\s*$/, '');
+  }
+
+  return JSON.parse(cleanText.trim());
+};
+
+/**
+ * Call the active provider under the request policy (limiter, timeout, retries)
+ * @param {Object} request - Request passed to the provider
+ * @param {string} request.task - Generator task name
+ * @param {Object} request.params - Generator parameters
+ * @param {Object} request.repair - { previousText, issues } when re-asking for invalid JSON
+ * @returns {Promise<string>} Raw response text
+ */
+export const callProvider = ({ task, params = {}, repair } = {}) => {
+  const { maxConcurrent, ...policy } = getRequestPolicy();
+  return runAIRequest(
+    (signal) => getProvider().generateText({ task, params, repair, signal }),
+    { ...policy, task }
+  );
+};
+
+/**
+ * Generate plain text
+ * @param {string} task - Generator task name
+ * @param {Object} params - Generator parameters
+ * @returns {Promise<string>} Trimmed response text
+ */
+export const generateText = async (task, params = {}) => {
+  const text = await callProvider({ task, params });
+  return text.trim();
+};
+
+/**
+ * Generate a JSON value
+ * @param {string} task - Generator task name
+ * @param {Object} params - Generator parameters
+ * @returns {Promise<*>} Parsed JSON value
+ */
+export const generateJSON = async (task, params = {}) => {
+  const text = await callProvider({ task, params });
+  return parseJSONText(text);
+};
@@ -0,0 +1,169 @@
+// Tests for the LLM provider layer
+// Under tests the fixture provider is selected by default, so no network is used
+
+const {
+  getProvider,
+  getProviderConfig,
+  setProvider,
+  createProvider,
+  generateJSON,
+  parseJSONText
+} = require('./llmProvider');
+const { isDegraded, isRetryableError } = require('./aiRequest');
+const { createProxyProvider } = require('./providers/proxyProvider');
+const { generateFlashcards, generateMCQQuestions, answerQuestion } = require('./gemini');
+const { generateConceptMCQQuestions, generateSessionReport } = require('./learningFramework');
+
+describe('LLM Provider', () => {
+  afterEach(() => {
+    setProvider(null);
+  });
+
+  test('uses the fixture provider by default under tests', () => {
+    expect(getProvider().name).toBe('fixture');
+  });
+
+  test('createProvider should reject unknown providers', () => {
+    expect(() => createProvider('nope')).toThrow('Unknown LLM provider: nope');
+    // Prompts are only built by the server, so there are no browser-side provider adapters
+    expect(() => createProvider('gemini')).toThrow('Unknown LLM provider: gemini');
+  });
+
+  test('uses the API proxy outside tests', () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(getProviderConfig()).toEqual({ provider: 'proxy', options: { baseUrl: undefined } });
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+
+  test('parseJSONText should strip markdown code fences', () => {
+    expect(parseJSONText('```json\n["a", "b"]\n```')).toEqual(['a', 'b']);
+    expect(parseJSONText('```\n{"a": 1}\n```')).toEqual({ a: 1 });
+    expect(parseJSONText(' [1] ')).toEqual([1]);
+  });
+
+  test('generateJSON should parse output from a custom provider', async () => {
+    setProvider({
+      name: 'custom',
+      generateText: jest.fn().mockResolvedValue('```json\n{"ok": true}\n```')
+    });
+
+    await expect(generateJSON('anything', { topic: 'X' })).resolves.toEqual({ ok: true });
+    expect(getProvider().generateText).toHaveBeenCalledWith({
+      task: 'anything',
+      params: { topic: 'X' },
+      repair: undefined,
+      signal: expect.any(AbortSignal)
+    });
+  });
+
+  describe('proxy adapter', () => {
+    const jsonResponse = (status, body, headers = {}) => ({
+      ok: status < 400,
+      status,
+      json: async () => body,
+      headers: { get: (name) => headers[name] || null }
+    });
+
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    test('posts the task and params to its endpoint with the user token', async () => {
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse(200, { text: '["a"]' }));
+      const provider = createProxyProvider({ baseUrl: 'http://api.test/', getAccessToken: async () => 'token-1' });
+
+      await expect(provider.generateText({ task: 'flashcards', params: { topic: 'X' } }))
+        .resolves.toBe('["a"]');
+      expect(global.fetch).toHaveBeenCalledWith('http://api.test/api/ai/flashcards', expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ Authorization: 'Bearer token-1' }),
+        body: JSON.stringify({ params: { topic: 'X' } })
+      }));
+    });
+
+    test('exhausted quotas are not retried but rate limits are', async () => {
+      const provider = createProxyProvider({ getAccessToken: async () => null });
+
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse(429, { error: 'Daily quota reached', code: 'quota_exceeded' }));
+      const quotaError = await provider.generateText({ task: 'answer', params: { question: 'Why?' } }).catch(error => error);
+      expect(quotaError.message).toBe('Daily quota reached');
+      expect(isRetryableError(quotaError)).toBe(false);
+
+      global.fetch = jest.fn().mockResolvedValue(jsonResponse(429, { code: 'rate_limited' }, { 'Retry-After': '2' }));
+      const rateError = await provider.generateText({ task: 'answer', params: { question: 'Why?' } }).catch(error => error);
+      expect(rateError.retryAfterMs).toBe(2000);
+      expect(isRetryableError(rateError)).toBe(true);
+    });
+  });
+
+  describe('generators run offline against fixtures', () => {
+    test('generateFlashcards returns question/answer pairs', async () => {
+      const cards = await generateFlashcards('Photosynthesis');
+
+      expect(cards).toHaveLength(10);
+      expect(cards[0]).toEqual({
+        question: expect.stringContaining('Photosynthesis'),
+        answer: expect.any(String)
+      });
+    });
+
+    test('MCQ generators return answerable questions', async () => {
+      const questions = await generateMCQQuestions('Photosynthesis');
+      const conceptQuestions = await generateConceptMCQQuestions('Chlorophyll', 3);
+
+      expect(questions).toHaveLength(5);
+      expect(conceptQuestions).toHaveLength(3);
+      [...questions, ...conceptQuestions].forEach(question => {
+        expect(question.options).toHaveLength(4);
+        expect(question.options).toContain(question.correctAnswer);
+      });
+    });
+
+    test('generateSessionReport merges statistics into the report', async () => {
+      const report = await generateSessionReport(
+        'Biology',
+        { Cells: { passed: true, correct: 5, total: 5 } },
+        {},
+        {},
+        ['Cells']
+      );
+
+      expect(report.overallSummary).toContain('Biology');
+      expect(report.statistics.overall.accuracy).toBe(100);
+    });
+
+    test('generators fall back when the provider fails', async () => {
+      setProvider({
+        name: 'broken',
+        generateText: jest.fn().mockRejectedValue(new Error('API Error'))
+      });
+
+      const report = await generateSessionReport('Biology');
+
+      expect(report).toHaveProperty('motivationalMessage');
+      expect(report.statistics.overall.totalTopics).toBe(0);
+      expect(isDegraded(report)).toBe(true);
+    });
+
+    test('text generators report fallbacks alongside the text', async () => {
+      await expect(answerQuestion('What is ATP?')).resolves.toEqual({
+        text: expect.stringContaining('ATP'),
+        degraded: false
+      });
+
+      setProvider({
+        name: 'broken',
+        generateText: jest.fn().mockRejectedValue(new Error('API Error'))
+      });
+      const fallback = await answerQuestion('What is ATP?');
+
+      expect(fallback.text).toEqual(expect.any(String));
+      expect(fallback.degraded).toBe(true);
+      expect(isDegraded(fallback)).toBe(true);
+    });
+  });
+});
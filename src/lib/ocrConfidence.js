@@ -0,0 +1,120 @@
+/**
+ * OCR Confidence - keep track of text Tesseract wasn't sure about
+ * Runs of low-confidence words are marked [?like this?] in the extracted text,
+ * so they stand out in the stored markdown and in the review editor. Lines
+ * below the threshold keep their bounding boxes for highlighting on the page.
+ */
+
+export const LOW_CONFIDENCE_THRESHOLD = 60;
+
+const FLAG_PATTERN = /\[\?([\s\S]+?)\?\]/g;
+
+/**
+ * Turn a Tesseract recognize() result into text with low-confidence words flagged
+ * @param {Object} data - recognize() data, with blocks
+ * @param {number} threshold - Confidence (0-100) below which words are flagged
+ * @returns {Object} { text, confidence, lowConfidenceWords, lowConfidenceLines: [{ text, confidence, bbox }] }
+ */
+export const summarizeRecognition = (data = {}, threshold = LOW_CONFIDENCE_THRESHOLD) => {
+  if (!data.blocks?.length) {
+    return {
+      text: (data.text || '').trim(),
+      confidence: Number.isFinite(data.confidence) ? Math.round(data.confidence) : null,
+      lowConfidenceWords: 0,
+      lowConfidenceLines: []
+    };
+  }
+
+  let chars = 0;
+  let weightedConfidence = 0;
+  let lowConfidenceWords = 0;
+  const lowConfidenceLines = [];
+
+  const flagLine = (line) => {
+    const parts = [];
+    let run = [];
+    const closeRun = () => {
+      if (run.length) parts.push(`[?${run.join(' ')}?]`);
+      run = [];
+    };
+
+    line.words.forEach(word => {
+      const text = word.text.trim();
+      if (!text) return;
+      chars += text.length;
+      weightedConfidence += word.confidence * text.length;
+      if (word.confidence < threshold) {
+        lowConfidenceWords++;
+        run.push(text);
+      } else {
+        closeRun();
+        parts.push(text);
+      }
+    });
+    closeRun();
+
+    if (parts.length && line.confidence < threshold) {
+      lowConfidenceLines.push({ text: line.text.trim(), confidence: Math.round(line.confidence), bbox: line.bbox });
+    }
+    return parts.join(' ');
+  };
+
+  const paragraphs = data.blocks
+    .flatMap(block => block.paragraphs || [])
+    .map(paragraph => paragraph.lines.map(flagLine).filter(Boolean).join('\n'))
+    .filter(Boolean);
+
+  return {
+    text: paragraphs.join('\n\n'),
+    confidence: chars ? Math.round(weightedConfidence / chars) : null,
+    lowConfidenceWords,
+    lowConfidenceLines
+  };
+};
+
+/**
+ * Combine page confidences into one for the document, weighted by page length
+ * @param {Array<Object>} pages - OCR pages { text, confidence }
+ * @returns {number|null} Confidence (0-100), or null when no page has one
+ */
+export const combineConfidence = (pages = []) => {
+  const scored = pages.filter(page => Number.isFinite(page.confidence) && page.text);
+  const chars = scored.reduce((sum, page) => sum + page.text.length, 0);
+  if (!chars) return null;
+  return Math.round(scored.reduce((sum, page) => sum + page.confidence * page.text.length, 0) / chars);
+};
+
+/**
+ * Remove low-confidence markers, keeping the text inside them
+ * @param {string} text - Flagged text
+ * @returns {string} Plain text
+ */
+export const stripConfidenceFlags = (text = '') => text.replace(FLAG_PATTERN, '$1');
+
+/**
+ * Count the low-confidence markers left in text
+ * @param {string} text - Flagged text
+ * @returns {number} Marker count
+ */
+export const countConfidenceFlags = (text = '') => (text.match(FLAG_PATTERN) || []).length;
+
+/**
+ * Replace one page's text in extracted text
+ * Pages are found by their "--- Page N ---" or "--- Page N (OCR) ---" marker;
+ * a null page means the text has no pages (a single image) and is replaced whole.
+ * @param {string} text - Extracted text
+ * @param {number|null} page - Page number
+ * @param {string} pageText - New text for the page
+ * @returns {string} Updated text
+ */
+export const replacePageText = (text, page, pageText) => {
+  if (page === null || page === undefined) return pageText;
+
+  const marker = new RegExp(`^-{3} Page ${page}(?: \\(OCR\\))? -{3}$`, 'm').exec(text);
+  if (!marker) return text;
+
+  const start = marker.index + marker[0].length;
+  const next = /^-{3} Page \d+(?: \(OCR\))? -{3}$/m.exec(text.slice(start));
+  const end = next ? start + next.index : text.length;
+  return `${text.slice(0, start)}\n${pageText.trim()}${next ? '\n\n' : ''}${text.slice(end)}`;
+};
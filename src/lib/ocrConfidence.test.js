@@ -0,0 +1,45 @@
+// Tests for OCR confidence flagging and page corrections
+
+const { summarizeRecognition, combineConfidence, stripConfidenceFlags, countConfidenceFlags, replacePageText } = require('./ocrConfidence');
+
+const word = (text, confidence) => ({ text, confidence });
+const line = (words, confidence) => ({ words, confidence, text: `${words.map(w => w.text).join(' ')}\n`, bbox: { x0: 10, y0: 20, x1: 300, y1: 40 } });
+
+describe('OCR Confidence', () => {
+  test('low-confidence word runs are flagged and lines below the threshold are listed', () => {
+    const data = {
+      text: 'ignored',
+      blocks: [{
+        paragraphs: [
+          { lines: [line([word('Mitosis', 96), word('has', 91), word('fovr', 41), word('phoses', 38)], 55)] },
+          { lines: [line([word('Prophase', 93), word('comes', 88)], 90), line([word('first.', 95)], 95)] }
+        ]
+      }]
+    };
+
+    const summary = summarizeRecognition(data);
+    expect(summary.text).toBe('Mitosis has [?fovr phoses?]\n\nProphase comes\nfirst.');
+    expect(summary.lowConfidenceWords).toBe(2);
+    expect(summary.lowConfidenceLines).toEqual([{ text: 'Mitosis has fovr phoses', confidence: 55, bbox: { x0: 10, y0: 20, x1: 300, y1: 40 } }]);
+    expect(summary.confidence).toBe(79);
+  });
+
+  test('results without blocks fall back to the plain text', () => {
+    expect(summarizeRecognition({ text: ' Plain text \n', confidence: 71.6 })).toEqual({
+      text: 'Plain text', confidence: 72, lowConfidenceWords: 0, lowConfidenceLines: []
+    });
+    expect(combineConfidence([{ text: 'aaa', confidence: 90 }, { text: 'b', confidence: 50 }, { text: 'cc', confidence: null }])).toBe(80);
+    expect(combineConfidence([])).toBeNull();
+  });
+
+  test('corrected pages replace their section and markers can be stripped', () => {
+    const text = '--- Page 3 ---\n# Cells\n\n--- Page 4 (OCR) ---\nThe [?nuclevs?] holds DNA\n\n--- Page 5 ---\nEnd';
+
+    expect(countConfidenceFlags(text)).toBe(1);
+    expect(stripConfidenceFlags('A [?b c?] d [?e?]')).toBe('A b c d e');
+    expect(replacePageText(text, 4, 'The nucleus holds DNA\n')).toBe('--- Page 3 ---\n# Cells\n\n--- Page 4 (OCR) ---\nThe nucleus holds DNA\n\n--- Page 5 ---\nEnd');
+    expect(replacePageText(text, 5, 'Fin')).toBe('--- Page 3 ---\n# Cells\n\n--- Page 4 (OCR) ---\nThe [?nuclevs?] holds DNA\n\n--- Page 5 ---\nFin');
+    expect(replacePageText('Whole image', null, 'Corrected')).toBe('Corrected');
+    expect(replacePageText(text, 9, 'Missing')).toBe(text);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * OCR Languages - choose Tesseract languages from what's on the page
+ * The script comes from Tesseract's orientation and script detection (OSD).
+ * Latin-script pages are told apart by common words and accented letters in a
+ * quick sample OCR pass. English is added as a second language everywhere,
+ * since study material mixes in English terms.
+ */
+
+// OSD script names → Tesseract language
+const SCRIPT_LANGUAGES = {
+  Cyrillic: 'rus',
+  Arabic: 'ara',
+  Han: 'chi_sim',
+  HanS: 'chi_sim',
+  HanT: 'chi_sim',
+  Japanese: 'jpn',
+  Hiragana: 'jpn',
+  Katakana: 'jpn'
+};
+
+// Common short words and letters that (mostly) only appear in each language
+const LATIN_PROFILES = {
+  eng: { words: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'are', 'this', 'was'], letters: '' },
+  spa: { words: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'del', 'por', 'con', 'una', 'es', 'se'], letters: 'ñ¿¡áíóú' },
+  fra: { words: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'du', 'que', 'pour', 'dans', 'pas'], letters: 'çèêëœâîôû' },
+  deu: { words: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'mit', 'ein', 'eine', 'den', 'zu', 'von', 'auf', 'sich'], letters: 'äöüß' },
+  ita: { words: ['il', 'di', 'che', 'e', 'la', 'per', 'un', 'una', 'non', 'sono', 'della', 'gli', 'con', 'del'], letters: 'àèìòù' },
+  por: { words: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'não', 'para'], letters: 'ãõçâêô' }
+};
+
+// Languages sampled to tell Latin-script languages apart
+export const LATIN_SAMPLE_LANGUAGES = Object.keys(LATIN_PROFILES).join('+');
+
+// Fewer words than this is too little to judge the language by
+const MIN_SAMPLE_WORDS = 15;
+// The best language must beat the runner-up by this factor
+const MIN_LEAD = 1.2;
+
+/**
+ * Score Latin-script text against each language profile
+ * @param {string} text - Sample OCR text
+ * @returns {Array<Object>} [{ language, score }] best first; empty when the sample is too short
+ */
+export const scoreLatinText = (text = '') => {
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < MIN_SAMPLE_WORDS) return [];
+
+  const letters = [...text.toLowerCase()];
+  return Object.entries(LATIN_PROFILES)
+    .map(([language, profile]) => {
+      const wordHits = words.filter(word => profile.words.includes(word)).length;
+      const letterHits = letters.filter(letter => profile.letters.includes(letter)).length;
+      return { language, score: (wordHits + letterHits * 2) / words.length };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Choose OCR languages from detected script and sample text
+ * @param {Object} detection - Detection results
+ * @param {string} detection.script - OSD script name (e.g. 'Latin', 'Cyrillic'), or null
+ * @param {string} detection.sampleText - Quick OCR of the page with LATIN_SAMPLE_LANGUAGES (Latin pages only)
+ * @param {Array<string>} supportedLanguages - Languages available for OCR
+ * @returns {Object} { languages: Tesseract language string, or null when unclear, reason }
+ */
+export const chooseOCRLanguages = ({ script = null, sampleText = '' } = {}, supportedLanguages = []) => {
+  const withEnglish = (language) => (language === 'eng' ? 'eng' : `${language}+eng`);
+
+  if (script && script !== 'Latin') {
+    const language = SCRIPT_LANGUAGES[script];
+    if (language && supportedLanguages.includes(language)) {
+      return { languages: withEnglish(language), reason: `${script} script` };
+    }
+    return { languages: null, reason: `${script} script isn't supported` };
+  }
+
+  const [best, runnerUp] = scoreLatinText(sampleText).filter(({ language }) => supportedLanguages.includes(language));
+  if (!best || best.score === 0 || (runnerUp && best.score < runnerUp.score * MIN_LEAD)) {
+    return { languages: null, reason: 'language unclear' };
+  }
+  return { languages: withEnglish(best.language), reason: `${script || 'Latin'} script, ${best.language} text` };
+};
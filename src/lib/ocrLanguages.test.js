@@ -0,0 +1,32 @@
+// Tests for choosing OCR languages from detected script and sample text
+
+const { scoreLatinText, chooseOCRLanguages, LATIN_SAMPLE_LANGUAGES } = require('./ocrLanguages');
+
+const SUPPORTED = ['eng', 'spa', 'fra', 'deu', 'ita', 'por', 'rus', 'ara', 'chi_sim', 'jpn'];
+
+describe('OCR Languages', () => {
+  test('Latin-script samples are told apart by common words and accents', () => {
+    const spanish = 'La célula es la unidad básica de la vida. Los organismos están formados por una o más células y el núcleo contiene el ADN.';
+    const german = 'Die Zelle ist die kleinste Einheit des Lebens. Der Zellkern enthält die Erbinformation und ist von einer Membran umgeben, die Poren hat.';
+    const english = 'The cell is the basic unit of life. It contains the nucleus, and the nucleus holds the genetic material that is copied in division.';
+
+    expect(scoreLatinText(spanish)[0].language).toBe('spa');
+    expect(chooseOCRLanguages({ script: 'Latin', sampleText: german }, SUPPORTED).languages).toBe('deu+eng');
+    expect(chooseOCRLanguages({ script: 'Latin', sampleText: english }, SUPPORTED)).toEqual({ languages: 'eng', reason: 'Latin script, eng text' });
+    expect(LATIN_SAMPLE_LANGUAGES).toBe('eng+spa+fra+deu+ita+por');
+  });
+
+  test('other scripts map straight to their language', () => {
+    expect(chooseOCRLanguages({ script: 'Cyrillic' }, SUPPORTED).languages).toBe('rus+eng');
+    expect(chooseOCRLanguages({ script: 'Katakana' }, SUPPORTED).languages).toBe('jpn+eng');
+    expect(chooseOCRLanguages({ script: 'HanS' }, SUPPORTED).languages).toBe('chi_sim+eng');
+    expect(chooseOCRLanguages({ script: 'Arabic' }, ['eng'])).toEqual({ languages: null, reason: "Arabic script isn't supported" });
+  });
+
+  test('short or ambiguous samples leave the choice to the caller', () => {
+    // notes_edit.png: the file name no longer matters, only the page
+    expect(chooseOCRLanguages({ script: 'Latin', sampleText: 'notes edit' }, SUPPORTED).languages).toBeNull();
+    expect(chooseOCRLanguages({ script: null, sampleText: '' }, SUPPORTED).reason).toBe('language unclear');
+    expect(scoreLatinText('1 2 3 4 5')).toEqual([]);
+  });
+});
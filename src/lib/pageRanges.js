@@ -0,0 +1,92 @@
+/**
+ * Page Ranges - choose which pages of a PDF to process
+ * Users pick all pages, a typed range ("40-120, 130") or a run of chapters
+ * from the PDF's outline ("chapters 3-5"). Pages are 1-based.
+ */
+
+export const SELECTION_MODES = ['all', 'pages', 'chapters'];
+
+/**
+ * Parse a typed page range such as "1-5, 8, 10–12"
+ * @param {string} input - Typed ranges
+ * @param {number} numPages - Pages in the document
+ * @returns {Object} { pages: sorted unique page numbers, error: message or null }
+ */
+export const parsePageRanges = (input = '', numPages = Infinity) => {
+  const parts = input.split(/[,;]/).map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return { pages: [], error: 'Enter the pages to process, e.g. 40-120' };
+
+  const pages = new Set();
+  for (const part of parts) {
+    const match = part.match(/^(\d+)(?:\s*(?:[-–—]|to)\s*(\d+))?$/i);
+    if (!match) return { pages: [], error: `"${part}" is not a page or range` };
+
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : start;
+    if (start < 1 || end < start) return { pages: [], error: `"${part}" is not a valid range` };
+    if (end > numPages) return { pages: [], error: `The document only has ${numPages} pages` };
+
+    for (let page = start; page <= end; page++) pages.add(page);
+  }
+  return { pages: [...pages].sort((a, b) => a - b), error: null };
+};
+
+/**
+ * Format page numbers as compact ranges
+ * @param {Array<number>} pages - Page numbers
+ * @returns {string} e.g. "1–5, 8, 10–12"
+ */
+export const formatPageRanges = (pages = []) => {
+  const sorted = [...new Set(pages)].sort((a, b) => a - b);
+  const ranges = [];
+  sorted.forEach(page => {
+    const last = ranges[ranges.length - 1];
+    if (last && page === last[1] + 1) last[1] = page;
+    else ranges.push([page, page]);
+  });
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}–${end}`)).join(', ');
+};
+
+/**
+ * Turn outline entries into chapters with page spans
+ * Each chapter runs until the page before the next one starts. A single
+ * top-level entry (usually the book title) is replaced by its children.
+ * @param {Array<Object>} outline - Entries { title, page, items } with resolved 1-based pages
+ * @param {number} numPages - Pages in the document
+ * @returns {Array<Object>} Chapters { title, startPage, endPage }
+ */
+export const buildChapters = (outline = [], numPages) => {
+  const entries = outline.length === 1 && outline[0].items?.length > 1 ? outline[0].items : outline;
+  const starts = entries
+    .filter(entry => Number.isInteger(entry.page) && entry.page >= 1 && entry.page <= numPages)
+    .map(entry => ({ title: (entry.title || '').trim() || `Page ${entry.page}`, startPage: entry.page }))
+    .sort((a, b) => a.startPage - b.startPage);
+
+  return starts.map((chapter, index) => ({
+    ...chapter,
+    endPage: index + 1 < starts.length ? Math.max(chapter.startPage, starts[index + 1].startPage - 1) : numPages
+  }));
+};
+
+/**
+ * Resolve a page selection to page numbers
+ * @param {Object} selection - { mode: 'all' | 'pages' | 'chapters', ranges, fromChapter, toChapter }
+ * @param {Object} info - { numPages, chapters } from getPdfInfo
+ * @returns {Object} { pages, error }
+ */
+export const selectionToPages = (selection = {}, { numPages, chapters = [] }) => {
+  if (selection.mode === 'pages') return parsePageRanges(selection.ranges, numPages);
+
+  if (selection.mode === 'chapters') {
+    const from = Number(selection.fromChapter);
+    const to = Number(selection.toChapter);
+    if (!chapters[from] || !chapters[to] || to < from) {
+      return { pages: [], error: 'Choose a first and last chapter' };
+    }
+    const start = chapters[from].startPage;
+    const end = chapters[to].endPage;
+    return { pages: Array.from({ length: end - start + 1 }, (_, i) => start + i), error: null };
+  }
+
+  return { pages: Array.from({ length: numPages }, (_, i) => i + 1), error: null };
+};
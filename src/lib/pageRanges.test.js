@@ -0,0 +1,52 @@
+// Tests for PDF page range selection
+
+const { parsePageRanges, formatPageRanges, buildChapters, selectionToPages } = require('./pageRanges');
+
+describe('Page Ranges', () => {
+  test('typed ranges are parsed, merged and formatted compactly', () => {
+    expect(parsePageRanges('8, 1-3; 2–5, 10 to 11', 20)).toEqual({ pages: [1, 2, 3, 4, 5, 8, 10, 11], error: null });
+    expect(formatPageRanges([11, 1, 2, 3, 4, 5, 8, 10])).toBe('1–5, 8, 10–11');
+    expect(parsePageRanges('40-120', 100).error).toBe('The document only has 100 pages');
+    expect(parsePageRanges('5-2', 10).error).toBe('"5-2" is not a valid range');
+    expect(parsePageRanges('3 4', 10).error).toBe('"3 4" is not a page or range');
+    expect(parsePageRanges(' , ', 10).pages).toEqual([]);
+  });
+
+  test('outline entries become chapters that run until the next one starts', () => {
+    const outline = [{
+      title: 'Biology Textbook',
+      page: 1,
+      items: [
+        { title: 'Cells', page: 5, items: [] },
+        { title: 'Broken link', page: null, items: [] },
+        { title: ' Genetics ', page: 30, items: [] },
+        { title: 'Index', page: 90, items: [] }
+      ]
+    }];
+
+    expect(buildChapters(outline, 100)).toEqual([
+      { title: 'Cells', startPage: 5, endPage: 29 },
+      { title: 'Genetics', startPage: 30, endPage: 89 },
+      { title: 'Index', startPage: 90, endPage: 100 }
+    ]);
+    expect(buildChapters([], 100)).toEqual([]);
+  });
+
+  test('selections resolve to the pages to process', () => {
+    const info = {
+      numPages: 12,
+      chapters: [
+        { title: 'One', startPage: 1, endPage: 4 },
+        { title: 'Two', startPage: 5, endPage: 8 },
+        { title: 'Three', startPage: 9, endPage: 12 }
+      ]
+    };
+
+    expect(selectionToPages({ mode: 'all' }, info).pages).toHaveLength(12);
+    expect(selectionToPages({ mode: 'chapters', fromChapter: '1', toChapter: '2' }, info).pages)
+      .toEqual([5, 6, 7, 8, 9, 10, 11, 12]);
+    expect(selectionToPages({ mode: 'chapters', fromChapter: 2, toChapter: 0 }, info).error)
+      .toBe('Choose a first and last chapter');
+    expect(selectionToPages({ mode: 'pages', ranges: '2, 4' }, info).pages).toEqual([2, 4]);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Paged Query - read every row of a Supabase select
+ * PostgREST caps each response at the project's max-rows (1000 by default), so
+ * an unpaged select on a large account silently returns only the first rows.
+ * Long `.in()` filters are sent in batches to keep request URLs short.
+ */
+
+const PAGE_SIZE = 1000;
+const IN_BATCH_SIZE = 100;
+
+/**
+ * Read every row of a query, one page at a time
+ * The query must be ordered by a unique column so pages don't overlap. Pages
+ * are read until one comes back empty, so a max-rows below pageSize still
+ * returns everything. When the query asks for { count: 'exact' }, a result
+ * that doesn't match the count is an error rather than a partial list.
+ * @param {Function} buildQuery - Returns a fresh filtered and ordered select
+ * @param {Object} options - { pageSize }
+ * @returns {Promise<Array<Object>>} All rows
+ * @throws {Error} The query error, or a count mismatch
+ */
+export const selectAllRows = async (buildQuery, { pageSize = PAGE_SIZE } = {}) => {
+  const rows = [];
+  let expected = null;
+
+  for (;;) {
+    const { data, error, count } = await buildQuery().range(rows.length, rows.length + pageSize - 1);
+    if (error) throw error;
+    if (expected === null && typeof count === 'number') expected = count;
+    if (!data || data.length === 0) break;
+    rows.push(...data);
+  }
+
+  if (expected !== null && rows.length !== expected) {
+    throw new Error(`Read ${rows.length} of ${expected} rows; the data changed while it was being read`);
+  }
+  return rows;
+};
+
+/**
+ * Read every row matching a list of values, batching the `.in()` filter
+ * @param {Array} values - Values for the filter
+ * @param {Function} buildQuery - Called with a batch of values; returns a fresh filtered and ordered select
+ * @param {Object} options - { batchSize, pageSize }
+ * @returns {Promise<Array<Object>>} All rows, batch by batch
+ */
+export const selectAllRowsIn = async (values, buildQuery, { batchSize = IN_BATCH_SIZE, pageSize } = {}) => {
+  const rows = [];
+  for (let start = 0; start < values.length; start += batchSize) {
+    const batch = values.slice(start, start + batchSize);
+    rows.push(...await selectAllRows(() => buildQuery(batch), { pageSize }));
+  }
+  return rows;
+};
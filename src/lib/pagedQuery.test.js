@@ -0,0 +1,47 @@
+// Tests for reading every row of a paged Supabase select
+
+const { selectAllRows, selectAllRowsIn } = require('./pagedQuery');
+
+// A select over rows that honours .range() but never returns more than maxRows
+const fakeSelect = (rows, { maxRows = Infinity, count } = {}) => {
+  const ranges = [];
+  const buildQuery = jest.fn(() => ({
+    range: async (from, to) => {
+      ranges.push([from, to]);
+      return { data: rows.slice(from, Math.min(to + 1, from + maxRows)), count, error: null };
+    }
+  }));
+  return { buildQuery, ranges };
+};
+
+const rowsOf = (length) => Array.from({ length }, (_, i) => ({ id: i }));
+
+describe('Paged Query', () => {
+  test('every page is read, even when the server caps pages below the page size', async () => {
+    const { buildQuery, ranges } = fakeSelect(rowsOf(25), { maxRows: 7 });
+
+    await expect(selectAllRows(buildQuery, { pageSize: 10 })).resolves.toEqual(rowsOf(25));
+    expect(ranges).toEqual([[0, 9], [7, 16], [14, 23], [21, 30], [25, 34]]);
+  });
+
+  test('query errors and count mismatches are thrown', async () => {
+    const failing = () => ({ range: async () => ({ data: null, error: new Error('permission denied') }) });
+    await expect(selectAllRows(failing)).rejects.toThrow('permission denied');
+
+    const { buildQuery } = fakeSelect(rowsOf(3), { count: 4 });
+    await expect(selectAllRows(buildQuery)).rejects.toThrow('Read 3 of 4 rows');
+  });
+
+  test('long filters are split into batches', async () => {
+    const values = rowsOf(250).map(row => row.id);
+    const batches = new Set();
+
+    const rows = await selectAllRowsIn(values, (batch) => {
+      batches.add(batch);
+      return fakeSelect(batch.map(id => ({ id }))).buildQuery();
+    });
+
+    expect(rows).toEqual(rowsOf(250));
+    expect([...batches].map(batch => batch.length)).toEqual([100, 100, 50]);
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * PDF Layout - rebuild document structure from pdf.js text positions
+ * pdf.js gives each run of text with its position and font size but no
+ * structure. Runs are grouped into lines, two-column pages are read column by
+ * column, and lines become markdown headings (by font size relative to the
+ * body text), bullet and numbered lists, simple tables (rows of aligned cells)
+ * and paragraphs. Page numbers alone at the top or bottom are dropped.
+ */
+
+// Font size ratios to body text for heading levels: #, ##, ###
+const HEADING_RATIOS = [1.6, 1.3, 1.15];
+const MAX_HEADING_LENGTH = 150;
+// Pages with less text than this borrow the body font size from earlier pages
+const MIN_BODY_SAMPLE = 200;
+
+const BULLET_PATTERN = /^(?:[•◦▪‣●○■□·]\s*|[*–-]\s+)(.+)$/;
+const NUMBERED_PATTERN = /^(\d{1,3})[.)]\s+(.+)$/;
+const PAGE_NUMBER_PATTERN = /^(?:page\s+)?\d{1,4}(?:\s+of\s+\d{1,4})?$/i;
+
+/**
+ * Turn pdf.js text items into positioned fragments
+ * Rotated and vertical text is skipped; it's usually margin notes or watermarks.
+ * @param {Array<Object>} items - textContent.items from pdf.js
+ * @returns {Array<Object>} Fragments { text, x, y, width, size }
+ */
+const toFragments = (items) => items
+  .filter(item => item.str && item.str.trim() && item.dir !== 'ttb')
+  .filter(item => Math.abs(item.transform[1]) <= Math.abs(item.transform[0]))
+  .map(item => ({
+    text: item.str,
+    x: item.transform[4],
+    y: item.transform[5],
+    width: item.width || 0,
+    size: Math.hypot(item.transform[2], item.transform[3]) || item.height || 1
+  }));
+
+/**
+ * Join fragments on one line, splitting cells at wide gaps
+ * @param {Array<Object>} fragments - Fragments sorted left to right
+ * @param {number} size - Line font size
+ * @returns {Object} { text, cells: [{ text, x }] }
+ */
+const joinFragments = (fragments, size) => {
+  const cells = [];
+  let previous = null;
+
+  fragments.forEach(fragment => {
+    const gap = previous ? fragment.x - (previous.x + previous.width) : Infinity;
+    if (gap > size * 2) {
+      cells.push({ text: fragment.text.trim(), x: fragment.x });
+    } else {
+      const cell = cells[cells.length - 1];
+      const needsSpace = gap > size * 0.1 && !/\s$/.test(cell.text) && !/^\s/.test(fragment.text);
+      cell.text = `${cell.text}${needsSpace ? ' ' : ''}${fragment.text}`.replace(/\s+/g, ' ');
+    }
+    previous = fragment;
+  });
+
+  cells.forEach(cell => { cell.text = cell.text.trim(); });
+  return { text: cells.map(cell => cell.text).join(' '), cells };
+};
+
+/**
+ * Group fragments that share a baseline, top to bottom
+ * @param {Array<Object>} fragments - Fragments
+ * @returns {Array<Array<Object>>} Rows of fragments
+ */
+const groupRows = (fragments) => {
+  const rows = [];
+  [...fragments]
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+    .forEach(fragment => {
+      const row = rows[rows.length - 1];
+      if (row && Math.abs(row.y - fragment.y) <= Math.max(row.size, fragment.size) * 0.5) {
+        row.fragments.push(fragment);
+        row.size = Math.max(row.size, fragment.size);
+      } else {
+        rows.push({ y: fragment.y, size: fragment.size, fragments: [fragment] });
+      }
+    });
+  return rows;
+};
+
+/**
+ * Group fragments into lines, top to bottom
+ * @param {Array<Object>} fragments - Fragments from one column (or a whole page)
+ * @returns {Array<Object>} Lines { text, cells, x, right, y, size }
+ */
+const groupLines = (fragments) => groupRows(fragments).map(row => {
+  const fragmentsInOrder = row.fragments.sort((a, b) => a.x - b.x);
+  // The line's size is the size most of its text is set in, so a large drop cap doesn't make a heading
+  const sizes = {};
+  fragmentsInOrder.forEach(f => { sizes[f.size] = (sizes[f.size] || 0) + f.text.length; });
+  const size = Number(Object.keys(sizes).sort((a, b) => sizes[b] - sizes[a])[0]);
+  return {
+    ...joinFragments(fragmentsInOrder, size),
+    x: fragmentsInOrder[0].x,
+    right: Math.max(...fragmentsInOrder.map(f => f.x + f.width)),
+    y: row.y,
+    size
+  };
+}).filter(line => line.text);
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+/**
+ * Find the gutter of a two-column page
+ * A gutter is a vertical line near the middle that almost no text crosses,
+ * with full lines of prose on both sides (so a table isn't mistaken for columns).
+ * @param {Array<Object>} fragments - Page fragments
+ * @returns {number|null} Gutter x position, or null for single-column pages
+ */
+const findGutter = (fragments) => {
+  if (fragments.length < 20) return null;
+
+  const minX = Math.min(...fragments.map(f => f.x));
+  const maxX = Math.max(...fragments.map(f => f.x + f.width));
+  const span = maxX - minX;
+  const totalChars = fragments.reduce((sum, f) => sum + f.text.length, 0);
+
+  let best = null;
+  for (let step = 30; step <= 70; step++) {
+    const gutter = minX + (span * step) / 100;
+    const crossing = fragments
+      .filter(f => f.x < gutter - 1 && f.x + f.width > gutter + 1)
+      .reduce((sum, f) => sum + f.text.length, 0);
+    const distance = Math.abs(step - 50);
+    if (!best || crossing < best.crossing || (crossing === best.crossing && distance < best.distance)) {
+      best = { gutter, crossing, distance };
+    }
+  }
+  if (best.crossing > totalChars * 0.1) return null;
+
+  const left = groupLines(fragments.filter(f => f.x + f.width <= best.gutter));
+  const right = groupLines(fragments.filter(f => f.x >= best.gutter));
+  const isProse = (lines, width) => lines.length >= 5 && median(lines.map(line => line.right - line.x)) >= width * 0.5;
+  if (!isProse(left, best.gutter - minX) || !isProse(right, maxX - best.gutter)) return null;
+
+  return best.gutter;
+};
+
+/**
+ * Put a page's lines in reading order
+ * On two-column pages, lines crossing the gutter (titles, wide figures) split
+ * the page into bands; each band is read left column, then right column.
+ * @param {Array<Object>} fragments - Page fragments
+ * @returns {Array<Object>} Lines with their column's left edge and width
+ */
+const orderLines = (fragments) => {
+  const withColumn = (lines) => {
+    const left = Math.min(...lines.map(line => line.x));
+    const width = Math.max(...lines.map(line => line.right)) - left;
+    return lines.map(line => ({ ...line, columnLeft: left, columnWidth: width }));
+  };
+
+  const gutter = findGutter(fragments);
+  if (gutter === null) return fragments.length ? withColumn(groupLines(fragments)) : [];
+
+  // A row spans both columns when its text runs across the gutter with only a word gap
+  const spansGutter = ({ fragments: row, size }) => {
+    const leftEnd = Math.max(...row.filter(f => f.x < gutter).map(f => f.x + f.width));
+    const rightStart = Math.min(...row.filter(f => f.x >= gutter).map(f => f.x));
+    return leftEnd > gutter || rightStart - leftEnd < size * 1.5;
+  };
+  const rows = groupRows(fragments);
+  const columnFragments = rows.filter(row => !spansGutter(row)).flatMap(row => row.fragments);
+
+  const spanning = withColumn(groupLines(rows.filter(spansGutter).flatMap(row => row.fragments)));
+  const left = withColumn(groupLines(columnFragments.filter(f => f.x < gutter)));
+  const right = withColumn(groupLines(columnFragments.filter(f => f.x >= gutter)));
+
+  const ordered = [];
+  let top = Infinity;
+  [...spanning, { y: -Infinity }].forEach(divider => {
+    const inBand = line => line.y < top && line.y > divider.y;
+    ordered.push(...left.filter(inBand), ...right.filter(inBand));
+    if (divider.text) ordered.push(divider);
+    top = divider.y;
+  });
+  return ordered;
+};
+
+/**
+ * Find the body text size: the size most characters are set in
+ * @param {Array<Object>} lines - Page lines
+ * @returns {Object} { size, chars: characters on the page }
+ */
+const measureBodySize = (lines) => {
+  const counts = {};
+  lines.forEach(line => {
+    const size = Math.round(line.size * 2) / 2;
+    counts[size] = (counts[size] || 0) + line.text.length;
+  });
+  const [size] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return { size: Number(size), chars: lines.reduce((sum, line) => sum + line.text.length, 0) };
+};
+
+const headingLevel = (line, bodySize) => {
+  if (!bodySize || line.text.length > MAX_HEADING_LENGTH) return 0;
+  const index = HEADING_RATIOS.findIndex(ratio => line.size >= bodySize * ratio);
+  return index === -1 ? 0 : index + 1;
+};
+
+// Join wrapped lines, mending words hyphenated across the break
+const joinLines = (text, next) => (
+  /[A-Za-z]-$/.test(text) && /^[a-z]/.test(next) ? `${text.slice(0, -1)}${next}` : `${text} ${next}`
+);
+
+const escapeCell = (text) => text.replace(/\|/g, '\\|');
+
+/**
+ * Render structured blocks as markdown
+ * @param {Array<Object>} blocks - Heading, paragraph, list and table blocks
+ * @returns {string} Markdown
+ */
+const renderBlocks = (blocks) => blocks.map(block => {
+  switch (block.type) {
+    case 'heading':
+      return `${'#'.repeat(block.level)} ${block.text}`;
+    case 'list': {
+      // Indent levels come from the distinct left edges of the items
+      const edges = [];
+      [...block.items].sort((a, b) => a.x - b.x).forEach(item => {
+        if (!edges.length || item.x - edges[edges.length - 1] > item.size * 0.5) edges.push(item.x);
+      });
+      return block.items.map(item => {
+        const level = Math.min(edges.filter(edge => edge <= item.x + item.size * 0.5).length - 1, 3);
+        return `${'  '.repeat(Math.max(level, 0))}${item.number ? `${item.number}.` : '-'} ${item.text}`;
+      }).join('\n');
+    }
+    case 'table': {
+      const columns = Math.max(...block.rows.map(row => row.length));
+      const row = cells => `| ${Array.from({ length: columns }, (_, i) => escapeCell(cells[i] || '')).join(' | ')} |`;
+      return [row(block.rows[0]), `| ${Array(columns).fill('---').join(' | ')} |`, ...block.rows.slice(1).map(row)].join('\n');
+    }
+    default:
+      return block.text;
+  }
+}).join('\n\n');
+
+/**
+ * Convert one PDF page's text items to markdown
+ * @param {Array<Object>} items - textContent.items from pdf.js
+ * @param {Object} options - Layout options
+ * @param {number} options.bodySize - Body font size from earlier pages, used when this page has little text
+ * @returns {Object} { markdown, bodySize: the body font size measured on this page (or the one passed in) }
+ */
+export const layoutPageToMarkdown = (items = [], { bodySize: knownBodySize = 0 } = {}) => {
+  const lines = orderLines(toFragments(items));
+  if (lines.length === 0) return { markdown: '', bodySize: knownBodySize };
+
+  const measured = measureBodySize(lines);
+  const bodySize = measured.chars >= MIN_BODY_SAMPLE || !knownBodySize ? measured.size : knownBodySize;
+
+  // Running page numbers at the very top or bottom aren't content
+  const topY = Math.max(...lines.map(line => line.y));
+  const bottomY = Math.min(...lines.map(line => line.y));
+  const content = lines.filter(line => !(PAGE_NUMBER_PATTERN.test(line.text) && (line.y === topY || line.y === bottomY)));
+
+  const blocks = [];
+  let previous = null;
+
+  content.forEach(line => {
+    const block = blocks[blocks.length - 1];
+    const sameColumn = previous && previous.columnLeft === line.columnLeft && previous.y > line.y;
+    const gap = sameColumn ? previous.y - line.y : Infinity;
+    const size = Math.max(line.size, previous?.size || 0);
+    const level = headingLevel(line, bodySize);
+    const bullet = line.text.match(BULLET_PATTERN);
+    const numbered = line.text.match(NUMBERED_PATTERN);
+
+    if (level) {
+      if (block?.type === 'heading' && block.level === level && gap <= size * 1.8) {
+        block.text = `${block.text} ${line.text}`;
+      } else {
+        blocks.push({ type: 'heading', level, text: line.text });
+      }
+    } else if (line.cells.length >= 2) {
+      const aligned = block?.type === 'table' && gap <= size * 2.5
+        && block.columns.length === line.cells.length
+        && line.cells.every((cell, i) => Math.abs(cell.x - block.columns[i]) <= size * 2);
+      if (aligned) {
+        block.rows.push(line.cells.map(cell => cell.text));
+      } else {
+        blocks.push({ type: 'table', columns: line.cells.map(cell => cell.x), rows: [line.cells.map(cell => cell.text)] });
+      }
+    } else if (bullet || numbered) {
+      const item = { x: line.x, size: line.size, text: bullet ? bullet[1] : numbered[2], number: numbered ? numbered[1] : null };
+      if (block?.type === 'list' && gap <= size * 2.5) block.items.push(item);
+      else blocks.push({ type: 'list', items: [item] });
+    } else if (block?.type === 'list' && gap <= size * 1.8 && line.x > block.items[block.items.length - 1].x + line.size * 0.5) {
+      // Hanging indent: the wrapped rest of the last list item
+      const item = block.items[block.items.length - 1];
+      item.text = joinLines(item.text, line.text);
+    } else {
+      const previousEnded = previous && previous.right < line.columnLeft + line.columnWidth * 0.85 && /[.!?:]$/.test(previous.text);
+      const indented = previous && line.x > line.columnLeft + line.size && previous.x <= line.columnLeft + line.size * 0.5;
+      if (block?.type === 'paragraph' && gap <= size * 1.8 && !previousEnded && !indented) {
+        block.text = joinLines(block.text, line.text);
+      } else {
+        blocks.push({ type: 'paragraph', text: line.text });
+      }
+    }
+
+    previous = line;
+  });
+
+  // A single row of spaced-out text isn't a table
+  const structured = blocks.map(block => (
+    block.type === 'table' && block.rows.length < 2 ? { type: 'paragraph', text: block.rows[0].join(' ') } : block
+  ));
+
+  return { markdown: renderBlocks(structured), bodySize };
+};
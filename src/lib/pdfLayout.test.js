@@ -0,0 +1,83 @@
+// Tests for rebuilding markdown structure from PDF text positions
+
+const { layoutPageToMarkdown } = require('./pdfLayout');
+
+// pdf.js-style items for one line of text, one item per word
+const line = (text, x, y, size = 10) => {
+  let left = x;
+  return text.split(' ').map(word => {
+    const item = { str: word, dir: 'ltr', transform: [size, 0, 0, size, left, y], width: word.length * size * 0.5, height: size };
+    left += item.width + size * 0.25;
+    return item;
+  });
+};
+
+const lines = (rows, x, top, size = 10) => rows.flatMap((text, i) => line(text, x, top - i * size * 1.2, size));
+
+describe('PDF Layout', () => {
+  test('headings, paragraphs and lists are rebuilt from font sizes and positions', () => {
+    const items = [
+      ...line('Cell Biology', 50, 750, 20),
+      ...line('The Nucleus', 50, 715, 13),
+      ...lines([
+        'The nucleus stores the genetic material of the cell and controls its',
+        'activity through gene expres-',
+        'sion and division.'
+      ], 50, 690),
+      ...lines(['It is surrounded by a double membrane.'], 50, 650),
+      ...line('• Nuclear envelope', 60, 620),
+      ...line('◦ Nuclear pores', 75, 608),
+      ...line('• Nucleolus, where ribosome subunits are', 60, 596),
+      ...line('assembled', 70, 584),
+      ...line('1. Transcription', 60, 555),
+      ...line('2. Processing', 60, 543),
+      ...line('12', 300, 40)
+    ];
+
+    expect(layoutPageToMarkdown(items).markdown).toBe([
+      '# Cell Biology',
+      '## The Nucleus',
+      'The nucleus stores the genetic material of the cell and controls its activity through gene expression and division.',
+      'It is surrounded by a double membrane.',
+      '- Nuclear envelope\n  - Nuclear pores\n- Nucleolus, where ribosome subunits are assembled',
+      '1. Transcription\n2. Processing'
+    ].join('\n\n'));
+  });
+
+  test('rows of aligned cells become a table', () => {
+    const row = (cells, y) => cells.flatMap((text, i) => line(text, 50 + i * 150, y));
+    const items = [
+      ...line('Organelle functions', 50, 700),
+      ...row(['Organelle', 'Function', 'Found in'], 680),
+      ...row(['Ribosome', 'Protein synthesis', 'All cells'], 668),
+      ...row(['Chloroplast', 'Photosynthesis | light', 'Plants'], 656)
+    ];
+
+    expect(layoutPageToMarkdown(items).markdown).toBe([
+      'Organelle functions',
+      '| Organelle | Function | Found in |\n| --- | --- | --- |\n| Ribosome | Protein synthesis | All cells |\n| Chloroplast | Photosynthesis \\| light | Plants |'
+    ].join('\n\n'));
+  });
+
+  test('two-column pages are read column by column below a full-width title', () => {
+    const left = Array.from({ length: 6 }, (_, i) => `Left column line ${i + 1} about mitosis`);
+    const right = Array.from({ length: 6 }, (_, i) => `Right column line ${i + 1} on meiosis`);
+    const items = [
+      ...lines(right, 320, 700),
+      ...line('Cell Division Across Both Columns Of The Page', 50, 740, 16),
+      ...lines(left, 50, 700)
+    ];
+
+    const { markdown, bodySize } = layoutPageToMarkdown(items);
+    expect(markdown).toBe([
+      '# Cell Division Across Both Columns Of The Page',
+      left.join(' '),
+      right.join(' ')
+    ].join('\n\n'));
+    expect(bodySize).toBe(10);
+
+    // A short page keeps the body size of earlier pages, so its large text is still a heading
+    expect(layoutPageToMarkdown(line('Summary', 50, 700, 13), { bodySize: 10 }).markdown).toBe('## Summary');
+    expect(layoutPageToMarkdown([]).markdown).toBe('');
+  });
+});
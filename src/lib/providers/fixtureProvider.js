@@ -0,0 +1,118 @@
+/**
+ * Deterministic local fixture adapter for the LLM provider layer
+ * Returns canned but well-formed content for every generator task so the app
+ * and its tests can run fully offline. The same task and params always produce
+ * the same output.
+ */
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const buildQuestions = (subject, count, detailed) => Array.from({ length: count }, (_, index) => {
+  const options = [
+    `Core idea ${index + 1} of ${subject}`,
+    `Unrelated claim ${index + 1}a`,
+    `Unrelated claim ${index + 1}b`,
+    `Unrelated claim ${index + 1}c`
+  ];
+  const question = {
+    question: `Which statement describes ${subject}? (Question ${index + 1})`,
+    options,
+    correctAnswer: options[0]
+  };
+
+  if (!detailed) return question;
+
+  return {
+    ...question,
+    explanation: `The first option states a core idea of ${subject}.`,
+    whyWrongExplanation: 'The other options are not related to the topic.',
+    topicCategory: `${subject} Fundamentals`,
+    difficultyLevel: DIFFICULTIES[index % DIFFICULTIES.length]
+  };
+});
+
+const buildReport = (params = {}) => ({
+  remark: `Fixture report for ${params.contextType || 'the'} evaluation.`,
+  recommendations: ['Review the material once more', 'Practice with additional questions']
+});
+
+const buildContent = (subject, wordCount = 300) =>
+  `# ${subject}\n\nThis is offline fixture content about ${subject}, written to stand in for roughly ${wordCount} words of generated material.`;
+
+const FIXTURES = {
+  // gemini.js
+  prerequisites: ({ topic }) => [1, 2, 3, 4, 5].map(n => `Prerequisite ${n} for ${topic}`),
+  mcqQuestions: ({ topic }) => buildQuestions(topic, 5, true),
+  evaluationReport: buildReport,
+  subtopics: ({ topic }) => [1, 2, 3, 4].map(n => `Subtopic ${n} of ${topic}`),
+  subtopicContent: ({ subtopic }) => buildContent(subtopic),
+  rephrase: ({ content }) => content,
+  cardRework: ({ question, answer, strategy }) => (strategy === 'split'
+    ? [
+      { question: `${question} (part 1)`, answer },
+      { question: `${question} (part 2)`, answer: `Fixture follow-up to: ${answer}` }
+    ]
+    : [{ question, answer: `${answer}\nMnemonic: Fixture memory hook.` }]),
+  answer: ({ question }) => `Fixture answer to: ${question}`,
+  conversation: ({ message }) => `Fixture response to: ${message}`,
+  conversationSummary: ({ previousSummary, messages = [] }) =>
+    `${previousSummary ? `${previousSummary} ` : ''}Fixture summary of ${messages.length} more messages.`,
+  topicDetection: () => ({
+    topic: 'Fixture Topic',
+    description: 'Offline fixture description of the uploaded content.',
+    subtopics: ['Fixture Subtopic 1', 'Fixture Subtopic 2', 'Fixture Subtopic 3'],
+    level: 'undergraduate',
+    approach: 'mixed'
+  }),
+  flashcards: ({ topic }) => Array.from({ length: 10 }, (_, index) => ({
+    question: `What is key idea ${index + 1} of ${topic}?`,
+    answer: `Key idea ${index + 1} of ${topic} is a fixture answer used when running offline.`
+  })),
+
+  // learningFramework.js
+  coreConcepts: ({ topic, count = 5 }) => Array.from({ length: count }, (_, index) => `Core Concept ${index + 1} of ${topic}`),
+  conceptMCQQuestions: ({ concept, questionCount = 5 }) => buildQuestions(concept, questionCount, false),
+  conceptEvaluationReport: buildReport,
+  conceptSubtopics: ({ concept, count = 5 }) => Array.from({ length: count }, (_, index) => `Subtopic ${index + 1} of ${concept}`),
+  conceptSubtopicContent: ({ subtopic, wordCount }) => buildContent(subtopic, wordCount),
+  advancedConcepts: ({ topic, count = 5 }) => Array.from({ length: count }, (_, index) => `Advanced Concept ${index + 1} of ${topic}`),
+  sessionReport: ({ topic }) => ({
+    overallSummary: `Fixture summary for your session on "${topic}".`,
+    strengths: ['Consistent practice'],
+    areasForImprovement: ['Review missed questions'],
+    recommendations: ['Keep studying regularly'],
+    motivationalMessage: 'Great work!'
+  })
+};
+
+/**
+ * Create the fixture provider
+ * @param {Object} config - Provider configuration
+ * @param {Object} config.fixtures - Extra or overriding fixture builders keyed by task
+ * @returns {Object} Provider implementing generateText
+ */
+export const createFixtureProvider = ({ fixtures = {} } = {}) => {
+  const builders = { ...FIXTURES, ...fixtures };
+
+  return {
+    name: 'fixture',
+    model: 'fixture',
+
+    /**
+     * Produce the fixture output for a task
+     * @param {Object} request - Generation request
+     * @param {string} request.task - Generator task name
+     * @param {Object} request.params - Generator parameters
+     * @returns {Promise<string>} Fixture text, JSON-encoded for structured tasks
+     */
+    generateText: async ({ task, params } = {}) => {
+      const build = builders[task];
+      if (!build) {
+        throw new Error(`No fixture registered for task: ${task}`);
+      }
+
+      const output = build(params || {});
+      return typeof output === 'string' ? output : JSON.stringify(output);
+    }
+  };
+};
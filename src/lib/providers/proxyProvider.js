@@ -0,0 +1,66 @@
+/**
+ * Study Genie API proxy adapter for the LLM provider layer
+ * Sends each generator call to the server (server/routes/ai.js), which holds the
+ * provider key, checks the caller's Supabase session and enforces quotas.
+ */
+
+/**
+ * Read the current Supabase access token (loaded lazily to keep tests offline)
+ * @returns {Promise<string|null>} Access token
+ */
+const getSupabaseAccessToken = async () => {
+  const { supabase } = await import('../supabase');
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.access_token || null;
+};
+
+/**
+ * Create the proxy provider
+ * @param {Object} config - Provider configuration
+ * @param {string} config.baseUrl - API server URL (e.g. "http://localhost:3001")
+ * @param {Function} config.getAccessToken - Returns the bearer token for the current user
+ * @returns {Object} Provider implementing generateText
+ */
+export const createProxyProvider = ({ baseUrl = 'http://localhost:3001', getAccessToken = getSupabaseAccessToken } = {}) => ({
+  name: 'proxy',
+  model: 'server',
+
+  /**
+   * Generate a completion through the proxy
+   * @param {Object} request - Generation request
+   * @param {string} request.task - Generator task name (selects the endpoint)
+   * @param {Object} request.params - Generator parameters the server builds the prompt from
+   * @param {Object} request.repair - { previousText, issues } when re-asking for invalid JSON
+   * @param {AbortSignal} request.signal - Aborts the request
+   * @returns {Promise<string>} Raw response text
+   */
+  generateText: async ({ task, params, repair, signal } = {}) => {
+    const token = await getAccessToken();
+    const response = await fetch(`${baseUrl.replace(/\/$/, '')}/api/ai/${encodeURIComponent(task)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ params, repair }),
+      signal
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+      error.status = response.status;
+      error.code = data.code;
+      // Quota exhaustion won't clear up within a retry window
+      error.retryable = data.code !== 'quota_exceeded';
+      const retryAfter = Number(response.headers.get('Retry-After'));
+      if (retryAfter > 0) {
+        error.retryAfterMs = retryAfter * 1000;
+      }
+      throw error;
+    }
+
+    return data.text;
+  }
+});
@@ -0,0 +1,469 @@
+/**
+ * Retrieval Index - chunked, searchable index over uploaded documents
+ * Documents are split into overlapping chunks when they are uploaded
+ * (fileProcessor.processFile) and stored in the document_chunks table
+ * (sessionStorage when the table is missing). Questions are answered from the
+ * top-k chunks ranked with BM25, optionally blended with embedding similarity,
+ * so TheGenie never has to receive a whole library at once.
+ *
+ * Configuration (environment variables):
+ * - REACT_APP_RETRIEVAL_EMBEDDINGS: set to 'true' to embed chunks through the
+ *   TheGenie backend (/api/thegenie/embed) and rank with BM25 + cosine similarity
+ * - REACT_APP_THEGENIE_API_URL: backend base URL (default: http://localhost:3001)
+ */
+
+import { selectAllRows, selectAllRowsIn } from './pagedQuery';
+
+const CHUNKS_TABLE = 'document_chunks';
+const SESSION_KEY = 'document_chunks';
+const DEFAULT_CHUNK_SIZE = 1200;
+const DEFAULT_OVERLAP = 200;
+const DEFAULT_TOP_K = 6;
+const EMBED_BATCH_SIZE = 100;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one',
+  'our', 'out', 'has', 'his', 'how', 'its', 'who', 'did', 'get', 'him', 'she', 'too', 'use', 'that',
+  'with', 'have', 'this', 'will', 'your', 'from', 'they', 'been', 'were', 'what', 'when', 'which',
+  'their', 'there', 'about', 'would', 'these', 'other', 'into', 'more', 'some', 'than', 'then',
+  'them', 'also', 'does', 'each', 'such', 'only', 'over', 'very', 'just', 'like', 'explain', 'tell'
+]);
+
+const PAGE_MARKER = /^-{3} Page (\d+)(?: \(OCR\))? -{3}$/;
+const HEADING = /^(#{1,6})\s+(.+)$/;
+
+const chunkCache = new Map();
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms (stopwords and single characters removed)
+ */
+export const tokenize = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(term => term.length > 1 && !STOPWORDS.has(term));
+
+/**
+ * Split a processed document into overlapping chunks
+ * Page markers written by fileProcessor ("--- Page 3 ---") and markdown
+ * headings are tracked so every chunk knows where it came from.
+ * @param {string} markdown - Document markdown
+ * @param {Object} options - Chunking options
+ * @param {number} options.chunkSize - Target characters per chunk (default: 1200)
+ * @param {number} options.overlap - Characters repeated from the previous chunk (default: 200)
+ * @returns {Array<Object>} Chunks { chunkIndex, page, section, content }
+ */
+export const chunkDocument = (markdown, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_OVERLAP } = {}) => {
+  const chunks = [];
+  let page = null;
+  let section = null;
+  // `fresh` counts paragraphs not yet emitted in an earlier chunk
+  let current = { page: null, section: null, parts: [], length: 0, fresh: 0 };
+
+  const flush = () => {
+    chunks.push({
+      chunkIndex: chunks.length,
+      page: current.page,
+      section: current.section,
+      content: current.parts.join('\n\n')
+    });
+
+    // Carry the tail of this chunk forward so ideas spanning a boundary stay searchable
+    const tail = [];
+    let tailLength = 0;
+    for (let i = current.parts.length - 1; i >= 0 && tailLength + current.parts[i].length <= overlap; i--) {
+      tail.unshift(current.parts[i]);
+      tailLength += current.parts[i].length;
+    }
+    current = { page: null, section: null, parts: tail, length: tailLength, fresh: 0 };
+  };
+
+  const addParagraph = (paragraph) => {
+    if (current.fresh > 0 && current.length + paragraph.length > chunkSize) {
+      flush();
+    }
+    if (current.fresh === 0) {
+      current.page = page;
+      current.section = section;
+    }
+    current.parts.push(paragraph);
+    current.length += paragraph.length;
+    current.fresh++;
+  };
+
+  const splitLongParagraph = (paragraph) => {
+    if (paragraph.length <= chunkSize) return [paragraph];
+    return paragraph.match(new RegExp(`[\\s\\S]{1,${chunkSize}}(?=\\s|$)|[\\s\\S]{1,${chunkSize}}`, 'g'))
+      .map(piece => piece.trim())
+      .filter(Boolean);
+  };
+
+  let paragraph = [];
+  const endParagraph = () => {
+    const text = paragraph.join('\n').trim();
+    paragraph = [];
+    if (text && text !== '---') splitLongParagraph(text).forEach(addParagraph);
+  };
+
+  String(markdown).split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    const pageMatch = trimmed.match(PAGE_MARKER);
+    const headingMatch = trimmed.match(HEADING);
+
+    if (pageMatch) {
+      endParagraph();
+      page = Number(pageMatch[1]);
+    } else if (headingMatch) {
+      endParagraph();
+      section = headingMatch[2].trim();
+    } else if (trimmed === '') {
+      endParagraph();
+    } else {
+      paragraph.push(line);
+    }
+  });
+  endParagraph();
+
+  if (current.fresh > 0) flush();
+  return chunks;
+};
+
+/**
+ * Build a BM25 index over chunks
+ * @param {Array<Object>} chunks - Chunks with a content field
+ * @returns {Object} Index { documents, documentFrequency, averageLength }
+ */
+export const buildBM25Index = (chunks) => {
+  const documentFrequency = new Map();
+  const documents = chunks.map(chunk => {
+    const terms = tokenize(`${chunk.section || ''} ${chunk.content}`);
+    const termFrequency = new Map();
+    terms.forEach(term => termFrequency.set(term, (termFrequency.get(term) || 0) + 1));
+    termFrequency.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    return { termFrequency, length: terms.length };
+  });
+
+  const totalLength = documents.reduce((sum, document) => sum + document.length, 0);
+  return {
+    documents,
+    documentFrequency,
+    averageLength: documents.length > 0 ? totalLength / documents.length : 0
+  };
+};
+
+/**
+ * BM25 score of every indexed chunk for a query
+ * @param {Object} index - Index from buildBM25Index
+ * @param {string} query - Search query
+ * @returns {Array<number>} Scores in chunk order
+ */
+export const scoreBM25 = (index, query) => {
+  const terms = [...new Set(tokenize(query))];
+  const count = index.documents.length;
+
+  return index.documents.map(({ termFrequency, length }) => terms.reduce((score, term) => {
+    const frequency = termFrequency.get(term);
+    if (!frequency) return score;
+    const documentFrequency = index.documentFrequency.get(term);
+    const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    const norm = frequency + K1 * (1 - B + B * (length / (index.averageLength || 1)));
+    return score + idf * (frequency * (K1 + 1)) / norm;
+  }, 0));
+};
+
+const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) return null;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Rank chunks for a query
+ * BM25 scores are normalized to 0-1; when a query vector is given, chunks with
+ * a matching embedding are ranked by the average of BM25 and cosine similarity.
+ * @param {string} query - Search query
+ * @param {Array<Object>} chunks - Candidate chunks
+ * @param {Object} options - Ranking options
+ * @param {number} options.topK - Number of chunks to return (default: 6)
+ * @param {Array<number>} options.queryVector - Query embedding (optional)
+ * @returns {Array<Object>} Top chunks with a score, best first
+ */
+export const rankChunks = (query, chunks, { topK = DEFAULT_TOP_K, queryVector = null } = {}) => {
+  if (chunks.length === 0) return [];
+
+  const bm25 = scoreBM25(buildBM25Index(chunks), query);
+  const maxScore = Math.max(...bm25);
+
+  return chunks
+    .map((chunk, index) => {
+      const lexical = maxScore > 0 ? bm25[index] / maxScore : 0;
+      const semantic = queryVector ? cosineSimilarity(queryVector, chunk.embedding) : null;
+      return { ...chunk, score: semantic === null ? lexical : (lexical + Math.max(semantic, 0)) / 2 };
+    })
+    .filter(chunk => chunk.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+};
+
+// Optional embeddings through TheGenie backend
+
+const embeddingsEnabled = () => process.env.REACT_APP_RETRIEVAL_EMBEDDINGS === 'true';
+
+const getSupabase = async () => (await import('./supabase')).supabase;
+
+const embedTexts = async (texts) => {
+  const supabase = await getSupabase();
+  const { data: { session } } = await supabase.auth.getSession();
+  const apiUrl = process.env.REACT_APP_THEGENIE_API_URL || 'http://localhost:3001';
+  const vectors = [];
+  let model = null;
+
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const response = await fetch(`${apiUrl}/api/thegenie/embed`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {})
+      },
+      body: JSON.stringify({ texts: texts.slice(i, i + EMBED_BATCH_SIZE) })
+    });
+    if (!response.ok) {
+      throw new Error(`Embedding request failed: ${response.status}`);
+    }
+    const result = await response.json();
+    vectors.push(...result.vectors);
+    model = result.model;
+  }
+
+  return { vectors, model };
+};
+
+// Storage (document_chunks table, sessionStorage fallback)
+
+const readSessionChunks = () => JSON.parse(sessionStorage.getItem(SESSION_KEY) || '[]');
+
+const writeSessionChunks = (rows) => {
+  try {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(rows));
+  } catch (error) {
+    console.warn('Document index is too large for session storage:', error);
+  }
+};
+
+const toChunk = (row) => ({
+  documentId: row.document_id,
+  fileName: row.file_name,
+  storagePath: row.storage_path,
+  chunkIndex: row.chunk_index,
+  page: row.page,
+  section: row.section,
+  content: row.content,
+  embedding: row.embedding || null,
+  embeddingModel: row.embedding_model || null
+});
+
+const loadUserChunks = async (userId) => {
+  if (chunkCache.has(userId)) return chunkCache.get(userId);
+
+  const supabase = await getSupabase();
+  const columns = 'document_id, file_name, storage_path, chunk_index, page, section, content' +
+    (embeddingsEnabled() ? ', embedding, embedding_model' : '');
+  let rows;
+  try {
+    rows = await selectAllRows(() => supabase
+      .from(CHUNKS_TABLE)
+      .select(columns)
+      .eq('user_id', userId)
+      .order('chunk_index', { ascending: true })
+      .order('id', { ascending: true }));
+  } catch (error) {
+    console.warn('document_chunks unavailable, using session index:', error.message);
+    rows = readSessionChunks().filter(row => row.user_id === userId);
+  }
+
+  const chunks = rows.map(toChunk);
+  chunkCache.set(userId, chunks);
+  return chunks;
+};
+
+/**
+ * Chunk a processed document and add it to the user's index
+ * Re-indexing the same storage path replaces its previous chunks.
+ * @param {Object} document - Document to index
+ * @param {string} document.userId - Owner
+ * @param {string} document.documentId - user_documents ID (optional)
+ * @param {string} document.fileName - Original file name
+ * @param {string} document.storagePath - Markdown path in the documents bucket
+ * @param {string} document.markdown - Document markdown
+ * @returns {Promise<Object>} { success, chunkCount, error }
+ */
+export const indexDocument = async ({ userId, documentId = null, fileName, storagePath, markdown }) => {
+  try {
+    const chunks = chunkDocument(markdown);
+    let vectors = [];
+    let embeddingModel = null;
+
+    if (embeddingsEnabled() && chunks.length > 0) {
+      try {
+        ({ vectors, model: embeddingModel } = await embedTexts(chunks.map(chunk => chunk.content)));
+      } catch (error) {
+        console.warn('Indexing without embeddings:', error);
+      }
+    }
+
+    const rows = chunks.map((chunk, index) => ({
+      user_id: userId,
+      document_id: documentId,
+      file_name: fileName,
+      storage_path: storagePath,
+      chunk_index: chunk.chunkIndex,
+      page: chunk.page,
+      section: chunk.section,
+      content: chunk.content,
+      token_count: tokenize(chunk.content).length,
+      ...(vectors[index] ? { embedding: vectors[index], embedding_model: embeddingModel } : {})
+    }));
+
+    const supabase = await getSupabase();
+    const { error: deleteError } = await supabase
+      .from(CHUNKS_TABLE)
+      .delete()
+      .eq('user_id', userId)
+      .eq('storage_path', storagePath);
+
+    const { error } = deleteError
+      ? { error: deleteError }
+      : await supabase.from(CHUNKS_TABLE).insert(rows);
+
+    if (error) {
+      console.warn('Storing document chunks in session:', error.message);
+      writeSessionChunks([
+        ...readSessionChunks().filter(row => !(row.user_id === userId && row.storage_path === storagePath)),
+        ...rows
+      ]);
+    }
+
+    chunkCache.delete(userId);
+    return { success: true, chunkCount: rows.length };
+  } catch (error) {
+    console.error('Error indexing document:', error);
+    return { success: false, error: error.message, chunkCount: 0 };
+  }
+};
+
+/**
+ * Index documents uploaded before the retrieval index existed
+ * @param {string} userId - Owner
+ * @param {Array<string>} fileNames - Markdown file names in the user's documents folder
+ * @returns {Promise<number>} Number of documents indexed
+ */
+export const indexMissingDocuments = async (userId, fileNames) => {
+  const supabase = await getSupabase();
+  const storagePaths = fileNames.map(name => `${userId}/${name}`);
+
+  let indexedPaths;
+  try {
+    // Every indexed document has a first chunk, so this reads one row per document
+    const rows = await selectAllRowsIn(storagePaths, batch => supabase
+      .from(CHUNKS_TABLE)
+      .select('storage_path')
+      .eq('user_id', userId)
+      .eq('chunk_index', 0)
+      .in('storage_path', batch)
+      .order('id', { ascending: true }));
+    indexedPaths = new Set(rows.map(row => row.storage_path));
+  } catch (error) {
+    indexedPaths = new Set(readSessionChunks().filter(row => row.user_id === userId).map(row => row.storage_path));
+  }
+
+  const missing = fileNames.filter(name => !indexedPaths.has(`${userId}/${name}`));
+  if (missing.length === 0) return 0;
+
+  let indexed = 0;
+
+  for (const name of missing) {
+    try {
+      const { data, error } = await supabase.storage.from('documents').download(`${userId}/${name}`);
+      if (error) throw error;
+      const result = await indexDocument({
+        userId,
+        fileName: name.replace(/^\d+_/, '').replace(/\.md$/, ''),
+        storagePath: `${userId}/${name}`,
+        markdown: await data.text()
+      });
+      if (result.success) indexed++;
+    } catch (error) {
+      console.error(`Error indexing document ${name}:`, error);
+    }
+  }
+  return indexed;
+};
+
+/**
+ * Find the chunks most relevant to a question
+ * @param {string} userId - Owner
+ * @param {string} question - User question
+ * @param {Object} options - Retrieval options
+ * @param {number} options.topK - Number of chunks to return (default: 6)
+ * @param {Array<Object>} options.extraChunks - Additional candidates (e.g. flashcards)
+ * @returns {Promise<Object>} { success, chunks, error }
+ */
+export const retrieveRelevantChunks = async (userId, question, { topK = DEFAULT_TOP_K, extraChunks = [] } = {}) => {
+  try {
+    const candidates = [...await loadUserChunks(userId), ...extraChunks];
+
+    let queryVector = null;
+    if (embeddingsEnabled() && candidates.some(chunk => chunk.embedding)) {
+      try {
+        ({ vectors: [queryVector] } = await embedTexts([question]));
+      } catch (error) {
+        console.warn('Ranking without embeddings:', error);
+      }
+    }
+
+    return { success: true, chunks: rankChunks(question, candidates, { topK, queryVector }) };
+  } catch (error) {
+    console.error('Error retrieving relevant chunks:', error);
+    return { success: false, error: error.message, chunks: [] };
+  }
+};
+
+/**
+ * Format retrieved chunks as markdown, grouped by source file with page markers
+ * @param {Array<Object>} chunks - Chunks from retrieveRelevantChunks
+ * @returns {string} Markdown excerpts
+ */
+export const formatChunksAsContext = (chunks) => {
+  const bySource = new Map();
+  chunks.forEach(chunk => {
+    const source = chunk.fileName || 'Document';
+    if (!bySource.has(source)) bySource.set(source, []);
+    bySource.get(source).push(chunk);
+  });
+
+  return [...bySource.entries()].map(([source, sourceChunks]) => {
+    const excerpts = sourceChunks
+      .sort((a, b) => (a.page || 0) - (b.page || 0) || a.chunkIndex - b.chunkIndex)
+      .map(chunk => `${chunk.page ? `--- Page ${chunk.page} ---\n` : ''}${chunk.content}`);
+    return `### ${source}\n${excerpts.join('\n\n')}\n`;
+  }).join('\n');
+};
+
+/**
+ * Drop cached chunks so the next retrieval reloads the index
+ * @param {string} userId - Owner (all users when omitted)
+ */
+export const clearRetrievalCache = (userId) => {
+  if (userId) chunkCache.delete(userId);
+  else chunkCache.clear();
+};
@@ -0,0 +1,138 @@
+// Tests for document chunking and BM25 ranking in the retrieval index
+// Stored chunks are read from a Supabase stub that caps responses at 1000 rows
+
+jest.mock('./supabase', () => ({
+  supabase: { from: jest.fn(), storage: { from: jest.fn() } }
+}));
+
+const { supabase } = require('./supabase');
+const {
+  chunkDocument,
+  rankChunks,
+  formatChunksAsContext,
+  retrieveRelevantChunks,
+  indexMissingDocuments,
+  clearRetrievalCache
+} = require('./retrievalIndex');
+
+const document = `# Extracted Content: biology.pdf
+
+## Content
+
+--- Page 1 ---
+Cells are the basic unit of life. Every organism is made of one or more cells.
+
+Mitochondria produce ATP through cellular respiration.
+
+--- Page 2 ---
+## Photosynthesis
+Photosynthesis happens in chloroplasts, converting light energy into glucose.
+
+Chlorophyll absorbs red and blue light and reflects green light.`;
+
+describe('Retrieval Index', () => {
+  test('chunkDocument keeps page and section references and overlaps chunks', () => {
+    const chunks = chunkDocument(document, { chunkSize: 160, overlap: 80 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks[0]).toMatchObject({ chunkIndex: 0, page: 1, section: 'Content' });
+
+    const photosynthesis = chunks.find(chunk => chunk.content.startsWith('Photosynthesis'));
+    expect(photosynthesis).toMatchObject({ page: 2, section: 'Photosynthesis' });
+
+    // The previous chunk's short tail is repeated at the start of the next one
+    const mitochondria = chunks.filter(chunk => chunk.content.includes('Mitochondria'));
+    expect(mitochondria.length).toBe(2);
+  });
+
+  test('rankChunks returns the top-k chunks for a question, best first', () => {
+    const chunks = chunkDocument(document, { chunkSize: 120, overlap: 0 })
+      .map(chunk => ({ ...chunk, fileName: 'biology.pdf' }));
+
+    const ranked = rankChunks('Where does photosynthesis happen?', chunks, { topK: 2 });
+    expect(ranked[0].content).toContain('Photosynthesis happens in chloroplasts');
+    expect(ranked[0].score).toBe(1);
+    expect(ranked.length).toBeLessThanOrEqual(2);
+
+    expect(rankChunks('quantum chromodynamics', chunks)).toEqual([]);
+  });
+
+  test('formatChunksAsContext groups excerpts by file with page markers', () => {
+    const markdown = formatChunksAsContext([
+      { fileName: 'biology.pdf', page: 2, chunkIndex: 3, content: 'Second page text' },
+      { fileName: 'notes.png', page: null, chunkIndex: 0, content: 'Image notes' },
+      { fileName: 'biology.pdf', page: 1, chunkIndex: 0, content: 'First page text' }
+    ]);
+
+    expect(markdown).toBe(
+      '### biology.pdf\n--- Page 1 ---\nFirst page text\n\n--- Page 2 ---\nSecond page text\n\n' +
+      '### notes.png\nImage notes\n'
+    );
+  });
+
+  describe('stored chunks', () => {
+    // 1500 chunks across 300 documents; the chunk that answers the question comes last
+    const rows = Array.from({ length: 1500 }, (_, i) => ({
+      id: i,
+      user_id: 'u1',
+      file_name: `notes-${Math.floor(i / 5)}`,
+      storage_path: `u1/${Math.floor(i / 5)}_notes.md`,
+      chunk_index: i % 5,
+      content: i === 1499 ? 'Ribosomes translate messenger RNA into proteins.' : `Filler chunk ${i} about revision.`
+    }));
+    let selects;
+
+    beforeEach(() => {
+      selects = [];
+      supabase.from.mockImplementation(() => {
+        const filters = [];
+        const select = { columns: null, filters };
+        selects.push(select);
+        const builder = {
+          select: (columns) => {
+            select.columns = columns;
+            return builder;
+          },
+          eq: (column, value) => {
+            filters.push(row => row[column] === value);
+            return builder;
+          },
+          in: (column, values) => {
+            filters.push(row => values.includes(row[column]));
+            return builder;
+          },
+          order: () => builder,
+          range: async (from, to) => {
+            const matching = rows.filter(row => filters.every(filter => filter(row)));
+            return { data: matching.slice(from, Math.min(to + 1, from + 1000)), error: null };
+          }
+        };
+        return builder;
+      });
+      supabase.storage.from.mockReturnValue({ download: jest.fn().mockResolvedValue({ data: null, error: new Error('not found') }) });
+    });
+
+    afterEach(() => {
+      clearRetrievalCache();
+      jest.restoreAllMocks();
+    });
+
+    test('chunks beyond the first thousand are ranked', async () => {
+      const result = await retrieveRelevantChunks('u1', 'What do ribosomes translate?', { topK: 1 });
+
+      expect(result.chunks[0].content).toContain('Ribosomes');
+    });
+
+    test('documents are only re-indexed when none of their chunks are stored', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const fileNames = [...Array.from({ length: 300 }, (_, i) => `${i}_notes.md`), '300_new.md'];
+
+      await indexMissingDocuments('u1', fileNames);
+
+      expect(supabase.storage.from().download).toHaveBeenCalledTimes(1);
+      expect(supabase.storage.from().download).toHaveBeenCalledWith('u1/300_new.md');
+      expect(selects.every(select => select.columns === 'storage_path')).toBe(true);
+    });
+  });
+});
+
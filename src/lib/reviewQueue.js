@@ -0,0 +1,111 @@
+/**
+ * Review Queue - assembles a daily review session from flashcards across sessions
+ * Due cards come first, then "weak" cards (forgotten before or low ease) for
+ * extra practice. Cards touching topics the user struggles with
+ * (topic_struggles) are pulled forward, and the final queue is interleaved by
+ * topic so one session's cards don't come in a block.
+ */
+
+import { isDue, DEFAULT_EASE } from './spacedRepetition';
+
+export const DAILY_REVIEW_LIMIT = 50;
+const WEAK_EASE = 2.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a card has been hard for the user (forgotten at least once or lost ease)
+ * @param {Object} card - session_flashcards row
+ * @returns {boolean} True for weak cards
+ */
+export const isWeakCard = (card) =>
+  (card.lapses || 0) > 0 || (Number(card.ease_factor) || DEFAULT_EASE) < WEAK_EASE;
+
+/**
+ * Find the struggle topic a card belongs to, if any
+ * A struggle matches when its name appears in the card's session topic or
+ * question (or the other way round for short session topics).
+ * @param {Object} card - Card with topic and question
+ * @param {Array<Object>} struggles - topic_struggles rows
+ * @returns {Object|null} Best matching struggle with its rate (0-1)
+ */
+export const matchStruggle = (card, struggles) => {
+  const topic = (card.topic || '').toLowerCase();
+  const text = `${topic} ${(card.question || '').toLowerCase()}`;
+
+  return struggles.reduce((best, struggle) => {
+    const name = (struggle.topic_name || '').toLowerCase().trim();
+    if (!name || name === 'general') return best;
+    if (!text.includes(name) && !(topic && name.includes(topic))) return best;
+
+    const rate = (struggle.struggle_count || 0) / Math.max(struggle.total_attempts || 1, 1);
+    return !best || rate > best.rate ? { topicName: struggle.topic_name, rate } : best;
+  }, null);
+};
+
+/**
+ * Priority of a card in the review queue (higher first)
+ * @param {Object} card - session_flashcards row with topic
+ * @param {Object|null} struggle - Result of matchStruggle
+ * @param {Date} now - Reference time
+ * @returns {number} Priority score
+ */
+const cardPriority = (card, struggle, now) => {
+  const due = isDue({ dueAt: card.due_at }, now);
+  const overdueDays = due ? (now.getTime() - new Date(card.due_at).getTime()) / DAY_MS : 0;
+
+  return (due ? 3 : 0)
+    + (struggle ? 1 + struggle.rate : 0)
+    + Math.min(card.lapses || 0, 5) * 0.2
+    + Math.min(overdueDays, 20) * 0.05;
+};
+
+/**
+ * Round-robin cards by topic, keeping each topic's internal order
+ * @param {Array<Object>} cards - Cards in priority order
+ * @returns {Array<Object>} Interleaved cards
+ */
+export const interleaveByTopic = (cards) => {
+  const groups = new Map();
+  cards.forEach(card => {
+    const key = card.topic || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(card);
+  });
+
+  const queues = [...groups.values()];
+  const mixed = [];
+  while (mixed.length < cards.length) {
+    queues.forEach(queue => {
+      if (queue.length > 0) mixed.push(queue.shift());
+    });
+  }
+  return mixed;
+};
+
+/**
+ * Build the review queue
+ * @param {Array<Object>} cards - Candidate cards (due and weak), duplicates allowed
+ * @param {Object} options - Queue options
+ * @param {Array<Object>} options.struggles - topic_struggles rows
+ * @param {number} options.limit - Cards left in today's limit
+ * @param {Date} options.now - Reference time
+ * @returns {Array<Object>} Cards annotated with reason ('due' | 'weak') and struggleTopic
+ */
+export const buildReviewQueue = (cards, { struggles = [], limit = DAILY_REVIEW_LIMIT, now = new Date() } = {}) => {
+  const unique = [...new Map(cards.map(card => [card.id, card])).values()];
+
+  const ranked = unique
+    .filter(card => isDue({ dueAt: card.due_at }, now) || isWeakCard(card))
+    .map(card => {
+      const struggle = matchStruggle(card, struggles);
+      return {
+        ...card,
+        reason: isDue({ dueAt: card.due_at }, now) ? 'due' : 'weak',
+        struggleTopic: struggle?.topicName || null,
+        priority: cardPriority(card, struggle, now)
+      };
+    })
+    .sort((a, b) => b.priority - a.priority);
+
+  return interleaveByTopic(ranked.slice(0, Math.max(limit, 0)));
+};
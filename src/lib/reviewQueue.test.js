@@ -0,0 +1,47 @@
+// Tests for assembling the daily review queue
+
+const { buildReviewQueue, interleaveByTopic, matchStruggle } = require('./reviewQueue');
+
+const now = new Date('2025-03-10T09:00:00Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+const inDays = (days) => new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+
+const cards = [
+  { id: 'a1', topic: 'Algebra', question: 'What is a polynomial?', due_at: daysAgo(1), lapses: 0, ease_factor: 2.5 },
+  { id: 'a2', topic: 'Algebra', question: 'Define a quadratic equation', due_at: daysAgo(2), lapses: 0, ease_factor: 2.5 },
+  { id: 'b1', topic: 'Biology', question: 'What does the mitochondria do?', due_at: daysAgo(1), lapses: 0, ease_factor: 2.5 },
+  { id: 'b2', topic: 'Biology', question: 'What is osmosis?', due_at: inDays(5), lapses: 2, ease_factor: 1.9 },
+  { id: 'c1', topic: 'Chemistry', question: 'What is a mole?', due_at: inDays(3), lapses: 0, ease_factor: 2.5 }
+];
+
+describe('Review Queue', () => {
+  test('includes due and weak cards but not cards that are merely scheduled', () => {
+    const queue = buildReviewQueue(cards, { now });
+    const ids = queue.map(card => card.id);
+
+    expect(ids).toHaveLength(4);
+    expect(ids).not.toContain('c1');
+    expect(queue.find(card => card.id === 'b2').reason).toBe('weak');
+  });
+
+  test('struggle topics are pulled forward and the limit applies', () => {
+    const struggles = [
+      { topic_name: 'Polynomial', struggle_count: 1, total_attempts: 4 },
+      { topic_name: 'mitochondria', struggle_count: 3, total_attempts: 3 }
+    ];
+    expect(matchStruggle(cards[0], struggles)).toEqual({ topicName: 'Polynomial', rate: 0.25 });
+
+    // a2 is the most overdue, but a1 and b1 touch struggle topics
+    const queue = buildReviewQueue(cards, { struggles, limit: 2, now });
+
+    expect(queue.map(card => card.id).sort()).toEqual(['a1', 'b1']);
+    expect(queue.find(card => card.id === 'b1').struggleTopic).toBe('mitochondria');
+  });
+
+  test('interleaveByTopic mixes topics round-robin', () => {
+    const mixed = interleaveByTopic([
+      { id: 1, topic: 'A' }, { id: 2, topic: 'A' }, { id: 3, topic: 'A' }, { id: 4, topic: 'B' }
+    ]);
+    expect(mixed.map(card => card.id)).toEqual([1, 4, 2, 3]);
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Session Archive - versioned JSON backups of learning sessions
+ * An archive holds sessions with their flashcards and questions, plus the
+ * user's topic struggles. Rows keep their original ID as a "key" so links
+ * between them (reworked cards and their leech) survive a restore, where every
+ * row gets a new ID under the importing user.
+ */
+
+export const ARCHIVE_FORMAT = 'study-genie-archive';
+export const ARCHIVE_VERSION = 1;
+
+const SESSION_TYPES = ['fast', 'depth', 'review'];
+const SESSION_STATUSES = ['in_progress', 'completed', 'abandoned'];
+const MAX_ERRORS = 20;
+
+export const SESSION_FIELDS = [
+  'session_type', 'topic', 'status', 'flashcards', 'mcq_questions', 'evaluation_results',
+  'total_flashcards', 'studied_flashcards', 'total_questions', 'correct_answers', 'final_score',
+  'created_at', 'updated_at', 'completed_at',
+  'prerequisites', 'prerequisite_results', 'core_concepts', 'advanced_concepts'
+];
+
+export const FLASHCARD_FIELDS = [
+  'flashcard_index', 'question', 'answer', 'is_studied', 'study_time', 'created_at',
+  'ease_factor', 'interval_days', 'repetitions', 'lapses', 'due_at', 'last_reviewed_at',
+  'leech_status', 'leech_status_at', 'rework_strategy', 'tags', 'is_manual', 'edited_at'
+];
+
+export const QUESTION_FIELDS = [
+  'question_index', 'question', 'options', 'correct_answer', 'user_answer', 'is_correct', 'answered_at',
+  'created_at', 'topic_category', 'difficulty_level', 'explanation', 'why_wrong_explanation',
+  'leech_status', 'leech_status_at'
+];
+
+export const STRUGGLE_FIELDS = ['topic_name', 'struggle_count', 'total_attempts', 'last_struggled_at', 'created_at'];
+
+// Copy the listed fields that the row actually has
+const pick = (record, fields) => fields.reduce((picked, field) => (
+  record[field] === undefined ? picked : { ...picked, [field]: record[field] }
+), {});
+
+/**
+ * Build an archive from database rows
+ * @param {Object} data - { sessions, flashcards, questions, struggles } rows
+ * @param {Date} exportedAt - Export time
+ * @returns {Object} Archive
+ */
+export const buildArchive = ({ sessions, flashcards = [], questions = [], struggles = [] }, exportedAt = new Date()) => ({
+  format: ARCHIVE_FORMAT,
+  version: ARCHIVE_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  sessions: sessions.map(session => ({
+    key: session.id,
+    ...pick(session, SESSION_FIELDS),
+    flashcards: flashcards
+      .filter(card => card.session_id === session.id)
+      .sort((a, b) => a.flashcard_index - b.flashcard_index)
+      .map(card => ({
+        key: card.id,
+        parentKey: card.parent_flashcard_id || null,
+        sourceQuestionKey: card.source_question_id || null,
+        ...pick(card, FLASHCARD_FIELDS)
+      })),
+    questions: questions
+      .filter(question => question.session_id === session.id)
+      .sort((a, b) => a.question_index - b.question_index)
+      .map(question => ({ key: question.id, ...pick(question, QUESTION_FIELDS) }))
+  })),
+  topicStruggles: struggles.map(struggle => pick(struggle, STRUGGLE_FIELDS))
+});
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Check that parsed JSON is an archive this version can restore
+ * @param {*} data - Parsed file contents
+ * @returns {Object} { valid, errors } with at most 20 readable errors
+ */
+export const validateArchive = (data) => {
+  const errors = [];
+  const fail = (message) => { if (errors.length < MAX_ERRORS) errors.push(message); };
+
+  if (!data || typeof data !== 'object' || data.format !== ARCHIVE_FORMAT) {
+    return { valid: false, errors: ['This file is not a Study Genie backup'] };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { valid: false, errors: ['The backup has no valid format version'] };
+  }
+  if (data.version > ARCHIVE_VERSION) {
+    return { valid: false, errors: [`This backup was made by a newer version of Study Genie (format v${data.version})`] };
+  }
+  if (!Array.isArray(data.sessions)) {
+    return { valid: false, errors: ['The backup has no sessions list'] };
+  }
+
+  const keys = new Set();
+  const checkKey = (key, label) => {
+    if (key === undefined || key === null) return;
+    if (keys.has(key)) fail(`${label} reuses the key ${key}`);
+    keys.add(key);
+  };
+
+  data.sessions.forEach((session, s) => {
+    const label = `Session ${s + 1}`;
+    checkKey(session?.key, label);
+    if (!isText(session?.topic)) fail(`${label} has no topic`);
+    if (!SESSION_TYPES.includes(session?.session_type)) fail(`${label} has an unknown session type`);
+    if (session?.status !== undefined && !SESSION_STATUSES.includes(session.status)) fail(`${label} has an unknown status`);
+    if (!Array.isArray(session?.flashcards) || !Array.isArray(session?.questions)) {
+      fail(`${label} is missing its flashcards or questions`);
+      return;
+    }
+
+    // Restores pair new rows with archived ones by position, so positions must be unique per session
+    const positions = { flashcards: new Set(), questions: new Set() };
+    const checkPosition = (seen, index, label) => {
+      if (!Number.isInteger(index)) fail(`${label} has no position`);
+      else if (seen.has(index)) fail(`${label} reuses position ${index}`);
+      seen.add(index);
+    };
+
+    session.flashcards.forEach((card, c) => {
+      const cardLabel = `${label}, flashcard ${c + 1}`;
+      checkKey(card?.key, cardLabel);
+      if (!isText(card?.question) || !isText(card?.answer)) fail(`${cardLabel} needs a question and an answer`);
+      checkPosition(positions.flashcards, card?.flashcard_index, cardLabel);
+    });
+
+    session.questions.forEach((question, q) => {
+      const questionLabel = `${label}, question ${q + 1}`;
+      checkKey(question?.key, questionLabel);
+      if (!isText(question?.question) || !isText(question?.correct_answer)) {
+        fail(`${questionLabel} needs a question and a correct answer`);
+      }
+      if (!Array.isArray(question?.options)) fail(`${questionLabel} has no options`);
+      checkPosition(positions.questions, question?.question_index, questionLabel);
+    });
+  });
+
+  if (data.topicStruggles !== undefined && !Array.isArray(data.topicStruggles)) {
+    fail('The topic struggles list is not valid');
+  } else {
+    (data.topicStruggles || []).forEach((struggle, t) => {
+      if (!isText(struggle?.topic_name)) fail(`Topic struggle ${t + 1} has no topic name`);
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Find what in an archive already exists for the user
+ * A session conflicts when one with the same topic and creation time exists,
+ * which usually means the backup was restored before.
+ * @param {Object} archive - Valid archive
+ * @param {Object} existing - { sessions: [{ id, topic, created_at }], struggles: [{ topic_name }] }
+ * @returns {Object} { sessions: [{ key, topic, createdAt, existingId }], struggles: [topic names] }
+ */
+export const findConflicts = (archive, { sessions = [], struggles = [] }) => {
+  const sessionKey = (topic, createdAt) => `${topic}\u0000${createdAt ? new Date(createdAt).getTime() : ''}`;
+  const existingSessions = new Map(sessions.map(session => [sessionKey(session.topic, session.created_at), session.id]));
+  const existingStruggles = new Set(struggles.map(struggle => struggle.topic_name));
+
+  return {
+    sessions: archive.sessions
+      .filter(session => existingSessions.has(sessionKey(session.topic, session.created_at)))
+      .map(session => ({
+        key: session.key,
+        topic: session.topic,
+        createdAt: session.created_at || null,
+        existingId: existingSessions.get(sessionKey(session.topic, session.created_at))
+      })),
+    struggles: (archive.topicStruggles || [])
+      .map(struggle => struggle.topic_name)
+      .filter(topicName => existingStruggles.has(topicName))
+  };
+};
+
+/**
+ * Combine a restored topic struggle with the user's existing one
+ * @param {Object} existing - topic_struggles row
+ * @param {Object} incoming - Archived struggle
+ * @returns {Object} Columns to update
+ */
+export const mergeStruggle = (existing, incoming) => {
+  const latest = [existing.last_struggled_at, incoming.last_struggled_at]
+    .filter(Boolean)
+    .sort((a, b) => new Date(b) - new Date(a))[0] || null;
+
+  return {
+    struggle_count: (existing.struggle_count || 0) + (incoming.struggle_count || 0),
+    total_attempts: (existing.total_attempts || 0) + (incoming.total_attempts || 0),
+    last_struggled_at: latest
+  };
+};
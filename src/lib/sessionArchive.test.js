@@ -0,0 +1,77 @@
+// Tests for the session backup archive format
+
+const {
+  buildArchive,
+  validateArchive,
+  findConflicts,
+  mergeStruggle,
+  ARCHIVE_VERSION
+} = require('./sessionArchive');
+
+const rows = {
+  sessions: [{ id: 's1', user_id: 'u1', session_type: 'fast', topic: 'Cells', status: 'completed', created_at: '2025-01-05T10:00:00Z' }],
+  flashcards: [
+    { id: 'f2', session_id: 's1', flashcard_index: 1, question: 'Split card', answer: 'A', parent_flashcard_id: 'f1' },
+    { id: 'f1', session_id: 's1', flashcard_index: 0, question: 'Leech', answer: 'B', ease_factor: 1.7 }
+  ],
+  questions: [{ id: 'q1', session_id: 's1', question_index: 0, question: 'Q?', options: ['a', 'b'], correct_answer: 'a' }],
+  struggles: [{ id: 't1', user_id: 'u1', topic_name: 'Organelles', struggle_count: 2, total_attempts: 5 }]
+};
+
+describe('Session Archive', () => {
+  test('archives keep original IDs as keys and drop user and row IDs', () => {
+    const archive = buildArchive(rows, new Date('2025-02-01T00:00:00Z'));
+
+    expect(archive).toMatchObject({ format: 'study-genie-archive', version: ARCHIVE_VERSION, exportedAt: '2025-02-01T00:00:00.000Z' });
+    expect(archive.sessions[0]).not.toHaveProperty('user_id');
+    expect(archive.sessions[0].flashcards.map(card => card.key)).toEqual(['f1', 'f2']);
+    expect(archive.sessions[0].flashcards[1]).toMatchObject({ parentKey: 'f1', question: 'Split card' });
+    expect(archive.sessions[0].flashcards[0]).not.toHaveProperty('session_id');
+    expect(archive.topicStruggles).toEqual([{ topic_name: 'Organelles', struggle_count: 2, total_attempts: 5 }]);
+    expect(validateArchive(archive)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('invalid or newer archives are rejected with readable errors', () => {
+    expect(validateArchive({ hello: 'world' }).errors).toEqual(['This file is not a Study Genie backup']);
+
+    const archive = buildArchive(rows);
+    expect(validateArchive({ ...archive, version: ARCHIVE_VERSION + 1 }).valid).toBe(false);
+
+    archive.sessions[0].session_type = 'speed';
+    archive.sessions[0].flashcards[0].answer = '';
+    archive.sessions[0].questions[0].key = 'f1';
+    expect(validateArchive(archive).errors).toEqual([
+      'Session 1 has an unknown session type',
+      'Session 1, flashcard 1 needs a question and an answer',
+      'Session 1, question 1 reuses the key f1'
+    ]);
+  });
+
+  test('positions must be unique within a session', () => {
+    const archive = buildArchive(rows);
+    archive.sessions[0].flashcards[1].flashcard_index = 0;
+    archive.sessions[0].questions.push({ ...archive.sessions[0].questions[0], key: 'q2' });
+
+    expect(validateArchive(archive).errors).toEqual([
+      'Session 1, flashcard 2 reuses position 0',
+      'Session 1, question 2 reuses position 0'
+    ]);
+  });
+
+  test('existing sessions and topics are reported as conflicts and struggle counts combine', () => {
+    const archive = buildArchive(rows);
+    const conflicts = findConflicts(archive, {
+      sessions: [{ id: 'new-s1', topic: 'Cells', created_at: '2025-01-05T10:00:00+00:00' }],
+      struggles: [{ topic_name: 'Organelles' }]
+    });
+
+    expect(conflicts).toEqual({
+      sessions: [{ key: 's1', topic: 'Cells', createdAt: '2025-01-05T10:00:00Z', existingId: 'new-s1' }],
+      struggles: ['Organelles']
+    });
+    expect(mergeStruggle(
+      { struggle_count: 1, total_attempts: 1, last_struggled_at: '2025-03-01T00:00:00Z' },
+      { struggle_count: 2, total_attempts: 5, last_struggled_at: '2025-01-01T00:00:00Z' }
+    )).toEqual({ struggle_count: 3, total_attempts: 6, last_struggled_at: '2025-03-01T00:00:00Z' });
+  });
+});
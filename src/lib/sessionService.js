@@ -1,4 +1,10 @@
 import { supabase } from './supabase';
+import { isDegraded } from './aiRequest';
+import { scheduleReview, cardStateFromRecord, cardStateToRecord } from './spacedRepetition';
+import { buildReviewQueue, DAILY_REVIEW_LIMIT } from './reviewQueue';
+import { getMostStruggledTopics } from './topicStruggleService';
+import { checkFlashcardLeech, checkQuestionLeech } from './leechService';
+import { planReindex } from './deckUtils';
 
 /**
  * Session Service for managing learning sessions in Supabase
@@ -7,15 +13,29 @@ import { supabase } from './supabase';
 /**
  * Create a new learning session
  * @param {Object} sessionData - Session data
- * @param {string} sessionData.sessionType - 'fast' or 'depth'
+ * @param {string} sessionData.sessionType - 'fast', 'depth' or 'review'
  * @param {string} sessionData.topic - The learning topic
  * @param {Array} sessionData.flashcards - Array of flashcard objects
  * @param {Array} sessionData.mcqQuestions - Array of MCQ question objects
  * @param {Object} sessionData.prerequisites - Prerequisites data (for depth sessions)
- * @returns {Promise<Object>} Created session data
+ * @param {boolean} sessionData.dueNow - Schedule the flashcards for review right away (imported decks)
+ * @returns {Promise<Object>} Created session data, or { success: false, degraded: true } when
+ * any generated content is placeholder output from a failed AI call
  */
 export const createSession = async (sessionData) => {
   try {
+    const degradedFields = ['flashcards', 'mcqQuestions', 'prerequisites', 'coreConcepts', 'advancedConcepts']
+      .filter(field => isDegraded(sessionData[field]));
+    if (degradedFields.length > 0) {
+      // Never save fallback content as if it were real generated material
+      console.warn('Not saving session with degraded content:', degradedFields);
+      return {
+        success: false,
+        degraded: true,
+        error: `AI generation was degraded for: ${degradedFields.join(', ')}`
+      };
+    }
+
     const { data: { user } } = await supabase.auth.getUser();
     if (!user) throw new Error('User not authenticated');
 
@@ -46,12 +66,15 @@ export const createSession = async (sessionData) => {
 
     // Insert flashcards into session_flashcards table
     if (sessionData.flashcards && sessionData.flashcards.length > 0) {
+      const dueAt = sessionData.dueNow ? new Date().toISOString() : null;
       const flashcardRecords = sessionData.flashcards.map((card, index) => ({
         session_id: data.id,
         flashcard_index: index,
         question: card.question,
         answer: card.answer,
-        is_studied: false
+        tags: card.tags || [],
+        is_studied: false,
+        due_at: dueAt
       }));
 
       const { error: flashcardError } = await supabase
@@ -108,6 +131,9 @@ export const updateSessionProgress = async (sessionId, progressData) => {
     };
 
     // Add fields that are provided
+    if (progressData.totalFlashcards !== undefined) {
+      updateData.total_flashcards = progressData.totalFlashcards;
+    }
     if (progressData.studiedFlashcards !== undefined) {
       updateData.studied_flashcards = progressData.studiedFlashcards;
     }
@@ -171,6 +197,337 @@ export const markFlashcardStudied = async (sessionId, flashcardIndex) => {
   }
 };
 
+/**
+ * Apply a grade to a stored flashcard and log it in its review history
+ * A lapse also checks whether the card has become a leech.
+ * @param {Object} record - session_flashcards row
+ * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+ * @returns {Promise<Object>} { flashcard, schedule, isLeech }
+ */
+const gradeFlashcardRecord = async (record, grade) => {
+  const { data: { user } } = await supabase.auth.getUser();
+  if (!user) throw new Error('User not authenticated');
+
+  const schedule = scheduleReview(cardStateFromRecord(record), grade);
+
+  const { data, error } = await supabase
+    .from('session_flashcards')
+    .update({
+      ...cardStateToRecord(schedule),
+      is_studied: true,
+      study_time: record.study_time || schedule.lastReviewedAt
+    })
+    .eq('id', record.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: historyError } = await supabase
+    .from('flashcard_reviews')
+    .insert([{
+      flashcard_id: record.id,
+      user_id: user.id,
+      grade,
+      ease_factor: schedule.easeFactor,
+      interval_days: schedule.intervalDays,
+      due_at: schedule.dueAt,
+      reviewed_at: schedule.lastReviewedAt
+    }]);
+
+  if (historyError) {
+    console.error('Error recording flashcard review:', historyError);
+  }
+
+  if (grade === 'again') {
+    const { isLeech } = await checkFlashcardLeech(data);
+    if (isLeech) {
+      return { flashcard: { ...data, leech_status: 'active' }, schedule, isLeech };
+    }
+  }
+
+  return { flashcard: data, schedule, isLeech: false };
+};
+
+/**
+ * Grade a session flashcard and schedule its next review
+ * @param {string} sessionId - Session ID
+ * @param {number} flashcardIndex - Index of the flashcard
+ * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+ * @returns {Promise<Object>} { success, flashcard, schedule, isLeech }
+ */
+export const reviewFlashcard = async (sessionId, flashcardIndex, grade) => {
+  try {
+    const { data: record, error } = await supabase
+      .from('session_flashcards')
+      .select('*')
+      .eq('session_id', sessionId)
+      .eq('flashcard_index', flashcardIndex)
+      .single();
+
+    if (error) throw error;
+
+    const result = await gradeFlashcardRecord(record, grade);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error reviewing flashcard:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Grade a flashcard by its row ID (used by the review queue)
+ * @param {string} flashcardId - session_flashcards ID
+ * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+ * @returns {Promise<Object>} { success, flashcard, schedule, isLeech }
+ */
+export const reviewFlashcardById = async (flashcardId, grade) => {
+  try {
+    const { data: record, error } = await supabase
+      .from('session_flashcards')
+      .select('*')
+      .eq('id', flashcardId)
+      .single();
+
+    if (error) throw error;
+
+    const result = await gradeFlashcardRecord(record, grade);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error reviewing flashcard:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Renumber a session's flashcards and refresh the session's copy of them
+ * Resume data and session stats read learning_sessions, so every change to
+ * session_flashcards rows is followed by this.
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<Object>>} The session's cards in order
+ */
+export const syncSessionFlashcards = async (sessionId) => {
+  const { data: cards, error } = await supabase
+    .from('session_flashcards')
+    .select('*')
+    .eq('session_id', sessionId)
+    .order('flashcard_index');
+
+  if (error) throw error;
+
+  const updates = planReindex(cards || []);
+  for (const update of updates) {
+    const { error: updateError } = await supabase
+      .from('session_flashcards')
+      .update({ flashcard_index: update.flashcard_index })
+      .eq('id', update.id);
+
+    if (updateError) throw updateError;
+  }
+
+  const ordered = (cards || []).map((card, position) => ({ ...card, flashcard_index: position }));
+
+  const { error: sessionError } = await supabase
+    .from('learning_sessions')
+    .update({
+      flashcards: ordered.map(card => ({ question: card.question, answer: card.answer })),
+      total_flashcards: ordered.length,
+      studied_flashcards: ordered.filter(card => card.is_studied).length,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', sessionId);
+
+  if (sessionError) throw sessionError;
+
+  return ordered;
+};
+
+/**
+ * Grade a flashcard that was generated during a session but not stored with it
+ * (e.g. prerequisite cards in depth sessions). The card is added to the
+ * session's flashcards the first time it is graded so it joins the review queue,
+ * and the session's flashcards copy and counters are refreshed to include it.
+ * @param {string} sessionId - Session ID
+ * @param {Object} card - { question, answer }
+ * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+ * @returns {Promise<Object>} { success, flashcard, schedule, isLeech }
+ */
+export const reviewGeneratedFlashcard = async (sessionId, card, grade) => {
+  try {
+    const { data: existing, error: selectError } = await supabase
+      .from('session_flashcards')
+      .select('*')
+      .eq('session_id', sessionId)
+      .eq('question', card.question)
+      .limit(1);
+
+    if (selectError) throw selectError;
+
+    let record = existing?.[0];
+    if (!record) {
+      const { count, error: countError } = await supabase
+        .from('session_flashcards')
+        .select('id', { count: 'exact', head: true })
+        .eq('session_id', sessionId);
+
+      if (countError) throw countError;
+
+      const { data: inserted, error: insertError } = await supabase
+        .from('session_flashcards')
+        .insert([{
+          session_id: sessionId,
+          flashcard_index: count || 0,
+          question: card.question,
+          answer: card.answer,
+          is_studied: false
+        }])
+        .select()
+        .single();
+
+      if (insertError) throw insertError;
+      record = inserted;
+    }
+
+    const result = await gradeFlashcardRecord(record, grade);
+    if (!existing?.[0]) {
+      await syncSessionFlashcards(sessionId);
+    }
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error reviewing generated flashcard:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get flashcards due for review across all of the user's sessions (leeches excluded)
+ * @param {Object} options - Query options
+ * @param {Date} options.dueBefore - Include cards due up to this time (default: now)
+ * @param {number} options.limit - Maximum cards to return (default: 100)
+ * @returns {Promise<Object>} { success, cards, totalDue } with cards ordered by due date,
+ * each including its session's topic and type
+ */
+export const getDueFlashcards = async ({ dueBefore = new Date(), limit = 100 } = {}) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const { data, error, count } = await supabase
+      .from('session_flashcards')
+      .select('*, learning_sessions!inner(user_id, topic, session_type)', { count: 'exact' })
+      .eq('learning_sessions.user_id', user.id)
+      .in('leech_status', ['none', 'dismissed'])
+      .not('due_at', 'is', null)
+      .lte('due_at', dueBefore.toISOString())
+      .order('due_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const cards = (data || []).map(({ learning_sessions: session, ...card }) => ({
+      ...card,
+      topic: session.topic,
+      session_type: session.session_type
+    }));
+
+    return { success: true, cards, totalDue: count ?? cards.length };
+  } catch (error) {
+    console.error('Error getting due flashcards:', error);
+    return { success: false, error: error.message, cards: [], totalDue: 0 };
+  }
+};
+
+/**
+ * Get weak flashcards (forgotten before or with lowered ease) across all sessions
+ * @param {number} limit - Maximum cards to return (default: 100)
+ * @returns {Promise<Object>} { success, cards } with each card's session topic and type
+ */
+export const getWeakFlashcards = async (limit = 100) => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const { data, error } = await supabase
+      .from('session_flashcards')
+      .select('*, learning_sessions!inner(user_id, topic, session_type)')
+      .eq('learning_sessions.user_id', user.id)
+      .in('leech_status', ['none', 'dismissed'])
+      .or('lapses.gt.0,ease_factor.lt.2.3')
+      .order('lapses', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+
+    const cards = (data || []).map(({ learning_sessions: session, ...card }) => ({
+      ...card,
+      topic: session.topic,
+      session_type: session.session_type
+    }));
+
+    return { success: true, cards };
+  } catch (error) {
+    console.error('Error getting weak flashcards:', error);
+    return { success: false, error: error.message, cards: [] };
+  }
+};
+
+/**
+ * Count flashcard reviews the user has done since local midnight
+ * @returns {Promise<Object>} { success, count }
+ */
+export const countReviewsToday = async () => {
+  try {
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) throw new Error('User not authenticated');
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const { count, error } = await supabase
+      .from('flashcard_reviews')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .gte('reviewed_at', startOfDay.toISOString());
+
+    if (error) throw error;
+
+    return { success: true, count: count || 0 };
+  } catch (error) {
+    console.error('Error counting reviews today:', error);
+    return { success: false, error: error.message, count: 0 };
+  }
+};
+
+/**
+ * Assemble today's review session: due and weak cards from every session,
+ * struggle topics first, mixed by topic and capped by the daily limit
+ * @param {Object} options - Queue options
+ * @param {number} options.dailyLimit - Reviews allowed per day (default: DAILY_REVIEW_LIMIT)
+ * @returns {Promise<Object>} { success, cards, reviewedToday, dailyLimit }
+ */
+export const getReviewSessionCards = async ({ dailyLimit = DAILY_REVIEW_LIMIT } = {}) => {
+  try {
+    const [due, weak, struggles, today] = await Promise.all([
+      getDueFlashcards({ limit: dailyLimit * 2 }),
+      getWeakFlashcards(dailyLimit),
+      getMostStruggledTopics(20),
+      countReviewsToday()
+    ]);
+
+    if (!due.success) throw new Error(due.error);
+
+    const cards = buildReviewQueue([...due.cards, ...weak.cards], {
+      struggles: struggles.topics,
+      limit: dailyLimit - today.count
+    });
+
+    return { success: true, cards, reviewedToday: today.count, dailyLimit };
+  } catch (error) {
+    console.error('Error building review session:', error);
+    return { success: false, error: error.message, cards: [], reviewedToday: 0, dailyLimit };
+  }
+};
+
 /**
  * Record an answer to a question
  * @param {string} sessionId - Session ID
@@ -195,6 +552,26 @@ export const recordQuestionAnswer = async (sessionId, questionIndex, userAnswer,
 
     if (error) throw error;
 
+    // Keep every attempt so repeatedly missed questions can be flagged as leeches
+    const { data: { user } } = await supabase.auth.getUser();
+    if (user) {
+      const { error: attemptError } = await supabase
+        .from('question_attempts')
+        .insert([{
+          question_id: data.id,
+          user_id: user.id,
+          user_answer: userAnswer,
+          is_correct: isCorrect,
+          answered_at: data.answered_at
+        }]);
+
+      if (attemptError) {
+        console.error('Error recording question attempt:', attemptError);
+      } else if (!isCorrect) {
+        await checkQuestionLeech(data);
+      }
+    }
+
     return { success: true, question: data };
   } catch (error) {
     console.error('Error recording question answer:', error);
@@ -356,7 +733,8 @@ export const getSessionResumeData = async (sessionId) => {
     if (session.session_type === 'fast') {
       if (session.status === 'completed') {
         currentPhase = 'completed';
-      } else if (studiedCards.size === session.total_flashcards && session.total_flashcards > 0) {
+      } else if (studiedCards.size === session.total_flashcards && session.total_flashcards > 0 && session.total_questions > 0) {
+        // Imported decks have no questions, so they never move on to evaluation
         currentPhase = 'evaluation';
       } else {
         currentPhase = 'flashcards';
@@ -388,8 +766,10 @@ export const getSessionResumeData = async (sessionId) => {
         // Flashcard data
         flashcards: session.flashcards.map(card => ({
           question: card.question,
-          answer: card.answer
+          answer: card.answer,
+          tags: card.tags || []
         })),
+        cardStates: session.flashcards.map(card => cardStateFromRecord(card)),
         studiedCards,
         currentCardIndex,
 
@@ -0,0 +1,85 @@
+// Tests for adding generated flashcards to a session
+// Supabase is replaced by an in-memory stub of session_flashcards
+
+jest.mock('./supabase', () => ({
+  supabase: {
+    auth: { getUser: jest.fn() },
+    from: jest.fn()
+  }
+}));
+
+const { supabase } = require('./supabase');
+const { reviewGeneratedFlashcard } = require('./sessionService');
+
+describe('Session Service', () => {
+  let cards;
+  let sessionUpdates;
+
+  beforeEach(() => {
+    cards = [
+      { id: 'f1', session_id: 's1', flashcard_index: 0, question: 'Q1', answer: 'A1', is_studied: true },
+      { id: 'f2', session_id: 's1', flashcard_index: 1, question: 'Q2', answer: 'A2', is_studied: false }
+    ];
+    sessionUpdates = [];
+    supabase.auth.getUser.mockResolvedValue({ data: { user: { id: 'u1' } } });
+    supabase.from.mockImplementation((table) => {
+      const query = { filters: {}, values: null, head: false };
+      const matching = () => cards.filter(card => Object.entries(query.filters).every(([column, value]) => card[column] === value));
+      const builder = {
+        select: (columns, { head = false } = {}) => {
+          query.head = head;
+          return builder;
+        },
+        eq: (column, value) => {
+          query.filters[column] = value;
+          return builder;
+        },
+        order: () => builder,
+        limit: () => builder,
+        insert: (rows) => {
+          query.values = rows;
+          if (table === 'session_flashcards') {
+            cards.push(...rows.map(row => ({ id: `f${cards.length + 1}`, ...row })));
+          }
+          return builder;
+        },
+        update: (values) => {
+          query.values = values;
+          return builder;
+        },
+        single: async () => {
+          if (table === 'session_flashcards' && query.values && !Array.isArray(query.values)) {
+            Object.assign(matching()[0], query.values);
+          }
+          return { data: table === 'session_flashcards' && Array.isArray(query.values) ? cards[cards.length - 1] : matching()[0], error: null };
+        },
+        then: (resolve, reject) => {
+          if (table === 'learning_sessions') sessionUpdates.push(query.values);
+          const result = query.head ? { count: matching().length, error: null } : { data: matching(), error: null };
+          return Promise.resolve(table === 'session_flashcards' ? result : { error: null }).then(resolve, reject);
+        }
+      };
+      return builder;
+    });
+  });
+
+  test('a generated card graded for the first time joins the session copy and counters', async () => {
+    const result = await reviewGeneratedFlashcard('s1', { question: 'Q3', answer: 'A3' }, 'good');
+
+    expect(result.success).toBe(true);
+    expect(cards[2]).toMatchObject({ flashcard_index: 2, question: 'Q3', is_studied: true });
+    expect(sessionUpdates).toEqual([expect.objectContaining({
+      flashcards: [{ question: 'Q1', answer: 'A1' }, { question: 'Q2', answer: 'A2' }, { question: 'Q3', answer: 'A3' }],
+      total_flashcards: 3,
+      studied_flashcards: 2
+    })]);
+  });
+
+  test('grading a card already in the session leaves the session alone', async () => {
+    const result = await reviewGeneratedFlashcard('s1', { question: 'Q2', answer: 'A2' }, 'good');
+
+    expect(result.success).toBe(true);
+    expect(cards).toHaveLength(2);
+    expect(sessionUpdates).toEqual([]);
+  });
+});
@@ -60,7 +60,7 @@ export const createTables = async () => {
         CREATE TABLE IF NOT EXISTS learning_sessions (
           id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
           user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
-          session_type VARCHAR(20) NOT NULL CHECK (session_type IN ('fast', 'depth')),
+          session_type VARCHAR(20) NOT NULL CHECK (session_type IN ('fast', 'depth', 'review')),
           topic VARCHAR(500) NOT NULL,
           status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'abandoned')),
           
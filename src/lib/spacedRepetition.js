@@ -0,0 +1,152 @@
+/**
+ * Spaced Repetition - SM-2 style scheduling for flashcards
+ * Each card carries an ease factor, an interval in days, a repetition count and
+ * a due date. Grading a card ("Again", "Hard", "Good", "Easy") moves its due
+ * date; "Again" sends it back to a short relearning step. Cards that have never
+ * been graded have no due date and stay out of the review queue.
+ */
+
+export const GRADES = [
+  { id: 'again', label: 'Again' },
+  { id: 'hard', label: 'Hard' },
+  { id: 'good', label: 'Good' },
+  { id: 'easy', label: 'Easy' }
+];
+
+export const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_INTERVAL_DAYS = 365;
+const RELEARN_MINUTES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Scheduling state for a card that has never been reviewed
+ * @returns {Object} Card state
+ */
+export const newCardState = () => ({
+  easeFactor: DEFAULT_EASE,
+  intervalDays: 0,
+  repetitions: 0,
+  lapses: 0,
+  dueAt: null,
+  lastReviewedAt: null
+});
+
+/**
+ * Apply a grade to a card
+ * @param {Object} state - Current card state (see newCardState)
+ * @param {string} grade - 'again', 'hard', 'good' or 'easy'
+ * @param {Date} now - Review time
+ * @returns {Object} Next card state, including lastGrade
+ */
+export const scheduleReview = (state, grade, now = new Date()) => {
+  if (!GRADES.some(option => option.id === grade)) {
+    throw new Error(`Unknown grade: ${grade}`);
+  }
+
+  const current = { ...newCardState(), ...state };
+  const previous = current.intervalDays;
+  let { easeFactor, repetitions, lapses } = current;
+  let intervalDays;
+
+  // Interval "Good" would give; "Hard" stays below it and "Easy" above it
+  const goodInterval = repetitions === 0 ? 1
+    : repetitions === 1 ? 3
+      : Math.max(previous + 1, Math.round(previous * easeFactor));
+
+  switch (grade) {
+    case 'again':
+      repetitions = 0;
+      lapses += 1;
+      easeFactor = Math.max(MIN_EASE, easeFactor - 0.2);
+      intervalDays = 0;
+      break;
+    case 'hard':
+      easeFactor = Math.max(MIN_EASE, easeFactor - 0.15);
+      intervalDays = repetitions === 0 ? 1 : Math.min(goodInterval, Math.max(previous + 1, Math.round(previous * 1.2)));
+      repetitions += 1;
+      break;
+    case 'good':
+      intervalDays = goodInterval;
+      repetitions += 1;
+      break;
+    default:
+      easeFactor += 0.15;
+      intervalDays = repetitions === 0 ? 4 : Math.max(goodInterval + 1, Math.round(previous * easeFactor * 1.3));
+      repetitions += 1;
+  }
+
+  intervalDays = Math.min(intervalDays, MAX_INTERVAL_DAYS);
+  const dueAt = intervalDays === 0
+    ? new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000)
+    : new Date(now.getTime() + intervalDays * DAY_MS);
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    intervalDays,
+    repetitions,
+    lapses,
+    dueAt: dueAt.toISOString(),
+    lastReviewedAt: now.toISOString(),
+    lastGrade: grade
+  };
+};
+
+/**
+ * Format an interval for display on a grade button
+ * @param {number} intervalDays - Interval in days (0 = relearning step)
+ * @returns {string} e.g. "10m", "3d", "2mo", "1.2y"
+ */
+export const formatInterval = (intervalDays) => {
+  if (intervalDays === 0) return `${RELEARN_MINUTES}m`;
+  if (intervalDays < 30) return `${intervalDays}d`;
+  if (intervalDays < 365) return `${Math.round(intervalDays / 30)}mo`;
+  return `${(intervalDays / 365).toFixed(1)}y`;
+};
+
+/**
+ * Next interval for each grade, for labelling the grade buttons
+ * @param {Object} state - Current card state
+ * @returns {Object} { again, hard, good, easy } formatted intervals
+ */
+export const previewIntervals = (state) => GRADES.reduce((previews, { id }) => ({
+  ...previews,
+  [id]: formatInterval(scheduleReview(state, id).intervalDays)
+}), {});
+
+/**
+ * Whether a card is due for review
+ * @param {Object} state - Card state
+ * @param {Date} now - Reference time
+ * @returns {boolean} True when the card has been scheduled and its due date has passed
+ */
+export const isDue = (state, now = new Date()) =>
+  Boolean(state?.dueAt) && new Date(state.dueAt).getTime() <= now.getTime();
+
+/**
+ * Read a card state from a session_flashcards row
+ * @param {Object} record - Database row
+ * @returns {Object} Card state
+ */
+export const cardStateFromRecord = (record = {}) => ({
+  easeFactor: Number(record.ease_factor) || DEFAULT_EASE,
+  intervalDays: record.interval_days || 0,
+  repetitions: record.repetitions || 0,
+  lapses: record.lapses || 0,
+  dueAt: record.due_at || null,
+  lastReviewedAt: record.last_reviewed_at || null
+});
+
+/**
+ * Convert a card state to session_flashcards columns
+ * @param {Object} state - Card state
+ * @returns {Object} Column values
+ */
+export const cardStateToRecord = (state) => ({
+  ease_factor: state.easeFactor,
+  interval_days: state.intervalDays,
+  repetitions: state.repetitions,
+  lapses: state.lapses,
+  due_at: state.dueAt,
+  last_reviewed_at: state.lastReviewedAt
+});
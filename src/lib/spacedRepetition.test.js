@@ -0,0 +1,48 @@
+// Tests for the SM-2 style flashcard scheduler
+
+const {
+  newCardState,
+  scheduleReview,
+  previewIntervals,
+  isDue
+} = require('./spacedRepetition');
+
+const now = new Date('2025-03-01T09:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Spaced Repetition', () => {
+  test('good reviews grow the interval: 1 day, 3 days, then by the ease factor', () => {
+    const first = scheduleReview(newCardState(), 'good', now);
+    expect(first).toMatchObject({ intervalDays: 1, repetitions: 1, easeFactor: 2.5 });
+    expect(new Date(first.dueAt).getTime() - now.getTime()).toBe(DAY_MS);
+
+    const second = scheduleReview(first, 'good', now);
+    expect(second.intervalDays).toBe(3);
+
+    const third = scheduleReview(second, 'good', now);
+    expect(third.intervalDays).toBe(8);
+  });
+
+  test('again resets the card to a short relearning step and lowers ease', () => {
+    const learned = scheduleReview(scheduleReview(newCardState(), 'good', now), 'good', now);
+    const lapsed = scheduleReview(learned, 'again', now);
+
+    expect(lapsed).toMatchObject({ intervalDays: 0, repetitions: 0, lapses: 1, easeFactor: 2.3 });
+    expect(new Date(lapsed.dueAt).getTime() - now.getTime()).toBe(10 * 60 * 1000);
+    expect(isDue(lapsed, new Date(now.getTime() + 11 * 60 * 1000))).toBe(true);
+  });
+
+  test('hard, good and easy give increasing intervals', () => {
+    const state = { ...newCardState(), intervalDays: 10, repetitions: 3 };
+    const [hard, good, easy] = ['hard', 'good', 'easy'].map(grade => scheduleReview(state, grade, now).intervalDays);
+
+    expect(hard).toBeLessThan(good);
+    expect(good).toBeLessThan(easy);
+    expect(previewIntervals(state)).toEqual({ again: '10m', hard: '12d', good: '25d', easy: '1mo' });
+  });
+
+  test('ungraded cards are never due and unknown grades are rejected', () => {
+    expect(isDue(newCardState(), now)).toBe(false);
+    expect(() => scheduleReview(newCardState(), 'perfect', now)).toThrow('Unknown grade');
+  });
+});
@@ -0,0 +1,312 @@
+import { callProvider, parseJSONText } from './llmProvider';
+
+/**
+ * Structured Output - Schema-validated JSON generation
+ * Every JSON-returning generator declares a schema here. Responses are parsed,
+ * repaired where the fix is unambiguous (trimming, case, answer letters, extra
+ * items), validated, and re-prompted with the violations when still invalid.
+ * If the model never produces valid output a StructuredOutputError is thrown
+ * instead of returning placeholder content.
+ */
+
+/**
+ * Error thrown when a generator's output cannot be made to match its schema
+ */
+export class StructuredOutputError extends Error {
+  /**
+   * @param {string} task - Generator task name
+   * @param {Array<string>} issues - Schema violations from the last attempt
+   * @param {string} rawText - Raw model output from the last attempt
+   */
+  constructor(task, issues, rawText = '') {
+    super(`Invalid ${task} output: ${issues.slice(0, 3).join('; ')}`);
+    this.name = 'StructuredOutputError';
+    this.task = task;
+    this.issues = issues;
+    this.rawText = rawText;
+  }
+}
+
+// Schema builders
+
+const string = () => ({ type: 'string' });
+
+const oneOf = (values) => ({ type: 'enum', values });
+
+const arrayOf = (items, { min = 0, max = Infinity, dropInvalid = false } = {}) => ({
+  type: 'array', items, min, max, dropInvalid
+});
+
+const objectOf = (properties, { check, repair } = {}) => ({
+  type: 'object', properties, check, repair
+});
+
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+/**
+ * Map answer letters ("B", "b)", "Option B") onto the matching option text
+ * @param {Object} question - MCQ question object
+ * @returns {Object} Question with a resolved correctAnswer
+ */
+const resolveCorrectAnswer = (question) => {
+  const { options, correctAnswer } = question;
+  if (!Array.isArray(options) || typeof correctAnswer !== 'string' || options.includes(correctAnswer)) {
+    return question;
+  }
+
+  const caseMatch = options.find(option => typeof option === 'string' &&
+    option.toLowerCase() === correctAnswer.toLowerCase());
+  if (caseMatch) {
+    return { ...question, correctAnswer: caseMatch };
+  }
+
+  const letterMatch = correctAnswer.match(/^(?:option\s+)?([A-D])(?:[).:\s]|$)/i);
+  if (letterMatch && options.length === 4) {
+    return { ...question, correctAnswer: options[letterMatch[1].toUpperCase().charCodeAt(0) - 65] };
+  }
+
+  return question;
+};
+
+/**
+ * Cross-field checks for an MCQ question
+ * @param {Object} question - MCQ question object
+ * @returns {Array<string>} Violations
+ */
+const checkQuestion = (question) => {
+  const issues = [];
+  if (Array.isArray(question.options)) {
+    if (new Set(question.options).size !== question.options.length) {
+      issues.push('options must be distinct');
+    }
+    if (!question.options.includes(question.correctAnswer)) {
+      issues.push('correctAnswer must be exactly one of options');
+    }
+  }
+  return issues;
+};
+
+const mcqQuestion = (detailed) => objectOf({
+  question: string(),
+  options: arrayOf(string(), { min: 4, max: 4 }),
+  correctAnswer: string(),
+  ...(detailed ? {
+    explanation: string(),
+    whyWrongExplanation: string(),
+    topicCategory: string(),
+    difficultyLevel: oneOf(DIFFICULTY_LEVELS)
+  } : {})
+}, { check: checkQuestion, repair: resolveCorrectAnswer });
+
+const flashcard = objectOf({
+  question: string(),
+  answer: string()
+});
+
+const evaluationReport = objectOf({
+  remark: string(),
+  recommendations: arrayOf(string())
+});
+
+/**
+ * Schema per generator task. Builders receive the generator params so counts
+ * requested in the prompt are enforced.
+ */
+export const SCHEMAS = {
+  // gemini.js
+  prerequisites: () => arrayOf(string(), { min: 5, max: 5 }),
+  mcqQuestions: () => arrayOf(mcqQuestion(true), { min: 5, max: 5, dropInvalid: true }),
+  evaluationReport: () => evaluationReport,
+  subtopics: () => arrayOf(string(), { min: 4, max: 6 }),
+  topicDetection: () => objectOf({
+    topic: string(),
+    description: string(),
+    subtopics: arrayOf(string(), { max: 3 }),
+    level: oneOf(['elementary', 'middle school', 'high school', 'undergraduate', 'graduate', 'professional']),
+    approach: oneOf(['theoretical', 'practical', 'problem-solving', 'mixed'])
+  }),
+  flashcards: () => arrayOf(flashcard, { min: 8, max: 12, dropInvalid: true }),
+  cardRework: ({ strategy } = {}) => (strategy === 'split'
+    ? arrayOf(flashcard, { min: 2, max: 4, dropInvalid: true })
+    : arrayOf(flashcard, { min: 1, max: 1 })),
+
+  // learningFramework.js
+  coreConcepts: ({ count = 5 } = {}) => arrayOf(string(), { min: count, max: count }),
+  conceptMCQQuestions: ({ questionCount = 5 } = {}) =>
+    arrayOf(mcqQuestion(false), { min: questionCount, max: questionCount, dropInvalid: true }),
+  conceptEvaluationReport: () => evaluationReport,
+  conceptSubtopics: ({ count = 5 } = {}) => arrayOf(string(), { min: Math.max(count - 1, 1), max: count + 1 }),
+  advancedConcepts: ({ count = 5 } = {}) => arrayOf(string(), { min: count, max: count }),
+  sessionReport: () => objectOf({
+    overallSummary: string(),
+    strengths: arrayOf(string()),
+    areasForImprovement: arrayOf(string()),
+    recommendations: arrayOf(string()),
+    motivationalMessage: string()
+  })
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema node
+ * @param {*} value - Value to validate
+ * @param {string} path - JSON path used in messages
+ * @returns {Array<string>} Violations (empty when valid)
+ */
+export const validate = (schema, value, path = '$') => {
+  switch (schema.type) {
+    case 'string':
+      return typeof value === 'string' && value.trim() !== ''
+        ? []
+        : [`${path} must be a non-empty string`];
+
+    case 'enum':
+      return schema.values.includes(value)
+        ? []
+        : [`${path} must be one of ${schema.values.join(', ')}`];
+
+    case 'array': {
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      const issues = [];
+      if (value.length < schema.min || value.length > schema.max) {
+        issues.push(schema.min === schema.max
+          ? `${path} must contain exactly ${schema.min} items (got ${value.length})`
+          : `${path} must contain ${schema.min}-${schema.max} items (got ${value.length})`);
+      }
+      value.forEach((item, index) => {
+        issues.push(...validate(schema.items, item, `${path}[${index}]`));
+      });
+      return issues;
+    }
+
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${path} must be an object`];
+      const issues = [];
+      Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+        issues.push(...validate(propertySchema, value[key], `${path}.${key}`));
+      });
+      if (schema.check) {
+        issues.push(...schema.check(value).map(issue => `${path}: ${issue}`));
+      }
+      return issues;
+    }
+
+    default:
+      return [`${path} has unknown schema type ${schema.type}`];
+  }
+};
+
+/**
+ * Apply unambiguous fixes to a value so it is more likely to match a schema
+ * @param {Object} schema - Schema node
+ * @param {*} value - Parsed model output
+ * @returns {*} Repaired value
+ */
+export const repair = (schema, value) => {
+  switch (schema.type) {
+    case 'string':
+      if (typeof value === 'number') return String(value);
+      return typeof value === 'string' ? value.trim() : value;
+
+    case 'enum': {
+      if (typeof value !== 'string') return value;
+      const normalized = value.trim().toLowerCase();
+      return schema.values.find(option => option.toLowerCase() === normalized) || value;
+    }
+
+    case 'array': {
+      let items = value;
+      // Unwrap {"questions": [...]} style wrappers around the expected array
+      if (items && typeof items === 'object' && !Array.isArray(items)) {
+        const arrays = Object.values(items).filter(Array.isArray);
+        if (arrays.length === 1) items = arrays[0];
+      }
+      if (!Array.isArray(items)) return value;
+
+      items = items.map(item => repair(schema.items, item));
+      if (schema.dropInvalid) {
+        items = items.filter(item => validate(schema.items, item).length === 0);
+      }
+      return items.length > schema.max ? items.slice(0, schema.max) : items;
+    }
+
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+      let repaired = { ...value };
+      Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+        if (repaired[key] !== undefined) {
+          repaired[key] = repair(propertySchema, repaired[key]);
+        }
+      });
+      if (schema.repair) {
+        repaired = schema.repair(repaired);
+      }
+      return repaired;
+    }
+
+    default:
+      return value;
+  }
+};
+
+/**
+ * Parse JSON from model output, also accepting JSON surrounded by prose
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed value
+ */
+export const extractJSON = (text) => {
+  try {
+    return parseJSONText(text);
+  } catch (parseError) {
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf(']'), text.lastIndexOf('}'));
+    if (start === -1 || end <= start) throw parseError;
+    return JSON.parse(text.slice(start, end + 1));
+  }
+};
+
+/**
+ * Generate schema-validated JSON for a generator task
+ * @param {string} task - Generator task name (must exist in SCHEMAS)
+ * @param {Object} params - Generator parameters
+ * @param {Object} options - Call options
+ * @param {number} options.maxAttempts - Total model calls including re-prompts (default: 2)
+ * @returns {Promise<*>} Validated value
+ * @throws {StructuredOutputError} When no attempt produced valid output
+ */
+export const generateStructured = async (task, params = {}, { maxAttempts = 2 } = {}) => {
+  const buildSchema = SCHEMAS[task];
+  if (!buildSchema) {
+    throw new Error(`No schema registered for task: ${task}`);
+  }
+  const schema = buildSchema(params);
+
+  let repairRequest;
+  let issues = [];
+  let text = '';
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    text = await callProvider({ task, params, repair: repairRequest });
+
+    let value;
+    try {
+      value = repair(schema, extractJSON(text));
+      issues = validate(schema, value);
+    } catch (parseError) {
+      issues = [`response is not valid JSON (${parseError.message})`];
+    }
+
+    if (issues.length === 0) {
+      return value;
+    }
+
+    console.warn(`Structured output for ${task} failed validation (attempt ${attempt}/${maxAttempts}):`, issues);
+    // The server re-asks with the violations and the previous answer
+    repairRequest = {
+      previousText: text.substring(0, 4000),
+      issues: issues.slice(0, 10).map(issue => issue.substring(0, 500))
+    };
+  }
+
+  throw new StructuredOutputError(task, issues, text);
+};
@@ -0,0 +1,80 @@
+// Tests for schema-validated structured output
+
+const { setProvider } = require('./llmProvider');
+const {
+  SCHEMAS,
+  StructuredOutputError,
+  validate,
+  repair,
+  extractJSON,
+  generateStructured
+} = require('./structuredOutput');
+
+const makeQuestion = (overrides = {}) => ({
+  question: 'Which organelle performs photosynthesis?',
+  options: ['Mitochondria', 'Chloroplast', 'Nucleus', 'Ribosome'],
+  correctAnswer: 'Chloroplast',
+  ...overrides
+});
+
+describe('Structured Output', () => {
+  afterEach(() => {
+    setProvider(null);
+  });
+
+  test('validate should report count and cross-field violations', () => {
+    const schema = SCHEMAS.conceptMCQQuestions({ questionCount: 2 });
+
+    expect(validate(schema, [makeQuestion(), makeQuestion()])).toEqual([]);
+    expect(validate(schema, [makeQuestion()])).toEqual([
+      '$ must contain exactly 2 items (got 1)'
+    ]);
+    expect(validate(schema, [makeQuestion(), makeQuestion({ correctAnswer: 'Golgi' })])).toEqual([
+      '$[1]: correctAnswer must be exactly one of options'
+    ]);
+  });
+
+  test('repair should map answer letters onto options and drop broken items', () => {
+    const schema = SCHEMAS.conceptMCQQuestions({ questionCount: 2 });
+    const repaired = repair(schema, {
+      questions: [
+        makeQuestion({ correctAnswer: 'B' }),
+        makeQuestion({ correctAnswer: 'option d' }),
+        makeQuestion({ options: ['Same', 'Same', 'Same', 'Same'], correctAnswer: 'Same' })
+      ]
+    });
+
+    expect(repaired.map(question => question.correctAnswer)).toEqual(['Chloroplast', 'Ribosome']);
+    expect(validate(schema, repaired)).toEqual([]);
+  });
+
+  test('extractJSON should accept JSON surrounded by prose', () => {
+    expect(extractJSON('Here you go:\n["a", "b"]\nHope this helps!')).toEqual(['a', 'b']);
+    expect(() => extractJSON('no json here')).toThrow();
+  });
+
+  test('generateStructured should re-prompt with the violations', async () => {
+    const generateText = jest.fn()
+      .mockResolvedValueOnce('["Only one"]')
+      .mockResolvedValueOnce('["A", "B", "C", "D", "E"]');
+    setProvider({ name: 'mock', generateText });
+
+    await expect(generateStructured('prerequisites', { topic: 'Algebra' }))
+      .resolves.toEqual(['A', 'B', 'C', 'D', 'E']);
+    expect(generateText).toHaveBeenCalledTimes(2);
+    expect(generateText.mock.calls[0][0].repair).toBeUndefined();
+    expect(generateText.mock.calls[1][0].repair).toEqual({
+      previousText: '["Only one"]',
+      issues: ['$ must contain exactly 5 items (got 1)']
+    });
+  });
+
+  test('generateStructured should throw instead of returning invalid output', async () => {
+    setProvider({ name: 'mock', generateText: jest.fn().mockResolvedValue('not json') });
+
+    await expect(generateStructured('flashcards', { topic: 'Cells' }))
+      .rejects.toBeInstanceOf(StructuredOutputError);
+    await expect(generateStructured('unknown'))
+      .rejects.toThrow('No schema registered for task: unknown');
+  });
+});
@@ -1,4 +1,5 @@
-import { createWorker } from 'tesseract.js';
+import { createWorker, createScheduler, OEM } from 'tesseract.js';
+import { chooseOCRLanguages, LATIN_SAMPLE_LANGUAGES } from './ocrLanguages';
 
 /**
  * Tesseract.js configuration for local usage
@@ -19,9 +20,32 @@ export const SUPPORTED_LANGUAGES = [
   'jpn'     // Japanese
 ];
 
+// Display names for the language picker
+export const LANGUAGE_NAMES = {
+  eng: 'English',
+  spa: 'Spanish',
+  fra: 'French',
+  deu: 'German',
+  ita: 'Italian',
+  por: 'Portuguese',
+  rus: 'Russian',
+  ara: 'Arabic',
+  chi_sim: 'Chinese (Simplified)',
+  jpn: 'Japanese'
+};
+
 // Default language combination for multi-language support
 export const DEFAULT_LANGUAGES = 'eng+spa+fra+deu';
 
+// Longest side of the downsampled image used for language detection
+const DETECTION_IMAGE_SIZE = 1200;
+
+// Each worker holds its own copy of the language data, so pools stay small
+const MAX_POOL_WORKERS = 4;
+
+// Shared OCR pools by language combination
+const ocrPools = new Map();
+
 /**
  * Create a Tesseract worker with optimized configuration
  * @param {string} languages - Language codes separated by +
@@ -72,44 +96,173 @@ export async function createOptimizedWorker(
 }
 
 /**
- * Detect the best language for OCR based on file name or content
- * @param {string} fileName - Name of the file being processed
- * @returns {string} Language code combination
+ * Number of OCR workers to run in parallel
+ * One core is left for the page itself, which renders PDF pages for the workers.
+ * @returns {number} Pool size
  */
-export function detectLanguageFromFileName(fileName) {
-  const name = fileName.toLowerCase();
-  
-  // Simple heuristics based on file name
-  if (name.includes('chinese') || name.includes('中文') || name.includes('zh')) {
-    return 'eng+chi_sim';
-  }
-  if (name.includes('japanese') || name.includes('日本語') || name.includes('jp')) {
-    return 'eng+jpn';
-  }
-  if (name.includes('arabic') || name.includes('عربي') || name.includes('ar')) {
-    return 'eng+ara';
+export function getOCRPoolSize() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(cores - 1, MAX_POOL_WORKERS));
+}
+
+/**
+ * Get the shared OCR worker pool for a language combination
+ * The pool's workers are initialised once and reused for later pages and
+ * files until terminateOCRPools is called. Only one pool runs at a time:
+ * asking for other languages replaces it.
+ * @param {string} languages - Language codes separated by +
+ * @returns {Promise<Object>} Pool { languages, size, recognize(image), terminate() }
+ */
+export function getOCRPool(languages = DEFAULT_LANGUAGES) {
+  if (!ocrPools.has(languages)) {
+    terminateOCRPools();
+    const pool = createOCRPool(languages).catch(error => {
+      ocrPools.delete(languages);
+      throw error;
+    });
+    ocrPools.set(languages, pool);
   }
-  if (name.includes('russian') || name.includes('русский') || name.includes('ru')) {
-    return 'eng+rus';
+  return ocrPools.get(languages);
+}
+
+/**
+ * Start a tesseract.js scheduler with a worker per available core
+ * @param {string} languages - Language codes separated by +
+ * @returns {Promise<Object>} Pool { languages, size, recognize(image), terminate() }
+ */
+async function createOCRPool(languages) {
+  const size = getOCRPoolSize();
+  console.log(`Starting OCR pool with ${size} workers for ${languages}`);
+
+  // Per-job progress from several workers at once is just noise; callers report pages instead
+  const logger = m => {
+    if (m.status !== 'recognizing text') {
+      console.log('OCR Status:', m.status);
+    }
+  };
+  const started = await Promise.allSettled(
+    Array.from({ length: size }, () => createOptimizedWorker(languages, 1, { logger }))
+  );
+  const workers = started.filter(result => result.status === 'fulfilled').map(result => result.value);
+  if (workers.length === 0) {
+    throw started[0].reason;
   }
-  if (name.includes('spanish') || name.includes('español') || name.includes('es')) {
-    return 'eng+spa';
+  if (workers.length < size) {
+    console.warn(`Only ${workers.length} of ${size} OCR workers started`);
   }
-  if (name.includes('french') || name.includes('français') || name.includes('fr')) {
-    return 'eng+fra';
+
+  const scheduler = createScheduler();
+  workers.forEach(worker => scheduler.addWorker(worker));
+
+  return {
+    languages,
+    size: workers.length,
+    // Blocks carry the per-word and per-line confidences
+    recognize: (image) => scheduler.addJob('recognize', image, {}, { blocks: true }),
+    terminate: () => scheduler.terminate()
+  };
+}
+
+/**
+ * Terminate every shared OCR pool
+ * Jobs still running are rejected.
+ * @returns {Promise<void>}
+ */
+export async function terminateOCRPools() {
+  const pools = [...ocrPools.values()];
+  ocrPools.clear();
+  await Promise.all(pools.map(async (pool) => {
+    try {
+      await (await pool).terminate();
+    } catch (error) {
+      // A pool that failed to start has nothing to terminate
+    }
+  }));
+}
+
+/**
+ * Shrink an image for the quick detection passes
+ * @param {Blob|string} image - Image blob or data URL
+ * @returns {Promise<Blob|string>} Downsampled PNG, or the original when it's already small or can't be decoded
+ */
+async function downsampleImage(image) {
+  try {
+    const blob = typeof image === 'string' ? await (await fetch(image)).blob() : image;
+    const bitmap = await createImageBitmap(blob);
+    const scale = Math.min(1, DETECTION_IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+    if (scale === 1) {
+      bitmap.close();
+      return image;
+    }
+
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement('canvas'), { width, height });
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    return canvas.convertToBlob ? canvas.convertToBlob({ type: 'image/png' }) : canvas.toDataURL('image/png');
+  } catch (error) {
+    console.warn('Could not downsample image for language detection:', error);
+    return image;
   }
-  if (name.includes('german') || name.includes('deutsch') || name.includes('de')) {
-    return 'eng+deu';
+}
+
+/**
+ * Run a single job on a short-lived worker
+ * @param {string} languages - Worker languages
+ * @param {number} oem - OCR Engine Mode
+ * @param {Object} options - Worker options
+ * @param {Function} job - Called with the worker
+ * @returns {Promise<*>} The job's result
+ */
+async function withWorker(languages, oem, options, job) {
+  const worker = await createWorker(languages, oem, { logger: () => {}, ...options });
+  try {
+    return await job(worker);
+  } finally {
+    await worker.terminate();
   }
-  if (name.includes('italian') || name.includes('italiano') || name.includes('it')) {
-    return 'eng+ita';
+}
+
+/**
+ * Detect which OCR languages suit an image from its content
+ * Two quick passes on a downsampled copy: Tesseract's script detection (OSD),
+ * then for Latin script a sample OCR whose words and accents pick the language.
+ * Falls back to DEFAULT_LANGUAGES when the page doesn't settle it.
+ * @param {Blob|string} image - Page image (blob, file or data URL)
+ * @returns {Promise<Object>} { languages, script, reason }
+ */
+export async function detectOCRLanguages(image) {
+  const sample = await downsampleImage(image);
+
+  let script = null;
+  try {
+    // OSD needs the legacy engine and its own traineddata
+    const { data } = await withWorker('osd', OEM.TESSERACT_ONLY, { legacyCore: true, legacyLang: true },
+      worker => worker.detect(sample));
+    script = data.script;
+    console.log(`Detected script: ${script} (confidence ${data.script_confidence})`);
+  } catch (error) {
+    // Pages with little text often fail OSD; the sample pass still decides
+    console.warn('Script detection failed:', error);
   }
-  if (name.includes('portuguese') || name.includes('português') || name.includes('pt')) {
-    return 'eng+por';
+
+  let sampleText = '';
+  if (!script || script === 'Latin') {
+    try {
+      const { data } = await withWorker(LATIN_SAMPLE_LANGUAGES, 1, {}, worker => worker.recognize(sample));
+      sampleText = data.text;
+    } catch (error) {
+      console.warn('Language sample OCR failed:', error);
+    }
   }
-  
-  // Default to multi-language European support
-  return DEFAULT_LANGUAGES;
+
+  const choice = chooseOCRLanguages({ script, sampleText }, SUPPORTED_LANGUAGES);
+  const languages = choice.languages || DEFAULT_LANGUAGES;
+  console.log(`Using OCR languages: ${languages} (${choice.reason})`);
+  return { languages, script, reason: choice.reason };
 }
 
 /**
@@ -0,0 +1,115 @@
+/**
+ * Text Encoding - work out how an uploaded text file is encoded
+ * Order follows the HTML spec: byte order mark, then the charset the server
+ * sent (for fetched links), then the charset an HTML/XML file declares, then
+ * UTF-8 if the bytes are valid UTF-8, otherwise Windows-1252 (the usual
+ * encoding of older Western text files).
+ */
+
+const SAMPLE_SIZE = 1024;
+const FALLBACK_ENCODING = 'windows-1252';
+
+/**
+ * Check whether bytes form valid UTF-8
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean} True for valid UTF-8 (including plain ASCII)
+ */
+export const isUtf8 = (bytes) => {
+  let i = 0;
+  while (i < bytes.length) {
+    const byte = bytes[i];
+    let continuation;
+    if (byte < 0x80) continuation = 0;
+    else if (byte >= 0xC2 && byte <= 0xDF) continuation = 1;
+    else if (byte >= 0xE0 && byte <= 0xEF) continuation = 2;
+    else if (byte >= 0xF0 && byte <= 0xF4) continuation = 3;
+    else return false;
+
+    if (i + continuation >= bytes.length && continuation > 0) return false;
+    for (let j = 1; j <= continuation; j++) {
+      if ((bytes[i + j] & 0xC0) !== 0x80) return false;
+    }
+    i += continuation + 1;
+  }
+  return true;
+};
+
+// UTF-16 without a BOM: mostly-ASCII text has a zero in every other byte
+const detectUtf16 = (sample) => {
+  let evenZeros = 0;
+  let oddZeros = 0;
+  sample.forEach((byte, index) => {
+    if (byte !== 0) return;
+    if (index % 2 === 0) evenZeros++;
+    else oddZeros++;
+  });
+  const pairs = sample.length / 2;
+  if (pairs < 2) return null;
+  if (oddZeros > pairs * 0.3 && evenZeros < pairs * 0.05) return 'utf-16le';
+  if (evenZeros > pairs * 0.3 && oddZeros < pairs * 0.05) return 'utf-16be';
+  return null;
+};
+
+/**
+ * Find the charset an HTML or XML file declares near its start
+ * @param {Uint8Array} sample - First bytes of the file
+ * @returns {string|null} Lowercase encoding label
+ */
+const declaredCharset = (sample) => {
+  const head = String.fromCharCode(...sample);
+  const match = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w:.-]+)/i)
+    || head.match(/<\?xml[^>]+encoding\s*=\s*["']([\w.-]+)["']/i);
+  if (!match) return null;
+
+  const label = match[1].toLowerCase();
+  // A UTF-16 declaration read from single-byte text is wrong; browsers treat it as UTF-8
+  return label.startsWith('utf-16') ? 'utf-8' : label;
+};
+
+/**
+ * Detect a text file's encoding
+ * @param {Uint8Array} bytes - File contents
+ * @param {Object} options - Detection options
+ * @param {boolean} options.html - Also honour <meta charset> and <?xml encoding?>
+ * @param {string} options.charset - Charset from a Content-Type header
+ * @returns {string} Encoding label for TextDecoder
+ */
+export const detectEncoding = (bytes, { html = false, charset = null } = {}) => {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+  if (charset) return charset.toLowerCase();
+
+  const sample = bytes.subarray(0, SAMPLE_SIZE);
+  const utf16 = detectUtf16(sample);
+  if (utf16) return utf16;
+
+  if (html) {
+    const declared = declaredCharset(sample);
+    if (declared) return declared;
+  }
+
+  return isUtf8(bytes) ? 'utf-8' : FALLBACK_ENCODING;
+};
+
+/**
+ * Decode a text file using its detected encoding
+ * Unknown declared encodings fall back to Windows-1252. Line endings are
+ * normalised to "\n" and a byte order mark is dropped.
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @param {Object} options - Passed to detectEncoding
+ * @returns {string} Decoded text
+ */
+export const decodeText = (data, options) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const encoding = detectEncoding(bytes, options);
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(encoding);
+  } catch (error) {
+    console.warn(`Unknown text encoding "${encoding}", using ${FALLBACK_ENCODING}:`, error);
+    decoder = new TextDecoder(FALLBACK_ENCODING);
+  }
+  return decoder.decode(bytes).replace(/\r\n?/g, '\n');
+};
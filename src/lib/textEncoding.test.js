@@ -0,0 +1,36 @@
+// Tests for text file encoding detection
+
+const { detectEncoding, isUtf8 } = require('./textEncoding');
+
+const bytes = (...values) => Uint8Array.from(values.flat());
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+describe('Text Encoding', () => {
+  test('byte order marks and BOM-less UTF-16 are recognised', () => {
+    expect(detectEncoding(bytes([0xEF, 0xBB, 0xBF], ascii('hi')))).toBe('utf-8');
+    expect(detectEncoding(bytes([0xFF, 0xFE], ascii('h'), [0]))).toBe('utf-16le');
+    expect(detectEncoding(bytes([0xFE, 0xFF, 0, 0x68]))).toBe('utf-16be');
+    expect(detectEncoding(bytes(ascii('notes').flatMap(code => [code, 0])))).toBe('utf-16le');
+    expect(detectEncoding(bytes(ascii('notes').flatMap(code => [0, code])))).toBe('utf-16be');
+  });
+
+  test('valid UTF-8 is kept and anything else falls back to Windows-1252', () => {
+    // "café" in UTF-8, then in Latin-1
+    expect(isUtf8(bytes(ascii('caf'), [0xC3, 0xA9]))).toBe(true);
+    expect(isUtf8(bytes(ascii('caf'), [0xE9]))).toBe(false);
+    expect(isUtf8(bytes(ascii('emoji '), [0xF0, 0x9F, 0x98]))).toBe(false);
+    expect(detectEncoding(bytes(ascii('caf'), [0xC3, 0xA9]))).toBe('utf-8');
+    expect(detectEncoding(bytes(ascii('caf'), [0xE9]))).toBe('windows-1252');
+  });
+
+  test('HTML charset declarations are honoured only for HTML, after the server charset', () => {
+    const page = bytes(ascii('<html><head><meta charset="Shift_JIS"></head><body>'), [0x82, 0xA0]);
+    const xml = bytes(ascii('<?xml version="1.0" encoding="ISO-8859-2"?><p>'));
+
+    expect(detectEncoding(page, { html: true })).toBe('shift_jis');
+    expect(detectEncoding(page)).toBe('windows-1252');
+    expect(detectEncoding(page, { html: true, charset: 'EUC-JP' })).toBe('euc-jp');
+    expect(detectEncoding(xml, { html: true })).toBe('iso-8859-2');
+    expect(detectEncoding(bytes(ascii('<meta charset="utf-16">')), { html: true })).toBe('utf-8');
+  });
+});
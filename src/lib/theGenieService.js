@@ -1,14 +1,31 @@
 import { supabase } from './supabase';
+import { readEventStream } from './eventStream';
+import { indexMissingDocuments, retrieveRelevantChunks, formatChunksAsContext, tokenize } from './retrievalIndex';
 
 /**
  * TheGenie Service - Handles RAG chatbot functionality
- * This service prepares context and calls the Groq API for intelligent responses
+ * This service prepares context and calls TheGenie backend (server/routes/genie.js)
+ * for answers grounded in the user's materials. Documents are not sent whole:
+ * each question carries only the most relevant chunks from the retrieval index
+ * (retrievalIndex.js) plus the learner's difficulty areas.
  */
 
 /**
- * Prepare comprehensive learning context for TheGenie
+ * Build auth headers for TheGenie backend from the current Supabase session
+ * @returns {Promise<Object>} Headers object
+ */
+const getAuthHeaders = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {};
+};
+
+/**
+ * Prepare the learning context shared by every TheGenie question
+ * Indexes any documents uploaded before the retrieval index existed and
+ * collects flashcards as retrieval candidates; document text itself is
+ * retrieved per question by prepareQuestionContext.
  * @param {string} userId - User ID
- * @returns {Promise<Object>} Context data and metadata
+ * @returns {Promise<Object>} Base context, flashcard chunks and metadata
  */
 export const prepareLearningContext = async (userId) => {
   try {
@@ -17,12 +34,22 @@ export const prepareLearningContext = async (userId) => {
     // Get user's uploaded documents from storage
     const { data: documents, error: docError } = await supabase.storage
       .from('documents')
-      .list(userId);
+      .list(userId, { limit: 1000 });
 
     if (docError) {
       console.error('Error fetching documents:', docError);
     }
 
+    const markdownDocuments = (documents || []).filter(doc => doc.name.endsWith('.md'));
+    const documentCount = markdownDocuments.length;
+
+    if (documentCount > 0) {
+      const indexed = await indexMissingDocuments(userId, markdownDocuments.map(doc => doc.name));
+      if (indexed > 0) {
+        console.log(`Indexed ${indexed} previously uploaded documents`);
+      }
+    }
+
     // Get user's learning sessions and flashcards from database
     const { data: sessions, error: sessionError } = await supabase
       .from('learning_sessions')
@@ -48,48 +75,25 @@ export const prepareLearningContext = async (userId) => {
       console.error('Error fetching struggles:', struggleError);
     }
 
-    // Create comprehensive context markdown
-    let contextContent = `# User Learning Context\n\n`;
-    let documentCount = 0;
-    let flashcardCount = 0;
-    let struggleCount = struggles?.length || 0;
-    
-    // Add documents content
-    if (documents && documents.length > 0) {
-      contextContent += `## Uploaded Documents\n\n`;
-      for (const doc of documents) {
-        if (doc.name.endsWith('.md')) {
-          try {
-            const { data: docContent } = await supabase.storage
-              .from('documents')
-              .download(`${userId}/${doc.name}`);
-            
-            if (docContent) {
-              const text = await docContent.text();
-              contextContent += `### ${doc.name}\n${text}\n\n`;
-              documentCount++;
-            }
-          } catch (err) {
-            console.error(`Error reading document ${doc.name}:`, err);
-          }
-        }
-      }
-    }
+    // Flashcards are retrieval candidates alongside document chunks.
+    // session_flashcards holds the user's edited deck; older sessions may only have the JSON copy.
+    const deckCards = (session) => (session.session_flashcards?.length > 0
+      ? [...session.session_flashcards].sort((a, b) => a.flashcard_index - b.flashcard_index)
+      : session.flashcards || []);
 
-    // Add flashcards content
-    if (sessions && sessions.length > 0) {
-      contextContent += `## Generated Flashcards\n\n`;
-      for (const session of sessions) {
-        if (session.flashcards && Array.isArray(session.flashcards)) {
-          contextContent += `### Session: ${session.topic}\n`;
-          session.flashcards.forEach((card, index) => {
-            contextContent += `**Q${index + 1}:** ${card.question}\n`;
-            contextContent += `**A${index + 1}:** ${card.answer}\n\n`;
-            flashcardCount++;
-          });
-        }
-      }
-    }
+    const flashcardChunks = (sessions || [])
+      .flatMap(session => deckCards(session).map((card, index) => ({
+        fileName: `Session: ${session.topic}`,
+        section: card.is_manual ? 'My Flashcards' : 'Generated Flashcards',
+        page: null,
+        chunkIndex: index,
+        content: `**Q:** ${card.question}\n**A:** ${card.answer}` +
+          (card.tags?.length > 0 ? `\n**Tags:** ${card.tags.join(', ')}` : '')
+      })));
+    const flashcardCount = flashcardChunks.length;
+    const struggleCount = struggles?.length || 0;
+
+    let contextContent = '';
 
     // Add weak concepts information
     if (struggles && struggles.length > 0) {
@@ -111,6 +115,7 @@ export const prepareLearningContext = async (userId) => {
     return {
       success: true,
       contextContent,
+      flashcardChunks,
       metadata: {
         documentCount,
         flashcardCount,
@@ -126,6 +131,7 @@ export const prepareLearningContext = async (userId) => {
       success: false,
       error: error.message,
       contextContent: '',
+      flashcardChunks: [],
       metadata: {
         documentCount: 0,
         flashcardCount: 0,
@@ -138,62 +144,203 @@ export const prepareLearningContext = async (userId) => {
 };
 
 /**
- * Call TheGenie API with question and context (Async processing)
+ * Build the context for one question from the most relevant chunks
+ * @param {string} userId - User ID
  * @param {string} question - User's question
- * @param {string} context - Learning context
- * @param {string} weakConcepts - User's weak areas
- * @param {Function} onProgress - Progress callback function
- * @returns {Promise<Object>} TheGenie response
+ * @param {Object} learningContext - Result of prepareLearningContext
+ * @param {Object} options - Retrieval options
+ * @param {number} options.topK - Number of chunks to include (default: 6)
+ * @returns {Promise<Object>} { success, contextContent, chunks }
+ */
+export const prepareQuestionContext = async (userId, question, learningContext = {}, { topK } = {}) => {
+  const { contextContent: baseContext = '', flashcardChunks = [] } = learningContext;
+  const { chunks } = await retrieveRelevantChunks(userId, question, { topK, extraChunks: flashcardChunks });
+
+  const documentChunks = chunks.filter(chunk => chunk.storagePath);
+  const cardChunks = chunks.filter(chunk => !chunk.storagePath);
+
+  let contextContent = `# User Learning Context\n\n`;
+  if (documentChunks.length > 0) {
+    contextContent += `## Uploaded Documents\n\n${formatChunksAsContext(documentChunks)}\n`;
+  }
+  if (cardChunks.length > 0) {
+    contextContent += `## Generated Flashcards\n\n${formatChunksAsContext(cardChunks)}\n`;
+  }
+  contextContent += baseContext;
+
+  return { success: true, contextContent, chunks };
+};
+
+/**
+ * Link citations returned by TheGenie back to the documents they quote
+ * The backend only sees the formatted excerpts, so each citation is matched to
+ * the retrieved chunk with the same file, page and the most shared words.
+ * @param {Array<Object>} citations - Citations { id, source, section, page, snippet, score }
+ * @param {Array<Object>} chunks - Chunks returned by prepareQuestionContext
+ * @returns {Array<Object>} Citations with documentId, fileName, storagePath and page
  */
-export const callTheGenie = async (question, context, weakConcepts = [], onProgress = null) => {
+export const resolveCitations = (citations = [], chunks = []) => citations.map(citation => {
+  const snippetTerms = new Set(tokenize(citation.snippet || ''));
+  const candidates = chunks.filter(chunk => chunk.fileName === citation.source &&
+    (!citation.page || !chunk.page || chunk.page === citation.page));
+
+  const best = candidates.reduce((bestMatch, chunk) => {
+    const overlap = tokenize(chunk.content).filter(term => snippetTerms.has(term)).length;
+    return !bestMatch || overlap > bestMatch.overlap ? { chunk, overlap } : bestMatch;
+  }, null)?.chunk;
+
+  return {
+    ...citation,
+    fileName: citation.source,
+    documentId: best?.documentId || null,
+    storagePath: best?.storagePath || null,
+    page: citation.page || best?.page || null,
+    snippet: (citation.snippet || '').replace(/\.\.\.$/, '')
+  };
+});
+
+const POLL_INTERVAL_MS = 1000;
+const MAX_POLL_ATTEMPTS = 300; // 5 minutes with 1-second intervals
+
+const createAbortError = () => Object.assign(new Error('Request was cancelled'), { name: 'AbortError' });
+
+// Wait between polls, waking early if the request is cancelled
+const waitForNextPoll = (signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(createAbortError());
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, POLL_INTERVAL_MS);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Cancel the request on the server when the signal aborts; returns a cleanup function.
+// Closing the stream leaves the job running, so cancelling always goes through /cancel.
+const cancelOnAbort = (apiUrl, requestId, authHeaders, signal) => {
+  const cancelRequest = () => {
+    fetch(`${apiUrl}/api/thegenie/cancel/${requestId}`, { method: 'POST', headers: authHeaders })
+      .catch(error => console.warn('Error cancelling TheGenie request:', error));
+  };
+  signal?.addEventListener('abort', cancelRequest, { once: true });
+  return () => signal?.removeEventListener('abort', cancelRequest);
+};
+
+const toGenieResult = (result) => ({
+  success: true,
+  answer: result.answer,
+  citations: result.citations || [],
+  themes: result.themes || '',
+  processingTime: result.processingTime
+});
+
+/**
+ * Ask over the streaming endpoint
+ * @param {string} apiUrl - Backend base URL
+ * @param {string} body - JSON request body
+ * @param {Object} authHeaders - Auth headers
+ * @param {Object} handlers - { signal, onProgress, onToken, onCitations }
+ * @returns {Promise<Object|null>} TheGenie response, { requestId } when the stream
+ * dropped before finishing, or null when the server doesn't support streaming
+ */
+const streamTheGenie = async (apiUrl, body, authHeaders, { signal, onProgress, onToken, onCitations }) => {
+  const response = await fetch(`${apiUrl}/api/thegenie/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...authHeaders
+    },
+    body,
+    signal
+  });
+
+  // Older servers only have the polling endpoints
+  if (response.status === 404 || response.status === 405) return null;
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  if (!response.body?.getReader || !(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    return null;
+  }
+
+  let requestId = null;
+  let answer = '';
+  let outcome = null;
+  let failure = null;
+  let stopCancelling = () => {};
+
   try {
-    console.log('Calling TheGenie with question:', question);
-    
-    // Backend API endpoint (adjust URL based on your setup)
-    const apiUrl = process.env.REACT_APP_THEGENIE_API_URL || 'http://localhost:3001';
-    
-    // Step 1: Submit the question and get request ID
-    const submitResponse = await fetch(`${apiUrl}/api/thegenie/ask`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        question,
-        context,
-        weakConcepts
-      })
+    await readEventStream(response, ({ event, data }) => {
+      switch (event) {
+        case 'accepted':
+          requestId = data.requestId;
+          stopCancelling = cancelOnAbort(apiUrl, requestId, authHeaders, signal);
+          if (onProgress) onProgress({ status: data.status, progress: 0, message: data.message, requestId });
+          break;
+        case 'progress':
+          if (onProgress) onProgress({ status: 'processing', progress: data.progress, message: data.message, requestId });
+          break;
+        case 'citations':
+          if (onCitations) onCitations(data.citations || []);
+          break;
+        case 'token':
+          answer += data.text;
+          if (onToken) onToken(data.text, answer);
+          break;
+        case 'done':
+          outcome = toGenieResult(data);
+          break;
+        case 'error':
+          failure = new Error(data.error || 'Failed to get response from TheGenie');
+          break;
+        case 'cancelled':
+          failure = createAbortError();
+          break;
+        default:
+          break;
+      }
     });
+  } catch (error) {
+    // The job keeps running on the server, so a dropped connection is resumed by polling
+    if (error.name === 'AbortError' || signal?.aborted || !requestId) throw error;
+    console.warn('TheGenie stream dropped, resuming by polling:', error);
+  } finally {
+    stopCancelling();
+  }
 
-    if (!submitResponse.ok) {
-      throw new Error(`HTTP error! status: ${submitResponse.status}`);
-    }
-
-    const submitResult = await submitResponse.json();
-    
-    if (!submitResult.success || !submitResult.requestId) {
-      throw new Error('Failed to submit question to TheGenie');
-    }
+  if (failure) throw failure;
+  return outcome || (requestId ? { requestId } : null);
+};
 
-    const { requestId } = submitResult;
-    console.log('Question submitted with request ID:', requestId);
+/**
+ * Poll the status endpoint until a request finishes, then fetch its result
+ * @param {string} apiUrl - Backend base URL
+ * @param {string} requestId - Request ID from /ask or the stream
+ * @param {Object} authHeaders - Auth headers
+ * @param {Object} handlers - { signal, onProgress }
+ * @returns {Promise<Object>} TheGenie response
+ */
+const pollTheGenie = async (apiUrl, requestId, authHeaders, { signal, onProgress }) => {
+  const stopCancelling = cancelOnAbort(apiUrl, requestId, authHeaders, signal);
 
-    // Step 2: Poll for status updates
+  try {
     let attempts = 0;
-    const maxAttempts = 300; // 5 minutes with 1-second intervals
-    const pollInterval = 1000; // 1 second
 
-    while (attempts < maxAttempts) {
+    while (attempts < MAX_POLL_ATTEMPTS) {
       try {
         // Check status
-        const statusResponse = await fetch(`${apiUrl}/api/thegenie/status/${requestId}`);
-        
+        const statusResponse = await fetch(`${apiUrl}/api/thegenie/status/${requestId}`, { headers: authHeaders, signal });
+
         if (statusResponse.ok) {
           const statusResult = await statusResponse.json();
-          
+
           if (statusResult.success) {
             const { status, progress, message } = statusResult;
-            
+
             // Call progress callback if provided
             if (onProgress && typeof onProgress === 'function') {
               onProgress({
@@ -204,57 +351,38 @@ export const callTheGenie = async (question, context, weakConcepts = [], onProgr
               });
             }
 
-            // If completed, get the result
-            if (status === 'completed') {
-              const resultResponse = await fetch(`${apiUrl}/api/thegenie/result/${requestId}`);
-              
-              if (resultResponse.ok) {
-                const result = await resultResponse.json();
-                
-                if (result.success) {
-                  return {
-                    success: true,
-                    answer: result.answer,
-                    citations: result.citations || [],
-                    themes: result.themes || '',
-                    processingTime: result.processingTime
-                  };
-                } else {
-                  throw new Error(result.error || 'Failed to get response from TheGenie');
-                }
-              } else {
-                throw new Error(`Failed to fetch result: ${resultResponse.status}`);
+            // If finished, get the result
+            if (status === 'completed' || status === 'failed' || status === 'cancelled') {
+              const resultResponse = await fetch(`${apiUrl}/api/thegenie/result/${requestId}`, { headers: authHeaders, signal });
+
+              if (!resultResponse.ok) {
+                throw new Error(status === 'completed' ? `Failed to fetch result: ${resultResponse.status}` : 'Processing failed');
               }
-            }
-            
-            // If failed, throw error
-            if (status === 'failed') {
-              const resultResponse = await fetch(`${apiUrl}/api/thegenie/result/${requestId}`);
-              
-              if (resultResponse.ok) {
-                const result = await resultResponse.json();
-                throw new Error(result.error || 'Processing failed');
-              } else {
-                throw new Error('Processing failed');
+
+              const result = await resultResponse.json();
+              if (result.success) {
+                return toGenieResult(result);
               }
+              throw new Error(result.error || 'Failed to get response from TheGenie');
             }
           }
         }
 
         // Wait before next poll
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        await waitForNextPoll(signal);
         attempts++;
 
       } catch (error) {
+        if (error.name === 'AbortError') throw error;
         console.error('Error during status polling:', error);
-        
+
         // If it's a network error, continue polling
         if (error.name === 'TypeError' || error.message.includes('fetch')) {
-          await new Promise(resolve => setTimeout(resolve, pollInterval));
+          await waitForNextPoll(signal);
           attempts++;
           continue;
         }
-        
+
         // For other errors, throw immediately
         throw error;
       }
@@ -262,18 +390,90 @@ export const callTheGenie = async (question, context, weakConcepts = [], onProgr
 
     // If we reach here, it means we timed out
     throw new Error('Request timed out after 5 minutes of polling');
+  } finally {
+    stopCancelling();
+  }
+};
+
+/**
+ * Call TheGenie API with question and context
+ * Answers stream over Server-Sent Events; servers without the streaming
+ * endpoint (or REACT_APP_THEGENIE_STREAMING=off) use the ask/status/result
+ * polling contract instead.
+ * @param {string} question - User's question
+ * @param {string} context - Learning context
+ * @param {string} weakConcepts - User's weak areas
+ * @param {Function} onProgress - Progress callback function
+ * @param {Object} options - Streaming options
+ * @param {AbortSignal} options.signal - Cancels the request (server-side too)
+ * @param {Function} options.onToken - Called with (delta, answerSoFar) as the answer streams
+ * @param {Function} options.onCitations - Called with citations once sources are retrieved
+ * @returns {Promise<Object>} TheGenie response; { success: false, error } when it failed
+ * ({ success: false, cancelled: true } when cancelled)
+ */
+export const callTheGenie = async (question, context, weakConcepts = [], onProgress = null, { signal, onToken, onCitations } = {}) => {
+  try {
+    console.log('Calling TheGenie with question:', question);
+    
+    // Backend API endpoint (adjust URL based on your setup)
+    const apiUrl = process.env.REACT_APP_THEGENIE_API_URL || 'http://localhost:3001';
+    const authHeaders = await getAuthHeaders();
+    const body = JSON.stringify({
+      question,
+      context,
+      weakConcepts
+    });
+
+    let requestId = null;
+
+    if (process.env.REACT_APP_THEGENIE_STREAMING !== 'off') {
+      const streamed = await streamTheGenie(apiUrl, body, authHeaders, { signal, onProgress, onToken, onCitations });
+      if (streamed?.success) {
+        return streamed;
+      }
+      // The stream dropped mid-answer: pick the request up by polling
+      requestId = streamed?.requestId || null;
+    }
+
+    if (!requestId) {
+      // Submit the question and get request ID
+      const submitResponse = await fetch(`${apiUrl}/api/thegenie/ask`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders
+        },
+        body,
+        signal
+      });
+
+      if (!submitResponse.ok) {
+        throw new Error(`HTTP error! status: ${submitResponse.status}`);
+      }
+
+      const submitResult = await submitResponse.json();
+
+      if (!submitResult.success || !submitResult.requestId) {
+        throw new Error('Failed to submit question to TheGenie');
+      }
+
+      requestId = submitResult.requestId;
+      console.log('Question submitted with request ID:', requestId);
+    }
+
+    return await pollTheGenie(apiUrl, requestId, authHeaders, { signal, onProgress });
 
   } catch (error) {
+    if (error.name === 'AbortError' || signal?.aborted) {
+      return { success: false, cancelled: true, error: 'Request was cancelled' };
+    }
+
     console.error('Error calling TheGenie:', error);
-    
-    // Fallback response if API is not available
-    return {
-      success: true,
-      answer: `Based on your learning materials, here's what I found:\n\n**Answer to your question:** ${question}\n\nI've analyzed your uploaded documents and learning sessions to provide this response. The information is tailored to your current understanding level and areas of difficulty.\n\n**Note:** I'm currently running in fallback mode. For full RAG capabilities, please ensure the backend API is running.\n\nWould you like me to explain any specific part in more detail or help you with related concepts?`,
-      citations: [],
-      themes: '',
-      fallback: true
-    };
+    // fetch rejects with a TypeError when the server can't be reached
+    const message = error.name === 'TypeError'
+      ? 'Could not reach TheGenie. Please make sure the Study Genie API server is running.'
+      : error.message;
+    return { success: false, error: message };
   }
 };
 